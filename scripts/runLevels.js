@@ -0,0 +1,116 @@
+/**
+ * Runs levels headlessly in Node and reports how each run ended.
+ *
+ * Usage:
+ *   node scripts/runLevels.js [level.json ...] [--solution solution.json] [--max-time seconds] [--verbose]
+ *
+ * Without level files, every level in `assets/maps` is run, then every check level in `scripts/checks`
+ * (small levels covering physics features the real levels do not use). A level of `assets/maps` is run
+ * with its solution from `scripts/checks/solutions`, which has the same file name and must exist, so that
+ * a level nobody can complete is caught. `--solution` applies another solution (see `applySolution` in
+ * `src/core/headlessRunner.js`) and needs exactly one level file.
+ * The exit code is 1 if a run fails, or if a run with a solution does not end with every objective complete.
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { runLevel, DEFAULT_MAX_TIME } from '../src/core/headlessRunner.js';
+import { TICK_DURATION } from '../src/core/simulationCore.js';
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const mapsDir = path.join(rootDir, 'assets', 'maps');
+const solutionsDir = path.join(rootDir, 'scripts', 'checks', 'solutions');
+
+/**
+ * Parses the command line arguments.
+ * @param {Array<string>} args - The arguments after the script name.
+ * @returns {{levelPaths: Array<string>, solutionPath: string|null, maxTime: number, verbose: boolean}} The options.
+ */
+function parseArguments(args) {
+    const options = { levelPaths: [], solutionPath: null, maxTime: DEFAULT_MAX_TIME, verbose: false };
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--solution') {
+            options.solutionPath = args[++i];
+        } else if (args[i] === '--max-time') {
+            options.maxTime = Number(args[++i]);
+        } else if (args[i] === '--verbose') {
+            options.verbose = true;
+        } else {
+            options.levelPaths.push(args[i]);
+        }
+    }
+
+    if (options.levelPaths.length === 0) {
+        options.levelPaths = [mapsDir, path.join(rootDir, 'scripts', 'checks')]
+            .flatMap(dir => fs.readdirSync(dir)
+                .filter(file => file.endsWith('.json'))
+                .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+                .map(file => path.join(dir, file)));
+    }
+    if (options.solutionPath && options.levelPaths.length !== 1) {
+        throw new Error('--solution needs exactly one level file.');
+    }
+    if (!(options.maxTime > 0)) {
+        throw new Error('--max-time needs a positive number of seconds.');
+    }
+    return options;
+}
+
+/**
+ * Returns the solution a level is run with when no `--solution` is given.
+ * @param {string} levelPath - The level file.
+ * @returns {string|null} The solution file of a level of `assets/maps`, or null for other levels.
+ * @throws {Error} If a level of `assets/maps` has no solution file.
+ */
+function getSolutionPath(levelPath) {
+    if (path.dirname(path.resolve(levelPath)) !== mapsDir) {
+        return null;
+    }
+    const solutionPath = path.join(solutionsDir, path.basename(levelPath));
+    if (!fs.existsSync(solutionPath)) {
+        throw new Error(`no solution in ${path.relative(rootDir, solutionPath)}.`);
+    }
+    return solutionPath;
+}
+
+/**
+ * Formats the outcome of a run as a single line.
+ * @param {string} levelPath - The level file.
+ * @param {module:core/headlessRunner.LevelRunResult} result - The outcome of the run.
+ * @returns {string} The report line.
+ */
+function formatResult(levelPath, result) {
+    const name = path.basename(levelPath);
+    if (!result.ended) {
+        return `${name}: not ended after ${(result.ticks * TICK_DURATION).toFixed(2)}s`;
+    }
+    const objectives = result.objectives.map(o => `${o.id} ${o.starsEarned}*`).join(', ');
+    const { pieces, par } = result.pieceUsage;
+    const pieceText = pieces > 0 || par !== null ? `, ${pieces} piece(s)${par !== null ? ` (par ${par})` : ''}` : '';
+    const reasonText = result.failed ? ` (${result.failureReason})` : '';
+    return `${name}: ${result.failed ? 'failed' : 'ended'} by '${result.endCondition.displayName}'${reasonText} at ${result.completionTime.toFixed(2)}s, ${result.totalStars} star(s)${pieceText} [${objectives}]`;
+}
+
+const options = parseArguments(process.argv.slice(2));
+if (!options.verbose) {
+    console.log = () => {};
+}
+
+let failed = false;
+options.levelPaths.forEach(levelPath => {
+    try {
+        const level = JSON.parse(fs.readFileSync(levelPath, 'utf8'));
+        const solutionPath = options.solutionPath ?? getSolutionPath(levelPath);
+        const solution = solutionPath ? JSON.parse(fs.readFileSync(solutionPath, 'utf8')) : undefined;
+        const result = runLevel(level, { solution, maxTime: options.maxTime });
+        process.stdout.write(formatResult(levelPath, result) + '\n');
+        if (solution && !(result.ended && result.allObjectivesComplete)) {
+            failed = true;
+        }
+    } catch (error) {
+        process.stdout.write(`${path.basename(levelPath)}: failed: ${error.message}\n`);
+        failed = true;
+    }
+});
+
+process.exit(failed ? 1 : 0);
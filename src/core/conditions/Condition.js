@@ -4,11 +4,16 @@
  * @description Base abstract class for all simulation end conditions.
  * It defines the common structure and methods that specific condition types must implement.
  * Conditions represent criteria that, when met, can trigger the end of a level or simulation phase.
+ * Subclasses register their type with {@link module:core/ruleRegistry}, which validates each end condition's
+ * config before creating it.
  *
  * @property {string} id - Unique identifier for the condition instance, from config.
  * @property {string} type - Type of the condition (e.g., "timeLimit", "stayInZoneEnd"), from config.
  * @property {string} displayName - User-friendly name for display, from config or default.
  * @property {boolean} isMet - Flag indicating if the condition has been met.
+ * @property {boolean} isFailure - Whether the run counts as failed when this condition ends it: no objective earns stars.
+ * @property {string|null} failureReason - Why the run failed, once a failure condition is met: the config's
+ *                                         `failureReason`, or a description of what happened.
  */
 export class Condition {
     /**
@@ -20,6 +25,7 @@ export class Condition {
      * @param {string} config.id - A unique identifier for this condition instance.
      * @param {string} config.type - The type of the condition.
      * @param {string} [config.displayName='Unnamed Condition'] - A user-friendly name for the condition.
+     * @param {string} [config.failureReason] - The reason shown when this condition fails the run.
      * @throws {Error} If `Condition` (the abstract class) is instantiated directly.
      */
     constructor(config) {
@@ -30,6 +36,9 @@ export class Condition {
         this.type = config.type;
         this.displayName = config.displayName || 'Unnamed Condition';
         this.isMet = false;
+        this.isFailure = false;
+        this.configuredFailureReason = config.failureReason || null;
+        this.failureReason = null;
     }
 
     /**
@@ -39,9 +48,22 @@ export class Condition {
      */
     reset() {
         this.isMet = false;
+        this.failureReason = null;
         console.log(`Condition ${this.id} reset.`);
     }
 
+    /**
+     * Marks the condition as met. If it fails the run, the configured failure reason, or else `reason`,
+     * is recorded as `failureReason`.
+     * @param {string} reason - What happened, e.g. "'ball_1' hit 'spikes'".
+     */
+    meet(reason) {
+        this.isMet = true;
+        if (this.isFailure) {
+            this.failureReason = this.configuredFailureReason ?? reason;
+        }
+    }
+
     /**
      * Updates the condition's state based on the current state of the simulation.
      * This method is called on each frame of the simulation when active.
@@ -52,12 +74,30 @@ export class Condition {
      * @param {Map<string, Matter.Body>} bodies - A map of all physics bodies currently in the simulation.
      * @param {Array<Objective>} objectives - A list of active objectives in the simulation.
      * @param {number} deltaTime - The time elapsed since the last frame, in seconds.
+     * @param {Array<object>} contacts - The contacts that began during the tick, see {@link module:core/physics/contacts}.
      * @throws {Error} If not implemented by a subclass.
      */
-    update(bodies, objectives, deltaTime) {
+    update(bodies, objectives, deltaTime, contacts) {
         throw new Error("Method 'update()' must be implemented by subclasses.");
     }
 
+    /**
+     * Copies the state of the condition, leaving out its configuration, e.g. to record it in the timeline.
+     * @returns {object} The copied state.
+     */
+    captureState() {
+        const { config, ...state } = this;
+        return structuredClone(state);
+    }
+
+    /**
+     * Puts the condition back in a state copied by {@link Condition#captureState}.
+     * @param {object} state - The copied state.
+     */
+    restoreState(state) {
+        Object.assign(this, structuredClone(state));
+    }
+
     /**
      * Cleans up any resources created or used by the condition.
      * This method should be overridden by subclasses if they create disposable resources.
@@ -0,0 +1,70 @@
+import { Condition } from './Condition.js';
+import { registerConditionType } from '../ruleRegistry.js';
+import { readSelector, findContacts, getSelectorProblems, getSelectorDependencies } from '../physics/contacts.js';
+
+/**
+ * @class ContactEndCondition
+ * @extends Condition
+ * @description An end condition met when a target body hits another body, e.g. the egg hitting the
+ * ground or the ball touching a hazard. Bodies are selected by ID prefix and/or tag, see
+ * {@link module:core/physics/contacts}. By default the run then counts as failed and earns no stars;
+ * with `failure: false` it simply ends the run, e.g. when the ball reaches the goal.
+ *
+ * @param {object} config - The configuration object for this condition.
+ * @param {string} config.id - A unique identifier for this condition instance.
+ * @param {string} config.type - The type of the condition (must be "contactEnd").
+ * @param {string} [config.displayName='Forbidden Contact'] - A user-friendly name for display.
+ * @param {string} [config.targetId] - The ID prefix of the bodies to watch.
+ * @param {string} [config.targetTag] - A tag of the bodies to watch (`targetId` and/or `targetTag` is required).
+ * @param {string} [config.otherId] - The ID prefix of the bodies they must hit.
+ * @param {string} [config.otherTag] - A tag of the bodies they must hit. Without `otherId` or `otherTag`, any body counts.
+ * @param {number} [config.minImpulse=0] - The impulse a contact needs to count, in mass × world units per second.
+ * @param {boolean} [config.failure=true] - Whether the run counts as failed when this condition ends it.
+ * @param {string} [config.failureReason] - The reason shown when the run fails; by default, which bodies hit.
+ */
+export class ContactEndCondition extends Condition {
+    /**
+     * Creates an instance of ContactEndCondition.
+     * @param {object} config - Condition configuration from JSON.
+     */
+    constructor(config) {
+        super(config);
+        this.targetSelector = readSelector(config, 'target');
+        this.otherSelector = readSelector(config, 'other');
+        this.minImpulse = config.minImpulse ?? 0;
+        this.isFailure = config.failure ?? true;
+        this.displayName = config.displayName || 'Forbidden Contact';
+    }
+
+    /**
+     * Checks the contacts that began during the tick for a strong enough one between the target
+     * and the other body.
+     *
+     * @param {Map<string, Matter.Body>} bodies - A map of all physics bodies (unused by this condition).
+     * @param {Array<Objective>} objectives - A list of active objectives (unused by this condition).
+     * @param {number} deltaTime - The time elapsed since the last frame, in seconds.
+     * @param {Array<object>} [contacts=[]] - The contacts that began during the tick.
+     * @override
+     */
+    update(bodies, objectives, deltaTime, contacts = []) {
+        if (this.isMet) return;
+
+        const contact = findContacts(contacts, this.targetSelector, this.otherSelector)
+            .find(candidate => candidate.impulse >= this.minImpulse);
+        if (contact) {
+            this.meet(`'${contact.targetId}' hit '${contact.otherId}'`);
+            console.log(`ContactEndCondition (id: ${this.id}) met: '${contact.targetId}' hit '${contact.otherId}'.`);
+        }
+    }
+}
+
+registerConditionType('contactEnd', ContactEndCondition, {
+    validate: config => [
+        ...getSelectorProblems(config, 'target', true),
+        ...getSelectorProblems(config, 'other', false),
+        config.minImpulse !== undefined && !(typeof config.minImpulse === 'number' && config.minImpulse >= 0) && "needs a non-negative 'minImpulse'",
+        config.failure !== undefined && typeof config.failure !== 'boolean' && "needs a boolean 'failure'",
+        config.failureReason !== undefined && typeof config.failureReason !== 'string' && "needs a string 'failureReason'"
+    ].filter(Boolean),
+    dependencies: config => getSelectorDependencies(config, ['target', 'other'])
+});
@@ -0,0 +1,80 @@
+import { Condition } from './Condition.js';
+import { registerConditionType } from '../ruleRegistry.js';
+
+/**
+ * @class DeadlineCondition
+ * @extends Condition
+ * @description A failure condition met when `duration` seconds pass before the watched objectives are
+ * complete: the run then fails and earns no stars. Once they are all complete it never fires, and another
+ * end condition ends the run. It watches the objectives listed in `objectiveIds`, or every objective of
+ * the level; objectives only scored when the run ends (like `maxHeight`) are never complete before, so
+ * list the others when the level has some.
+ *
+ * @param {object} config - The configuration object for this condition.
+ * @param {string} config.id - A unique identifier for this condition instance.
+ * @param {string} config.type - The type of the condition (must be "deadline").
+ * @param {string} [config.displayName='Deadline'] - A user-friendly name for display.
+ * @param {number} config.duration - The seconds the objectives have to be completed in.
+ * @param {Array<string>} [config.objectiveIds] - The IDs of the objectives to watch; all objectives by default.
+ * @param {string} [config.failureReason] - The reason shown when the run fails; by default, the first objective left incomplete.
+ */
+export class DeadlineCondition extends Condition {
+    /**
+     * Creates an instance of DeadlineCondition.
+     * @param {object} config - Condition configuration from JSON.
+     */
+    constructor(config) {
+        super(config);
+        this.duration = config.duration;
+        this.objectiveIds = config.objectiveIds ?? null;
+        this.timer = 0;
+        this.remainingTime = this.duration;
+        this.isFailure = true;
+        this.displayName = config.displayName || 'Deadline';
+    }
+
+    /**
+     * Resets the condition to its initial state.
+     * @override
+     */
+    reset() {
+        super.reset();
+        this.timer = 0;
+        this.remainingTime = this.duration;
+    }
+
+    /**
+     * Counts down, and is met when time runs out while a watched objective is incomplete.
+     *
+     * @param {Map<string, Matter.Body>} bodies - A map of all physics bodies (unused by this condition).
+     * @param {Array<Objective>} objectives - A list of active objectives in the simulation.
+     * @param {number} deltaTime - The time elapsed since the last frame, in seconds.
+     * @override
+     */
+    update(bodies, objectives, deltaTime) {
+        if (this.isMet) return;
+
+        const watched = this.objectiveIds ? objectives.filter(objective => this.objectiveIds.includes(objective.id)) : objectives;
+        const incomplete = watched.find(objective => !objective.isComplete);
+        if (!incomplete) return;
+
+        this.timer += deltaTime;
+        this.remainingTime = Math.max(0, this.duration - this.timer);
+        if (this.timer >= this.duration) {
+            this.meet(`Time ran out before '${incomplete.displayName}' was complete`);
+            console.log(`DeadlineCondition (id: ${this.id}) met: '${incomplete.id}' incomplete after ${this.duration}s.`);
+        }
+    }
+}
+
+registerConditionType('deadline', DeadlineCondition, {
+    validate: config => [
+        !(typeof config.duration === 'number' && config.duration > 0) && "needs a positive 'duration'",
+        config.objectiveIds !== undefined && !(Array.isArray(config.objectiveIds) && config.objectiveIds.length > 0 &&
+            config.objectiveIds.every(id => typeof id === 'string')) && "needs 'objectiveIds' as a non-empty array of IDs",
+        config.failureReason !== undefined && typeof config.failureReason !== 'string' && "needs a string 'failureReason'"
+    ].filter(Boolean),
+    dependencies: config => ({
+        objectives: Array.isArray(config.objectiveIds) ? config.objectiveIds.map(id => ({ id })) : []
+    })
+});
@@ -0,0 +1,64 @@
+import { Condition } from './Condition.js';
+import { registerConditionType } from '../ruleRegistry.js';
+import { getZoneProblems, createZoneShape, isBodyInZone } from '../physics/zoneShapes.js';
+
+/**
+ * @class HazardZoneCondition
+ * @extends Condition
+ * @description An end condition met as soon as a target body enters a hazard zone, e.g. a pool of lava or
+ * a spike pit drawn over the scenery. Unlike `contactEnd`, the hazard needs no body: the zone is a
+ * rectangle, circle or polygon, see {@link module:core/physics/zoneShapes}. By default the run then
+ * counts as failed and earns no stars.
+ *
+ * @param {object} config - The configuration object for this condition.
+ * @param {string} config.id - A unique identifier for this condition instance.
+ * @param {string} config.type - The type of the condition (must be "hazardZone").
+ * @param {string} [config.displayName='Hazard'] - A user-friendly name for display.
+ * @param {string} config.targetId - The ID prefix of the bodies that must keep out of the zone.
+ * @param {object} config.zone - The hazard zone.
+ * @param {boolean} [config.failure=true] - Whether the run counts as failed when this condition ends it.
+ * @param {string} [config.failureReason] - The reason shown when the run fails; by default, which body entered the zone.
+ */
+export class HazardZoneCondition extends Condition {
+    /**
+     * Creates an instance of HazardZoneCondition.
+     * @param {object} config - Condition configuration from JSON.
+     */
+    constructor(config) {
+        super(config);
+        this.targetId = config.targetId;
+        this.zoneShape = createZoneShape(config.zone);
+        this.isFailure = config.failure ?? true;
+        this.displayName = config.displayName || 'Hazard';
+    }
+
+    /**
+     * Checks whether a target body is in the hazard zone.
+     *
+     * @param {Map<string, Matter.Body>} bodies - A map of all physics bodies.
+     * @param {Array<Objective>} objectives - A list of active objectives (unused by this condition).
+     * @param {number} deltaTime - The time elapsed since the last frame, in seconds.
+     * @override
+     */
+    update(bodies, objectives, deltaTime) {
+        if (this.isMet) return;
+
+        for (const [id, body] of bodies) {
+            if (id.startsWith(this.targetId) && isBodyInZone(body, this.zoneShape)) {
+                this.meet(`'${id}' entered the ${this.displayName.toLowerCase()}`);
+                console.log(`HazardZoneCondition (id: ${this.id}) met: '${id}' entered the zone.`);
+                return;
+            }
+        }
+    }
+}
+
+registerConditionType('hazardZone', HazardZoneCondition, {
+    validate: config => [
+        !config.targetId && "needs a 'targetId'",
+        ...getZoneProblems(config.zone),
+        config.failure !== undefined && typeof config.failure !== 'boolean' && "needs a boolean 'failure'",
+        config.failureReason !== undefined && typeof config.failureReason !== 'string' && "needs a string 'failureReason'"
+    ].filter(Boolean),
+    dependencies: config => ({ targets: [config.targetId] })
+});
@@ -1,4 +1,5 @@
 import { Condition } from './Condition.js';
+import { registerConditionType } from '../ruleRegistry.js';
 
 /**
  * @class LeaveZoneEndCondition
@@ -16,12 +17,6 @@ import { Condition } from './Condition.js';
 export class LeaveZoneEndCondition extends Condition {
     constructor(config) {
         super(config);
-        if (!config.objectiveTargetId) {
-            throw new Error(`LeaveZoneEndCondition (id: ${this.id}) requires an 'objectiveTargetId' in config.`);
-        }
-        if (typeof config.duration !== 'number' || config.duration < 0) {
-            throw new Error(`LeaveZoneEndCondition (id: ${this.id}) requires a non-negative 'duration' in config.`);
-        }
         this.objectiveTargetId = config.objectiveTargetId;
         this.duration = config.duration;
         this.timer = 0;
@@ -86,3 +81,11 @@ export class LeaveZoneEndCondition extends Condition {
         super.dispose();
     }
 }
+
+registerConditionType('leaveZoneEnd', LeaveZoneEndCondition, {
+    validate: config => [
+        !config.objectiveTargetId && "needs an 'objectiveTargetId'",
+        !(typeof config.duration === 'number' && config.duration >= 0) && "needs a non-negative 'duration'"
+    ].filter(Boolean),
+    dependencies: config => ({ objectives: config.objectiveTargetId ? [{ id: config.objectiveTargetId, types: ['leaveZone'] }] : [] })
+});
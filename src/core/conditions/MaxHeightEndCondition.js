@@ -1,5 +1,6 @@
 import { Condition } from './Condition.js';
 import { MaxHeightObjective } from '../objectives/MaxHeightObjective.js';
+import { registerConditionType } from '../ruleRegistry.js';
 
 /**
  * @class MaxHeightEndCondition
@@ -23,20 +24,9 @@ export class MaxHeightEndCondition extends Condition {
     /**
      * Creates an instance of MaxHeightEndCondition.
      * @param {object} config - Condition configuration from JSON.
-     * @throws {Error} If essential config properties are missing or invalid.
      */
     constructor(config) {
         super(config);
-        if (!config.targetId) {
-            throw new Error(`MaxHeightEndCondition (id: ${this.id}) requires a 'targetId' in config.`);
-        }
-        if (typeof config.targetHeight !== 'number') {
-            throw new Error(`MaxHeightEndCondition (id: ${this.id}) requires a 'targetHeight' (number) in config.`);
-        }
-        if (typeof config.delayAfterDescent !== 'number' || config.delayAfterDescent < 0) {
-            throw new Error(`MaxHeightEndCondition (id: ${this.id}) requires a non-negative 'delayAfterDescent' in config.`);
-        }
-
         this.targetId = config.targetId;
         this.objectiveTargetId = config.objectiveTargetId;
         this.targetHeight = config.targetHeight;
@@ -129,3 +119,15 @@ export class MaxHeightEndCondition extends Condition {
         super.dispose();
     }
 }
+
+registerConditionType('maxHeightEnd', MaxHeightEndCondition, {
+    validate: config => [
+        !config.targetId && "needs a 'targetId'",
+        typeof config.targetHeight !== 'number' && "needs a numeric 'targetHeight'",
+        !(typeof config.delayAfterDescent === 'number' && config.delayAfterDescent >= 0) && "needs a non-negative 'delayAfterDescent'"
+    ].filter(Boolean),
+    dependencies: config => ({
+        targets: [config.targetId],
+        objectives: config.objectiveTargetId ? [{ id: config.objectiveTargetId, types: ['maxHeight'] }] : []
+    })
+});
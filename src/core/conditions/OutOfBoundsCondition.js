@@ -0,0 +1,67 @@
+import { Condition } from './Condition.js';
+import { registerConditionType } from '../ruleRegistry.js';
+
+/**
+ * @class OutOfBoundsCondition
+ * @extends Condition
+ * @description An end condition met when the centre of a target body leaves a rectangle, e.g. a ball
+ * falling off the play area before the walls of the simulation bounds would stop it. The rectangle is
+ * given by its top-left corner, like the world's `workingBounds` and `simulationBounds`. By default the run
+ * then counts as failed and earns no stars.
+ *
+ * @param {object} config - The configuration object for this condition.
+ * @param {string} config.id - A unique identifier for this condition instance.
+ * @param {string} config.type - The type of the condition (must be "outOfBounds").
+ * @param {string} [config.displayName='Out of Bounds'] - A user-friendly name for display.
+ * @param {string} config.targetId - The ID prefix of the bodies that must stay in bounds.
+ * @param {{x: number, y: number, width: number, height: number}} config.bounds - The bounds, by their top-left corner.
+ * @param {boolean} [config.failure=true] - Whether the run counts as failed when this condition ends it.
+ * @param {string} [config.failureReason] - The reason shown when the run fails; by default, which body left.
+ */
+export class OutOfBoundsCondition extends Condition {
+    /**
+     * Creates an instance of OutOfBoundsCondition.
+     * @param {object} config - Condition configuration from JSON.
+     */
+    constructor(config) {
+        super(config);
+        this.targetId = config.targetId;
+        this.bounds = config.bounds;
+        this.isFailure = config.failure ?? true;
+        this.displayName = config.displayName || 'Out of Bounds';
+    }
+
+    /**
+     * Checks whether a target body has left the bounds.
+     *
+     * @param {Map<string, Matter.Body>} bodies - A map of all physics bodies.
+     * @param {Array<Objective>} objectives - A list of active objectives (unused by this condition).
+     * @param {number} deltaTime - The time elapsed since the last frame, in seconds.
+     * @override
+     */
+    update(bodies, objectives, deltaTime) {
+        if (this.isMet) return;
+
+        const { x, y, width, height } = this.bounds;
+        for (const [id, body] of bodies) {
+            if (!id.startsWith(this.targetId)) continue;
+            const { x: bodyX, y: bodyY } = body.position;
+            if (bodyX < x || bodyX > x + width || bodyY < y || bodyY > y + height) {
+                this.meet(`'${id}' left the play area`);
+                console.log(`OutOfBoundsCondition (id: ${this.id}) met: '${id}' left the bounds.`);
+                return;
+            }
+        }
+    }
+}
+
+registerConditionType('outOfBounds', OutOfBoundsCondition, {
+    validate: config => [
+        !config.targetId && "needs a 'targetId'",
+        !(config.bounds && Number.isFinite(config.bounds.x) && Number.isFinite(config.bounds.y) &&
+            config.bounds.width > 0 && config.bounds.height > 0) && "needs 'bounds' {x, y, width, height} with a positive size",
+        config.failure !== undefined && typeof config.failure !== 'boolean' && "needs a boolean 'failure'",
+        config.failureReason !== undefined && typeof config.failureReason !== 'string' && "needs a string 'failureReason'"
+    ].filter(Boolean),
+    dependencies: config => ({ targets: [config.targetId] })
+});
@@ -0,0 +1,100 @@
+import { Condition } from './Condition.js';
+import { registerConditionType } from '../ruleRegistry.js';
+import { fromBodyVelocity } from '../physics/clock.js';
+
+/**
+ * @class SettleEndCondition
+ * @extends Condition
+ * @description An end condition met once everything has stopped moving: every dynamic body (or every body
+ * whose ID starts with `targetId`) stays below `maxSpeed` and `maxAngularSpeed` for `duration` seconds.
+ * Static and kinematic bodies are ignored, and a body Matter has put to sleep counts as settled.
+ * `minTime` keeps the run going at first, e.g. until a delayed launcher has fired.
+ *
+ * @param {object} config - The configuration object for this condition.
+ * @param {string} config.id - A unique identifier for this condition instance.
+ * @param {string} config.type - The type of the condition (must be "settleEnd").
+ * @param {string} [config.displayName='Everything Settled'] - A user-friendly name for display.
+ * @param {string} [config.targetId] - The ID prefix of the bodies that must settle; all dynamic bodies by default.
+ * @param {number} [config.duration=1] - The seconds the bodies must stay settled.
+ * @param {number} [config.maxSpeed=2] - The speed below which a body is settled, in world units per second.
+ * @param {number} [config.maxAngularSpeed=0.2] - The angular speed below which a body is settled, in radians per second.
+ * @param {number} [config.minTime=0] - The seconds of the run before the condition can be met.
+ */
+export class SettleEndCondition extends Condition {
+    /**
+     * Creates an instance of SettleEndCondition.
+     * @param {object} config - Condition configuration from JSON.
+     */
+    constructor(config) {
+        super(config);
+        this.targetId = config.targetId ?? null;
+        this.duration = config.duration ?? 1;
+        this.maxSpeed = config.maxSpeed ?? 2;
+        this.maxAngularSpeed = config.maxAngularSpeed ?? 0.2;
+        this.minTime = config.minTime ?? 0;
+        this.displayName = config.displayName || 'Everything Settled';
+        this.elapsedTime = 0;
+        this.settledTime = 0;
+    }
+
+    /**
+     * Resets the condition to its initial state.
+     * @override
+     */
+    reset() {
+        super.reset();
+        this.elapsedTime = 0;
+        this.settledTime = 0;
+    }
+
+    /**
+     * Checks whether a body still moves.
+     * @param {Matter.Body} body - The body.
+     * @returns {boolean} True if it is awake and above either threshold.
+     * @private
+     */
+    isMoving(body) {
+        return !body.isSleeping && (fromBodyVelocity(body.speed) > this.maxSpeed ||
+            Math.abs(fromBodyVelocity(body.angularVelocity)) > this.maxAngularSpeed);
+    }
+
+    /**
+     * Counts the time every watched body has been settled, restarting whenever one moves, and is met
+     * once that time reaches `duration` after `minTime`.
+     *
+     * @param {Map<string, Matter.Body>} bodies - A map of all physics bodies.
+     * @param {Array<Objective>} objectives - A list of active objectives (unused by this condition).
+     * @param {number} deltaTime - The time elapsed since the last frame, in seconds.
+     * @override
+     */
+    update(bodies, objectives, deltaTime) {
+        if (this.isMet) return;
+
+        this.elapsedTime += deltaTime;
+        let moving = false;
+        for (const [id, body] of bodies) {
+            if (body.isStatic || (this.targetId && !id.startsWith(this.targetId))) continue;
+            if (this.isMoving(body)) {
+                moving = true;
+                break;
+            }
+        }
+        this.settledTime = moving ? 0 : this.settledTime + deltaTime;
+
+        if (this.elapsedTime >= this.minTime && this.settledTime >= this.duration) {
+            this.isMet = true;
+            console.log(`SettleEndCondition (id: ${this.id}) met: settled for ${this.settledTime.toFixed(1)}s.`);
+        }
+    }
+}
+
+registerConditionType('settleEnd', SettleEndCondition, {
+    validate: config => [
+        config.targetId !== undefined && !(typeof config.targetId === 'string' && config.targetId) && "needs a non-empty 'targetId'",
+        config.duration !== undefined && !(typeof config.duration === 'number' && config.duration > 0) && "needs a positive 'duration'",
+        config.maxSpeed !== undefined && !(typeof config.maxSpeed === 'number' && config.maxSpeed > 0) && "needs a positive 'maxSpeed'",
+        config.maxAngularSpeed !== undefined && !(typeof config.maxAngularSpeed === 'number' && config.maxAngularSpeed > 0) && "needs a positive 'maxAngularSpeed'",
+        config.minTime !== undefined && !(typeof config.minTime === 'number' && config.minTime >= 0) && "needs a non-negative 'minTime'"
+    ].filter(Boolean),
+    dependencies: config => ({ targets: config.targetId ? [config.targetId] : [] })
+});
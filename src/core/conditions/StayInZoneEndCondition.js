@@ -1,4 +1,5 @@
 import { Condition } from './Condition.js';
+import { registerConditionType } from '../ruleRegistry.js';
 
 /**
  * @class StayInZoneEndCondition
@@ -18,16 +19,9 @@ export class StayInZoneEndCondition extends Condition {
     /**
      * Creates an instance of StayInZoneEndCondition.
      * @param {object} config - Condition configuration from JSON.
-     * @throws {Error} If `config.objectiveTargetId` is missing or `config.duration` is not a non-negative number.
      */
     constructor(config) {
         super(config);
-        if (!config.objectiveTargetId) {
-            throw new Error(`StayInZoneEndCondition (id: ${this.id}) requires an 'objectiveTargetId' in config.`);
-        }
-        if (typeof config.duration !== 'number' || config.duration < 0) {
-            throw new Error(`StayInZoneEndCondition (id: ${this.id}) requires a non-negative 'duration' in config.`);
-        }
         this.objectiveTargetId = config.objectiveTargetId;
         this.duration = config.duration;
         this.timer = 0;
@@ -98,3 +92,11 @@ export class StayInZoneEndCondition extends Condition {
         super.dispose();
     }
 }
+
+registerConditionType('stayInZoneEnd', StayInZoneEndCondition, {
+    validate: config => [
+        !config.objectiveTargetId && "needs an 'objectiveTargetId'",
+        !(typeof config.duration === 'number' && config.duration >= 0) && "needs a non-negative 'duration'"
+    ].filter(Boolean),
+    dependencies: config => ({ objectives: config.objectiveTargetId ? [{ id: config.objectiveTargetId, types: ['stayInZone'] }] : [] })
+});
@@ -1,4 +1,5 @@
 import { Condition } from './Condition.js';
+import { registerConditionType } from '../ruleRegistry.js';
 
 /**
  * @class TimeLimitCondition
@@ -17,13 +18,9 @@ export class TimeLimitCondition extends Condition {
     /**
      * Creates an instance of TimeLimitCondition.
      * @param {object} config - Condition configuration from JSON.
-     * @throws {Error} If `config.duration` is not a positive number.
      */
     constructor(config) {
         super(config);
-        if (typeof config.duration !== 'number' || config.duration <= 0) {
-            throw new Error(`TimeLimitCondition (id: ${this.id}) requires a positive 'duration' in config.`);
-        }
         this.duration = config.duration;
         this.timer = 0;
         this.remainingTime = this.duration;
@@ -108,3 +105,7 @@ export class TimeLimitCondition extends Condition {
         super.dispose();
     }
 }
+
+registerConditionType('timeLimit', TimeLimitCondition, {
+    validate: config => (typeof config.duration === 'number' && config.duration > 0 ? [] : ["needs a positive 'duration'"])
+});
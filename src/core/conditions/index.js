@@ -0,0 +1,14 @@
+/**
+ * @module core/conditions
+ * @description Registers the built-in end condition types with {@link module:core/ruleRegistry}.
+ * Import this module before creating end conditions; a new end condition type is added by importing its file here.
+ */
+import './TimeLimitCondition.js';
+import './StayInZoneEndCondition.js';
+import './LeaveZoneEndCondition.js';
+import './MaxHeightEndCondition.js';
+import './ContactEndCondition.js';
+import './SettleEndCondition.js';
+import './HazardZoneCondition.js';
+import './OutOfBoundsCondition.js';
+import './DeadlineCondition.js';
@@ -0,0 +1,147 @@
+import { cleanupPhysics } from './physicsManager.js';
+import { triggerLaunchers } from './physics/launchers.js';
+import { TICK_DURATION, buildPhysicsWorld, checkLevelConfig, reportLevelWarnings, createObjectives, createConditions, startSimulationRun, stepPhysicsTick, updateRules, measurePieceUsage, computeLevelResults } from './simulationCore.js';
+
+/**
+ * @module core/headlessRunner
+ * @description Runs a level with a solution to completion without rendering, DOM or audio, for
+ * checking levels and solutions from Node (see `scripts/runLevels.js`). The run uses the same
+ * fixed ticks as Simulation mode, so it reaches the same outcome as a player pressing Play.
+ */
+
+/** @const {number} Default simulation time after which a run that no end condition has stopped is abandoned, in seconds. */
+const DEFAULT_MAX_TIME = 60;
+
+/**
+ * Applies a solution to a level. A solution has `objects` and `constraints` arrays, merged into the
+ * level's by ID: an entry with the ID of a level entry replaces it (e.g. a moved object), and any other
+ * entry is a piece placed from the inventory, so its ID must be `<inventoryItemId>_<n>` and the item
+ * must have enough pieces left. A configuration saved by the game is a valid solution.
+ * @param {object} levelConfig - The level configuration.
+ * @param {object} [solution] - The solution.
+ * @returns {object} A new configuration with the solution applied. The level configuration is not modified.
+ * @throws {Error} If the solution uses a piece that is not in the inventory, or more pieces than available,
+ *                 or moves a fixed object.
+ */
+function applySolution(levelConfig, solution) {
+    const config = JSON.parse(JSON.stringify(levelConfig));
+    config.world = config.world || {};
+    config.objects = config.objects || [];
+    config.constraints = config.constraints || [];
+    config.forceZones = config.forceZones || [];
+    config.inventory = config.inventory || [];
+    if (!solution) return config;
+
+    const placedCounts = {};
+    const mergeEntries = (levelEntries, solutionEntries, kind) => {
+        (solutionEntries || []).forEach(entry => {
+            const index = levelEntries.findIndex(levelEntry => levelEntry.id === entry.id);
+            if (index !== -1) {
+                if (levelEntries[index].isFixed && JSON.stringify(levelEntries[index]) !== JSON.stringify(entry)) {
+                    throw new Error(`Solution changes fixed ${kind} '${entry.id}'.`);
+                }
+                levelEntries[index] = JSON.parse(JSON.stringify(entry));
+                return;
+            }
+
+            const baseIdMatch = String(entry.id).match(/^([a-zA-Z0-9_]+?)_\d+$/);
+            const item = baseIdMatch && config.inventory.find(i => i.id === baseIdMatch[1]);
+            if (!item) {
+                throw new Error(`Solution ${kind} '${entry.id}' is neither in the level nor placed from an inventory item.`);
+            }
+            placedCounts[item.id] = (placedCounts[item.id] || 0) + 1;
+            if (placedCounts[item.id] > item.count) {
+                throw new Error(`Solution places more than ${item.count} of inventory item '${item.id}'.`);
+            }
+            levelEntries.push(JSON.parse(JSON.stringify(entry)));
+        });
+    };
+    mergeEntries(config.objects, solution.objects, 'object');
+    mergeEntries(config.constraints, solution.constraints, 'constraint');
+
+    config.inventory.forEach(item => {
+        item.count -= placedCounts[item.id] || 0;
+    });
+    return config;
+}
+
+/**
+ * @typedef {object} LevelRunResult
+ * @property {boolean} ended - Whether an end condition stopped the run before `maxTime`.
+ * @property {{id: string, displayName: string}|null} endCondition - The end condition that stopped the run.
+ * @property {boolean} failed - Whether the run was ended by a failure condition, which earns no stars.
+ * @property {string|null} failureReason - Why the run failed, null if it did not.
+ * @property {number|null} completionTime - The simulation clock when the run ended, in seconds, or null if it did not end.
+ * @property {number} ticks - The number of ticks run.
+ * @property {module:core/simulationCore.PieceUsage} pieceUsage - The inventory pieces the solution placed.
+ * @property {number} totalStars - The stars earned over all objectives (0 if the run did not end).
+ * @property {boolean} allObjectivesComplete - Whether every objective earned at least one star.
+ * @property {Array<object>} objectives - The final status of each objective, as returned by `Objective.getStatus()`.
+ */
+
+/**
+ * Runs a level with a solution until an end condition is met or `maxTime` has passed.
+ * A time limit awaiting a manual trigger is triggered as soon as it allows it, and a launcher waiting
+ * for the player fires whenever it is loaded, like a player pressing their buttons straight away.
+ * @param {object} levelConfig - The level configuration.
+ * @param {object} [options] - Run options.
+ * @param {object} [options.solution] - The solution to apply, see {@link applySolution}.
+ * @param {number} [options.maxTime=DEFAULT_MAX_TIME] - Simulation time after which the run is abandoned, in seconds.
+ * @returns {LevelRunResult} The outcome of the run.
+ * @throws {Error} If the solution cannot be applied, or a {@link LevelConfigError} if the level is invalid.
+ */
+function runLevel(levelConfig, { solution, maxTime = DEFAULT_MAX_TIME } = {}) {
+    const config = applySolution(levelConfig, solution);
+    checkLevelConfig(config);
+    reportLevelWarnings(config);
+    const { bodies, launchers } = buildPhysicsWorld(config);
+    const objectives = createObjectives(config.objectives);
+    const conditions = createConditions(config.endConditions);
+
+    startSimulationRun(objectives, conditions);
+
+    const maxTicks = Math.ceil(maxTime / TICK_DURATION);
+    let ticks = 0;
+    let metCondition = null;
+    while (!metCondition && ticks < maxTicks) {
+        triggerLaunchers(launchers);
+        stepPhysicsTick();
+        ticks++;
+        metCondition = updateRules(bodies, objectives, conditions, ticks * TICK_DURATION);
+        conditions.forEach(condition => {
+            if (condition.awaitsManualTrigger && condition.isTimeUp && !condition.isMet) {
+                condition.triggerManually();
+                metCondition = metCondition || condition;
+            }
+        });
+    }
+
+    const completionTime = metCondition ? ticks * TICK_DURATION : null;
+    const pieceUsage = measurePieceUsage(levelConfig, config.inventory);
+    const results = metCondition
+        ? computeLevelResults(objectives, completionTime, metCondition, pieceUsage)
+        : { failed: false, failureReason: null, allObjectivesComplete: false, totalStars: 0, objectivesData: objectives.map(objective => objective.getStatus()) };
+
+    objectives.forEach(objective => objective.dispose());
+    conditions.forEach(condition => condition.dispose());
+    cleanupPhysics();
+
+    return {
+        ended: Boolean(metCondition),
+        endCondition: metCondition ? { id: metCondition.id, displayName: metCondition.displayName } : null,
+        failed: results.failed,
+        failureReason: results.failureReason,
+        completionTime,
+        ticks,
+        pieceUsage,
+        totalStars: results.totalStars,
+        allObjectivesComplete: results.allObjectivesComplete,
+        objectives: results.objectivesData
+    };
+}
+
+export {
+    DEFAULT_MAX_TIME,
+    applySolution,
+    runLevel
+};
@@ -14,6 +14,13 @@ import {
     hidePlacementPreview 
 } from './interactions/placementManager.js';
 
+import {
+    startJointPlacement,
+    handleJointPlacementClick,
+    cancelJointPlacement,
+    findPlacedJointAt
+} from './interactions/jointPlacementManager.js';
+
 import { 
     clearConfigSelectionHighlight 
 } from './interactions/configManager.js';
@@ -37,6 +44,10 @@ export {
     getInteractionMode,
     showPlacementPreview,
     hidePlacementPreview,
+    startJointPlacement,
+    handleJointPlacementClick,
+    cancelJointPlacement,
+    findPlacedJointAt,
     startDragOnNewBody,
     clearConfigSelectionHighlight
 };
@@ -1,5 +1,5 @@
 import * as BABYLON from '@babylonjs/core';
-import * as Matter from 'matter-js';
+import Matter from 'matter-js';
 import { getScene, getCamera, getCanvas, highlightMesh, restoreMeshColor, highlightColor, setCameraMouseWheelZoomActive } from '../sceneManager.js';
 import { getPhysicsEngine } from '../physicsManager.js';
 import { setDraggingState } from '../simulation.js';
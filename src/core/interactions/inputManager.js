@@ -1,16 +1,17 @@
 import * as BABYLON from '@babylonjs/core';
-import * as Matter from 'matter-js';
+import Matter from 'matter-js';
 import { getScene, getCamera, getCanvas } from '../sceneManager.js';
-import { getApplicationMode, toggleSimulationMode, cancelPlacement, initSimulation, currentConfig, currentScenePath } from '../simulation.js';
+import { getApplicationMode, toggleSimulationMode, toggleSimulationPause, stepSimulation, changeTimeScale, fireLaunchers, cancelPlacement, initSimulation, currentConfig, currentScenePath } from '../simulation.js';
 import * as HistoryManager from '../historyManager.js';
 import { toggleSettingsMenuVisibility } from '../ui/settingsMenuBabylon.js';
 import { hideMainMenu } from '../ui/mainMenu.js';
 import { hideLevelSelectMenu } from '../ui/levelSelectMenu.js';
+import { showLoadErrorPanel } from '../ui/loadErrorPanel.js';
 
 /**
  * @module core/interactions/inputManager
  * @description Manages general input handling, including keyboard events for simulation control
- * and pointer coordinate conversions. It also tracks the current interaction mode (drag/place)
+ * and pointer coordinate conversions. It also tracks the current interaction mode (drag/place/joint)
  * and dragging state.
  */
 
@@ -53,9 +54,11 @@ function attachKeyboardListener() {
 
 /**
  * Handles keydown events on the document.
- * - If 'Escape' is pressed while in 'place' interaction mode, it cancels the placement.
+ * - If 'Escape' is pressed while in 'place' or 'joint' interaction mode, it cancels the placement.
  * - If 'Escape' is pressed and a level is active (main menu is hidden), it returns to the main menu.
  * - If 'Space' is pressed and not currently dragging an object, it toggles the simulation mode (play/pause).
+ * - During a level, 'P' pauses or resumes the simulation, '.' advances it by a single step and
+ *   '[' / ']' switch to the next slower / faster speed, and 'F' fires the launchers waiting for the player.
  * @param {KeyboardEvent} event - The keyboard event object.
  */
 function handleKeyDown(event) {
@@ -63,8 +66,8 @@ function handleKeyDown(event) {
 
     if (event.code === 'Escape') {
         event.preventDefault();
-        if (interactionMode === 'place') {
-            console.log("InputManager: Escape pressed in place mode - cancelling placement.");
+        if (interactionMode === 'place' || interactionMode === 'joint') {
+            console.log(`InputManager: Escape pressed in ${interactionMode} mode - cancelling placement.`);
             cancelPlacement();
         } else if (currentConfig) {
             console.log("InputManager: Escape pressed during active level - toggling in-game settings menu.");
@@ -84,6 +87,19 @@ function handleKeyDown(event) {
         return;
     }
 
+    const timeControls = {
+        KeyP: () => toggleSimulationPause(),
+        Period: () => stepSimulation(),
+        BracketLeft: () => changeTimeScale(-1),
+        BracketRight: () => changeTimeScale(1),
+        KeyF: () => fireLaunchers()
+    };
+    if (currentConfig && !isDragging && !event.ctrlKey && !event.metaKey && timeControls[event.code]) {
+        event.preventDefault();
+        timeControls[event.code]();
+        return;
+    }
+
     const isUndo = ((event.ctrlKey || event.metaKey) && (event.code === 'KeyZ' || event.code === 'KeyW')) && !event.shiftKey;
     if (isUndo) {
         console.log(`InputManager: Undo shortcut detected (Code: ${event.code}).`);
@@ -95,7 +111,13 @@ function handleKeyDown(event) {
             if (prevState) {
                 console.log("InputManager: Previous state retrieved. Initializing simulation for undo.");
                 const scenePath = currentScenePath;
-                initSimulation(prevState, scenePath, true);
+                try {
+                    initSimulation(prevState, scenePath, true);
+                } catch (error) {
+                    console.error("InputManager: Previous state does not load, undo cancelled.", error);
+                    HistoryManager.redo(prevState);
+                    showLoadErrorPanel(scenePath, error);
+                }
             } else {
                 console.log("InputManager: HistoryManager.undo() returned null.");
             }
@@ -118,7 +140,13 @@ function handleKeyDown(event) {
             if (nextState) {
                 console.log("InputManager: Next state retrieved. Initializing simulation for redo.");
                 const scenePath = currentScenePath;
-                initSimulation(nextState, scenePath, true);
+                try {
+                    initSimulation(nextState, scenePath, true);
+                } catch (error) {
+                    console.error("InputManager: Next state does not load, redo cancelled.", error);
+                    HistoryManager.undo(nextState);
+                    showLoadErrorPanel(scenePath, error);
+                }
             } else {
                 console.log("InputManager: HistoryManager.redo() returned null.");
             }
@@ -154,12 +182,13 @@ function getMatterPointerCoordinates(scene, camera) {
 
 /**
  * Sets the current interaction mode for pointer interactions.
- * @param {'drag' | 'place'} mode - The interaction mode to set.
+ * @param {'drag' | 'place' | 'joint'} mode - The interaction mode to set.
  *                                  'drag' for dragging existing objects.
  *                                  'place' for placing new objects from inventory.
+ *                                  'joint' for placing joints from inventory.
  */
 function setInteractionMode(mode) {
-    if (mode === 'drag' || mode === 'place') {
+    if (mode === 'drag' || mode === 'place' || mode === 'joint') {
         interactionMode = mode;
         console.log(`Interaction mode set to: ${interactionMode}`);
     } else {
@@ -169,7 +198,7 @@ function setInteractionMode(mode) {
 
 /**
  * Gets the current interaction mode.
- * @returns {'drag' | 'place'} The current interaction mode.
+ * @returns {'drag' | 'place' | 'joint'} The current interaction mode.
  */
 function getInteractionMode() {
     return interactionMode;
@@ -0,0 +1,245 @@
+import * as BABYLON from '@babylonjs/core';
+import Matter from 'matter-js';
+import { getScene } from '../sceneManager.js';
+import { getPhysicsEngine, getWorldConfig } from '../physicsManager.js';
+import { getJointGeometry } from '../physics/joints.js';
+import { setInteractionMode } from './inputManager.js';
+
+/**
+ * @module core/interactions/jointPlacementManager
+ * @description Manages placing joints (pins, glue, ropes, springs) from the inventory.
+ * A joint is placed with two clicks: the first picks an object (or the background) as
+ * anchor A, the second picks anchor B. While the first anchor is set, a preview line
+ * follows the pointer. A rejected click turns the preview line red for a moment, or shows
+ * a red cross where it was made before the first anchor. Pins (`hinge`) and glue (`weld`)
+ * join the two objects at the anchor on the first clicked object; the other click only picks
+ * what it is joined to. This module also finds player-placed joints under the pointer
+ * so they can be removed again.
+ */
+
+let pendingJointItem = null;
+let firstAnchor = null;
+let jointPreviewLine = null;
+let rejectionMarker = null;
+let rejectionTimer = null;
+const jointPreviewColor = new BABYLON.Color3(1, 1, 1);
+const jointRejectedColor = new BABYLON.Color3(1, 0.2, 0.2);
+
+/** @const {number} How long a rejected click is shown in red, in milliseconds. */
+const REJECTION_FLASH_DURATION = 400;
+/** @const {number} Half the size of the cross marking a rejected first click, in world units. */
+const REJECTION_MARKER_SIZE = 8;
+
+/** @const {number} Maximum distance (in world units) between the pointer and a joint anchor for the joint to be picked. */
+const JOINT_PICK_RADIUS = 12;
+
+/**
+ * @typedef {object} JointAnchor
+ * @property {string|null} bodyId - Config ID of the picked object, or null for the background.
+ * @property {{x: number, y: number}} point - Offset from the object's position, or the world point for the background.
+ * @property {{x: number, y: number}} world - The clicked world point.
+ */
+
+/**
+ * Starts placing a joint item from the inventory and sets the interaction mode to 'joint'.
+ * @param {object} inventoryItem - The inventory item, with `jointProperties` describing the joint.
+ */
+function startJointPlacement(inventoryItem) {
+    cancelJointPlacement();
+    pendingJointItem = inventoryItem;
+    setInteractionMode('joint');
+}
+
+/**
+ * Finds the object under a world point.
+ * @param {{x: number, y: number}} worldCoords - The world point.
+ * @returns {JointAnchor} The anchor for that point.
+ * @private
+ */
+function pickJointAnchor(worldCoords) {
+    const physicsEngine = getPhysicsEngine();
+    const objectBodies = physicsEngine
+        ? Matter.Composite.allBodies(physicsEngine.world).filter(b => b.configId !== undefined && !b.jointSegment)
+        : [];
+    const body = Matter.Query.point(objectBodies, worldCoords)[0];
+    const world = { x: worldCoords.x, y: worldCoords.y };
+
+    if (!body) {
+        return { bodyId: null, point: { ...world }, world };
+    }
+    return {
+        bodyId: body.configId,
+        point: { x: world.x - body.position.x, y: world.y - body.position.y },
+        world
+    };
+}
+
+/**
+ * Handles a click while a joint is being placed. The first valid click sets anchor A; the second
+ * completes the joint. Clicks outside the working bounds, two background anchors, or both anchors on
+ * the same object are rejected and flashed in red. The returned anchors are ordered so that anchor A
+ * is always on an object; a pin or glue joint is placed at anchor A.
+ * @param {{x: number, y: number}} worldCoords - The clicked world point.
+ * @returns {{item: object, anchorA: JointAnchor, anchorB: JointAnchor}|null} The completed joint, or null
+ *          if more clicks are needed or the click was rejected.
+ */
+function handleJointPlacementClick(worldCoords) {
+    if (!pendingJointItem || !worldCoords) return null;
+
+    const wb = getWorldConfig()?.workingBounds;
+    if (wb && (worldCoords.x < wb.x || worldCoords.x > wb.x + wb.width ||
+               worldCoords.y < wb.y || worldCoords.y > wb.y + wb.height)) {
+        flashRejectedClick(worldCoords);
+        return null;
+    }
+
+    const anchor = pickJointAnchor(worldCoords);
+
+    if (!firstAnchor) {
+        firstAnchor = anchor;
+        updateJointPreview(worldCoords);
+        return null;
+    }
+
+    if (firstAnchor.bodyId === anchor.bodyId) {
+        // Two background anchors, or both ends on the same object.
+        flashRejectedClick(worldCoords);
+        return null;
+    }
+
+    const [anchorA, anchorB] = firstAnchor.bodyId ? [firstAnchor, anchor] : [anchor, firstAnchor];
+    return { item: pendingJointItem, anchorA, anchorB };
+}
+
+/**
+ * Updates the preview line from the first anchor to the pointer.
+ * Does nothing until the first anchor has been set.
+ * @param {{x: number, y: number}} pointerCoords - The current world coordinates of the pointer.
+ */
+function updateJointPreview(pointerCoords) {
+    const scene = getScene();
+    if (!scene || !firstAnchor || !pointerCoords) return;
+
+    const points = [
+        new BABYLON.Vector3(firstAnchor.world.x, firstAnchor.world.y, 0),
+        new BABYLON.Vector3(pointerCoords.x, pointerCoords.y, 0)
+    ];
+
+    if (jointPreviewLine && !jointPreviewLine.isDisposed()) {
+        BABYLON.MeshBuilder.CreateLines(jointPreviewLine.name, { points, instance: jointPreviewLine });
+        return;
+    }
+
+    jointPreviewLine = BABYLON.MeshBuilder.CreateLines("jointPreviewLine", { points, updatable: true }, scene);
+    jointPreviewLine.color = jointPreviewColor.clone();
+    jointPreviewLine.isPickable = false;
+    jointPreviewLine.renderingGroupId = 1;
+}
+
+/**
+ * Shows that a click was rejected: the preview line turns red for a moment or, before the first
+ * anchor is set, a red cross is drawn at the clicked point.
+ * @param {{x: number, y: number}} worldCoords - The rejected world point.
+ * @private
+ */
+function flashRejectedClick(worldCoords) {
+    clearRejectedClick();
+    if (jointPreviewLine && !jointPreviewLine.isDisposed()) {
+        jointPreviewLine.color = jointRejectedColor.clone();
+    } else {
+        const scene = getScene();
+        if (!scene) return;
+        const s = REJECTION_MARKER_SIZE;
+        const point = (dx, dy) => new BABYLON.Vector3(worldCoords.x + dx, worldCoords.y + dy, 0);
+        rejectionMarker = BABYLON.MeshBuilder.CreateLineSystem("jointRejectionMarker", {
+            lines: [[point(-s, -s), point(s, s)], [point(-s, s), point(s, -s)]]
+        }, scene);
+        rejectionMarker.color = jointRejectedColor.clone();
+        rejectionMarker.isPickable = false;
+        rejectionMarker.renderingGroupId = 1;
+    }
+    rejectionTimer = setTimeout(clearRejectedClick, REJECTION_FLASH_DURATION);
+}
+
+/**
+ * Ends the feedback of a rejected click, see {@link flashRejectedClick}.
+ * @private
+ */
+function clearRejectedClick() {
+    if (rejectionTimer !== null) {
+        clearTimeout(rejectionTimer);
+        rejectionTimer = null;
+    }
+    if (rejectionMarker) {
+        rejectionMarker.dispose();
+        rejectionMarker = null;
+    }
+    if (jointPreviewLine && !jointPreviewLine.isDisposed()) {
+        jointPreviewLine.color = jointPreviewColor.clone();
+    }
+}
+
+/**
+ * Cancels the current joint placement, removes the preview line and reverts the interaction mode to 'drag'.
+ */
+function cancelJointPlacement() {
+    clearRejectedClick();
+    if (jointPreviewLine) {
+        jointPreviewLine.dispose();
+        jointPreviewLine = null;
+    }
+    if (pendingJointItem) {
+        pendingJointItem = null;
+        setInteractionMode('drag');
+    }
+    firstAnchor = null;
+}
+
+/**
+ * Checks if a joint is currently being placed.
+ * @returns {boolean} True if a joint item has been picked from the inventory.
+ */
+function hasActiveJointPlacement() {
+    return pendingJointItem !== null;
+}
+
+/**
+ * Finds a player-placed joint with an anchor near a world point. Only joints whose ID was
+ * generated from a joint item of the inventory (`<itemId>_<n>`) are considered, so level joints
+ * cannot be picked.
+ * @param {Array<object|null>} joints - The active joint records.
+ * @param {Array<object>} inventory - The inventory of the current level.
+ * @param {{x: number, y: number}} worldCoords - The world point.
+ * @returns {string|null} The ID of the closest joint within {@link JOINT_PICK_RADIUS}, or null.
+ */
+function findPlacedJointAt(joints, inventory, worldCoords) {
+    if (!worldCoords) return null;
+    let closestId = null;
+    let closestDistance = JOINT_PICK_RADIUS;
+
+    joints.forEach(joint => {
+        const baseIdMatch = joint && String(joint.id).match(/^([a-zA-Z0-9_]+?)_\d+$/);
+        if (!baseIdMatch || !inventory?.some(item => item.id === baseIdMatch[1] && item.jointProperties)) return;
+
+        const geometry = getJointGeometry(joint);
+        const anchors = [geometry.pivot, geometry.anchor, geometry.anchorA, geometry.anchorB, ...(geometry.points || [])];
+        anchors.filter(Boolean).forEach(point => {
+            const distance = Math.hypot(point.x - worldCoords.x, point.y - worldCoords.y);
+            if (distance <= closestDistance) {
+                closestDistance = distance;
+                closestId = joint.id;
+            }
+        });
+    });
+    return closestId;
+}
+
+export {
+    startJointPlacement,
+    handleJointPlacementClick,
+    updateJointPreview,
+    cancelJointPlacement,
+    hasActiveJointPlacement,
+    findPlacedJointAt,
+    JOINT_PICK_RADIUS
+};
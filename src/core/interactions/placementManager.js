@@ -1,5 +1,5 @@
 import * as BABYLON from '@babylonjs/core';
-import { getScene, getCamera } from '../sceneManager.js';
+import { getScene, getCamera, createPolygonMesh, createCompoundMesh } from '../sceneManager.js';
 import { checkPlacementCollision, getWorldConfig } from '../physicsManager.js';
 import { getMatterPointerCoordinates, setInteractionMode } from './inputManager.js';
 
@@ -22,7 +22,7 @@ const placementPreviewCollisionColor = new BABYLON.Color3(1, 0.2, 0.2);
  * The preview mesh's shape and initial color are determined by `objectProperties`.
  *
  * @param {object} objectProperties - Properties defining the mesh to be created for preview.
- *                                    Expected to have `type` (e.g., "box", "circle"), dimensions,
+ *                                    Expected to have `type` (e.g., "box", "circle", "polygon", "compound"), dimensions,
  *                                    and optionally `color`.
  */
 function showPlacementPreview(objectProperties) {
@@ -44,6 +44,12 @@ function showPlacementPreview(objectProperties) {
         mesh = BABYLON.MeshBuilder.CreateSphere(meshName, { 
             diameter: objectProperties.radius * 2 
         }, scene);
+    } else if (objectProperties.type === "polygon") {
+        mesh = createPolygonMesh(meshName, objectProperties.vertices, objectProperties.depth, scene);
+        if (!mesh) return;
+    } else if (objectProperties.type === "compound") {
+        mesh = createCompoundMesh(meshName, objectProperties.parts, objectProperties.depth, scene);
+        if (!mesh) return;
     } else {
         console.warn("Unsupported object type for placement preview:", objectProperties.type);
         return;
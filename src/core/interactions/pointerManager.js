@@ -1,8 +1,8 @@
 import * as BABYLON from '@babylonjs/core';
-import * as Matter from 'matter-js';
+import Matter from 'matter-js';
 import { getScene, getCamera, getCanvas } from '../sceneManager.js';
 import { getPhysicsEngine } from '../physicsManager.js';
-import { getApplicationMode, handleRemoveItem, triggerConfigUpdateAndReload, bodies as simBodies, currentConfig as simCurrentConfig } from '../simulation.js';
+import { getApplicationMode, handleRemoveItem, triggerConfigUpdateAndReload, bodies as simBodies, joints as simJoints, currentConfig as simCurrentConfig } from '../simulation.js';
 import { showTrashCan, hideTrashCan, isPointerOverTrashCan } from '../uiManager.js';
 import { 
     getMatterPointerCoordinates, 
@@ -23,6 +23,11 @@ import {
     updatePlacementPreview, 
     hidePlacementPreview
 } from './placementManager.js';
+import {
+    updateJointPreview,
+    cancelJointPlacement,
+    findPlacedJointAt
+} from './jointPlacementManager.js';
 import {
     selectObjectForConfig,
     clearConfigSelectionHighlight
@@ -33,8 +38,8 @@ import {
  * @description Manages pointer (mouse/touch) interactions within the Babylon.js scene.
  * This module is responsible for attaching pointer event listeners and dispatching
  * actions based on the event type, current application mode, and interaction mode.
- * It coordinates with dragManager, placementManager, configManager, and simulation
- * to handle object dragging, placement, configuration selection, and removal via trash can.
+ * It coordinates with dragManager, placementManager, jointPlacementManager, configManager, and simulation
+ * to handle object dragging, placement, joint placement, configuration selection, and removal via trash can.
  */
 
 let pointerInteractionCallback = null;
@@ -70,7 +75,7 @@ function attachPointerListener(interactionCallback) {
 /**
  * Cleans up any lingering interaction-related states or objects.
  * This includes removing active Matter.js mouse constraints, hiding the trash can UI,
- * hiding any active placement preview, and clearing configuration selection highlights.
+ * hiding any active placement or joint preview, and clearing configuration selection highlights.
  * Called during `attachPointerListener` to ensure a clean state.
  */
 function cleanupLingering() {
@@ -88,22 +93,24 @@ function cleanupLingering() {
     
     hideTrashCan();
     hidePlacementPreview();
+    cancelJointPlacement();
     clearConfigSelectionHighlight();
 }
 
 /**
  * Central handler for all Babylon.js pointer events (POINTERDOWN, POINTERMOVE, POINTERUP, POINTERWHEEL).
  * This function determines the appropriate action based on the current application mode
- * (`construction`, `configuration`, `simulation`), interaction mode (`drag`, `place`),
+ * (`construction`, `configuration`, `simulation`), interaction mode (`drag`, `place`, `joint`),
  * and the type of pointer event.
  *
  * Actions include:
  * - Invoking the main `pointerInteractionCallback` (from `simulation.js`) for general handling.
- * - Updating placement previews during pointer move in 'place' mode.
+ * - Updating placement previews during pointer move in 'place' mode, and the joint preview line in 'joint' mode.
  * - Handling object rotation via mouse wheel during drag in 'construction' or 'configuration' modes.
  * - Initiating object configuration selection on click in 'configuration' mode.
  * - Managing drag start/end in 'construction' or 'configuration' modes.
- * - Handling right-click to cancel placement in 'place' mode.
+ * - Removing a player-placed joint on Shift+click near one of its anchors in 'construction' mode.
+ * - Handling right-click to cancel placement in 'place' and 'joint' modes.
  * - Cancelling drag if simulation starts while dragging.
  *
  * @param {BABYLON.PointerInfo} pointerInfo - Detailed information about the pointer event.
@@ -166,6 +173,15 @@ function handlePointerEvent(pointerInfo) {
 
         switch (pointerInfo.type) {
             case BABYLON.PointerEventTypes.POINTERDOWN:
+                if (pointerInfo.event.button === 0 && pointerInfo.event.shiftKey &&
+                    currentAppMode === 'construction' && !getIsDragging()) {
+                    const jointId = findPlacedJointAt(simJoints, simCurrentConfig?.inventory, pointerCoords);
+                    if (jointId) {
+                        pointerInfo.event.preventDefault();
+                        handleRemoveItem(jointId);
+                        return;
+                    }
+                }
                 if (pointerInfo.event.button === 0 && !getIsDragging()) {
                     handleDragStart(pointerInfo, pointerCoords);
                 }
@@ -179,7 +195,10 @@ function handlePointerEvent(pointerInfo) {
                     handleDragEnd(pointerInfo, scene);
                 }
                 break;
-        }    } else if (interactionMode === 'place') {
+        }    } else if (interactionMode === 'place' || interactionMode === 'joint') {
+        if (interactionMode === 'joint' && pointerInfo.type === BABYLON.PointerEventTypes.POINTERMOVE) {
+            updateJointPreview(pointerCoords);
+        }
         if (pointerInfo.type === BABYLON.PointerEventTypes.POINTERDOWN && pointerInfo.event.button === 2) {
             if (pointerInteractionCallback) {
                 pointerInteractionCallback({ type: 'cancel-placement' }, null);
@@ -0,0 +1,548 @@
+import { validateLevelRules } from './ruleRegistry.js';
+import { JOINT_KINDS } from './physics/joints.js';
+import { FORCE_ZONE_TYPES } from './physics/forceZones.js';
+import { EASINGS, KINEMATIC_MODES } from './physics/kinematics.js';
+import { MAX_LAUNCHER_SHOTS } from './physics/launchers.js';
+import { isValidPolygon, getConvexHull } from '../utils/shapeUtils.js';
+
+/**
+ * @module core/levelSchema
+ * @description The schema of a level file, and the validator run before a level is loaded. The schema
+ * lists every key the game reads in `world`, `objects`, `constraints`, `forceZones` and `inventory`, with
+ * its type and range, so that a typo like `"widht"` or a constraint attached to a missing body is
+ * reported instead of silently ignored. The entries of `objectives` and `endConditions` are checked by
+ * their registered types (see {@link module:core/ruleRegistry}).
+ *
+ * Each problem is reported with its path in the level JSON, like `objects[3].widht`, and the level is
+ * rejected as a whole with a {@link LevelConfigError} listing them all.
+ *
+ * A schema is one of:
+ * - `{ type: 'number', min, max, above, integer }`, `{ type: 'string' }`, `{ type: 'boolean' }`;
+ * - `{ type: 'enum', values }`, one of the given strings;
+ * - `{ type: 'array', items, minItems, uniqueIds }`, where `uniqueIds` requires distinct `id`s;
+ * - `{ type: 'object', fields, required, variants }`, where `variants` lists, for a key like `type`, the
+ *   keys each of its values requires: `{ key, default, required: { box: ['width', 'height'], ... } }`;
+ * - `{ type: 'rules' }`, a list checked by the rule registry.
+ * Any schema may be `nullable`, and a string schema may name the list its value must be an `id` of with `refersTo`.
+ *
+ * Some valid levels still deserve a note to their author, like a polygon whose outline is not convex
+ * and is replaced by its convex hull: {@link getLevelWarnings} lists them, to be reported once per load.
+ */
+
+/**
+ * The error thrown when a level does not match the schema or its rules are invalid.
+ * @property {Array<module:core/ruleRegistry.LevelProblem>} problems - Every problem found, with its path.
+ */
+class LevelConfigError extends Error {
+    /**
+     * @param {Array<module:core/ruleRegistry.LevelProblem>} problems - The problems found.
+     */
+    constructor(problems) {
+        super(`Invalid level:\n- ${problems.map(formatLevelProblem).join('\n- ')}`);
+        this.name = 'LevelConfigError';
+        this.problems = problems;
+    }
+}
+
+/** @type {function(object=): object} A number schema. */
+const number = (options = {}) => ({ type: 'number', ...options });
+/** @type {function(object=): object} A string schema. */
+const string = (options = {}) => ({ type: 'string', ...options });
+/** @type {function(): object} A boolean schema. */
+const boolean = () => ({ type: 'boolean' });
+/** @type {function(Array<string>): object} A schema accepting one of the given strings. */
+const oneOf = values => ({ type: 'enum', values });
+/** @type {function(object, object=): object} An array schema. */
+const arrayOf = (items, options = {}) => ({ type: 'array', items, ...options });
+/** @type {function(Object<string, object>, object=): object} An object schema. */
+const object = (fields, options = {}) => ({ type: 'object', fields, required: [], ...options });
+
+/** @const {object} A point or vector `{ x, y }`. */
+const VECTOR = object({ x: number(), y: number() }, { required: ['x', 'y'] });
+/** @const {object} A rectangle by its top-left corner, like the world bounds. */
+const BOUNDS = object({ x: number(), y: number(), width: number({ above: 0 }), height: number({ above: 0 }) },
+    { required: ['x', 'y', 'width', 'height'] });
+/** @const {object} A color with components from 0 to 1. */
+const COLOR = object({ r: number({ min: 0, max: 1 }), g: number({ min: 0, max: 1 }), b: number({ min: 0, max: 1 }), a: number({ min: 0, max: 1 }) },
+    { required: ['r', 'g', 'b'] });
+/** @const {object} The range of a property the player may set in the config panel. */
+const LIMIT = object({ min: number(), max: number() }, { required: ['min', 'max'] });
+/** @const {Array<string>} The shapes of level objects. */
+const OBJECT_TYPES = ['box', 'circle', 'polygon', 'compound'];
+/** @const {object} The keys each object shape requires. */
+const SHAPE_VARIANTS = {
+    key: 'type',
+    required: { box: ['width', 'height'], circle: ['radius'], polygon: ['vertices'], compound: ['parts'] }
+};
+
+/** @const {object} One part of a compound object, relative to the object's centre. */
+const PART = object({
+    type: oneOf(['box', 'circle', 'polygon']),
+    x: number(),
+    y: number(),
+    angle: number(),
+    width: number({ above: 0 }),
+    height: number({ above: 0 }),
+    radius: number({ above: 0 }),
+    vertices: arrayOf(VECTOR, { minItems: 3 }),
+    depth: number({ above: 0 }),
+    isSensor: boolean(),
+    color: COLOR
+}, { required: ['type'], variants: [{ key: 'type', required: { box: ['width', 'height'], circle: ['radius'], polygon: ['vertices'] } }] });
+
+/** @const {object} The shape, material and look of a body, shared by objects, inventory pieces and launcher projectiles. */
+const BODY_FIELDS = {
+    type: oneOf(OBJECT_TYPES),
+    width: number({ above: 0 }),
+    height: number({ above: 0 }),
+    depth: number({ above: 0 }),
+    radius: number({ above: 0 }),
+    vertices: arrayOf(VECTOR, { minItems: 3 }),
+    parts: arrayOf(PART, { minItems: 1 }),
+    mass: number({ above: 0 }),
+    restitution: number({ min: 0 }),
+    friction: number({ min: 0 }),
+    frictionStatic: number({ min: 0 }),
+    frictionAir: number({ min: 0, max: 1 }),
+    isSensor: boolean(),
+    tags: arrayOf(string()),
+    color: COLOR,
+    configLimits: object({ mass: LIMIT, friction: LIMIT, restitution: LIMIT })
+};
+
+/** @const {object} The `kinematic` block of an object, see {@link module:core/physics/kinematics}. */
+const KINEMATIC = object({
+    waypoints: arrayOf(object({
+        x: number(),
+        y: number(),
+        angle: number(),
+        duration: number({ above: 0 }),
+        easing: oneOf(Object.keys(EASINGS)),
+        pause: number({ min: 0 })
+    }, { required: ['duration'] })),
+    mode: oneOf(KINEMATIC_MODES),
+    easing: oneOf(Object.keys(EASINGS)),
+    returnDuration: number({ above: 0 }),
+    rotationSpeed: number()
+});
+
+/** @const {object} The `launcher` block of an object, see {@link module:core/physics/launchers}. */
+const LAUNCHER = object({
+    projectile: object(BODY_FIELDS, { required: ['type'], variants: [SHAPE_VARIANTS] }),
+    impulse: number({ min: 0 }),
+    count: number({ integer: true, min: 1, max: MAX_LAUNCHER_SHOTS }),
+    fireAt: number({ min: 0 }),
+    interval: number({ min: 0 }),
+    muzzle: VECTOR
+}, { required: ['projectile', 'impulse'] });
+
+/** @const {object} An entry of the level `objects`. */
+const OBJECT = object({
+    ...BODY_FIELDS,
+    id: string(),
+    x: number(),
+    y: number(),
+    angle: number(),
+    isStatic: boolean(),
+    isFixed: boolean(),
+    velocity: VECTOR,
+    angularVelocity: number(),
+    kinematic: KINEMATIC,
+    launcher: LAUNCHER
+}, { required: ['id', 'type', 'x', 'y'], variants: [SHAPE_VARIANTS] });
+
+/** @const {object} The settings of a joint, shared by level constraints and joint inventory items, see {@link module:core/physics/joints}. */
+const JOINT_FIELDS = {
+    kind: oneOf(JOINT_KINDS),
+    pointA: VECTOR,
+    pointB: VECTOR,
+    pivot: VECTOR,
+    stiffness: number({ min: 0, max: 1 }),
+    damping: number({ min: 0, max: 1 }),
+    minAngle: number(),
+    maxAngle: number(),
+    restLength: number({ min: 0 }),
+    length: number({ min: 0 }),
+    segments: number({ integer: true, min: 1 }),
+    segmentRadius: number({ above: 0 }),
+    segmentDensity: number({ above: 0 }),
+    collidable: boolean(),
+    axis: VECTOR,
+    min: number(),
+    max: number(),
+    lockRotation: boolean()
+};
+
+/** @const {object} An entry of the level `constraints`. */
+const CONSTRAINT = object({
+    ...JOINT_FIELDS,
+    id: string(),
+    bodyA: string({ refersTo: 'objects' }),
+    bodyB: string({ refersTo: 'objects', nullable: true })
+}, { required: ['bodyA'] });
+
+/** @const {object} An entry of the level `forceZones`, see {@link module:core/physics/forceZones}. */
+const FORCE_ZONE = object({
+    id: string(),
+    type: oneOf(FORCE_ZONE_TYPES),
+    shape: oneOf(['rect', 'circle']),
+    x: number(),
+    y: number(),
+    width: number({ above: 0 }),
+    height: number({ above: 0 }),
+    radius: number({ above: 0 }),
+    depth: number({ above: 0 }),
+    force: VECTOR,
+    strength: number(),
+    falloff: oneOf(['none', 'linear']),
+    gravity: VECTOR,
+    color: COLOR
+}, {
+    required: ['type', 'x', 'y'],
+    variants: [
+        { key: 'type', required: { force: ['force'], radial: ['strength'], gravity: ['gravity'] } },
+        { key: 'shape', default: 'rect', required: { rect: ['width', 'height'], circle: ['radius'] } }
+    ]
+});
+
+/** @const {object} An entry of the level `inventory`: a piece (`objectProperties`) or a joint (`jointProperties`). */
+const INVENTORY_ITEM = object({
+    id: string(),
+    displayName: string(),
+    type: string(),
+    count: number({ integer: true, min: 0 }),
+    price: number({ min: 0 }),
+    objectProperties: object(BODY_FIELDS, { required: ['type'], variants: [SHAPE_VARIANTS] }),
+    jointProperties: object(JOINT_FIELDS)
+}, { required: ['id', 'count'] });
+
+/** @const {object} The level `world` block; the physics settings are described in {@link module:core/physics/worldSettings}. */
+const WORLD = object({
+    workingBounds: BOUNDS,
+    simulationBounds: BOUNDS,
+    width: number({ above: 0 }),
+    height: number({ above: 0 }),
+    wallThickness: number({ above: 0 }),
+    gravity: VECTOR,
+    solver: object({
+        positionIterations: number({ integer: true, min: 1, max: 50 }),
+        velocityIterations: number({ integer: true, min: 1, max: 50 }),
+        constraintIterations: number({ integer: true, min: 1, max: 50 }),
+        restingThreshold: number({ min: 0, max: 20 })
+    }),
+    timeScale: number({ above: 0, max: 5 }),
+    frictionAir: number({ min: 0, max: 1 }),
+    defaultMaterial: object({
+        restitution: number({ min: 0, max: 1 }),
+        friction: number({ min: 0, max: 1 }),
+        frictionStatic: number({ min: 0, max: 10 })
+    })
+});
+
+/** @const {object} A whole level file. */
+const LEVEL_SCHEMA = object({
+    briefingImage: string({ nullable: true }),
+    hintImagePath: string({ nullable: true }),
+    par: number({ integer: true, min: 0 }),
+    world: WORLD,
+    objects: arrayOf(OBJECT, { uniqueIds: true }),
+    constraints: arrayOf(CONSTRAINT, { uniqueIds: true }),
+    forceZones: arrayOf(FORCE_ZONE, { uniqueIds: true }),
+    inventory: arrayOf(INVENTORY_ITEM, { uniqueIds: true }),
+    objectives: { type: 'rules' },
+    endConditions: { type: 'rules' }
+});
+
+/**
+ * Joins a path and a key or index.
+ * @param {string} path - The path of the parent, empty for the level itself.
+ * @param {string|number} key - The key, or the index in an array.
+ * @returns {string} The path of the child.
+ * @private
+ */
+function joinPath(path, key) {
+    if (typeof key === 'number') return `${path}[${key}]`;
+    return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Describes a number schema, for messages.
+ * @param {object} schema - The number schema.
+ * @returns {string} E.g. "a number from 0 to 1".
+ * @private
+ */
+function describeNumber({ integer, min, max, above }) {
+    const kind = integer ? 'an integer' : 'a number';
+    if (above !== undefined) return max !== undefined ? `${kind} greater than ${above} and at most ${max}` : `${kind} greater than ${above}`;
+    if (min !== undefined && max !== undefined) return `${kind} from ${min} to ${max}`;
+    if (min !== undefined) return `${kind} of at least ${min}`;
+    if (max !== undefined) return `${kind} of at most ${max}`;
+    return kind;
+}
+
+/**
+ * Checks a value against a schema, and the values inside it.
+ * @param {*} value - The value, never undefined.
+ * @param {object} schema - The schema.
+ * @param {string} path - The path of the value.
+ * @param {Array<module:core/ruleRegistry.LevelProblem>} problems - Collects the problems found.
+ * @param {Array<{path: string, id: string, list: string}>} references - Collects the IDs that must exist.
+ * @private
+ */
+function checkValue(value, schema, path, problems, references) {
+    const report = message => problems.push({ path, message });
+    if (value === null && schema.nullable) return;
+
+    switch (schema.type) {
+        case 'number': {
+            const ok = typeof value === 'number' && Number.isFinite(value) &&
+                (!schema.integer || Number.isInteger(value)) &&
+                (schema.min === undefined || value >= schema.min) &&
+                (schema.max === undefined || value <= schema.max) &&
+                (schema.above === undefined || value > schema.above);
+            if (!ok) report(`must be ${describeNumber(schema)}, not ${JSON.stringify(value)}.`);
+            return;
+        }
+        case 'string':
+            if (typeof value !== 'string' || value === '') {
+                report(`must be a non-empty string, not ${JSON.stringify(value)}.`);
+            } else if (schema.refersTo) {
+                references.push({ path, id: value, list: schema.refersTo });
+            }
+            return;
+        case 'boolean':
+            if (typeof value !== 'boolean') report(`must be true or false, not ${JSON.stringify(value)}.`);
+            return;
+        case 'enum':
+            if (!schema.values.includes(value)) {
+                report(`must be one of ${schema.values.map(v => `'${v}'`).join(', ')}, not ${JSON.stringify(value)}.`);
+            }
+            return;
+        case 'array':
+            checkArray(value, schema, path, problems, references);
+            return;
+        case 'object':
+            checkObject(value, schema, path, problems, references);
+            return;
+        default:
+            // 'rules' lists are checked by validateLevelRules.
+    }
+}
+
+/**
+ * Checks an array against an array schema.
+ * @param {*} value - The value.
+ * @param {object} schema - The array schema.
+ * @param {string} path - The path of the value.
+ * @param {Array<module:core/ruleRegistry.LevelProblem>} problems - Collects the problems found.
+ * @param {Array<object>} references - Collects the IDs that must exist.
+ * @private
+ */
+function checkArray(value, schema, path, problems, references) {
+    if (!Array.isArray(value)) {
+        problems.push({ path, message: 'must be an array.' });
+        return;
+    }
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+        problems.push({ path, message: `needs at least ${schema.minItems} ${schema.minItems === 1 ? 'entry' : 'entries'}.` });
+    }
+    const firstIndexById = new Map();
+    value.forEach((item, index) => {
+        const itemPath = joinPath(path, index);
+        if (item === undefined || item === null) {
+            problems.push({ path: itemPath, message: 'must not be empty.' });
+            return;
+        }
+        checkValue(item, schema.items, itemPath, problems, references);
+        if (schema.uniqueIds && typeof item?.id === 'string') {
+            if (firstIndexById.has(item.id)) {
+                problems.push({ path: joinPath(itemPath, 'id'), message: `repeats the ID '${item.id}' of ${joinPath(path, firstIndexById.get(item.id))}.` });
+            } else {
+                firstIndexById.set(item.id, index);
+            }
+        }
+    });
+}
+
+/**
+ * Finds the known key a mistyped key was probably meant to be: the closest one, at most two edits away.
+ * @param {string} key - The unknown key.
+ * @param {Array<string>} knownKeys - The keys of the schema.
+ * @returns {string|null} The closest known key, or null if none is close.
+ * @private
+ */
+function findClosestKey(key, knownKeys) {
+    const distance = (a, b) => {
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+            }
+            previous = current;
+        }
+        return previous[b.length];
+    };
+    let closest = null;
+    let closestDistance = 3;
+    knownKeys.forEach(known => {
+        const d = distance(key.toLowerCase(), known.toLowerCase());
+        if (d < closestDistance) {
+            closest = known;
+            closestDistance = d;
+        }
+    });
+    return closest;
+}
+
+/**
+ * Checks an object against an object schema: no unknown keys, the required keys present
+ * (including those its variants require) and every value valid.
+ * @param {*} value - The value.
+ * @param {object} schema - The object schema.
+ * @param {string} path - The path of the value.
+ * @param {Array<module:core/ruleRegistry.LevelProblem>} problems - Collects the problems found.
+ * @param {Array<object>} references - Collects the IDs that must exist.
+ * @private
+ */
+function checkObject(value, schema, path, problems, references) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        problems.push({ path, message: `must be an object, not ${JSON.stringify(value)}.` });
+        return;
+    }
+
+    const required = [...schema.required];
+    (schema.variants || []).forEach(({ key, default: defaultValue, required: byValue }) => {
+        const variant = value[key] ?? defaultValue;
+        if (Object.hasOwn(byValue, variant)) required.push(...byValue[variant]);
+    });
+    required.filter(key => value[key] === undefined).forEach(key => {
+        problems.push({ path: joinPath(path, key), message: 'is required.' });
+    });
+
+    Object.entries(value).forEach(([key, fieldValue]) => {
+        const fieldPath = joinPath(path, key);
+        const fieldSchema = Object.hasOwn(schema.fields, key) ? schema.fields[key] : null;
+        if (!fieldSchema) {
+            const closest = findClosestKey(key, Object.keys(schema.fields));
+            problems.push({ path: fieldPath, message: `is not a known key${closest ? `; did you mean '${closest}'?` : '.'}` });
+        } else if (fieldValue !== undefined) {
+            checkValue(fieldValue, fieldSchema, fieldPath, problems, references);
+        }
+    });
+}
+
+/**
+ * Checks a level against the schema, then checks that the IDs it refers to exist and that each
+ * inventory item is a piece or a joint.
+ * @param {object} config - The level configuration.
+ * @returns {Array<module:core/ruleRegistry.LevelProblem>} The problems found, empty if the level matches the schema.
+ */
+function validateLevelSchema(config) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        return [{ path: null, message: 'The level must be a JSON object.' }];
+    }
+    const problems = [];
+    const references = [];
+    checkValue(config, LEVEL_SCHEMA, '', problems, references);
+
+    references.forEach(({ path, id, list }) => {
+        const entries = Array.isArray(config[list]) ? config[list] : [];
+        if (!entries.some(entry => entry?.id === id)) {
+            problems.push({ path, message: `refers to '${id}', which is not the ID of any entry of '${list}'.` });
+        }
+    });
+    (Array.isArray(config.inventory) ? config.inventory : []).forEach((item, index) => {
+        if (item && typeof item === 'object' && (item.objectProperties === undefined) === (item.jointProperties === undefined)) {
+            problems.push({ path: joinPath('inventory', index), message: "needs either 'objectProperties' or 'jointProperties'." });
+        }
+    });
+    return problems;
+}
+
+/**
+ * Lists the polygon outlines of a body config (its own and those of its parts) that are not convex
+ * or have collinear points, and so are replaced by their convex hull.
+ * @param {*} body - An object, inventory piece or launcher projectile config.
+ * @param {string} path - The path of the config.
+ * @param {Array<module:core/ruleRegistry.LevelProblem>} warnings - Collects the outlines found.
+ * @private
+ */
+function checkPolygonOutlines(body, path, warnings) {
+    if (!body || typeof body !== 'object') return;
+    const outlines = [];
+    if (body.type === 'polygon') outlines.push({ vertices: body.vertices, path: joinPath(path, 'vertices') });
+    if (Array.isArray(body.parts)) {
+        body.parts.forEach((part, index) => {
+            if (part?.type === 'polygon') outlines.push({ vertices: part.vertices, path: joinPath(joinPath(joinPath(path, 'parts'), index), 'vertices') });
+        });
+    }
+    outlines.filter(({ vertices }) => isValidPolygon(vertices)).forEach(({ vertices, path: outlinePath }) => {
+        const points = vertices.filter(v => v && Number.isFinite(v.x) && Number.isFinite(v.y));
+        const dropped = points.length - getConvexHull(points).length;
+        if (dropped > 0) {
+            warnings.push({ path: outlinePath, message: `is not convex or has collinear points; its convex hull is used (${dropped} ${dropped === 1 ? 'vertex' : 'vertices'} dropped).` });
+        }
+    });
+}
+
+/**
+ * Lists what a valid level does differently from what its file says: the polygon outlines of its
+ * objects, inventory pieces and launcher projectiles that are replaced by their convex hull.
+ * @param {object} config - The level configuration.
+ * @returns {Array<module:core/ruleRegistry.LevelProblem>} The warnings, empty if there are none.
+ */
+function getLevelWarnings(config) {
+    const warnings = [];
+    (Array.isArray(config?.objects) ? config.objects : []).forEach((obj, index) => {
+        const path = joinPath('objects', index);
+        checkPolygonOutlines(obj, path, warnings);
+        checkPolygonOutlines(obj?.launcher?.projectile, joinPath(joinPath(path, 'launcher'), 'projectile'), warnings);
+    });
+    (Array.isArray(config?.inventory) ? config.inventory : []).forEach((item, index) => {
+        checkPolygonOutlines(item?.objectProperties, joinPath(joinPath('inventory', index), 'objectProperties'), warnings);
+    });
+    return warnings;
+}
+
+/**
+ * Checks a whole level: its schema, and its objectives and end conditions (see
+ * {@link module:core/ruleRegistry.validateLevelRules}).
+ * @param {object} config - The level configuration.
+ * @returns {Array<module:core/ruleRegistry.LevelProblem>} The problems found, empty if the level is valid.
+ */
+function validateLevel(config) {
+    const problems = validateLevelSchema(config);
+    if (!config || typeof config !== 'object' || Array.isArray(config)) return problems;
+    return [...problems, ...validateLevelRules(config)];
+}
+
+/**
+ * Checks a whole level, see {@link validateLevel}.
+ * @param {object} config - The level configuration.
+ * @throws {LevelConfigError} If the level is invalid.
+ */
+function assertValidLevel(config) {
+    const problems = validateLevel(config);
+    if (problems.length > 0) {
+        throw new LevelConfigError(problems);
+    }
+}
+
+/**
+ * Formats a problem on one line, its path first.
+ * @param {module:core/ruleRegistry.LevelProblem} problem - The problem.
+ * @returns {string} E.g. "objects[3].widht: is not a known key (...)".
+ */
+function formatLevelProblem({ path, message }) {
+    return path ? `${path}: ${message}` : message;
+}
+
+export {
+    LevelConfigError,
+    validateLevelSchema,
+    validateLevel,
+    assertValidLevel,
+    getLevelWarnings,
+    formatLevelProblem
+};
@@ -0,0 +1,130 @@
+import { Objective } from './Objective.js';
+import { registerObjectiveType } from '../ruleRegistry.js';
+import { readSelector, findContacts, describeSelector, getSelectorProblems, getSelectorDependencies } from '../physics/contacts.js';
+import { getStarThresholdProblems } from './starRating.js';
+
+/** @const {Object<string, string>} The star threshold name of the value criterion, see {@link module:core/objectives/starRating}. */
+const VALUE_ALIASES = { maxContacts: 'maxValue' };
+
+/**
+ * @class AvoidContactObjective
+ * @extends Objective
+ * @description An objective that fails when a target body touches another body more than `maxContacts`
+ * times, e.g. "the egg must never touch the ground". Bodies are selected by ID prefix and/or tag, see
+ * {@link module:core/physics/contacts}. It is scored when the level ends, like `maxHeight`.
+ *
+ * Stars: `starThresholds` as described in {@link module:core/objectives/starRating}, the value being the
+ * number of contacts, so `maxContacts` (or `maxValue`) asks for fewer of them than the objective allows.
+ *
+ * @param {object} config - The configuration object for this objective.
+ * @param {string} config.id - A unique identifier for this objective instance.
+ * @param {string} config.type - The type of the objective ("avoidContact").
+ * @param {string} config.displayName - A user-friendly name for display in the UI.
+ * @param {string} [config.targetId] - The ID prefix of the bodies to protect.
+ * @param {string} [config.targetTag] - A tag of the bodies to protect (`targetId` and/or `targetTag` is required).
+ * @param {string} [config.otherId] - The ID prefix of the bodies to avoid.
+ * @param {string} [config.otherTag] - A tag of the bodies to avoid. Without `otherId` or `otherTag`, any body counts.
+ * @param {number} [config.maxContacts=0] - The number of contacts allowed before the objective fails.
+ */
+export class AvoidContactObjective extends Objective {
+    /**
+     * Creates an instance of AvoidContactObjective.
+     * @param {object} config - Objective configuration from JSON.
+     */
+    constructor(config) {
+        super(config);
+        this.targetSelector = readSelector(config, 'target');
+        this.otherSelector = readSelector(config, 'other');
+        this.maxContacts = config.maxContacts ?? 0;
+        this.valueAliases = VALUE_ALIASES;
+        this.contactCount = 0;
+        this.reset();
+    }
+
+    /**
+     * Resets the objective to its initial state.
+     * @override
+     */
+    reset() {
+        super.reset();
+        this.contactCount = 0;
+        this.statusText = this.describeCount();
+    }
+
+    /**
+     * Describes the contacts so far.
+     * @returns {string} The description.
+     * @private
+     */
+    describeCount() {
+        return `${describeSelector(this.targetSelector)} touched ${describeSelector(this.otherSelector)}: ${this.contactCount} / ${this.maxContacts} allowed`;
+    }
+
+    /**
+     * Counts the contacts between the target and the other body during the tick, and fails the
+     * objective once there are more than allowed.
+     *
+     * @param {Map<string, Matter.Body>} bodies - A map of all physics bodies (unused by this objective).
+     * @param {number} deltaTime - Time elapsed since the last frame, in seconds.
+     * @param {number} totalSimulationTime - The total time elapsed in the current simulation run.
+     * @param {Array<object>} [contacts=[]] - The contacts that began during the tick.
+     * @override
+     */
+    update(bodies, deltaTime, totalSimulationTime, contacts = []) {
+        if (this.isComplete || this.isFailed) return;
+
+        const found = findContacts(contacts, this.targetSelector, this.otherSelector);
+        if (found.length === 0) return;
+
+        this.contactCount += found.length;
+        if (this.contactCount > this.maxContacts) {
+            this.isFailed = true;
+            this.statusText = `Failed: '${found[0].targetId}' touched '${found[0].otherId}' at ${totalSimulationTime.toFixed(1)}s`;
+        } else {
+            this.statusText = this.describeCount();
+        }
+    }
+
+    /**
+     * Reports full progress until the objective fails, since it holds as long as the contacts stay allowed.
+     * @returns {number} 1, or 0 once failed.
+     * @override
+     */
+    getProgress() {
+        return this.isFailed ? 0 : 1;
+    }
+
+    /**
+     * Gives the number of contacts, which can only grow; the objective is achieved as long as it has not failed.
+     * @param {object} threshold - The star threshold.
+     * @param {object} context - The run.
+     * @returns {object} The facts, see {@link Objective#getRatingFacts}.
+     * @override
+     */
+    getRatingFacts(threshold, context) {
+        return { achieved: !this.isFailed, settled: this.isFailed, time: null, value: this.contactCount, trend: 'rising' };
+    }
+
+    /**
+     * Calculates the stars earned from the number of contacts, unless the objective failed.
+     * @param {number} totalSimulationTimeAtLevelEnd - The total simulation time when the level ended.
+     * @param {object|null} [pieceUsage=null] - The pieces the run used.
+     * @param {number|null} [attempts=null] - The number of the attempt.
+     */
+    calculateStars(totalSimulationTimeAtLevelEnd, pieceUsage = null, attempts = null) {
+        this.starsEarned = this.rateStars({ time: totalSimulationTimeAtLevelEnd, pieceUsage, attempts });
+        if (!this.isFailed) {
+            this.statusText = `${this.describeCount()} (${this.starsEarned} ${this.starsEarned === 1 ? 'Star' : 'Stars'})`;
+        }
+    }
+}
+
+registerObjectiveType('avoidContact', AvoidContactObjective, {
+    validate: config => [
+        ...getSelectorProblems(config, 'target', true),
+        ...getSelectorProblems(config, 'other', false),
+        config.maxContacts !== undefined && !(Number.isInteger(config.maxContacts) && config.maxContacts >= 0) && "needs a non-negative integer 'maxContacts'",
+        ...getStarThresholdProblems(config, VALUE_ALIASES)
+    ].filter(Boolean),
+    dependencies: config => getSelectorDependencies(config, ['target', 'other'])
+});
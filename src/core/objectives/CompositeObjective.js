@@ -0,0 +1,291 @@
+import { Objective } from './Objective.js';
+import { registerObjectiveType, createObjective, validateChildObjectives, getObjectiveDependencies } from '../ruleRegistry.js';
+import { getStarThresholdProblems } from './starRating.js';
+
+/** @const {Array<string>} The ways a composite objective combines its children. */
+const COMPOSITE_MODES = ['all', 'any', 'sequence'];
+
+/**
+ * @class CompositeObjective
+ * @extends Objective
+ * @description An objective made of child objectives, combined by `mode`:
+ * - `all`: every child must be achieved, in any order.
+ * - `any`: one child is enough.
+ * - `sequence`: the children must be achieved in order. A child only starts tracking once the one
+ *   before it is complete, so "enter zone A, then zone B" is two `stayInZone` children.
+ * A child is achieved when it completes during the run or, for objectives scored when the level ends
+ * (like `maxHeight`), when it earns stars then. The children of a sequence must complete during the run.
+ *
+ * Stars: with its own `starThresholds` (see {@link module:core/objectives/starRating}), the composite is
+ * scored on the time it was completed, like the zone objectives. Otherwise it earns the fewest stars of its children
+ * for `all` and `sequence`, and the most for `any`; a child without star thresholds counts as one star
+ * when achieved.
+ *
+ * @param {object} config - The configuration object for this objective.
+ * @param {string} config.id - A unique identifier for this objective instance.
+ * @param {string} config.type - The type of the objective ("composite").
+ * @param {string} config.displayName - A user-friendly name for display in the UI.
+ * @param {string} config.mode - How the children combine: "all", "any" or "sequence".
+ * @param {Array<object>} config.children - The child objective configs, of any objective type (composites included).
+ * @param {number} [config.within] - Seconds after the start of the run by which the composite must be
+ *                                   complete; it fails otherwise.
+ */
+export class CompositeObjective extends Objective {
+    /**
+     * Creates an instance of CompositeObjective and its children.
+     * @param {object} config - Objective configuration from JSON.
+     */
+    constructor(config) {
+        super(config);
+        this.mode = config.mode;
+        this.within = config.within ?? null;
+        this.children = config.children.map(childConfig => createObjective(childConfig));
+        this.currentStep = 0;
+        this.timeObjectiveCompleted = -1;
+        this.reset();
+    }
+
+    /**
+     * Resets the objective and its children.
+     * @override
+     */
+    reset() {
+        super.reset();
+        this.children.forEach(child => child.reset());
+        this.currentStep = 0;
+        this.timeObjectiveCompleted = -1;
+        this.statusText = this.describeProgress();
+    }
+
+    /**
+     * Checks whether a child counts as achieved.
+     * @param {Objective} child - The child.
+     * @returns {boolean} True if it completed during the run or earned stars.
+     * @private
+     */
+    isAchieved(child) {
+        return child.isComplete || child.starsEarned > 0;
+    }
+
+    /**
+     * Checks whether the children, as scored so far, achieve the composite according to its mode.
+     * @returns {boolean} True if achieved.
+     * @private
+     */
+    isRolledUpAchieved() {
+        if (this.isFailed) return false;
+        if (this.mode === 'all') return this.children.every(child => this.isAchieved(child));
+        if (this.mode === 'any') return this.children.some(child => this.isAchieved(child));
+        return this.currentStep >= this.children.length;
+    }
+
+    /**
+     * Updates the children that are tracking, then rolls their state up: the composite completes
+     * or fails according to its mode, or fails when its `within` time has passed.
+     *
+     * @param {Map<string, Matter.Body>} bodies - A map of all physics bodies in the simulation.
+     * @param {number} deltaTime - Time elapsed since the last frame, in seconds.
+     * @param {number} totalSimulationTime - The total time elapsed in the current simulation run.
+     * @param {Array<object>} contacts - The contacts that began during the tick.
+     * @override
+     */
+    update(bodies, deltaTime, totalSimulationTime, contacts) {
+        if (this.isComplete || this.isFailed) return;
+
+        const tracking = this.mode === 'sequence' ? [this.children[this.currentStep]] : this.children;
+        tracking.forEach(child => {
+            if (!child.isComplete && !child.isFailed) {
+                child.update(bodies, deltaTime, totalSimulationTime, contacts);
+            }
+        });
+        if (this.mode === 'sequence' && this.children[this.currentStep].isComplete) {
+            this.currentStep++;
+        }
+
+        let complete;
+        let failed;
+        if (this.mode === 'all') {
+            complete = this.children.every(child => child.isComplete);
+            failed = this.children.some(child => child.isFailed);
+        } else if (this.mode === 'any') {
+            complete = this.children.some(child => child.isComplete);
+            failed = this.children.every(child => child.isFailed);
+        } else {
+            complete = this.currentStep >= this.children.length;
+            failed = !complete && this.children[this.currentStep].isFailed;
+        }
+
+        if (complete) {
+            this.isComplete = true;
+            this.timeObjectiveCompleted = totalSimulationTime;
+        } else if (failed || (this.within !== null && totalSimulationTime > this.within)) {
+            this.isFailed = true;
+        }
+        this.statusText = this.describeProgress(totalSimulationTime);
+    }
+
+    /**
+     * Returns the progress rolled up from the children: their average for `all`, the best one for `any`,
+     * and the completed steps plus the progress of the current one for `sequence`.
+     * @returns {number} The progress, from 0 to 1.
+     * @override
+     */
+    getProgress() {
+        if (this.isComplete) return 1;
+        const progresses = this.children.map(child => child.getProgress());
+        if (this.mode === 'all') {
+            return progresses.reduce((sum, progress) => sum + progress, 0) / progresses.length;
+        }
+        if (this.mode === 'any') {
+            return Math.max(...progresses);
+        }
+        const current = this.currentStep < progresses.length ? progresses[this.currentStep] : 0;
+        return (this.currentStep + current) / progresses.length;
+    }
+
+    /**
+     * Describes the state of the composite in one line.
+     * @param {number} [totalSimulationTime] - The simulation clock, to show the time left with `within`.
+     * @returns {string} The status text.
+     * @private
+     */
+    describeProgress(totalSimulationTime) {
+        if (this.isComplete) return 'Complete!';
+        if (this.isFailed) return 'Failed';
+
+        const achieved = this.children.filter(child => child.isComplete).length;
+        let text;
+        if (this.mode === 'sequence') {
+            const step = this.children[this.currentStep];
+            text = `Step ${this.currentStep + 1}/${this.children.length}: ${step.displayName}`;
+        } else {
+            text = `${this.mode === 'all' ? 'All' : 'Any'} of ${this.children.length}: ${achieved} done`;
+        }
+        if (this.within !== null) {
+            text += ` (${Math.max(0, this.within - (totalSimulationTime || 0)).toFixed(1)}s left)`;
+        }
+        return text;
+    }
+
+    /**
+     * Gives the time the composite was completed, or the end of the run for children only achieved then.
+     * @param {object} threshold - The star threshold.
+     * @param {object} context - The run.
+     * @returns {object} The facts, see {@link Objective#getRatingFacts}.
+     * @override
+     */
+    getRatingFacts(threshold, context) {
+        const achieved = this.isRolledUpAchieved();
+        return {
+            achieved,
+            settled: this.isComplete || this.isFailed,
+            time: achieved ? (this.timeObjectiveCompleted === -1 ? context.time : this.timeObjectiveCompleted) : null,
+            value: null,
+            trend: null
+        };
+    }
+
+    /**
+     * Scores the children, then the composite: from its own star thresholds if it has some,
+     * otherwise from the children's stars.
+     * @param {number} totalSimulationTimeAtLevelEnd - The total simulation time when the level ended.
+     * @param {object|null} [pieceUsage=null] - The pieces the run used, passed on to the children.
+     * @param {number|null} [attempts=null] - The number of the attempt, passed on to the children.
+     */
+    calculateStars(totalSimulationTimeAtLevelEnd, pieceUsage = null, attempts = null) {
+        this.children.forEach(child => {
+            if (typeof child.calculateStars === 'function') {
+                child.calculateStars(totalSimulationTimeAtLevelEnd, pieceUsage, attempts);
+            }
+        });
+
+        const achieved = this.isRolledUpAchieved();
+        if (achieved && this.timeObjectiveCompleted === -1) {
+            this.timeObjectiveCompleted = totalSimulationTimeAtLevelEnd;
+        }
+
+        this.starsEarned = 0;
+        if (achieved) {
+            const thresholds = this.config.starThresholds;
+            if (Array.isArray(thresholds) && thresholds.length > 0) {
+                this.starsEarned = this.rateStars({ time: totalSimulationTimeAtLevelEnd, pieceUsage, attempts });
+            } else {
+                const childStars = this.children.map(child => (Array.isArray(child.config.starThresholds) && child.config.starThresholds.length > 0)
+                    ? child.starsEarned
+                    : (this.isAchieved(child) ? 1 : 0));
+                this.starsEarned = this.mode === 'any' ? Math.max(...childStars) : Math.min(...childStars);
+            }
+        }
+        this.statusText = `${achieved ? 'Complete!' : 'Not complete'} (${this.starsEarned} ${this.starsEarned === 1 ? 'Star' : 'Stars'})`;
+    }
+
+    /**
+     * Returns the status of the composite, with the statuses of its children.
+     * @returns {object} The status, see {@link Objective#getStatus}, with `mode` and `children`.
+     * @override
+     */
+    getStatus() {
+        return { ...super.getStatus(), mode: this.mode, children: this.children.map(child => child.getStatus()) };
+    }
+
+    /**
+     * Copies the state of the composite and of its children.
+     * @returns {object} The copied state.
+     * @override
+     */
+    captureState() {
+        const { config, children, ...state } = this;
+        return { ...structuredClone(state), children: children.map(child => child.captureState()) };
+    }
+
+    /**
+     * Puts the composite and its children back in a copied state.
+     * @param {object} state - A state from {@link CompositeObjective#captureState}.
+     * @override
+     */
+    restoreState(state) {
+        const { children, ...ownState } = state;
+        Object.assign(this, structuredClone(ownState));
+        this.children.forEach((child, i) => child.restoreState(children[i]));
+    }
+
+    /**
+     * Disposes of the children.
+     * @override
+     */
+    dispose() {
+        this.children.forEach(child => child.dispose());
+        super.dispose();
+    }
+}
+
+/**
+ * Lists objectives together with the children of composite objectives, at any depth.
+ * @param {Array<Objective>} objectives - The objectives.
+ * @returns {Array<Objective>} The objectives and their descendants.
+ */
+export function flattenObjectives(objectives) {
+    return objectives.flatMap(objective => [objective, ...flattenObjectives(objective.children || [])]);
+}
+
+registerObjectiveType('composite', CompositeObjective, {
+    validate: config => {
+        if (!Array.isArray(config.children) || config.children.length === 0) {
+            return ["needs a non-empty 'children' array"];
+        }
+        return [
+            !COMPOSITE_MODES.includes(config.mode) && `needs a 'mode' of ${COMPOSITE_MODES.join(', ')}`,
+            config.within !== undefined && !(typeof config.within === 'number' && config.within > 0) && "needs a positive 'within' time",
+            ...getStarThresholdProblems(config),
+            ...validateChildObjectives(config.children)
+        ].filter(Boolean);
+    },
+    dependencies: config => {
+        const children = Array.isArray(config.children) ? config.children.map(child => getObjectiveDependencies(child)) : [];
+        return {
+            targets: children.flatMap(dependencies => dependencies.targets || []),
+            tags: children.flatMap(dependencies => dependencies.tags || []),
+            objectives: children.flatMap(dependencies => dependencies.objectives || [])
+        };
+    }
+});
@@ -0,0 +1,137 @@
+import { Objective } from './Objective.js';
+import { registerObjectiveType } from '../ruleRegistry.js';
+import { readSelector, findContacts, describeSelector, getSelectorProblems, getSelectorDependencies } from '../physics/contacts.js';
+import { getStarThresholdProblems } from './starRating.js';
+
+/** @const {Object<string, string>} The star threshold name of the value criterion, see {@link module:core/objectives/starRating}. */
+const VALUE_ALIASES = { minImpulse: 'minValue' };
+
+/**
+ * @class ContactObjective
+ * @extends Objective
+ * @description An objective completed when a target body hits another body, e.g. "the ball must touch
+ * the bell" or "ring the gong hard". Bodies are selected by ID prefix and/or tag, see
+ * {@link module:core/physics/contacts}. The first contact at least as strong as `minImpulse` completes it.
+ *
+ * Stars: `starThresholds` as described in {@link module:core/objectives/starRating}. The time and the value
+ * are those of the completing contact, so `minImpulse` (or `minValue`) asks for a harder hit.
+ *
+ * @param {object} config - The configuration object for this objective.
+ * @param {string} config.id - A unique identifier for this objective instance.
+ * @param {string} config.type - The type of the objective ("contact").
+ * @param {string} config.displayName - A user-friendly name for display in the UI.
+ * @param {string} [config.targetId] - The ID prefix of the bodies that must hit.
+ * @param {string} [config.targetTag] - A tag of the bodies that must hit (`targetId` and/or `targetTag` is required).
+ * @param {string} [config.otherId] - The ID prefix of the bodies to hit.
+ * @param {string} [config.otherTag] - A tag of the bodies to hit. Without `otherId` or `otherTag`, any body counts.
+ * @param {number} [config.minImpulse=0] - The impulse a contact needs to count, in mass × world units per second.
+ */
+export class ContactObjective extends Objective {
+    /**
+     * Creates an instance of ContactObjective.
+     * @param {object} config - Objective configuration from JSON.
+     */
+    constructor(config) {
+        super(config);
+        this.targetSelector = readSelector(config, 'target');
+        this.otherSelector = readSelector(config, 'other');
+        this.minImpulse = config.minImpulse ?? 0;
+        this.valueAliases = VALUE_ALIASES;
+        this.timeObjectiveCompleted = -1;
+        this.completingImpulse = 0;
+        this.strongestImpulse = 0;
+        this.reset();
+    }
+
+    /**
+     * Resets the objective to its initial state.
+     * @override
+     */
+    reset() {
+        super.reset();
+        this.timeObjectiveCompleted = -1;
+        this.completingImpulse = 0;
+        this.strongestImpulse = 0;
+        this.statusText = this.describeGoal();
+    }
+
+    /**
+     * Describes what has to happen, for the status text before completion.
+     * @returns {string} The description.
+     * @private
+     */
+    describeGoal() {
+        let text = `${describeSelector(this.targetSelector)} must hit ${describeSelector(this.otherSelector)}`;
+        if (this.minImpulse > 0) {
+            text += ` (impulse ${this.minImpulse.toFixed(0)}`;
+            text += this.strongestImpulse > 0 ? `, best ${this.strongestImpulse.toFixed(0)})` : ')';
+        }
+        return text;
+    }
+
+    /**
+     * Looks for a contact between the target and the other body during the tick, and completes
+     * the objective on the first one strong enough.
+     *
+     * @param {Map<string, Matter.Body>} bodies - A map of all physics bodies (unused by this objective).
+     * @param {number} deltaTime - Time elapsed since the last frame, in seconds.
+     * @param {number} totalSimulationTime - The total time elapsed in the current simulation run.
+     * @param {Array<object>} [contacts=[]] - The contacts that began during the tick.
+     * @override
+     */
+    update(bodies, deltaTime, totalSimulationTime, contacts = []) {
+        if (this.isComplete || this.isFailed) return;
+
+        const found = findContacts(contacts, this.targetSelector, this.otherSelector);
+        if (found.length === 0) return;
+
+        const strongest = found.reduce((best, contact) => contact.impulse > best.impulse ? contact : best);
+        this.strongestImpulse = Math.max(this.strongestImpulse, strongest.impulse);
+        if (strongest.impulse >= this.minImpulse) {
+            this.isComplete = true;
+            this.timeObjectiveCompleted = totalSimulationTime;
+            this.completingImpulse = strongest.impulse;
+            this.statusText = `'${strongest.targetId}' hit '${strongest.otherId}' at ${totalSimulationTime.toFixed(1)}s`;
+        } else {
+            this.statusText = this.describeGoal();
+        }
+    }
+
+    /**
+     * Gives the time and impulse of the completing contact.
+     * @param {object} threshold - The star threshold.
+     * @param {object} context - The run.
+     * @returns {object} The facts, see {@link Objective#getRatingFacts}.
+     * @override
+     */
+    getRatingFacts(threshold, context) {
+        return {
+            ...super.getRatingFacts(threshold, context),
+            time: this.isComplete ? this.timeObjectiveCompleted : null,
+            value: this.isComplete ? this.completingImpulse : null
+        };
+    }
+
+    /**
+     * Calculates the stars earned from the time and impulse of the completing contact.
+     * @param {number} totalSimulationTimeAtLevelEnd - The total simulation time when the level ended.
+     * @param {object|null} [pieceUsage=null] - The pieces the run used.
+     * @param {number|null} [attempts=null] - The number of the attempt.
+     */
+    calculateStars(totalSimulationTimeAtLevelEnd, pieceUsage = null, attempts = null) {
+        this.starsEarned = this.rateStars({ time: totalSimulationTimeAtLevelEnd, pieceUsage, attempts });
+        this.statusText = this.isComplete
+            ? `Hit at ${this.timeObjectiveCompleted.toFixed(1)}s, impulse ${this.completingImpulse.toFixed(0)} (${this.starsEarned} ${this.starsEarned === 1 ? 'Star' : 'Stars'})`
+            : `No hit (${this.describeGoal()})`;
+    }
+}
+
+registerObjectiveType('contact', ContactObjective, {
+    validate: config => [
+        ...getSelectorProblems(config, 'target', true),
+        ...getSelectorProblems(config, 'other', false),
+        config.minImpulse !== undefined && !(typeof config.minImpulse === 'number' && config.minImpulse >= 0) && "needs a non-negative 'minImpulse'",
+        ...getStarThresholdProblems(config, VALUE_ALIASES)
+    ].filter(Boolean),
+    dependencies: config => getSelectorDependencies(config, ['target', 'other'])
+});
@@ -0,0 +1,71 @@
+import { PeakValueObjective } from './PeakValueObjective.js';
+import { registerObjectiveType } from '../ruleRegistry.js';
+import { getStarThresholdProblems } from './starRating.js';
+
+/**
+ * @class DistanceObjective
+ * @extends PeakValueObjective
+ * @description An objective achieved when a target body gets a minimum horizontal distance away from where
+ * it was when the run started, in either direction, e.g. how far a catapult throws. Star thresholds may
+ * set a longer `distance`.
+ *
+ * @param {object} config - The configuration object for this objective.
+ * @param {string} config.id - A unique identifier for this objective instance.
+ * @param {string} config.type - The type of the objective ("distance").
+ * @param {string} config.displayName - A user-friendly name for display in the UI.
+ * @param {string} config.targetId - The base ID prefix of the object(s) to track.
+ * @param {number} config.distance - The horizontal distance to cover, in world units.
+ */
+export class DistanceObjective extends PeakValueObjective {
+    /**
+     * Creates an instance of DistanceObjective.
+     * @param {object} config - Objective configuration from JSON.
+     */
+    constructor(config) {
+        super(config, 'distance', 'Distance');
+        this.startPositions = {};
+        this.reset();
+    }
+
+    /**
+     * Resets the objective and forgets the start positions.
+     * @override
+     */
+    reset() {
+        super.reset();
+        this.startPositions = {};
+    }
+
+    /**
+     * Measures the horizontal distance of a body from where it was first seen in the run.
+     * @param {string} id - The ID of the body.
+     * @param {Matter.Body} body - The body.
+     * @returns {number} The distance, in world units.
+     * @override
+     */
+    measure(id, body) {
+        if (this.startPositions[id] === undefined) {
+            this.startPositions[id] = body.position.x;
+        }
+        return Math.abs(body.position.x - this.startPositions[id]);
+    }
+
+    /**
+     * Formats a distance.
+     * @param {number} value - The distance.
+     * @returns {string} The formatted distance.
+     * @override
+     */
+    formatValue(value) {
+        return `${value.toFixed(1)}m`;
+    }
+}
+
+registerObjectiveType('distance', DistanceObjective, {
+    validate: config => [
+        !config.targetId && "needs a 'targetId' (base ID)",
+        !(typeof config.distance === 'number' && config.distance > 0) && "needs a positive 'distance'",
+        ...getStarThresholdProblems(config, { distance: 'minValue' })
+    ].filter(Boolean),
+    dependencies: config => ({ targets: [config.targetId] })
+});
@@ -1,27 +1,35 @@
 import { Objective } from './Objective.js';
+import { registerObjectiveType } from '../ruleRegistry.js';
+import { getZoneProblems, createZoneShape, isBodyInZone } from '../physics/zoneShapes.js';
+import { getQuantifierProblems, isQuantifierMet, describeTargetCount } from './targetCounts.js';
+import { getStarThresholdProblems } from './starRating.js';
 
 /**
  * @class LeaveZoneObjective
  * @extends Objective
- * @description Objective: leave the zone before the time runs out.
+ * @description Objective: leave the zone before the time runs out. By default every target must be out
+ * of the zone; a `quantifier` of "any" or N lets one or N of them do (see {@link module:core/objectives/targetCounts}).
+ * Stars: `starThresholds` as described in {@link module:core/objectives/starRating}, the time being how long
+ * the targets took to leave.
  *
  * @param {object} config - Objective configuration.
  * @param {string} config.id - Unique identifier.
  * @param {string} config.type - Objective type (ex: "leaveZone").
  * @param {string} config.displayName - Display name.
  * @param {string} config.targetId - ID prefix of objects to monitor.
- * @param {object} config.zone - Rectangular zone {x, y, width, height}.
+ * @param {object} config.zone - Zone: rectangle, circle or polygon, see {@link module:core/physics/zoneShapes}.
  * @param {number} config.duration - Maximum time to leave the zone.
+ * @param {string|number} [config.quantifier='all'] - How many targets must leave: "any", "all" or at least N.
+ * @param {string} [config.targetLabel] - What the targets are called in the status, e.g. "balls".
  */
 export class LeaveZoneObjective extends Objective {
     constructor(config) {
         super(config);
-        if (!config.targetId || !config.zone || typeof config.zone.x !== 'number' || typeof config.zone.y !== 'number' || typeof config.zone.width !== 'number' || typeof config.zone.height !== 'number' || typeof config.duration !== 'number' || config.duration <= 0) {
-            throw new Error(`LeaveZoneObjective (id: ${this.id}) requires 'targetId', a valid 'zone' object {x, y, width, height}, and a positive 'duration' in config.`);
-        }
         this.baseTargetId = config.targetId;
         this.zone = config.zone;
+        this.zoneShape = createZoneShape(config.zone);
         this.maxDuration = config.duration;
+        this.quantifier = config.quantifier ?? 'all';
         this.timer = 0;
         this.isFailed = false;
         this.statusText = `Leave the zone in less than ${this.maxDuration.toFixed(1)}s`;
@@ -42,64 +50,69 @@ export class LeaveZoneObjective extends Objective {
     update(bodies, deltaTime, totalSimulationTime) {
         if (this.isComplete || this.isFailed) return;
 
-        let foundAtLeastOneTarget = false;
-        let allTargetsOutOfZone = true;
+        let targetCount = 0;
+        let targetsOutOfZone = 0;
 
         for (const [id, body] of bodies) {
             if (id.startsWith(this.baseTargetId)) {
-                foundAtLeastOneTarget = true;
-
-                const pos = body.position;
-                const zoneConfig = this.zone;
-                const zoneMinX = zoneConfig.x - zoneConfig.width / 2;
-                const zoneMaxX = zoneConfig.x + zoneConfig.width / 2;
-                const zoneMinY = zoneConfig.y - zoneConfig.height / 2;
-                const zoneMaxY = zoneConfig.y + zoneConfig.height / 2;
+                targetCount++;
 
-                const bodyIsInZone = pos.x >= zoneMinX && pos.x <= zoneMaxX &&
-                                     pos.y >= zoneMinY && pos.y <= zoneMaxY;
-
-                if (bodyIsInZone) {
-                    allTargetsOutOfZone = false;
+                if (!isBodyInZone(body, this.zoneShape)) {
+                    targetsOutOfZone++;
                 }
             }
         }
 
         this.timer += deltaTime;
 
-        if (!foundAtLeastOneTarget) {
+        if (targetCount === 0) {
             this.statusText = `Leave Zone: No object with prefix '${this.baseTargetId}' found.`;
             return;
         }
 
-        if (allTargetsOutOfZone) {
+        let timeText;
+        if (isQuantifierMet(this.quantifier, targetsOutOfZone, targetCount)) {
             this.isComplete = true;
-            this.statusText = `Objective completed: left the zone in ${this.timer.toFixed(1)}s`;
+            timeText = `Objective completed: left the zone in ${this.timer.toFixed(1)}s`;
         } else if (this.timer >= this.maxDuration) {
             this.isFailed = true;
-            this.statusText = `Failed: time expired without leaving the zone.`;
+            timeText = `Failed: time expired without leaving the zone.`;
         } else {
-            this.statusText = `Time remaining: ${(this.maxDuration - this.timer).toFixed(1)}s`;
+            timeText = `Time remaining: ${(this.maxDuration - this.timer).toFixed(1)}s`;
         }
+        const countText = describeTargetCount(this.config, this.quantifier, targetsOutOfZone, targetCount, 'out of zone');
+        this.statusText = countText ? `${countText} - ${timeText}` : timeText;
     }
 
-    calculateStars(totalSimulationTimeAtLevelEnd) {
-        this.starsEarned = 0;
-        if (!this.isComplete || !this.config.starThresholds || !Array.isArray(this.config.starThresholds) || this.config.starThresholds.length === 0) {
-            return;
-        }
-        const sortedThresholds = [...this.config.starThresholds].sort((a, b) => b.stars - a.stars);
-        for (const threshold of sortedThresholds) {
-            let conditionMet = true;
-            if (threshold.completedWithinTime !== undefined) {
-                if (this.timer > threshold.completedWithinTime) {
-                    conditionMet = false;
-                }
-            }
-            if (conditionMet) {
-                this.starsEarned = threshold.stars;
-                break;
-            }
-        }
+    /**
+     * Gives the time the targets took to leave, for the `maxTime` of star thresholds.
+     * @param {object} threshold - The star threshold.
+     * @param {object} context - The run.
+     * @returns {object} The facts, see {@link Objective#getRatingFacts}.
+     * @override
+     */
+    getRatingFacts(threshold, context) {
+        return { ...super.getRatingFacts(threshold, context), time: this.isComplete ? this.timer : null };
+    }
+
+    /**
+     * Calculates the stars earned from the star thresholds.
+     * @param {number} totalSimulationTimeAtLevelEnd - The total simulation time when the level ended.
+     * @param {object|null} [pieceUsage=null] - The pieces the run used.
+     * @param {number|null} [attempts=null] - The number of the attempt.
+     */
+    calculateStars(totalSimulationTimeAtLevelEnd, pieceUsage = null, attempts = null) {
+        this.starsEarned = this.rateStars({ time: totalSimulationTimeAtLevelEnd, pieceUsage, attempts });
     }
 }
+
+registerObjectiveType('leaveZone', LeaveZoneObjective, {
+    validate: config => [
+        !config.targetId && "needs a 'targetId'",
+        ...getZoneProblems(config.zone),
+        ...getQuantifierProblems(config),
+        !(typeof config.duration === 'number' && config.duration > 0) && "needs a positive 'duration'",
+        ...getStarThresholdProblems(config)
+    ].filter(Boolean),
+    dependencies: config => ({ targets: [config.targetId] })
+});
@@ -1,79 +1,48 @@
-import * as BABYLON from '@babylonjs/core';
 import { Objective } from './Objective.js';
+import { registerObjectiveType } from '../ruleRegistry.js';
+import { getStarThresholds, getStarThresholdProblems } from './starRating.js';
+
+/** @const {Object<string, string>} The star threshold name of the value criterion, see {@link module:core/objectives/starRating}. */
+const VALUE_ALIASES = { height: 'minValue' };
 
 /**
  * @class MaxHeightObjective
  * @extends Objective
  * @description An objective that tracks the maximum Y-coordinate (highest point) reached by any
  * physics body whose `configId` starts with a specified `baseTargetId`.
- * It displays a visual line in the scene indicating this highest point.
+ * The highest point is drawn as a line by {@link module:core/visuals/heightLineVisuals}.
  * In a Y-up coordinate system (like Matter.js default), a higher Y value means a higher point.
  *
+ * Stars: `starThresholds` as described in {@link module:core/objectives/starRating}. The value is the highest
+ * point, so `height` (or `minValue`) is a height to reach, and the time is when the entry's height was first reached.
+ *
  * @param {object} config - The configuration object for this objective.
  * @param {string} config.id - A unique identifier for this objective instance.
  * @param {string} config.type - The type of the objective (e.g., "maxHeight").
  * @param {string} config.displayName - A user-friendly name for display in the UI.
  * @param {string} config.targetId - The base ID prefix of the object(s) to track.
  *                                   Any body whose `configId` starts with this string will be considered.
- * @param {BABYLON.Scene} scene - The Babylon.js scene instance, used for creating the visual line.
- * @param {object} worldConfig - The world configuration object, used to get simulation bounds
- *                               for positioning and sizing the visual line.
- * @param {object} worldConfig.simulationBounds - Defines the boundaries of the simulation area.
- * @param {number} worldConfig.simulationBounds.x - The x-coordinate of the simulation area's origin.
- * @param {number} worldConfig.simulationBounds.width - The width of the simulation area.
  */
 export class MaxHeightObjective extends Objective {
     /**
      * Creates an instance of MaxHeightObjective.
-     * Initializes tracking variables and creates a visual line mesh in the scene.
+     * Initializes tracking variables.
      * @param {object} config - Objective configuration from JSON.
      * @param {string} config.targetId - The ID of the object to track.
-     * @param {BABYLON.Scene} scene - The Babylon scene to add the line mesh to.
-     * @param {object} worldConfig - The world configuration (for bounds).
      */
-    constructor(config, scene, worldConfig) {
+    constructor(config) {
         super(config);
-        if (!config.targetId) {
-            throw new Error(`MaxHeightObjective (id: ${this.id}) requires a 'targetId' (base ID) in config.`);
-        }
-        if (!scene) {
-            throw new Error(`MaxHeightObjective (id: ${this.id}) requires a 'scene' instance.`);
-        }
-        if (!worldConfig?.simulationBounds) {
-            throw new Error(`MaxHeightObjective (id: ${this.id}) requires 'worldConfig' with 'simulationBounds'.`);
-        }
-
         this.baseTargetId = config.targetId;
         this.currentMaxYValue = -Infinity;
-        this.maxHeightLineMesh = null;
-        this.scene = scene;
         this.achievedHeightTimes = {};
-
-        const simBounds = worldConfig.simulationBounds;
-        const lineWidth = simBounds.width;
-        const linePoints = [
-            new BABYLON.Vector3(simBounds.x, 0, 10),
-            new BABYLON.Vector3(simBounds.x + lineWidth, 0, 10)
-        ];
-        this.maxHeightLineMesh = BABYLON.MeshBuilder.CreateLines(
-            `maxHeightLine_${this.id}`,
-            { points: linePoints, updatable: true },
-            this.scene
-        );
-        const lineMaterial = new BABYLON.StandardMaterial(`maxHeightLineMat_${this.id}`, this.scene);
-        lineMaterial.emissiveColor = new BABYLON.Color3(1, 0, 0);
-        lineMaterial.disableLighting = true;
-        lineMaterial.alpha = 0.8;
-        this.maxHeightLineMesh.material = lineMaterial;
-        this.maxHeightLineMesh.isPickable = false;
+        this.valueAliases = VALUE_ALIASES;
 
         this.reset();
     }
 
     /**
      * Resets the objective to its initial state.
-     * Sets the `currentMaxYValue` to negative infinity, updates the `statusText`,
-     * and hides the visual line mesh.
+     * Sets the `currentMaxYValue` to negative infinity and updates the `statusText`.
      * @override
      */
     reset() {
@@ -81,18 +50,13 @@ export class MaxHeightObjective extends Objective {
         this.currentMaxYValue = -Infinity;
         this.statusText = `Highest Point (Max Y): Tracking...`;
         this.achievedHeightTimes = {};
-
-        if (this.maxHeightLineMesh && !this.maxHeightLineMesh.isDisposed()) {
-            this.maxHeightLineMesh.setEnabled(false);
-        }
     }
 
     /**
      * Updates the objective's state based on the current positions of physics bodies.
      * It iterates through all bodies, finds those matching the `baseTargetId`,
      * and determines the maximum Y-coordinate among them. If this value is greater
-     * than `currentMaxYValue`, it updates `currentMaxYValue`, the `statusText`,
-     * and the position of the visual line. It also records the time when specific
+     * than `currentMaxYValue`, it updates `currentMaxYValue` and the `statusText`. It also records the time when specific
      * height thresholds are met.
      *
      * @param {Map<string, Matter.Body>} bodies - A map of all physics bodies in the simulation.
@@ -117,76 +81,59 @@ export class MaxHeightObjective extends Objective {
 
         if (!lowestMatchingBody) {
             this.statusText = `No target starting with '${this.baseTargetId}' found.`;
-            if (this.maxHeightLineMesh && !this.maxHeightLineMesh.isDisposed() && this.maxHeightLineMesh.isEnabled()) {
-            }
             return;
         }
 
         if (overallMaxY > this.currentMaxYValue) {
             this.currentMaxYValue = overallMaxY;
 
-            if (this.maxHeightLineMesh && !this.maxHeightLineMesh.isDisposed()) {
-                if (!this.maxHeightLineMesh.isEnabled()) {
-                    this.maxHeightLineMesh.setEnabled(true);
+            getStarThresholds(this.config, this.valueAliases).forEach(threshold => {
+                if (this.currentMaxYValue >= threshold.minValue && this.achievedHeightTimes[threshold.minValue] === undefined) {
+                    this.achievedHeightTimes[threshold.minValue] = totalSimulationTime;
                 }
-                this.maxHeightLineMesh.position.y = this.currentMaxYValue;
-            }
-
-            if (this.config.starThresholds && Array.isArray(this.config.starThresholds)) {
-                this.config.starThresholds.forEach(threshold => {
-                    if (this.currentMaxYValue >= threshold.height && !this.achievedHeightTimes[threshold.height]) {
-                        this.achievedHeightTimes[threshold.height] = totalSimulationTime;
-                    }
-                });
-            }
+            });
         }
          this.statusText = `Max Height: ${this.currentMaxYValue > -Infinity ? this.currentMaxYValue.toFixed(1) + 'm' : 'Tracking...'}`;
     }
 
+    /**
+     * Gives the highest point, and the time the threshold's height was first reached.
+     * @param {object} threshold - The star threshold.
+     * @param {object} context - The run.
+     * @returns {object} The facts, see {@link Objective#getRatingFacts}.
+     * @override
+     */
+    getRatingFacts(threshold, context) {
+        const tracked = this.currentMaxYValue > -Infinity;
+        return {
+            achieved: tracked,
+            settled: false,
+            time: this.achievedHeightTimes[threshold.minValue] ?? null,
+            value: tracked ? this.currentMaxYValue : null,
+            trend: 'rising'
+        };
+    }
+
     /**
      * Calculates the number of stars earned based on the achieved height and time.
      * This should be called once at the end of the level.
      * @param {number} totalSimulationTimeAtLevelEnd - The total simulation time when the level ended.
+     * @param {object|null} [pieceUsage=null] - The pieces the run used.
+     * @param {number|null} [attempts=null] - The number of the attempt.
      */
-    calculateStars(totalSimulationTimeAtLevelEnd) {
-        this.starsEarned = 0;
-        if (!this.config.starThresholds || !Array.isArray(this.config.starThresholds) || this.config.starThresholds.length === 0) {
-            this.statusText = `Max Height: ${this.currentMaxYValue > -Infinity ? this.currentMaxYValue.toFixed(1) + 'm' : 'N/A'}`;
-            return;
-        }
-
-
-        const sortedThresholds = [...this.config.starThresholds].sort((a, b) => b.stars - a.stars);
-
-        for (const threshold of sortedThresholds) {
-            const heightMet = this.currentMaxYValue >= threshold.height;
-            let timeMet = true;
-
-            if (threshold.maxTime !== undefined) {
-                const timeAchieved = this.achievedHeightTimes[threshold.height];
-                timeMet = timeAchieved !== undefined && timeAchieved <= threshold.maxTime;
-            }
-
-            if (heightMet && timeMet) {
-                this.starsEarned = threshold.stars;
-                break;
-            }
-        }
-        this.statusText = `Max Height: ${this.currentMaxYValue > -Infinity ? this.currentMaxYValue.toFixed(1) + 'm' : 'N/A'} (${this.starsEarned} ${this.starsEarned === 1 ? 'Star' : 'Stars'})`;
+    calculateStars(totalSimulationTimeAtLevelEnd, pieceUsage = null, attempts = null) {
+        this.starsEarned = this.rateStars({ time: totalSimulationTimeAtLevelEnd, pieceUsage, attempts });
+        const heightText = this.currentMaxYValue > -Infinity ? this.currentMaxYValue.toFixed(1) + 'm' : 'N/A';
+        this.statusText = Array.isArray(this.config.starThresholds) && this.config.starThresholds.length > 0
+            ? `Max Height: ${heightText} (${this.starsEarned} ${this.starsEarned === 1 ? 'Star' : 'Stars'})`
+            : `Max Height: ${heightText}`;
     }
-
-     /**
-      * Disposes of resources used by this objective, specifically the visual line mesh.
-      * Ensures the mesh is removed from the scene and references are cleared.
-      * @override
-      */
-     dispose() {
-         if (this.maxHeightLineMesh) {
-             if (!this.maxHeightLineMesh.isDisposed()) {
-                 this.maxHeightLineMesh.dispose();
-                 console.log(`Disposed maxHeightLine for objective ${this.id}`);
-             }
-             this.maxHeightLineMesh = null;
-         }
-     }
  }
+
+registerObjectiveType('maxHeight', MaxHeightObjective, {
+    validate: config => [
+        !config.targetId && "needs a 'targetId' (base ID)",
+        ...getStarThresholdProblems(config, VALUE_ALIASES)
+    ].filter(Boolean),
+    dependencies: config => ({ targets: [config.targetId] })
+});
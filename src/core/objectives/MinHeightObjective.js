@@ -1,5 +1,9 @@
-import * as BABYLON from '@babylonjs/core';
 import { Objective } from './Objective.js';
+import { registerObjectiveType } from '../ruleRegistry.js';
+import { getStarThresholds, getStarThresholdProblems } from './starRating.js';
+
+/** @const {Object<string, string>} The star threshold name of the value criterion, see {@link module:core/objectives/starRating}. */
+const VALUE_ALIASES = { height: 'minValue' };
 
 /**
  * @class MinHeightObjective
@@ -7,7 +11,11 @@ import { Objective } from './Objective.js';
  * @description An objective that tracks a "ceiling" height. This ceiling starts at `initialHeight`
  * and can only decrease. The ceiling is lowered if the highest point of any target object
  * falls below the current ceiling.
- * It displays a visual line in the scene indicating this ceiling.
+ * The ceiling is drawn as a line by {@link module:core/visuals/heightLineVisuals}.
+ *
+ * Stars: `starThresholds` as described in {@link module:core/objectives/starRating}. The value is the ceiling,
+ * which only falls, so `height` (or `minValue`) is a height the ceiling must stay above, the opposite of
+ * `maxHeight`; the time is when the level ended. No stars are earned while the ceiling is still at `initialHeight`.
  *
  * @param {object} config - The configuration object for this objective.
  * @param {string} config.id - A unique identifier for this objective instance.
@@ -16,64 +24,29 @@ import { Objective } from './Objective.js';
  * @param {string} config.targetId - The base ID prefix of the object(s) to track.
  * @param {number} [config.initialHeight=Infinity] - The starting height from which the minimum is tracked.
  *                                                   The recorded height cannot go above this.
- * @param {BABYLON.Scene} scene - The Babylon.js scene instance.
- * @param {object} worldConfig - The world configuration object.
- * @param {object} worldConfig.simulationBounds - Defines the boundaries of the simulation area.
  */
 export class MinHeightObjective extends Objective {
     /**
      * Creates an instance of MinHeightObjective.
-     * Initializes tracking variables and creates a visual line mesh in the scene.
+     * Initializes tracking variables.
      * @param {object} config - Objective configuration from JSON.
      * @param {string} config.targetId - The ID of the object to track.
      * @param {number} [config.initialHeight=Infinity] - The initial height to start tracking from.
-     * @param {BABYLON.Scene} scene - The Babylon scene to add the line mesh to.
-     * @param {object} worldConfig - The world configuration (for bounds).
      */
-    constructor(config, scene, worldConfig) {
+    constructor(config) {
         super(config);
-        if (!config.targetId) {
-            throw new Error(`MinHeightObjective (id: ${this.id}) requires a 'targetId' (base ID) in config.`);
-        }
-        if (!scene) {
-            throw new Error(`MinHeightObjective (id: ${this.id}) requires a 'scene' instance.`);
-        }
-        if (!worldConfig?.simulationBounds) {
-            throw new Error(`MinHeightObjective (id: ${this.id}) requires 'worldConfig' with 'simulationBounds'.`);
-        }
-
         this.baseTargetId = config.targetId;
         this.initialHeight = config.initialHeight !== undefined ? config.initialHeight : Infinity;
         this.currentMinYValue = this.initialHeight;
-        this.minHeightLineMesh = null;
-        this.scene = scene;
         this.achievedHeightTimes = {};
-
-        const simBounds = worldConfig.simulationBounds;
-        const lineWidth = simBounds.width;
-        const linePoints = [
-            new BABYLON.Vector3(simBounds.x, 0, 10),
-            new BABYLON.Vector3(simBounds.x + lineWidth, 0, 10)
-        ];
-        this.minHeightLineMesh = BABYLON.MeshBuilder.CreateLines(
-            `minHeightLine_${this.id}`,
-            { points: linePoints, updatable: true },
-            this.scene
-        );
-        const lineMaterial = new BABYLON.StandardMaterial(`minHeightLineMat_${this.id}`, this.scene);
-        lineMaterial.emissiveColor = new BABYLON.Color3(0, 0, 1);
-        lineMaterial.disableLighting = true;
-        lineMaterial.alpha = 0.8;
-        this.minHeightLineMesh.material = lineMaterial;
-        this.minHeightLineMesh.isPickable = false;
+        this.valueAliases = VALUE_ALIASES;
 
         this.reset();
     }
 
     /**
      * Resets the objective to its initial state.
-     * Sets `currentMinYValue` to `initialHeight`, updates `statusText`,
-     * and positions/hides the visual line mesh.
+     * Sets `currentMinYValue` to `initialHeight` and updates `statusText`.
      * @override
      */
     reset() {
@@ -81,15 +54,6 @@ export class MinHeightObjective extends Objective {
         this.currentMinYValue = this.initialHeight;
         this.statusText = `Ceiling Height: Tracking...`;
         this.achievedHeightTimes = {};
-
-        if (this.minHeightLineMesh && !this.minHeightLineMesh.isDisposed()) {
-            if (this.currentMinYValue === Infinity) {
-                this.minHeightLineMesh.setEnabled(false);
-            } else {
-                this.minHeightLineMesh.position.y = this.currentMinYValue;
-                this.minHeightLineMesh.setEnabled(true);
-            }
-        }
     }
 
     /**
@@ -97,8 +61,7 @@ export class MinHeightObjective extends Objective {
      * It iterates through all bodies, finds those matching `baseTargetId`,
      * and determines the maximum Y-coordinate (highest point) among them.
      * If this highest point is less than `currentMinYValue` (the current ceiling),
-     * it updates `currentMinYValue` to this new lower ceiling, updates `statusText`,
-     * and the visual line's position.
+     * it updates `currentMinYValue` to this new lower ceiling and updates `statusText`.
      *
      * @param {Map<string, Matter.Body>} bodies - A map of all physics bodies.
      * @param {number} deltaTime - Time elapsed since the last frame.
@@ -144,68 +107,52 @@ export class MinHeightObjective extends Objective {
         if (newCeilingCandidate < this.currentMinYValue) {
             this.currentMinYValue = newCeilingCandidate;
 
-            if (this.minHeightLineMesh && !this.minHeightLineMesh.isDisposed()) {
-                if (!this.minHeightLineMesh.isEnabled()) {
-                    this.minHeightLineMesh.setEnabled(true);
+            getStarThresholds(this.config, this.valueAliases).forEach(threshold => {
+                if (this.currentMinYValue <= threshold.minValue && this.achievedHeightTimes[threshold.minValue] === undefined) {
+                    this.achievedHeightTimes[threshold.minValue] = totalSimulationTime;
                 }
-                this.minHeightLineMesh.position.y = this.currentMinYValue;
-            }
-
-            if (this.config.starThresholds && Array.isArray(this.config.starThresholds)) {
-                this.config.starThresholds.forEach(threshold => {
-                    if (this.currentMinYValue <= threshold.height && !this.achievedHeightTimes[threshold.height]) {
-                        this.achievedHeightTimes[threshold.height] = totalSimulationTime;
-                    }
-                });
-            }
+            });
         }
         this.statusText = `Ceiling: ${this.currentMinYValue !== Infinity ? this.currentMinYValue.toFixed(1) + 'm' : 'Tracking...'}`;
     }
 
     /**
-     * Calculates stars earned based on how low the ceiling (`currentMinYValue`) got.
-     * @param {number} totalSimulationTimeAtLevelEnd - Total simulation time at level end.
+     * Gives the ceiling, rated at the time the level ended (or now, for a prediction).
+     * @param {object} threshold - The star threshold.
+     * @param {object} context - The run.
+     * @returns {object} The facts, see {@link Objective#getRatingFacts}.
+     * @override
      */
-    calculateStars(totalSimulationTimeAtLevelEnd) {
-        this.starsEarned = 0;
-        if (!this.config.starThresholds || !Array.isArray(this.config.starThresholds) || this.config.starThresholds.length === 0) {
-            this.statusText = `Ceiling: ${this.currentMinYValue !== Infinity ? this.currentMinYValue.toFixed(1) + 'm' : 'N/A'}`;
-            return;
-        }
-
-        const sortedThresholds = [...this.config.starThresholds].sort((a, b) => b.stars - a.stars);
-
-        for (const threshold of sortedThresholds) {
-            const heightMet = this.currentMinYValue >= threshold.height;
-            console.log(`Threshold: ${threshold.height}m, Stars: ${threshold.stars}, Height Met: ${heightMet}, Current Min Y: ${this.currentMinYValue}`);
-            if (this.currentMinYValue == this.initialHeight) {
-                this.starsEarned = 0;
-                break;
-            }
-            
-            let timeMet = true;
-            if (threshold.maxTime !== undefined) {
-                timeMet = totalSimulationTimeAtLevelEnd <= threshold.maxTime;
-            }
-
-            if (heightMet && timeMet) {
-                this.starsEarned = threshold.stars;
-                break;
-            }
-        }
-        this.statusText = `Ceiling: ${this.currentMinYValue !== Infinity ? this.currentMinYValue.toFixed(1) + 'm' : 'N/A'} (${this.starsEarned} ${this.starsEarned === 1 ? 'Star' : 'Stars'})`;
+    getRatingFacts(threshold, context) {
+        return {
+            achieved: this.currentMinYValue !== this.initialHeight,
+            settled: false,
+            time: context.time,
+            value: this.currentMinYValue,
+            trend: 'falling'
+        };
     }
 
     /**
-     * Disposes of resources used by this objective.
-     * @override
+     * Calculates stars earned based on how low the ceiling (`currentMinYValue`) got.
+     * @param {number} totalSimulationTimeAtLevelEnd - The total simulation time when the level ended.
+     * @param {object|null} [pieceUsage=null] - The pieces the run used.
+     * @param {number|null} [attempts=null] - The number of the attempt.
      */
-    dispose() {
-        if (this.minHeightLineMesh) {
-            if (!this.minHeightLineMesh.isDisposed()) {
-                this.minHeightLineMesh.dispose();
-            }
-            this.minHeightLineMesh = null;
-        }
+    calculateStars(totalSimulationTimeAtLevelEnd, pieceUsage = null, attempts = null) {
+        this.starsEarned = this.rateStars({ time: totalSimulationTimeAtLevelEnd, pieceUsage, attempts });
+        const ceilingText = this.currentMinYValue !== Infinity ? this.currentMinYValue.toFixed(1) + 'm' : 'N/A';
+        this.statusText = Array.isArray(this.config.starThresholds) && this.config.starThresholds.length > 0
+            ? `Ceiling: ${ceilingText} (${this.starsEarned} ${this.starsEarned === 1 ? 'Star' : 'Stars'})`
+            : `Ceiling: ${ceilingText}`;
     }
 }
+
+registerObjectiveType('minHeight', MinHeightObjective, {
+    validate: config => [
+        !config.targetId && "needs a 'targetId' (base ID)",
+        config.initialHeight !== undefined && typeof config.initialHeight !== 'number' && "needs a numeric 'initialHeight'",
+        ...getStarThresholdProblems(config, VALUE_ALIASES)
+    ].filter(Boolean),
+    dependencies: config => ({ targets: [config.targetId] })
+});
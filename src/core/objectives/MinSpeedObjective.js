@@ -0,0 +1,58 @@
+import { PeakValueObjective } from './PeakValueObjective.js';
+import { registerObjectiveType } from '../ruleRegistry.js';
+import { getStarThresholdProblems } from './starRating.js';
+import { fromBodyVelocity } from '../physics/clock.js';
+
+/**
+ * @class MinSpeedObjective
+ * @extends PeakValueObjective
+ * @description An objective achieved when a target body reaches a minimum speed at some point of the run,
+ * e.g. a catapult throwing a ball fast enough. Star thresholds may set a higher `speed`.
+ *
+ * @param {object} config - The configuration object for this objective.
+ * @param {string} config.id - A unique identifier for this objective instance.
+ * @param {string} config.type - The type of the objective ("minSpeed").
+ * @param {string} config.displayName - A user-friendly name for display in the UI.
+ * @param {string} config.targetId - The base ID prefix of the object(s) to track.
+ * @param {number} config.speed - The speed to reach, in world units per second.
+ */
+export class MinSpeedObjective extends PeakValueObjective {
+    /**
+     * Creates an instance of MinSpeedObjective.
+     * @param {object} config - Objective configuration from JSON.
+     */
+    constructor(config) {
+        super(config, 'speed', 'Top Speed');
+        this.reset();
+    }
+
+    /**
+     * Measures the speed of a body.
+     * @param {string} id - The ID of the body.
+     * @param {Matter.Body} body - The body.
+     * @returns {number} The speed, in world units per second.
+     * @override
+     */
+    measure(id, body) {
+        return fromBodyVelocity(body.speed);
+    }
+
+    /**
+     * Formats a speed.
+     * @param {number} value - The speed.
+     * @returns {string} The formatted speed.
+     * @override
+     */
+    formatValue(value) {
+        return `${value.toFixed(1)} m/s`;
+    }
+}
+
+registerObjectiveType('minSpeed', MinSpeedObjective, {
+    validate: config => [
+        !config.targetId && "needs a 'targetId' (base ID)",
+        !(typeof config.speed === 'number' && config.speed > 0) && "needs a positive 'speed'",
+        ...getStarThresholdProblems(config, { speed: 'minValue' })
+    ].filter(Boolean),
+    dependencies: config => ({ targets: [config.targetId] })
+});
@@ -1,9 +1,13 @@
+import { getStarThresholds, rateStarThresholds, predictStarThresholds } from './starRating.js';
+
 /**
  * @class Objective
  * @abstract
  * @description Base abstract class for all simulation objectives.
  * It defines the common structure and methods that specific objective types must implement.
  * Objectives represent goals or conditions to be met or tracked within the simulation.
+ * Subclasses register their type with {@link module:core/ruleRegistry}, which validates each objective's
+ * config before creating it.
  *
  * @property {string} id - Unique identifier for the objective instance, from config.
  * @property {string} type - Type of the objective (e.g., "maxHeight", "stayInZone"), from config.
@@ -11,6 +15,9 @@
  * @property {boolean} isComplete - Flag indicating if the objective has been successfully completed.
  * @property {boolean} isFailed - Flag indicating if the objective has been failed (optional, for objectives that can fail).
  * @property {string} statusText - A user-friendly string describing the current status or progress of the objective.
+ * @property {Object<string, string>|null} valueAliases - The type's own names for the value criteria of its star
+ *                                                        thresholds, or null if it measures no value, see
+ *                                                        {@link module:core/objectives/starRating}.
  */
 export class Objective {
     /**
@@ -36,6 +43,7 @@ export class Objective {
         this.statusText = 'Pending';
         this.config = config;
         this.starsEarned = 0;
+        this.valueAliases = null;
     }
 
     /**
@@ -61,19 +69,77 @@ export class Objective {
      * @param {Map<string, Matter.Body>} bodies - A map of all physics bodies currently in the simulation.
      *                                          The keys are `configId`s and values are `Matter.Body` instances.
      * @param {number} deltaTime - The time elapsed since the last frame, in seconds.
+     * @param {number} totalSimulationTime - The simulation clock, in seconds.
+     * @param {Array<object>} contacts - The contacts that began during the tick, see {@link module:core/physics/contacts}.
      * @throws {Error} If not implemented by a subclass.
      */
-    update(bodies, deltaTime) {
+    update(bodies, deltaTime, totalSimulationTime, contacts) {
         throw new Error("Method 'update()' must be implemented by subclasses.");
     }
 
+    /**
+     * Returns how far the objective is from being complete.
+     * Subclasses that track a partial result (e.g. time spent in a zone) should override this.
+     * @returns {number} The progress, from 0 to 1.
+     */
+    getProgress() {
+        return this.isComplete ? 1 : 0;
+    }
+
+    /**
+     * Returns what a star threshold is checked against. Subclasses override this to give their time and value;
+     * by default the objective is achieved once complete and has neither.
+     * @param {object} threshold - The star threshold, with criterion names, see {@link module:core/objectives/starRating.getStarThresholds}.
+     * @param {{time: number, pieceUsage: object|null, attempts: number|null}} context - The run: the simulation
+     *        clock (the end of the run, or now for a prediction), the pieces used and the attempt number.
+     * @returns {{achieved: boolean, settled: boolean, time: number|null, value: number|null, trend: string|null}}
+     *          Whether the objective is achieved, and whether that can no longer change; when it was achieved,
+     *          for the threshold's criteria; its value, and whether the value can only go 'rising' or 'falling'.
+     */
+    getRatingFacts(threshold, context) {
+        return { achieved: this.isComplete, settled: this.isComplete || this.isFailed, time: null, value: null, trend: null };
+    }
+
+    /**
+     * Returns the facts a threshold is checked against, with those of the run added.
+     * @param {{time: number, pieceUsage: object|null, attempts: number|null}} context - The run.
+     * @returns {function(object): object} The facts of a threshold.
+     * @private
+     */
+    getFactsReader(context) {
+        const { time, pieceUsage = null, attempts = null } = context;
+        return threshold => ({ ...this.getRatingFacts(threshold, context), now: time, pieceUsage, attempts });
+    }
+
+    /**
+     * Rates the objective against its star thresholds, see {@link module:core/objectives/starRating}.
+     * @param {{time: number, pieceUsage: object|null, attempts: number|null}} context - The run that ended: the
+     *        simulation clock, the pieces used (see {@link module:core/simulationCore.measurePieceUsage}) and the attempt number.
+     * @returns {number} The stars earned, 0 without star thresholds.
+     */
+    rateStars(context) {
+        return rateStarThresholds(getStarThresholds(this.config, this.valueAliases), this.getFactsReader(context));
+    }
+
+    /**
+     * Predicts the stars of a run still going on: those it would earn if it ended now, and the most it can still earn.
+     * @param {{time: number, pieceUsage: object|null, attempts: number|null}} context - The run so far.
+     * @returns {{stars: number, best: number}|null} The stars, or null if the objective has no star thresholds.
+     */
+    predictStars(context) {
+        const thresholds = getStarThresholds(this.config, this.valueAliases);
+        if (thresholds.length === 0) return null;
+        const readFacts = this.getFactsReader(context);
+        return { stars: rateStarThresholds(thresholds, readFacts), best: predictStarThresholds(thresholds, readFacts) };
+    }
+
     /**
      * Returns an object representing the current status of the objective.
      * This is typically used by the UI to display information about the objective.
      *
-     * @returns {{id: string, displayName: string, isComplete: boolean, isFailed: boolean, statusText: string}}
+     * @returns {{id: string, displayName: string, isComplete: boolean, isFailed: boolean, statusText: string, starsEarned: number, progress: number}}
      *          An object containing the objective's ID, display name, completion status, failure status,
-     *          status text, and stars earned.
+     *          status text, stars earned and progress.
      */
     getStatus() {
          return {
@@ -82,14 +148,33 @@ export class Objective {
              isComplete: this.isComplete,
              isFailed: this.isFailed,
              statusText: this.statusText,
-             starsEarned: this.starsEarned
+             starsEarned: this.starsEarned,
+             progress: this.getProgress()
           };
      }
 
+    /**
+     * Copies the state of the objective, leaving out its configuration, e.g. to record it in the timeline.
+     * @returns {object} The copied state.
+     */
+    captureState() {
+        const { config, ...state } = this;
+        return structuredClone(state);
+    }
+
+    /**
+     * Puts the objective back in a state copied by {@link Objective#captureState}.
+     * @param {object} state - The copied state.
+     */
+    restoreState(state) {
+        Object.assign(this, structuredClone(state));
+    }
+
      /**
       * Cleans up any resources created or used by the objective.
-      * This method should be overridden by subclasses if they create disposable resources,
-      * such as visual elements in the scene (e.g., meshes, materials).
+      * This method should be overridden by subclasses if they hold disposable resources.
+      * Objectives must not create scene elements (meshes, materials) themselves, so that they also
+      * run headless; their visuals live in `core/visuals`.
       * Called when the objective is no longer needed, for example, when the simulation is reset
       * or a new scene is loaded.
       */
@@ -0,0 +1,167 @@
+import { Objective } from './Objective.js';
+import { getStarThresholds } from './starRating.js';
+
+/**
+ * @class PeakValueObjective
+ * @extends Objective
+ * @abstract
+ * @description Base class for objectives that measure a value on the target bodies every tick (a speed,
+ * a number of rotations, a distance) and keep the best one reached by any body whose `configId` starts
+ * with `targetId`. Like `maxHeight`, they keep tracking for the whole run and are scored when the level
+ * ends: the objective is achieved if the best value reached the required one, `config[valueKey]`.
+ *
+ * Stars: `starThresholds` as described in {@link module:core/objectives/starRating}. The value is the best
+ * one reached, so `[valueKey]` (or `minValue`) asks for more than required, and the time is when the entry's
+ * value (the required one if it does not set one) was first reached.
+ *
+ * Subclasses set `valueKey`, `label` and implement {@link PeakValueObjective#measure} and
+ * {@link PeakValueObjective#formatValue}.
+ *
+ * @param {object} config - The configuration object for this objective.
+ * @param {string} config.targetId - The base ID prefix of the object(s) to track.
+ */
+export class PeakValueObjective extends Objective {
+    /**
+     * Initializes the tracking state. Called through `super(config, valueKey, label)` by subclasses.
+     * @param {object} config - Objective configuration from JSON.
+     * @param {string} valueKey - The config key of the required value, also the name of `minValue` in star thresholds.
+     * @param {string} label - Names the value in status texts, e.g. 'Top Speed'.
+     * @throws {Error} If `PeakValueObjective` is instantiated directly.
+     */
+    constructor(config, valueKey, label) {
+        super(config);
+        if (this.constructor === PeakValueObjective) {
+            throw new Error("Abstract classes can't be instantiated.");
+        }
+        this.baseTargetId = config.targetId;
+        this.valueKey = valueKey;
+        this.valueAliases = { [valueKey]: 'minValue' };
+        this.label = label;
+        this.requiredValue = config[valueKey];
+        this.bestValue = 0;
+        this.reachedTimes = {};
+    }
+
+    /**
+     * Resets the objective to its initial state.
+     * @override
+     */
+    reset() {
+        super.reset();
+        this.bestValue = 0;
+        this.reachedTimes = {};
+        this.statusText = this.describeValue();
+    }
+
+    /**
+     * Measures the value of one target body.
+     * @abstract
+     * @param {string} id - The ID of the body.
+     * @param {Matter.Body} body - The body.
+     * @returns {number} The value.
+     */
+    measure(id, body) {
+        throw new Error("Method 'measure()' must be implemented by subclasses.");
+    }
+
+    /**
+     * Formats a value for status texts.
+     * @abstract
+     * @param {number} value - The value.
+     * @returns {string} The formatted value, with its unit.
+     */
+    formatValue(value) {
+        throw new Error("Method 'formatValue()' must be implemented by subclasses.");
+    }
+
+    /**
+     * Describes the best value against the required one.
+     * @returns {string} The description.
+     * @private
+     */
+    describeValue() {
+        return `${this.label}: ${this.formatValue(this.bestValue)} / ${this.formatValue(this.requiredValue)}`;
+    }
+
+    /**
+     * Returns the values whose first time is recorded: the required one and those of the star thresholds.
+     * @returns {Array<number>} The values.
+     * @private
+     */
+    getTrackedValues() {
+        const thresholds = getStarThresholds(this.config, this.valueAliases);
+        return [this.requiredValue, ...thresholds.map(threshold => threshold.minValue).filter(value => typeof value === 'number')];
+    }
+
+    /**
+     * Measures the target bodies and records the best value, and the time each tracked value is first reached.
+     *
+     * @param {Map<string, Matter.Body>} bodies - A map of all physics bodies in the simulation.
+     * @param {number} deltaTime - Time elapsed since the last frame, in seconds.
+     * @param {number} totalSimulationTime - The total time elapsed in the current simulation run.
+     * @override
+     */
+    update(bodies, deltaTime, totalSimulationTime) {
+        if (this.isComplete || this.isFailed) return;
+
+        let current = -Infinity;
+        for (const [id, body] of bodies) {
+            if (id.startsWith(this.baseTargetId)) {
+                current = Math.max(current, this.measure(id, body));
+            }
+        }
+        if (current === -Infinity) {
+            this.statusText = `No target starting with '${this.baseTargetId}' found.`;
+            return;
+        }
+
+        if (current > this.bestValue) {
+            this.bestValue = current;
+            this.getTrackedValues().forEach(value => {
+                if (this.bestValue >= value && this.reachedTimes[value] === undefined) {
+                    this.reachedTimes[value] = totalSimulationTime;
+                }
+            });
+        }
+        this.statusText = this.describeValue();
+    }
+
+    /**
+     * Returns the best value as a share of the required one.
+     * @returns {number} The progress, from 0 to 1.
+     * @override
+     */
+    getProgress() {
+        return Math.min(1, this.bestValue / this.requiredValue);
+    }
+
+    /**
+     * Gives the best value, and the time the threshold's value was first reached.
+     * @param {object} threshold - The star threshold.
+     * @param {object} context - The run.
+     * @returns {object} The facts, see {@link Objective#getRatingFacts}.
+     * @override
+     */
+    getRatingFacts(threshold, context) {
+        return {
+            achieved: this.reachedTimes[this.requiredValue] !== undefined,
+            settled: false,
+            time: this.reachedTimes[threshold.minValue ?? this.requiredValue] ?? null,
+            value: this.bestValue,
+            trend: 'rising'
+        };
+    }
+
+    /**
+     * Decides whether the objective is achieved and calculates the stars earned.
+     * This should be called once at the end of the level.
+     * @param {number} totalSimulationTimeAtLevelEnd - The total simulation time when the level ended.
+     * @param {object|null} [pieceUsage=null] - The pieces the run used.
+     * @param {number|null} [attempts=null] - The number of the attempt.
+     */
+    calculateStars(totalSimulationTimeAtLevelEnd, pieceUsage = null, attempts = null) {
+        this.isComplete = this.reachedTimes[this.requiredValue] !== undefined;
+        this.starsEarned = this.rateStars({ time: totalSimulationTimeAtLevelEnd, pieceUsage, attempts });
+        this.statusText = `${this.describeValue()} (${this.starsEarned} ${this.starsEarned === 1 ? 'Star' : 'Stars'})`;
+    }
+}
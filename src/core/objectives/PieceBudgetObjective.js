@@ -0,0 +1,120 @@
+import { Objective } from './Objective.js';
+import { registerObjectiveType } from '../ruleRegistry.js';
+import { getStarThresholdProblems } from './starRating.js';
+
+/**
+ * @class PieceBudgetObjective
+ * @extends Objective
+ * @description An objective on how few inventory pieces the solution uses: at most `maxPieces` pieces,
+ * and/or a total price of at most `maxCost`, each inventory item costing its `price` (1 by default).
+ * The pieces are counted when the level ends, by comparing the inventory with the level as designed,
+ * see {@link module:core/simulationCore.measurePieceUsage}.
+ *
+ * Stars: `starThresholds` as described in {@link module:core/objectives/starRating}, typically with tighter
+ * `maxPieces` and `maxCost`; the objective is achieved when the solution is within its own limits.
+ *
+ * @param {object} config - The configuration object for this objective.
+ * @param {string} config.id - A unique identifier for this objective instance.
+ * @param {string} config.type - The type of the objective ("pieceBudget").
+ * @param {string} config.displayName - A user-friendly name for display in the UI.
+ * @param {number} [config.maxPieces] - The most pieces the solution may place.
+ * @param {number} [config.maxCost] - The most the placed pieces may cost (`maxPieces` and/or `maxCost` is required).
+ */
+export class PieceBudgetObjective extends Objective {
+    /**
+     * Creates an instance of PieceBudgetObjective.
+     * @param {object} config - Objective configuration from JSON.
+     */
+    constructor(config) {
+        super(config);
+        this.maxPieces = config.maxPieces ?? null;
+        this.maxCost = config.maxCost ?? null;
+        this.piecesUsed = null;
+        this.costUsed = null;
+        this.reset();
+    }
+
+    /**
+     * Resets the objective to its initial state.
+     * @override
+     */
+    reset() {
+        super.reset();
+        this.piecesUsed = null;
+        this.costUsed = null;
+        this.statusText = this.describeBudget();
+    }
+
+    /**
+     * Describes the limits, with the pieces used once they are counted.
+     * @returns {string} The description.
+     * @private
+     */
+    describeBudget() {
+        const parts = [];
+        if (this.maxPieces !== null) {
+            parts.push(`Pieces: ${this.piecesUsed ?? '?'} / ${this.maxPieces}`);
+        }
+        if (this.maxCost !== null) {
+            parts.push(`Cost: ${this.costUsed ?? '?'} / ${this.maxCost}`);
+        }
+        return parts.join(', ');
+    }
+
+    /**
+     * Does nothing: the pieces are placed before the run and counted when it ends.
+     * @param {Map<string, Matter.Body>} bodies - A map of all physics bodies (unused by this objective).
+     * @param {number} deltaTime - Time elapsed since the last frame, in seconds.
+     * @param {number} totalSimulationTime - The total time elapsed in the current simulation run.
+     * @override
+     */
+    update(bodies, deltaTime, totalSimulationTime) {
+    }
+
+    /**
+     * Gives whether the pieces used are within the objective's own limits; the star thresholds then
+     * check their `maxPieces` and `maxCost` against the same pieces.
+     * @param {object} threshold - The star threshold.
+     * @param {object} context - The run.
+     * @returns {object} The facts, see {@link Objective#getRatingFacts}.
+     * @override
+     */
+    getRatingFacts(threshold, context) {
+        const { pieceUsage } = context;
+        return {
+            achieved: Boolean(pieceUsage) && (this.maxPieces === null || pieceUsage.pieces <= this.maxPieces) &&
+                (this.maxCost === null || pieceUsage.cost <= this.maxCost),
+            settled: Boolean(pieceUsage),
+            time: null,
+            value: null,
+            trend: null
+        };
+    }
+
+    /**
+     * Counts the pieces used and calculates the stars earned from the limits.
+     * @param {number} totalSimulationTimeAtLevelEnd - The total simulation time when the level ended.
+     * @param {module:core/simulationCore.PieceUsage|null} pieceUsage - The pieces the run used, null if unknown.
+     * @param {number|null} [attempts=null] - The number of the attempt.
+     */
+    calculateStars(totalSimulationTimeAtLevelEnd, pieceUsage, attempts = null) {
+        this.starsEarned = 0;
+        if (!pieceUsage) {
+            this.statusText = 'Pieces used unknown';
+            return;
+        }
+        this.piecesUsed = pieceUsage.pieces;
+        this.costUsed = pieceUsage.cost;
+        this.starsEarned = this.rateStars({ time: totalSimulationTimeAtLevelEnd, pieceUsage, attempts });
+        this.statusText = `${this.describeBudget()} (${this.starsEarned} ${this.starsEarned === 1 ? 'Star' : 'Stars'})`;
+    }
+}
+
+registerObjectiveType('pieceBudget', PieceBudgetObjective, {
+    validate: config => [
+        config.maxPieces === undefined && config.maxCost === undefined && "needs a 'maxPieces' or a 'maxCost'",
+        config.maxPieces !== undefined && !(Number.isInteger(config.maxPieces) && config.maxPieces >= 0) && "needs a non-negative integer 'maxPieces'",
+        config.maxCost !== undefined && !(typeof config.maxCost === 'number' && config.maxCost >= 0) && "needs a non-negative 'maxCost'",
+        ...getStarThresholdProblems(config)
+    ].filter(Boolean)
+});
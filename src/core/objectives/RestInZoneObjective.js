@@ -0,0 +1,180 @@
+import { Objective } from './Objective.js';
+import { registerObjectiveType } from '../ruleRegistry.js';
+import { getZoneProblems, createZoneShape, isBodyInZone } from '../physics/zoneShapes.js';
+import { fromBodyVelocity } from '../physics/clock.js';
+import { getQuantifierProblems, getRequiredCount, isQuantifierMet, describeTargetCount } from './targetCounts.js';
+import { getStarThresholdProblems } from './starRating.js';
+
+/** @const {Object<string, string>} The star threshold name of the value criterion, see {@link module:core/objectives/starRating}. */
+const VALUE_ALIASES = { maxOffset: 'maxValue' };
+
+/**
+ * @class RestInZoneObjective
+ * @extends Objective
+ * @description An objective completed when a target body comes fully to rest inside a zone:
+ * its speed and angular speed stay below `maxSpeed` and `maxAngularSpeed` for `duration` seconds while
+ * it is in the zone (by default, its centre; see {@link module:core/physics/zoneShapes}). Unlike
+ * `stayInZone`, a body rolling or bouncing through the zone does not count. With a `quantifier`, "all" or
+ * at least N of the targets must rest there at once (see {@link module:core/objectives/targetCounts}).
+ *
+ * Stars: `starThresholds` as described in {@link module:core/objectives/starRating}. The time is when the
+ * body came to rest, and the value is its distance from the zone centre, so `maxOffset` (or `maxValue`) asks
+ * for "land in the bullseye". With several resting bodies required, it applies to the farthest of the closest ones.
+ *
+ * @param {object} config - The configuration object for this objective.
+ * @param {string} config.id - A unique identifier for this objective instance.
+ * @param {string} config.type - The type of the objective ("restInZone").
+ * @param {string} config.displayName - A user-friendly name for display in the UI.
+ * @param {string} config.targetId - The base ID prefix of the object(s) to track.
+ * @param {object} config.zone - The zone: rectangle, circle or polygon, by its centre.
+ * @param {number} [config.duration=1] - The seconds the body must stay at rest.
+ * @param {number} [config.maxSpeed=2] - The speed below which the body is at rest, in world units per second.
+ * @param {number} [config.maxAngularSpeed=0.2] - The angular speed below which the body is at rest, in radians per second.
+ * @param {string|number} [config.quantifier='any'] - How many targets must rest in the zone: "any", "all" or at least N.
+ * @param {string} [config.targetLabel] - What the targets are called in the status, e.g. "balls".
+ */
+export class RestInZoneObjective extends Objective {
+    /**
+     * Creates an instance of RestInZoneObjective.
+     * @param {object} config - Objective configuration from JSON.
+     */
+    constructor(config) {
+        super(config);
+        this.baseTargetId = config.targetId;
+        this.zone = config.zone;
+        this.zoneShape = createZoneShape(config.zone);
+        this.requiredDuration = config.duration ?? 1;
+        this.maxSpeed = config.maxSpeed ?? 2;
+        this.maxAngularSpeed = config.maxAngularSpeed ?? 0.2;
+        this.quantifier = config.quantifier ?? 'any';
+        this.valueAliases = VALUE_ALIASES;
+        this.timeAtRest = 0;
+        this.restOffset = null;
+        this.timeObjectiveCompleted = -1;
+        this.reset();
+    }
+
+    /**
+     * Resets the objective to its initial state.
+     * @override
+     */
+    reset() {
+        super.reset();
+        this.timeAtRest = 0;
+        this.restOffset = null;
+        this.timeObjectiveCompleted = -1;
+        this.statusText = 'Not at rest in the zone';
+    }
+
+    /**
+     * Returns the distance between a body and the zone centre if the body rests in the zone.
+     * @param {Matter.Body} body - The body.
+     * @returns {number|null} The distance, or null if the body moves or is outside the zone.
+     * @private
+     */
+    getRestOffset(body) {
+        const { x, y } = body.position;
+        const inZone = isBodyInZone(body, this.zoneShape);
+        const atRest = fromBodyVelocity(body.speed) <= this.maxSpeed &&
+            Math.abs(fromBodyVelocity(body.angularVelocity)) <= this.maxAngularSpeed;
+        return inZone && atRest ? Math.hypot(x - this.zone.x, y - this.zone.y) : null;
+    }
+
+    /**
+     * Counts the time enough target bodies rest in the zone, and completes the objective once they have
+     * rested for `duration`. The count restarts when too few targets rest there.
+     *
+     * @param {Map<string, Matter.Body>} bodies - A map of all physics bodies in the simulation.
+     * @param {number} deltaTime - Time elapsed since the last frame, in seconds.
+     * @param {number} totalSimulationTime - The total time elapsed in the current simulation run.
+     * @override
+     */
+    update(bodies, deltaTime, totalSimulationTime) {
+        if (this.isComplete || this.isFailed) return;
+
+        const offsets = [];
+        let targetCount = 0;
+        for (const [id, body] of bodies) {
+            if (id.startsWith(this.baseTargetId)) {
+                targetCount++;
+                const bodyOffset = this.getRestOffset(body);
+                if (bodyOffset !== null) {
+                    offsets.push(bodyOffset);
+                }
+            }
+        }
+        if (targetCount === 0) {
+            this.statusText = `No target starting with '${this.baseTargetId}' found.`;
+            return;
+        }
+
+        let restText;
+        if (!isQuantifierMet(this.quantifier, offsets.length, targetCount)) {
+            this.timeAtRest = 0;
+            restText = 'Not at rest in the zone';
+        } else {
+            this.timeAtRest += deltaTime;
+            if (this.timeAtRest >= this.requiredDuration) {
+                this.timeAtRest = this.requiredDuration;
+                this.isComplete = true;
+                this.timeObjectiveCompleted = totalSimulationTime;
+                this.restOffset = offsets.sort((a, b) => a - b)[getRequiredCount(this.quantifier, targetCount) - 1];
+                restText = `At rest in the zone at ${totalSimulationTime.toFixed(1)}s`;
+            } else {
+                restText = `At rest: ${this.timeAtRest.toFixed(1)} / ${this.requiredDuration.toFixed(1)}s`;
+            }
+        }
+        const countText = describeTargetCount(this.config, this.quantifier, offsets.length, targetCount, 'at rest in zone');
+        this.statusText = countText ? `${countText} - ${restText}` : restText;
+    }
+
+    /**
+     * Returns the time at rest as a share of the required duration.
+     * @returns {number} The progress, from 0 to 1.
+     * @override
+     */
+    getProgress() {
+        return this.isComplete ? 1 : Math.min(1, this.timeAtRest / this.requiredDuration);
+    }
+
+    /**
+     * Gives the time the body came to rest and its distance from the zone centre.
+     * @param {object} threshold - The star threshold.
+     * @param {object} context - The run.
+     * @returns {object} The facts, see {@link Objective#getRatingFacts}.
+     * @override
+     */
+    getRatingFacts(threshold, context) {
+        return {
+            ...super.getRatingFacts(threshold, context),
+            time: this.isComplete ? this.timeObjectiveCompleted : null,
+            value: this.isComplete ? this.restOffset : null
+        };
+    }
+
+    /**
+     * Calculates the stars earned from the time and place the body came to rest.
+     * @param {number} totalSimulationTimeAtLevelEnd - The total simulation time when the level ended.
+     * @param {object|null} [pieceUsage=null] - The pieces the run used.
+     * @param {number|null} [attempts=null] - The number of the attempt.
+     */
+    calculateStars(totalSimulationTimeAtLevelEnd, pieceUsage = null, attempts = null) {
+        this.starsEarned = this.rateStars({ time: totalSimulationTimeAtLevelEnd, pieceUsage, attempts });
+        this.statusText = this.isComplete
+            ? `At rest at ${this.timeObjectiveCompleted.toFixed(1)}s, ${this.restOffset.toFixed(1)}m from the centre (${this.starsEarned} ${this.starsEarned === 1 ? 'Star' : 'Stars'})`
+            : 'Never came to rest in the zone';
+    }
+}
+
+registerObjectiveType('restInZone', RestInZoneObjective, {
+    validate: config => [
+        !config.targetId && "needs a 'targetId' (base ID)",
+        ...getZoneProblems(config.zone),
+        ...getQuantifierProblems(config),
+        config.duration !== undefined && !(typeof config.duration === 'number' && config.duration > 0) && "needs a positive 'duration'",
+        config.maxSpeed !== undefined && !(typeof config.maxSpeed === 'number' && config.maxSpeed > 0) && "needs a positive 'maxSpeed'",
+        config.maxAngularSpeed !== undefined && !(typeof config.maxAngularSpeed === 'number' && config.maxAngularSpeed > 0) && "needs a positive 'maxAngularSpeed'",
+        ...getStarThresholdProblems(config, VALUE_ALIASES)
+    ].filter(Boolean),
+    dependencies: config => ({ targets: [config.targetId] })
+});
@@ -0,0 +1,71 @@
+import { PeakValueObjective } from './PeakValueObjective.js';
+import { registerObjectiveType } from '../ruleRegistry.js';
+import { getStarThresholdProblems } from './starRating.js';
+
+/**
+ * @class RotationsObjective
+ * @extends PeakValueObjective
+ * @description An objective achieved when a target body has turned a number of full rotations away from
+ * the angle it had when the run started, in either direction, e.g. a flip level. Turning back counts
+ * against the total. Star thresholds may set more `rotations`.
+ *
+ * @param {object} config - The configuration object for this objective.
+ * @param {string} config.id - A unique identifier for this objective instance.
+ * @param {string} config.type - The type of the objective ("rotations").
+ * @param {string} config.displayName - A user-friendly name for display in the UI.
+ * @param {string} config.targetId - The base ID prefix of the object(s) to track.
+ * @param {number} config.rotations - The number of full rotations to complete.
+ */
+export class RotationsObjective extends PeakValueObjective {
+    /**
+     * Creates an instance of RotationsObjective.
+     * @param {object} config - Objective configuration from JSON.
+     */
+    constructor(config) {
+        super(config, 'rotations', 'Rotations');
+        this.startAngles = {};
+        this.reset();
+    }
+
+    /**
+     * Resets the objective and forgets the start angles.
+     * @override
+     */
+    reset() {
+        super.reset();
+        this.startAngles = {};
+    }
+
+    /**
+     * Measures the rotations of a body since it was first seen in the run.
+     * @param {string} id - The ID of the body.
+     * @param {Matter.Body} body - The body.
+     * @returns {number} The number of rotations, fractional.
+     * @override
+     */
+    measure(id, body) {
+        if (this.startAngles[id] === undefined) {
+            this.startAngles[id] = body.angle;
+        }
+        return Math.abs(body.angle - this.startAngles[id]) / (2 * Math.PI);
+    }
+
+    /**
+     * Formats a number of rotations.
+     * @param {number} value - The rotations.
+     * @returns {string} The formatted rotations.
+     * @override
+     */
+    formatValue(value) {
+        return value.toFixed(1);
+    }
+}
+
+registerObjectiveType('rotations', RotationsObjective, {
+    validate: config => [
+        !config.targetId && "needs a 'targetId' (base ID)",
+        !(typeof config.rotations === 'number' && config.rotations > 0) && "needs a positive 'rotations'",
+        ...getStarThresholdProblems(config, { rotations: 'minValue' })
+    ].filter(Boolean),
+    dependencies: config => ({ targets: [config.targetId] })
+});
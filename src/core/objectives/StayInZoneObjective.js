@@ -1,11 +1,20 @@
 import { Objective } from './Objective.js';
+import { registerObjectiveType } from '../ruleRegistry.js';
+import { getZoneProblems, createZoneShape, isBodyInZone } from '../physics/zoneShapes.js';
+import { getQuantifierProblems, isQuantifierMet, describeTargetCount } from './targetCounts.js';
+import { getStarThresholdProblems } from './starRating.js';
 
 /**
  * @class StayInZoneObjective
  * @extends Objective
- * @description An objective that requires at least one physics body (whose `configId` starts
- * with a specified `baseTargetId`) to remain within a defined rectangular zone for a
- * cumulative `duration`. If all matching targets leave the zone, the timer resets.
+ * @description An objective that requires physics bodies (whose `configId` starts
+ * with a specified `baseTargetId`) to remain within a defined zone for a
+ * cumulative `duration`: by default at least one of them, or as many as the `quantifier` says
+ * (see {@link module:core/objectives/targetCounts}). If too few matching targets remain in the zone,
+ * the timer resets.
+ *
+ * Stars: `starThresholds` as described in {@link module:core/objectives/starRating}, the time being when
+ * the objective was completed.
  *
  * @param {object} config - The configuration object for this objective.
  * @param {string} config.id - A unique identifier for this objective instance.
@@ -13,13 +22,14 @@ import { Objective } from './Objective.js';
  * @param {string} config.displayName - A user-friendly name for display in the UI.
  * @param {string} config.targetId - The base ID prefix of the object(s) to track.
  *                                   Any body whose `configId` starts with this string will be considered.
- * @param {object} config.zone - Defines the rectangular zone.
+ * @param {object} config.zone - Defines the zone: a rectangle, circle or polygon and how a body counts
+ *                               as in it, see {@link module:core/physics/zoneShapes}.
  * @param {number} config.zone.x - The x-coordinate of the zone's center.
  * @param {number} config.zone.y - The y-coordinate of the zone's center.
- * @param {number} config.zone.width - The width of the zone.
- * @param {number} config.zone.height - The height of the zone.
  * @param {number} config.duration - The total time (in seconds) a target object must spend
  *                                   consecutively within the zone to complete the objective.
+ * @param {string|number} [config.quantifier='any'] - How many targets must be in the zone: "any", "all" or at least N.
+ * @param {string} [config.targetLabel] - What the targets are called in the status, e.g. "balls".
  */
 export class StayInZoneObjective extends Objective {
     /**
@@ -28,19 +38,16 @@ export class StayInZoneObjective extends Objective {
      *
      * @param {object} config - Objective configuration from JSON.
      * @param {string} config.targetId - The base ID prefix of the object(s) to track.
-     * @param {object} config.zone - The rectangular zone definition {x, y, width, height}.
+     * @param {object} config.zone - The zone definition.
      * @param {number} config.duration - Required time in seconds to stay in the zone.
-     * @throws {Error} If `config.targetId`, `config.zone` (with all its properties), or `config.duration`
-     *                 are missing or invalid.
      */
     constructor(config) {
         super(config);
-        if (!config.targetId || !config.zone || typeof config.zone.x !== 'number' || typeof config.zone.y !== 'number' || typeof config.zone.width !== 'number' || typeof config.zone.height !== 'number' || typeof config.duration !== 'number' || config.duration <= 0) {
-            throw new Error(`StayInZoneObjective (id: ${this.id}) requires 'targetId' (base ID), a valid 'zone' object {x, y, width, height}, and a positive 'duration' in config.`);
-        }
         this.baseTargetId = config.targetId;
         this.zone = config.zone;
+        this.zoneShape = createZoneShape(config.zone);
         this.requiredDuration = config.duration;
+        this.quantifier = config.quantifier ?? 'any';
         this.timeSpentInZone = 0;
         this.timeObjectiveCompleted = -1;
         this.reset();
@@ -60,11 +67,11 @@ export class StayInZoneObjective extends Objective {
 
     /**
      * Updates the objective's state based on the current positions of physics bodies.
-     * It checks if any of the target bodies (matching `baseTargetId`) are within the defined `zone`.
-     * If at least one target is in the zone, `timeSpentInZone` is incremented by `deltaTime`.
+     * It counts the target bodies (matching `baseTargetId`) within the defined `zone`.
+     * While enough of them are in the zone for the quantifier, `timeSpentInZone` is incremented by `deltaTime`.
      * If `timeSpentInZone` reaches `requiredDuration`, the objective is marked as complete,
      * and the `totalSimulationTime` is recorded.
-     * If no target bodies are found, or if all target bodies leave the zone, `timeSpentInZone` is reset.
+     * If no target bodies are found, or if too few of them are in the zone, `timeSpentInZone` is reset.
      *
      * @param {Map<string, Matter.Body>} bodies - A map of all physics bodies in the simulation.
      * @param {number} deltaTime - Time elapsed since the last frame, in seconds.
@@ -74,32 +81,20 @@ export class StayInZoneObjective extends Objective {
     update(bodies, deltaTime, totalSimulationTime) {
         if (this.isComplete || this.isFailed) return;
 
-        let atLeastOneTargetInZone = false;
-        let foundAtLeastOneTarget = false;
+        let targetCount = 0;
+        let targetsInZone = 0;
 
         for (const [id, body] of bodies) {
             if (id.startsWith(this.baseTargetId)) {
-                foundAtLeastOneTarget = true;
-
-                const pos = body.position;
-                const zoneConfig = this.zone;
-
-                const zoneMinX = zoneConfig.x - zoneConfig.width / 2;
-                const zoneMaxX = zoneConfig.x + zoneConfig.width / 2;
-                const zoneMinY = zoneConfig.y - zoneConfig.height / 2;
-                const zoneMaxY = zoneConfig.y + zoneConfig.height / 2;
+                targetCount++;
 
-                const bodyIsInZone = pos.x >= zoneMinX && pos.x <= zoneMaxX &&
-                                   pos.y >= zoneMinY && pos.y <= zoneMaxY;
-
-                if (bodyIsInZone) {
-                    atLeastOneTargetInZone = true;
-                    break;
+                if (isBodyInZone(body, this.zoneShape)) {
+                    targetsInZone++;
                 }
             }
         }
 
-        if (!foundAtLeastOneTarget) {
+        if (targetCount === 0) {
             this.statusText = `Stay in Zone: No target starting with '${this.baseTargetId}' found.`;
             if (this.timeSpentInZone > 0) {
                 this.timeSpentInZone = 0;
@@ -107,56 +102,71 @@ export class StayInZoneObjective extends Objective {
             return;
         }
 
-        if (atLeastOneTargetInZone) {
+        let timeText;
+        if (isQuantifierMet(this.quantifier, targetsInZone, targetCount)) {
             this.timeSpentInZone += deltaTime;
-            if (this.timeSpentInZone >= this.requiredDuration && !this.isComplete) {
+            if (this.timeSpentInZone >= this.requiredDuration) {
                 this.timeSpentInZone = this.requiredDuration;
                 this.isComplete = true;
                 this.timeObjectiveCompleted = totalSimulationTime;
-                this.statusText = `Stay in Zone: Complete! (${this.requiredDuration.toFixed(1)}s)`;
-            } else if (!this.isComplete) {
-                 this.statusText = `Time in Zone: ${this.timeSpentInZone.toFixed(1)} / ${this.requiredDuration.toFixed(1)}s`;
+                timeText = `Stay in Zone: Complete! (${this.requiredDuration.toFixed(1)}s)`;
+            } else {
+                timeText = `Time in Zone: ${this.timeSpentInZone.toFixed(1)} / ${this.requiredDuration.toFixed(1)}s`;
             }
         } else {
-            if (!this.isComplete && this.timeSpentInZone > 0) {
-                 this.timeSpentInZone = 0;
-                 this.statusText = `Time in Zone: 0.0 / ${this.requiredDuration.toFixed(1)}s`;
-            }
+            this.timeSpentInZone = 0;
+            timeText = `Time in Zone: 0.0 / ${this.requiredDuration.toFixed(1)}s`;
         }
+        const countText = describeTargetCount(this.config, this.quantifier, targetsInZone, targetCount, 'in zone');
+        this.statusText = countText ? `${countText} - ${timeText}` : timeText;
     }
 
     /**
-     * Calculates the number of stars earned based on how quickly the objective was completed.
-     * This should be called once at the end of the level.
-     * @param {number} totalSimulationTimeAtLevelEnd - The total simulation time when the level ended (unused here, uses internal completion time).
+     * Returns the time spent in the zone as a share of the required duration.
+     * @returns {number} The progress, from 0 to 1.
+     * @override
      */
-    calculateStars(totalSimulationTimeAtLevelEnd) {
-        this.starsEarned = 0;
-        if (!this.isComplete || !this.config.starThresholds || !Array.isArray(this.config.starThresholds) || this.config.starThresholds.length === 0) {
-            this.statusText = `Stay in Zone: ${this.isComplete ? 'Complete!' : `${this.timeSpentInZone.toFixed(1)}s / ${this.requiredDuration.toFixed(1)}s`}`;
-            if (this.isComplete && this.starsEarned > 0) this.statusText += ` (${this.starsEarned} ${this.starsEarned === 1 ? 'Star' : 'Stars'})`;
-            return;
-        }
-
-        const sortedThresholds = [...this.config.starThresholds].sort((a, b) => b.stars - a.stars);
-
-        for (const threshold of sortedThresholds) {
-            let conditionMet = true;
+    getProgress() {
+        return this.isComplete ? 1 : Math.min(1, this.timeSpentInZone / this.requiredDuration);
+    }
 
-            if (threshold.completedWithinTime !== undefined) {
-                if (this.timeObjectiveCompleted === -1 || this.timeObjectiveCompleted > threshold.completedWithinTime) {
-                    conditionMet = false;
-                }
-            }
+    /**
+     * Gives the time the objective was completed, for the `maxTime` of star thresholds.
+     * @param {object} threshold - The star threshold.
+     * @param {object} context - The run.
+     * @returns {object} The facts, see {@link Objective#getRatingFacts}.
+     * @override
+     */
+    getRatingFacts(threshold, context) {
+        return { ...super.getRatingFacts(threshold, context), time: this.isComplete ? this.timeObjectiveCompleted : null };
+    }
 
-            if (conditionMet) {
-                this.starsEarned = threshold.stars;
-                break;
-            }
-        }
-        this.statusText = `Stay in Zone: Complete! (${this.requiredDuration.toFixed(1)}s) (${this.starsEarned} ${this.starsEarned === 1 ? 'Star' : 'Stars'})`;
+    /**
+     * Calculates the number of stars earned based on how quickly the objective was completed.
+     * This should be called once at the end of the level.
+     * @param {number} totalSimulationTimeAtLevelEnd - The total simulation time when the level ended.
+     * @param {object|null} [pieceUsage=null] - The pieces the run used.
+     * @param {number|null} [attempts=null] - The number of the attempt.
+     */
+    calculateStars(totalSimulationTimeAtLevelEnd, pieceUsage = null, attempts = null) {
+        this.starsEarned = this.rateStars({ time: totalSimulationTimeAtLevelEnd, pieceUsage, attempts });
         if (!this.isComplete) {
-             this.statusText = `Time in Zone: ${this.timeSpentInZone.toFixed(1)} / ${this.requiredDuration.toFixed(1)}s (${this.starsEarned} ${this.starsEarned === 1 ? 'Star' : 'Stars'})`;
+            this.statusText = `Stay in Zone: ${this.timeSpentInZone.toFixed(1)}s / ${this.requiredDuration.toFixed(1)}s`;
+        } else if (!Array.isArray(this.config.starThresholds) || this.config.starThresholds.length === 0) {
+            this.statusText = 'Stay in Zone: Complete!';
+        } else {
+            this.statusText = `Stay in Zone: Complete! (${this.requiredDuration.toFixed(1)}s) (${this.starsEarned} ${this.starsEarned === 1 ? 'Star' : 'Stars'})`;
         }
     }
 }
+
+registerObjectiveType('stayInZone', StayInZoneObjective, {
+    validate: config => [
+        !config.targetId && "needs a 'targetId' (base ID)",
+        ...getZoneProblems(config.zone),
+        ...getQuantifierProblems(config),
+        !(typeof config.duration === 'number' && config.duration > 0) && "needs a positive 'duration'",
+        ...getStarThresholdProblems(config)
+    ].filter(Boolean),
+    dependencies: config => ({ targets: [config.targetId] })
+});
@@ -0,0 +1,162 @@
+import { Objective } from './Objective.js';
+import { registerObjectiveType } from '../ruleRegistry.js';
+import { getStarThresholds, getStarThresholdProblems } from './starRating.js';
+
+/** @const {Object<string, string>} The star threshold name of the value criterion, see {@link module:core/objectives/starRating}. */
+const VALUE_ALIASES = { tolerance: 'maxValue' };
+
+/**
+ * @class UprightObjective
+ * @extends Objective
+ * @description An objective achieved when a target body ends the run upright: its angle is within
+ * `tolerance` of `angle` (turns are ignored, so a body that flipped all the way round is upright again).
+ * It is scored when the level ends, from the last state of the run, for balancing levels.
+ *
+ * Stars: `starThresholds` as described in {@link module:core/objectives/starRating}. The value is the final
+ * tilt, so `tolerance` (or `maxValue`) asks for a tighter one, and the time is since when the body has stayed
+ * within the entry's tolerance (the objective's if it does not set one) without interruption.
+ *
+ * @param {object} config - The configuration object for this objective.
+ * @param {string} config.id - A unique identifier for this objective instance.
+ * @param {string} config.type - The type of the objective ("upright").
+ * @param {string} config.displayName - A user-friendly name for display in the UI.
+ * @param {string} config.targetId - The base ID prefix of the object(s) to track.
+ * @param {number} [config.angle=0] - The upright angle, in radians.
+ * @param {number} [config.tolerance=Math.PI / 12] - The largest angle away from upright, in radians.
+ */
+export class UprightObjective extends Objective {
+    /**
+     * Creates an instance of UprightObjective.
+     * @param {object} config - Objective configuration from JSON.
+     */
+    constructor(config) {
+        super(config);
+        this.baseTargetId = config.targetId;
+        this.uprightAngle = config.angle ?? 0;
+        this.tolerance = config.tolerance ?? Math.PI / 12;
+        this.valueAliases = VALUE_ALIASES;
+        this.tilt = null;
+        this.uprightSince = {};
+        this.reset();
+    }
+
+    /**
+     * Resets the objective to its initial state.
+     * @override
+     */
+    reset() {
+        super.reset();
+        this.tilt = null;
+        this.uprightSince = {};
+        this.statusText = 'Tilt: tracking...';
+    }
+
+    /**
+     * Returns the tolerances whose upright streak is tracked: the objective's and those of the star thresholds.
+     * @returns {Array<number>} The tolerances, in radians.
+     * @private
+     */
+    getTrackedTolerances() {
+        const thresholds = getStarThresholds(this.config, this.valueAliases);
+        return [this.tolerance, ...thresholds.map(threshold => threshold.maxValue).filter(value => typeof value === 'number')];
+    }
+
+    /**
+     * Records the tilt of the most upright target body, and since when it has stayed within each tracked tolerance.
+     *
+     * @param {Map<string, Matter.Body>} bodies - A map of all physics bodies in the simulation.
+     * @param {number} deltaTime - Time elapsed since the last frame, in seconds.
+     * @param {number} totalSimulationTime - The total time elapsed in the current simulation run.
+     * @override
+     */
+    update(bodies, deltaTime, totalSimulationTime) {
+        if (this.isComplete || this.isFailed) return;
+
+        let tilt = null;
+        for (const [id, body] of bodies) {
+            if (id.startsWith(this.baseTargetId)) {
+                const turn = body.angle - this.uprightAngle;
+                const bodyTilt = Math.abs(Math.atan2(Math.sin(turn), Math.cos(turn)));
+                if (tilt === null || bodyTilt < tilt) tilt = bodyTilt;
+            }
+        }
+        if (tilt === null) {
+            this.statusText = `No target starting with '${this.baseTargetId}' found.`;
+            return;
+        }
+
+        this.tilt = tilt;
+        this.getTrackedTolerances().forEach(tolerance => {
+            if (tilt > tolerance) {
+                delete this.uprightSince[tolerance];
+            } else if (this.uprightSince[tolerance] === undefined) {
+                this.uprightSince[tolerance] = totalSimulationTime;
+            }
+        });
+        this.statusText = this.describeTilt();
+    }
+
+    /**
+     * Describes the current tilt against the tolerance, in degrees.
+     * @returns {string} The description.
+     * @private
+     */
+    describeTilt() {
+        const degrees = radians => (radians * 180 / Math.PI).toFixed(0);
+        const state = this.tilt <= this.tolerance ? 'upright' : 'tilted';
+        return `Tilt: ${degrees(this.tilt)}° / ${degrees(this.tolerance)}° (${state})`;
+    }
+
+    /**
+     * Returns how close the body is to the tolerance: 1 when within it.
+     * @returns {number} The progress, from 0 to 1.
+     * @override
+     */
+    getProgress() {
+        if (this.tilt === null) return 0;
+        return this.tilt <= this.tolerance ? 1 : Math.max(0, 1 - (this.tilt - this.tolerance) / Math.PI);
+    }
+
+    /**
+     * Gives the tilt, and since when the body has stayed within the threshold's tolerance.
+     * @param {object} threshold - The star threshold.
+     * @param {object} context - The run.
+     * @returns {object} The facts, see {@link Objective#getRatingFacts}.
+     * @override
+     */
+    getRatingFacts(threshold, context) {
+        return {
+            achieved: this.uprightSince[this.tolerance] !== undefined,
+            settled: false,
+            time: this.uprightSince[threshold.maxValue ?? this.tolerance] ?? null,
+            value: this.tilt,
+            trend: null
+        };
+    }
+
+    /**
+     * Decides whether the body ended upright and calculates the stars earned.
+     * This should be called once at the end of the level.
+     * @param {number} totalSimulationTimeAtLevelEnd - The total simulation time when the level ended.
+     * @param {object|null} [pieceUsage=null] - The pieces the run used.
+     * @param {number|null} [attempts=null] - The number of the attempt.
+     */
+    calculateStars(totalSimulationTimeAtLevelEnd, pieceUsage = null, attempts = null) {
+        this.isComplete = this.uprightSince[this.tolerance] !== undefined;
+        this.starsEarned = this.rateStars({ time: totalSimulationTimeAtLevelEnd, pieceUsage, attempts });
+        this.statusText = this.tilt === null
+            ? 'No target found'
+            : `${this.describeTilt()} (${this.starsEarned} ${this.starsEarned === 1 ? 'Star' : 'Stars'})`;
+    }
+}
+
+registerObjectiveType('upright', UprightObjective, {
+    validate: config => [
+        !config.targetId && "needs a 'targetId' (base ID)",
+        config.angle !== undefined && typeof config.angle !== 'number' && "needs a numeric 'angle'",
+        config.tolerance !== undefined && !(typeof config.tolerance === 'number' && config.tolerance > 0 && config.tolerance < Math.PI) &&
+            "needs a 'tolerance' between 0 and π radians",
+        ...getStarThresholdProblems(config, VALUE_ALIASES)
+    ].filter(Boolean),
+    dependencies: config => ({ targets: [config.targetId] })
+});
@@ -0,0 +1,18 @@
+/**
+ * @module core/objectives
+ * @description Registers the built-in objective types with {@link module:core/ruleRegistry}.
+ * Import this module before creating objectives; a new objective type is added by importing its file here.
+ */
+import './MaxHeightObjective.js';
+import './MinHeightObjective.js';
+import './StayInZoneObjective.js';
+import './LeaveZoneObjective.js';
+import './CompositeObjective.js';
+import './ContactObjective.js';
+import './AvoidContactObjective.js';
+import './MinSpeedObjective.js';
+import './RotationsObjective.js';
+import './DistanceObjective.js';
+import './RestInZoneObjective.js';
+import './UprightObjective.js';
+import './PieceBudgetObjective.js';
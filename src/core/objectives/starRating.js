@@ -0,0 +1,151 @@
+/**
+ * @module core/objectives/starRating
+ * @description The star thresholds, shared by every objective type. An objective's `starThresholds` is a list
+ * of entries `{ stars, ...criteria }`: once the objective is achieved, it earns the stars of the best entry
+ * whose criteria are all met. The criteria are the same for every type and combine freely:
+ * - `maxTime`: achieved within this many seconds (`completedWithinTime` is the same criterion).
+ * - `minValue` / `maxValue`: the value the objective measures (a height, a speed, an offset...) is at least / at most this.
+ * - `maxPieces` / `maxCost`: the solution places at most this many inventory pieces / pieces costing at most this in total.
+ * - `maxAttempts`: achieved within this many runs of the level since it was loaded.
+ * An entry without criteria is met as soon as the objective is achieved. Each objective type says what its
+ * time and value are (see {@link Objective#getRatingFacts}), and may keep its own name for `minValue` or
+ * `maxValue`, like `height` for the height objectives.
+ *
+ * The same rules predict, during a run, the best stars still within reach, for the objectives panel.
+ */
+
+/** @const {Object<string, string>} Names every objective type accepts for a criterion. */
+const SHARED_ALIASES = { completedWithinTime: 'maxTime' };
+
+/**
+ * @const {Object<string, {isMet: function(number, object): boolean, canStillMeet: function(number, object): boolean}>}
+ * The criteria a star threshold may set. `isMet` checks a limit against the facts of the run, `canStillMeet`
+ * whether the rest of the run could still meet it. Unknown pieces or attempts never rule a threshold out.
+ */
+const STAR_CRITERIA = {
+    maxTime: {
+        isMet: (limit, facts) => facts.time !== null && facts.time <= limit,
+        canStillMeet: (limit, facts) => (facts.time ?? facts.now) <= limit
+    },
+    minValue: {
+        isMet: (limit, facts) => facts.value !== null && facts.value >= limit,
+        canStillMeet: (limit, facts) => STAR_CRITERIA.minValue.isMet(limit, facts) || (!facts.settled && facts.trend !== 'falling')
+    },
+    maxValue: {
+        isMet: (limit, facts) => facts.value !== null && facts.value <= limit,
+        canStillMeet: (limit, facts) => STAR_CRITERIA.maxValue.isMet(limit, facts) || (!facts.settled && facts.trend !== 'rising')
+    },
+    maxPieces: {
+        isMet: (limit, facts) => facts.pieceUsage !== null && facts.pieceUsage.pieces <= limit,
+        canStillMeet: (limit, facts) => facts.pieceUsage === null || facts.pieceUsage.pieces <= limit
+    },
+    maxCost: {
+        isMet: (limit, facts) => facts.pieceUsage !== null && facts.pieceUsage.cost <= limit,
+        canStillMeet: (limit, facts) => facts.pieceUsage === null || facts.pieceUsage.cost <= limit
+    },
+    maxAttempts: {
+        isMet: (limit, facts) => facts.attempts !== null && facts.attempts <= limit,
+        canStillMeet: (limit, facts) => facts.attempts === null || facts.attempts <= limit
+    }
+};
+
+/**
+ * Resolves a key of a star threshold to the criterion it sets.
+ * @param {string} key - The key.
+ * @param {Object<string, string>|null} valueAliases - The objective type's own names for value criteria.
+ * @returns {string} The criterion name, or the key itself when it names none.
+ * @private
+ */
+function resolveCriterion(key, valueAliases) {
+    return valueAliases?.[key] ?? SHARED_ALIASES[key] ?? key;
+}
+
+/**
+ * Reads the star thresholds of an objective config as criteria, best first.
+ * @param {object} config - The objective config.
+ * @param {Object<string, string>|null} [valueAliases=null] - The type's own names for value criteria, e.g. `{ height: 'minValue' }`.
+ * @returns {Array<object>} The thresholds, each with `stars` and criterion names only; empty without `starThresholds`.
+ */
+function getStarThresholds(config, valueAliases = null) {
+    if (!Array.isArray(config.starThresholds)) return [];
+    return config.starThresholds
+        .map(threshold => {
+            const criteria = { stars: threshold.stars };
+            Object.entries(threshold).forEach(([key, limit]) => {
+                const criterion = resolveCriterion(key, valueAliases);
+                if (criterion in STAR_CRITERIA) criteria[criterion] = limit;
+            });
+            return criteria;
+        })
+        .sort((a, b) => b.stars - a.stars);
+}
+
+/**
+ * Finds the stars earned: those of the best threshold met by an achieved objective.
+ * @param {Array<object>} thresholds - Thresholds from {@link getStarThresholds}.
+ * @param {function(object): object} getFacts - Returns the facts of the run for a threshold, see {@link Objective#getRatingFacts}.
+ * @returns {number} The stars, 0 if no threshold is met.
+ */
+function rateStarThresholds(thresholds, getFacts) {
+    const met = thresholds.find(threshold => {
+        const facts = getFacts(threshold);
+        return facts.achieved && Object.keys(STAR_CRITERIA).every(criterion =>
+            threshold[criterion] === undefined || STAR_CRITERIA[criterion].isMet(threshold[criterion], facts));
+    });
+    return met ? met.stars : 0;
+}
+
+/**
+ * Finds the most stars the rest of the run could still earn.
+ * @param {Array<object>} thresholds - Thresholds from {@link getStarThresholds}.
+ * @param {function(object): object} getFacts - Returns the facts of the run so far for a threshold.
+ * @returns {number} The stars, 0 if no threshold is within reach.
+ */
+function predictStarThresholds(thresholds, getFacts) {
+    const reachable = thresholds.find(threshold => {
+        const facts = getFacts(threshold);
+        return (facts.achieved || !facts.settled) && Object.keys(STAR_CRITERIA).every(criterion =>
+            threshold[criterion] === undefined || STAR_CRITERIA[criterion].canStillMeet(threshold[criterion], facts));
+    });
+    return reachable ? reachable.stars : 0;
+}
+
+/**
+ * Validates the `starThresholds` of an objective config.
+ * @param {object} config - The objective config.
+ * @param {Object<string, string>|null} [valueAliases=null] - The type's own names for value criteria, or null
+ *                                                            if the type measures no value.
+ * @returns {Array<string>} The problems found, empty if the thresholds are valid or absent.
+ */
+function getStarThresholdProblems(config, valueAliases = null) {
+    if (config.starThresholds === undefined) return [];
+    if (!Array.isArray(config.starThresholds)) return ["needs 'starThresholds' as an array"];
+
+    return config.starThresholds.flatMap((threshold, i) => {
+        if (!threshold || typeof threshold !== 'object') return [`needs star threshold ${i} to be an object`];
+
+        const problems = [];
+        if (!(Number.isInteger(threshold.stars) && threshold.stars > 0)) {
+            problems.push(`needs a positive integer 'stars' in star threshold ${i}`);
+        }
+        Object.entries(threshold).forEach(([key, limit]) => {
+            if (key === 'stars') return;
+            const criterion = resolveCriterion(key, valueAliases);
+            if (!(criterion in STAR_CRITERIA)) {
+                problems.push(`has an unknown criterion '${key}' in star threshold ${i}`);
+            } else if (valueAliases === null && (criterion === 'minValue' || criterion === 'maxValue')) {
+                problems.push(`cannot use '${key}' in star threshold ${i}: it measures no value`);
+            } else if (typeof limit !== 'number') {
+                problems.push(`needs a numeric '${key}' in star threshold ${i}`);
+            }
+        });
+        return problems;
+    });
+}
+
+export {
+    getStarThresholds,
+    rateStarThresholds,
+    predictStarThresholds,
+    getStarThresholdProblems
+};
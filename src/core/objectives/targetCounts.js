@@ -0,0 +1,74 @@
+/**
+ * @module core/objectives/targetCounts
+ * @description How many of the bodies matched by an objective's `targetId` must qualify. Objectives that
+ * support it read a `quantifier` from their config: `"any"` (one body is enough), `"all"` (every matched
+ * body) or a number N (at least N bodies). Their status text then starts with a per-target count such as
+ * "3/5 balls in zone", naming the bodies with the config's `targetLabel` (default "targets").
+ */
+
+/** @const {Array<string>} The named quantifiers; a positive integer means "at least N". */
+const TARGET_QUANTIFIERS = ['any', 'all'];
+
+/**
+ * Lists what is wrong with the quantifier of an objective config, for its validator.
+ * @param {object} config - The objective config.
+ * @returns {Array<string>} The problems found.
+ */
+function getQuantifierProblems(config) {
+    const { quantifier, targetLabel } = config;
+    const problems = [];
+    if (quantifier !== undefined && !TARGET_QUANTIFIERS.includes(quantifier) && !(Number.isInteger(quantifier) && quantifier > 0)) {
+        problems.push(`needs a 'quantifier' of ${TARGET_QUANTIFIERS.join(', ')} or a positive integer`);
+    }
+    if (targetLabel !== undefined && typeof targetLabel !== 'string') {
+        problems.push("needs a string 'targetLabel'");
+    }
+    return problems;
+}
+
+/**
+ * Returns the number of matched bodies that must qualify.
+ * @param {string|number} quantifier - The quantifier.
+ * @param {number} total - The number of matched bodies.
+ * @returns {number} The required count.
+ */
+function getRequiredCount(quantifier, total) {
+    if (quantifier === 'any') return 1;
+    if (quantifier === 'all') return total;
+    return quantifier;
+}
+
+/**
+ * Checks whether enough matched bodies qualify.
+ * @param {string|number} quantifier - The quantifier.
+ * @param {number} qualifying - The number of matched bodies that qualify.
+ * @param {number} total - The number of matched bodies.
+ * @returns {boolean} True if the quantifier is met; never with no matched body.
+ */
+function isQuantifierMet(quantifier, qualifying, total) {
+    return total > 0 && qualifying >= getRequiredCount(quantifier, total);
+}
+
+/**
+ * Describes how many matched bodies qualify, e.g. "3/5 balls in zone". The count is out of the
+ * required number for "at least N", and out of all matched bodies otherwise.
+ * @param {object} config - The objective config, for its `quantifier` and `targetLabel`.
+ * @param {string|number} quantifier - The quantifier in use.
+ * @param {number} qualifying - The number of matched bodies that qualify.
+ * @param {number} total - The number of matched bodies.
+ * @param {string} state - What qualifying bodies are, e.g. 'in zone'.
+ * @returns {string} The description, or an empty string for a single body with no quantifier set.
+ */
+function describeTargetCount(config, quantifier, qualifying, total, state) {
+    if (config.quantifier === undefined && total <= 1) return '';
+    const outOf = typeof quantifier === 'number' ? quantifier : total;
+    return `${qualifying}/${outOf} ${config.targetLabel || 'targets'} ${state}`;
+}
+
+export {
+    TARGET_QUANTIFIERS,
+    getQuantifierProblems,
+    getRequiredCount,
+    isQuantifierMet,
+    describeTargetCount
+};
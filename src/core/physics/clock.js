@@ -0,0 +1,57 @@
+/**
+ * @module core/physics/clock
+ * @description The simulation clock and the physics engine time it stands for. A tick covers
+ * `TICK_DURATION` seconds of the clock and advances the Matter.js engine by `TICK_TIMESTEP` milliseconds,
+ * so the engine runs `ENGINE_MS_PER_SECOND` milliseconds per clock second. Every time and speed of a
+ * level (objective and end condition timers, kinematic paths, launcher shots, velocities, impulses)
+ * is in clock seconds, converted from the engine here.
+ */
+
+/**
+ * @const {number} Simulation clock time covered by one tick, in seconds. A tick advances the physics
+ * engine by `TICK_TIMESTEP` and updates objectives and conditions once.
+ */
+const TICK_DURATION = 1 / 60;
+/** @const {number} Physics engine time advanced by one tick, in milliseconds. */
+const TICK_TIMESTEP = 1000 / 30;
+/** @const {number} Physics engine milliseconds per second of the simulation clock. */
+const ENGINE_MS_PER_SECOND = TICK_TIMESTEP / TICK_DURATION;
+/** @const {number} The engine step a Matter.js body velocity is measured over, in milliseconds. */
+const BODY_VELOCITY_STEP = 1000 / 60;
+
+/**
+ * Converts physics engine time into simulation clock time. At a world `timeScale` other than 1 the
+ * engine steps are scaled, so the result follows physics time rather than the clock.
+ * @param {number} engineMs - The engine time in milliseconds, e.g. the `delta` of an engine update.
+ * @returns {number} The time in clock seconds.
+ */
+function toClockSeconds(engineMs) {
+    return engineMs / ENGINE_MS_PER_SECOND;
+}
+
+/**
+ * Converts a speed in world units (or radians) per clock second into a Matter.js body velocity,
+ * which is a distance per `BODY_VELOCITY_STEP` of engine time.
+ * @param {number} perSecond - The speed per second.
+ * @returns {number} The body velocity.
+ */
+function toBodyVelocity(perSecond) {
+    return perSecond * toClockSeconds(BODY_VELOCITY_STEP);
+}
+
+/**
+ * Converts a Matter.js body velocity (or speed, or angular velocity) into world units (or radians) per clock second.
+ * @param {number} bodyVelocity - The body velocity.
+ * @returns {number} The speed per second.
+ */
+function fromBodyVelocity(bodyVelocity) {
+    return bodyVelocity / toClockSeconds(BODY_VELOCITY_STEP);
+}
+
+export {
+    TICK_DURATION,
+    TICK_TIMESTEP,
+    toClockSeconds,
+    toBodyVelocity,
+    fromBodyVelocity
+};
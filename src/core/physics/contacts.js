@@ -0,0 +1,146 @@
+import Matter from 'matter-js';
+import { fromBodyVelocity } from './clock.js';
+
+/**
+ * @module core/physics/contacts
+ * @description The contacts reported to objectives and end conditions while the simulation runs.
+ * Each tick, they receive the contacts that began during it, with the two bodies, their IDs (the object
+ * ID, or the label of a wall, e.g. `boundary_sim_ground`) and the impulse of the impact.
+ *
+ * Rules pick the bodies of a contact with selectors read from their config: `<role>Id`, an ID prefix
+ * like `targetId` elsewhere, and/or `<role>Tag`, a tag from the `tags` array of an object (or of the
+ * `objectProperties` of an inventory item). Walls carry the tags `boundary` and their side: `ground`,
+ * `ceiling`, `leftWall` or `rightWall`.
+ */
+
+/** @const {Array<string>} The sides of the walls, also their IDs in the wall labels. */
+const BOUNDARY_SIDES = ['ground', 'ceiling', 'leftWall', 'rightWall'];
+/** @const {Array<string>} The tags carried by the walls. */
+const BOUNDARY_TAGS = ['boundary', ...BOUNDARY_SIDES];
+
+/**
+ * Returns the ID a contact reports for a body.
+ * @param {Matter.Body} body - The body (not a part).
+ * @returns {string} The object ID, or the body label for walls and other bodies without one.
+ */
+function getContactId(body) {
+    return body.configId ?? body.label;
+}
+
+/**
+ * Creates the contact record of a colliding pair. The impulse is the one needed to stop the bodies
+ * moving into each other along the contact normal: the reduced mass times the closing speed, in mass ×
+ * world units per second, like launcher impulses. A static body counts as infinitely heavy.
+ * @param {object} pair - The Matter.js collision pair.
+ * @returns {{bodyA: Matter.Body, bodyB: Matter.Body, idA: string, idB: string, impulse: number}} The contact.
+ */
+function createContact(pair) {
+    const bodyA = pair.bodyA.parent || pair.bodyA;
+    const bodyB = pair.bodyB.parent || pair.bodyB;
+
+    const normal = pair.collision.normal;
+    const relativeVelocity = Matter.Vector.sub(bodyA.velocity, bodyB.velocity);
+    const closingSpeed = fromBodyVelocity(Math.abs(Matter.Vector.dot(relativeVelocity, normal)));
+    const inverseMassSum = (bodyA.isStatic ? 0 : bodyA.inverseMass) + (bodyB.isStatic ? 0 : bodyB.inverseMass);
+    const impulse = inverseMassSum > 0 ? closingSpeed / inverseMassSum : 0;
+
+    return { bodyA, bodyB, idA: getContactId(bodyA), idB: getContactId(bodyB), impulse: Number.isFinite(impulse) ? impulse : 0 };
+}
+
+/**
+ * Reads a body selector from a rule config.
+ * @param {object} config - The rule config.
+ * @param {string} role - The role of the body, e.g. 'target' or 'other', prefixing `Id` and `Tag`.
+ * @returns {{id: string|null, tag: string|null}} The selector.
+ */
+function readSelector(config, role) {
+    return { id: config[`${role}Id`] ?? null, tag: config[`${role}Tag`] ?? null };
+}
+
+/**
+ * Checks whether a body matches a selector: its ID starts with the selector ID, or it carries the
+ * selector tag. A selector with neither matches every body.
+ * @param {Matter.Body} body - The body.
+ * @param {string} id - The ID the contact reports for it.
+ * @param {{id: string|null, tag: string|null}} selector - The selector.
+ * @returns {boolean} True if the body matches.
+ */
+function matchesSelector(body, id, selector) {
+    if (selector.id === null && selector.tag === null) return true;
+    return (selector.id !== null && id.startsWith(selector.id)) ||
+        (selector.tag !== null && Array.isArray(body.tags) && body.tags.includes(selector.tag));
+}
+
+/**
+ * Returns the contacts between a target and another body, oriented so that `target` is the matching body.
+ * @param {Array<object>} contacts - The contacts of the tick.
+ * @param {{id: string|null, tag: string|null}} targetSelector - Selects the target.
+ * @param {{id: string|null, tag: string|null}} otherSelector - Selects the other body.
+ * @returns {Array<{target: Matter.Body, targetId: string, other: Matter.Body, otherId: string, impulse: number}>} The matching contacts.
+ */
+function findContacts(contacts, targetSelector, otherSelector) {
+    const found = [];
+    contacts.forEach(contact => {
+        if (matchesSelector(contact.bodyA, contact.idA, targetSelector) && matchesSelector(contact.bodyB, contact.idB, otherSelector)) {
+            found.push({ target: contact.bodyA, targetId: contact.idA, other: contact.bodyB, otherId: contact.idB, impulse: contact.impulse });
+        } else if (matchesSelector(contact.bodyB, contact.idB, targetSelector) && matchesSelector(contact.bodyA, contact.idA, otherSelector)) {
+            found.push({ target: contact.bodyB, targetId: contact.idB, other: contact.bodyA, otherId: contact.idA, impulse: contact.impulse });
+        }
+    });
+    return found;
+}
+
+/**
+ * Describes a selector for status texts and messages.
+ * @param {{id: string|null, tag: string|null}} selector - The selector.
+ * @returns {string} E.g. `'bell'`, `tag 'hazard'` or `anything`.
+ */
+function describeSelector(selector) {
+    const parts = [];
+    if (selector.id !== null) parts.push(`'${selector.id}'`);
+    if (selector.tag !== null) parts.push(`tag '${selector.tag}'`);
+    return parts.length > 0 ? parts.join(' or ') : 'anything';
+}
+
+/**
+ * Lists what is wrong with a selector in a rule config, for the rule's validator.
+ * @param {object} config - The rule config.
+ * @param {string} role - The role of the body, e.g. 'target'.
+ * @param {boolean} required - Whether the rule needs the selector to pick something.
+ * @returns {Array<string>} The problems found.
+ */
+function getSelectorProblems(config, role, required) {
+    const { id, tag } = readSelector(config, role);
+    const problems = [];
+    if (id !== null && (typeof id !== 'string' || id === '')) problems.push(`needs a non-empty string '${role}Id'`);
+    if (tag !== null && (typeof tag !== 'string' || tag === '')) problems.push(`needs a non-empty string '${role}Tag'`);
+    if (required && id === null && tag === null) problems.push(`needs a '${role}Id' or a '${role}Tag'`);
+    return problems;
+}
+
+/**
+ * Returns the dependencies of the selectors of a rule, see {@link module:core/ruleRegistry}.
+ * @param {object} config - The rule config.
+ * @param {Array<string>} roles - The roles of the selectors, e.g. ['target', 'other'].
+ * @returns {{targets: Array<string>, tags: Array<string>}} The ID prefixes and tags used.
+ */
+function getSelectorDependencies(config, roles) {
+    const selectors = roles.map(role => readSelector(config, role));
+    return {
+        targets: selectors.map(selector => selector.id).filter(id => typeof id === 'string'),
+        tags: selectors.map(selector => selector.tag).filter(tag => typeof tag === 'string')
+    };
+}
+
+export {
+    BOUNDARY_SIDES,
+    BOUNDARY_TAGS,
+    getContactId,
+    createContact,
+    readSelector,
+    matchesSelector,
+    findContacts,
+    describeSelector,
+    getSelectorProblems,
+    getSelectorDependencies
+};
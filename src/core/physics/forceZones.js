@@ -0,0 +1,159 @@
+import Matter from 'matter-js';
+
+/**
+ * @module core/physics/forceZones
+ * @description Force-field zones from the level `forceZones` array. Each zone is a rectangle
+ * (`x`/`y` centre, `width`, `height`) or a circle (`shape: "circle"`, `x`/`y` centre, `radius`)
+ * that acts on every dynamic body whose position is inside it:
+ * - `force`: a constant acceleration `force: { x, y }`.
+ * - `radial`: an acceleration of `strength` away from the centre (negative values pull towards it),
+ *   either uniform or, with `falloff: "linear"`, fading from the centre to the edge.
+ * - `gravity`: replaces the world gravity with `gravity: { x, y }` inside the zone.
+ * All accelerations use the same units as the world `gravity`, so they do not depend on body mass.
+ */
+
+/** @type {Array<string>} The zone types understood by {@link createForceZones}. */
+const FORCE_ZONE_TYPES = ['force', 'radial', 'gravity'];
+
+/**
+ * Checks whether a value is a finite `{ x, y }` vector.
+ * @param {*} v - The value to check.
+ * @returns {boolean} True if the value is a vector.
+ */
+function isVector(v) {
+    return Boolean(v) && Number.isFinite(v.x) && Number.isFinite(v.y);
+}
+
+/**
+ * Validates and normalizes the `forceZones` array of a level.
+ * Invalid entries are skipped with a warning.
+ * @param {Array<object>} [forceZonesConfig] - The level `forceZones` array.
+ * @returns {Array<object>} The zone records (`id`, `type`, `shape`, `x`, `y`, size and type parameters).
+ */
+function createForceZones(forceZonesConfig) {
+    if (!Array.isArray(forceZonesConfig)) return [];
+
+    const zones = [];
+    forceZonesConfig.forEach((config, index) => {
+        const id = config?.id ?? `forceZone_${index}`;
+        const shape = config?.shape ?? 'rect';
+        const invalid = (reason) => console.warn(`ForceZones: Zone '${id}' ${reason}. Skipping.`);
+
+        if (!FORCE_ZONE_TYPES.includes(config?.type)) return invalid(`has unknown type '${config?.type}'`);
+        if (!Number.isFinite(config.x) || !Number.isFinite(config.y)) return invalid("needs a numeric 'x' and 'y' centre");
+        if (shape === 'circle' && !(config.radius > 0)) return invalid("needs a positive 'radius'");
+        if (shape === 'rect' && !(config.width > 0 && config.height > 0)) return invalid("needs a positive 'width' and 'height'");
+        if (shape !== 'circle' && shape !== 'rect') return invalid(`has unknown shape '${shape}'`);
+        if (config.type === 'force' && !isVector(config.force)) return invalid("needs a 'force' vector");
+        if (config.type === 'radial' && !Number.isFinite(config.strength)) return invalid("needs a numeric 'strength'");
+        if (config.type === 'gravity' && !isVector(config.gravity)) return invalid("needs a 'gravity' vector");
+
+        zones.push({
+            id,
+            type: config.type,
+            shape,
+            x: config.x,
+            y: config.y,
+            width: config.width,
+            height: config.height,
+            radius: config.radius,
+            depth: config.depth,
+            force: config.force,
+            strength: config.strength,
+            falloff: config.falloff === 'linear' ? 'linear' : 'none',
+            gravity: config.gravity,
+            color: config.color
+        });
+    });
+    return zones;
+}
+
+/**
+ * Checks whether a point lies inside a zone.
+ * @param {object} zone - A zone record.
+ * @param {{x: number, y: number}} point - The point.
+ * @returns {boolean} True if the point is inside.
+ */
+function isPointInForceZone(zone, point) {
+    const dx = point.x - zone.x;
+    const dy = point.y - zone.y;
+    if (zone.shape === 'circle') {
+        return dx * dx + dy * dy <= zone.radius * zone.radius;
+    }
+    return Math.abs(dx) <= zone.width / 2 && Math.abs(dy) <= zone.height / 2;
+}
+
+/**
+ * Computes the acceleration a zone applies at a point inside it.
+ * @param {object} zone - A zone record.
+ * @param {{x: number, y: number}} point - The point.
+ * @param {{x: number, y: number}} worldGravity - The world gravity, which `gravity` zones cancel.
+ * @returns {{x: number, y: number}} The acceleration, in world gravity units.
+ */
+function getForceZoneAcceleration(zone, point, worldGravity) {
+    switch (zone.type) {
+        case 'force':
+            return { x: zone.force.x, y: zone.force.y };
+        case 'gravity':
+            return { x: zone.gravity.x - worldGravity.x, y: zone.gravity.y - worldGravity.y };
+        case 'radial': {
+            const dx = point.x - zone.x;
+            const dy = point.y - zone.y;
+            const distance = Math.hypot(dx, dy);
+            if (distance < 1e-6) return { x: 0, y: 0 };
+            let strength = zone.strength;
+            if (zone.falloff === 'linear') {
+                const extent = zone.shape === 'circle' ? zone.radius : Math.hypot(zone.width, zone.height) / 2;
+                strength *= Math.max(0, 1 - distance / extent);
+            }
+            return { x: (dx / distance) * strength, y: (dy / distance) * strength };
+        }
+        default:
+            return { x: 0, y: 0 };
+    }
+}
+
+/**
+ * Applies the zones to the dynamic bodies inside them. Forces are scaled like Matter.js gravity
+ * (`mass * gravity.scale`), so they must be applied on every engine update, before integration.
+ * @param {Array<object>} zones - The zone records.
+ * @param {Array<Matter.Body>} bodies - The bodies of the world.
+ * @param {{x: number, y: number, scale: number}} worldGravity - The engine gravity.
+ */
+function applyForceZones(zones, bodies, worldGravity) {
+    if (zones.length === 0) return;
+    bodies.forEach(body => {
+        if (body.isStatic || body.isSleeping) return;
+        zones.forEach(zone => {
+            if (!isPointInForceZone(zone, body.position)) return;
+            const acceleration = getForceZoneAcceleration(zone, body.position, worldGravity);
+            const scale = body.mass * worldGravity.scale;
+            body.force.x += acceleration.x * scale;
+            body.force.y += acceleration.y * scale;
+        });
+    });
+}
+
+/**
+ * Returns the direction hinted by a zone at a point, for rendering.
+ * @param {object} zone - A zone record.
+ * @param {{x: number, y: number}} point - The point.
+ * @returns {{x: number, y: number}} A unit vector, or (0, 0) if the zone has no direction there.
+ */
+function getForceZoneDirection(zone, point) {
+    let v;
+    if (zone.type === 'force') v = zone.force;
+    else if (zone.type === 'gravity') v = zone.gravity;
+    else v = Matter.Vector.mult(Matter.Vector.sub(point, zone), Math.sign(zone.strength));
+    const length = Math.hypot(v.x, v.y);
+    return length > 1e-9 ? { x: v.x / length, y: v.y / length } : { x: 0, y: 0 };
+}
+
+export {
+    FORCE_ZONE_TYPES,
+    createForceZones,
+    isPointInForceZone,
+    getForceZoneAcceleration,
+    applyForceZones,
+    getForceZoneDirection
+};
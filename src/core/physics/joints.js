@@ -0,0 +1,376 @@
+import Matter from 'matter-js';
+
+/**
+ * @module core/physics/joints
+ * @description Builds the physics side of level constraints ("joints") from their config.
+ * Each entry of a level's `constraints` array may declare a `kind`:
+ * - `hinge`: a pivot pinning two bodies (or a body and the world) at one point, with optional angle limits.
+ * - `spring`: a soft distance constraint with a rest length.
+ * - `rope`: a chain of small segment bodies linking two anchors.
+ * - `slider`: a prismatic joint keeping a body on a straight rail.
+ * - `weld`: glues two bodies (or a body and the world) together: a hinge locked at its initial angle.
+ * Entries without a `kind` keep the legacy behaviour of a plain `Matter.Constraint`.
+ * When `bodyB` is omitted, `pointB` is a world point, so hinges, springs, ropes and sliders
+ * can be attached to the background.
+ */
+
+/** @type {Array<string>} The joint kinds understood by {@link createJoint}. */
+const JOINT_KINDS = ['hinge', 'spring', 'rope', 'slider', 'weld'];
+
+/** @const {number} Number of segment bodies in a rope when `segments` is not configured. */
+const DEFAULT_ROPE_SEGMENTS = 8;
+/** @const {number} Half length of a slider rail drawn without `min`/`max` limits. */
+const DEFAULT_SLIDER_RAIL_HALF_LENGTH = 150;
+
+/**
+ * Returns the joint kind of a constraint config, or `'default'` for legacy constraints.
+ * @param {object} constraintConfig - The constraint config.
+ * @returns {string} One of {@link JOINT_KINDS} or `'default'`.
+ */
+function getJointKind(constraintConfig) {
+    return JOINT_KINDS.includes(constraintConfig?.kind) ? constraintConfig.kind : 'default';
+}
+
+/**
+ * Returns the number of segment bodies a rope config produces.
+ * @param {object} constraintConfig - The rope constraint config.
+ * @returns {number} The segment count (at least 1).
+ */
+function getRopeSegmentCount(constraintConfig) {
+    const segments = Math.round(constraintConfig?.segments ?? DEFAULT_ROPE_SEGMENTS);
+    return Math.max(1, segments);
+}
+
+/**
+ * Converts an anchor offset into a world point.
+ * @param {Matter.Body|null} body - The body the offset is relative to, or null for a world point.
+ * @param {{x: number, y: number}} [point] - The offset (or world point when `body` is null).
+ * @returns {{x: number, y: number}} The world point.
+ */
+function toWorldPoint(body, point) {
+    const p = point || { x: 0, y: 0 };
+    return body ? { x: body.position.x + p.x, y: body.position.y + p.y } : { x: p.x, y: p.y };
+}
+
+/**
+ * Rotates a vector by an angle.
+ * @param {{x: number, y: number}} v - The vector.
+ * @param {number} angle - The angle in radians.
+ * @returns {{x: number, y: number}} The rotated vector.
+ */
+function rotateVector(v, angle) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return { x: v.x * cos - v.y * sin, y: v.x * sin + v.y * cos };
+}
+
+/**
+ * Creates the physics objects for one entry of a level's `constraints` array.
+ * The returned joint record owns its Matter.js constraints and, for ropes, its segment bodies;
+ * the caller is responsible for adding both to the world.
+ * @param {object} config - The constraint config.
+ * @param {Object<string, Matter.Body>} bodiesById - Bodies keyed by object config ID.
+ * @param {number} index - Index of the config in the `constraints` array (used for labels when `id` is missing).
+ * @param {object} collisionFilter - Collision filter used for collidable rope segments.
+ * @returns {object|null} The joint record, or null if the config references missing bodies.
+ */
+function createJoint(config, bodiesById, index, collisionFilter) {
+    const kind = getJointKind(config);
+    const jointId = config.id ?? `constraint_${index}`;
+    const bodyA = bodiesById[config.bodyA];
+    const bodyB = config.bodyB !== undefined && config.bodyB !== null ? bodiesById[config.bodyB] : null;
+
+    if (!bodyA || (config.bodyB !== undefined && config.bodyB !== null && !bodyB)) {
+        console.warn(`Joints: Constraint '${jointId}' references a missing body (bodyA: ${config.bodyA}, bodyB: ${config.bodyB}). Skipping.`);
+        return null;
+    }
+
+    const joint = { id: jointId, kind, config, bodyA, bodyB, constraints: [], segments: [] };
+
+    switch (kind) {
+        case 'hinge':
+        case 'weld': {
+            const pivot = config.pivot ? { x: config.pivot.x, y: config.pivot.y } : toWorldPoint(bodyA, config.pointA);
+            joint.constraints.push(Matter.Constraint.create({
+                bodyA,
+                pointA: { x: pivot.x - bodyA.position.x, y: pivot.y - bodyA.position.y },
+                bodyB: bodyB || undefined,
+                pointB: bodyB ? { x: pivot.x - bodyB.position.x, y: pivot.y - bodyB.position.y } : pivot,
+                length: 0,
+                stiffness: config.stiffness ?? 1,
+                damping: config.damping ?? 0.1,
+                label: `joint_${jointId}`
+            }));
+            joint.referenceAngle = (bodyB ? bodyB.angle : 0) - bodyA.angle;
+            if (kind === 'weld') {
+                joint.minAngle = 0;
+                joint.maxAngle = 0;
+            } else {
+                joint.minAngle = typeof config.minAngle === 'number' ? config.minAngle : null;
+                joint.maxAngle = typeof config.maxAngle === 'number' ? config.maxAngle : null;
+            }
+            break;
+        }
+        case 'spring': {
+            const anchorA = toWorldPoint(bodyA, config.pointA);
+            const anchorB = toWorldPoint(bodyB, config.pointB);
+            joint.constraints.push(Matter.Constraint.create({
+                bodyA,
+                pointA: config.pointA || { x: 0, y: 0 },
+                bodyB: bodyB || undefined,
+                pointB: bodyB ? (config.pointB || { x: 0, y: 0 }) : anchorB,
+                length: config.restLength ?? config.length ?? Matter.Vector.magnitude(Matter.Vector.sub(anchorB, anchorA)),
+                stiffness: config.stiffness ?? 0.02,
+                damping: config.damping ?? 0.05,
+                label: `joint_${jointId}`
+            }));
+            break;
+        }
+        case 'rope': {
+            const anchorA = toWorldPoint(bodyA, config.pointA);
+            const anchorB = toWorldPoint(bodyB, config.pointB);
+            const segmentCount = getRopeSegmentCount(config);
+            const distance = Matter.Vector.magnitude(Matter.Vector.sub(anchorB, anchorA));
+            const linkLength = Math.max(config.length ?? distance, 1) / (segmentCount + 1);
+            const segmentFilter = config.collidable === true
+                ? { ...collisionFilter, group: Matter.Body.nextGroup(true) }
+                : { category: 0, mask: 0 };
+
+            for (let i = 1; i <= segmentCount; i++) {
+                const t = i / (segmentCount + 1);
+                const position = { x: anchorA.x + (anchorB.x - anchorA.x) * t, y: anchorA.y + (anchorB.y - anchorA.y) * t };
+                const segment = Matter.Bodies.circle(position.x, position.y, config.segmentRadius ?? 3, {
+                    label: `joint_${jointId}_segment_${i}`,
+                    density: config.segmentDensity ?? 0.001,
+                    frictionAir: 0.02,
+                    collisionFilter: segmentFilter
+                });
+                segment.jointSegment = true;
+                segment.initialConfig = { position: { ...position }, angle: 0 };
+                joint.segments.push(segment);
+            }
+
+            const linkOptions = {
+                length: linkLength,
+                stiffness: config.stiffness ?? 0.9,
+                damping: config.damping ?? 0.05,
+                label: `joint_${jointId}_link`
+            };
+            const first = joint.segments[0];
+            const last = joint.segments[joint.segments.length - 1];
+            joint.constraints.push(Matter.Constraint.create({ ...linkOptions, bodyA, pointA: config.pointA || { x: 0, y: 0 }, bodyB: first }));
+            for (let i = 0; i < joint.segments.length - 1; i++) {
+                joint.constraints.push(Matter.Constraint.create({ ...linkOptions, bodyA: joint.segments[i], bodyB: joint.segments[i + 1] }));
+            }
+            joint.constraints.push(Matter.Constraint.create({
+                ...linkOptions,
+                bodyA: last,
+                bodyB: bodyB || undefined,
+                pointB: bodyB ? (config.pointB || { x: 0, y: 0 }) : anchorB
+            }));
+            break;
+        }
+        case 'slider': {
+            const anchor = bodyB
+                ? toWorldPoint(bodyB, config.pointB ?? { x: bodyA.position.x - bodyB.position.x, y: bodyA.position.y - bodyB.position.y })
+                : toWorldPoint(null, config.pointB ?? bodyA.position);
+            const axis = config.axis || { x: 1, y: 0 };
+            const axisLength = Math.hypot(axis.x, axis.y) || 1;
+            joint.axis = { x: axis.x / axisLength, y: axis.y / axisLength };
+            joint.anchorLocal = bodyB ? { x: anchor.x - bodyB.position.x, y: anchor.y - bodyB.position.y } : anchor;
+            joint.railReferenceAngle = bodyB ? bodyB.angle : 0;
+            joint.carriageReferenceAngle = bodyA.angle;
+            joint.min = typeof config.min === 'number' ? config.min : null;
+            joint.max = typeof config.max === 'number' ? config.max : null;
+            joint.lockRotation = config.lockRotation !== false;
+            break;
+        }
+        default: {
+            if (!bodyB) {
+                console.warn(`Joints: Constraint '${jointId}' has no kind and no bodyB. Skipping.`);
+                return null;
+            }
+            joint.constraints.push(Matter.Constraint.create({
+                bodyA,
+                bodyB,
+                stiffness: config.stiffness ?? 0.7,
+                damping: config.damping ?? 0.1,
+                length: config.length,
+                pointA: config.pointA || { x: 0, y: 0 },
+                pointB: config.pointB || { x: 0, y: 0 }
+            }));
+        }
+    }
+
+    return joint;
+}
+
+/**
+ * Computes the current world-space frame of a slider rail.
+ * @param {object} joint - A slider joint record.
+ * @returns {{anchor: {x: number, y: number}, axis: {x: number, y: number}, rotation: number}} The rail frame.
+ */
+function getSliderFrame(joint) {
+    const rail = joint.bodyB;
+    const rotation = rail ? rail.angle - joint.railReferenceAngle : 0;
+    const anchor = rail
+        ? Matter.Vector.add(rail.position, rotateVector(joint.anchorLocal, rotation))
+        : { ...joint.anchorLocal };
+    return { anchor, axis: rotateVector(joint.axis, rotation), rotation };
+}
+
+/**
+ * Keeps a hinge within its angle limits by rotating the free body back around the pivot
+ * and removing the relative angular velocity that pushes it further out.
+ * @param {object} joint - A hinge joint record.
+ */
+function applyHingeLimits(joint) {
+    if (joint.minAngle === null && joint.maxAngle === null) return;
+    const { bodyA, bodyB } = joint;
+    const relativeAngle = (bodyB ? bodyB.angle : 0) - bodyA.angle - joint.referenceAngle;
+    const clampedAngle = Math.min(Math.max(relativeAngle, joint.minAngle ?? -Infinity), joint.maxAngle ?? Infinity);
+    if (clampedAngle === relativeAngle) return;
+
+    const correction = clampedAngle - relativeAngle;
+    const pivot = Matter.Constraint.pointAWorld(joint.constraints[0]);
+    if (bodyB && !bodyB.isStatic) {
+        Matter.Body.rotate(bodyB, correction, pivot);
+        Matter.Body.setAngularVelocity(bodyB, Matter.Body.getAngularVelocity(bodyA));
+    } else if (!bodyA.isStatic) {
+        Matter.Body.rotate(bodyA, -correction, pivot);
+        Matter.Body.setAngularVelocity(bodyA, bodyB ? Matter.Body.getAngularVelocity(bodyB) : 0);
+    }
+}
+
+/**
+ * Projects a slider's carriage back onto its rail, clamps its travel and removes the
+ * velocity component across the rail. The rail body does not receive reaction forces,
+ * so it should be static or much heavier than the carriage.
+ * @param {object} joint - A slider joint record.
+ */
+function applySliderConstraint(joint) {
+    const carriage = joint.bodyA;
+    if (carriage.isStatic) return;
+
+    const { anchor, axis, rotation } = getSliderFrame(joint);
+    const offset = Matter.Vector.sub(carriage.position, anchor);
+    const travel = Matter.Vector.dot(offset, axis);
+    const clampedTravel = Math.min(Math.max(travel, joint.min ?? -Infinity), joint.max ?? Infinity);
+    Matter.Body.setPosition(carriage, Matter.Vector.add(anchor, Matter.Vector.mult(axis, clampedTravel)));
+
+    const railVelocity = joint.bodyB ? Matter.Body.getVelocity(joint.bodyB) : { x: 0, y: 0 };
+    const railAlong = Matter.Vector.dot(railVelocity, axis);
+    const railAcross = Matter.Vector.sub(railVelocity, Matter.Vector.mult(axis, railAlong));
+    let along = Matter.Vector.dot(Matter.Vector.sub(Matter.Body.getVelocity(carriage), railVelocity), axis);
+    if ((joint.max !== null && travel >= joint.max && along > 0) || (joint.min !== null && travel <= joint.min && along < 0)) {
+        along = 0;
+    }
+    Matter.Body.setVelocity(carriage, Matter.Vector.add(railAcross, Matter.Vector.mult(axis, along + railAlong)));
+
+    if (joint.lockRotation) {
+        Matter.Body.setAngle(carriage, joint.carriageReferenceAngle + rotation);
+        Matter.Body.setAngularVelocity(carriage, joint.bodyB ? Matter.Body.getAngularVelocity(joint.bodyB) : 0);
+    }
+}
+
+/**
+ * Enforces the parts of joints that Matter.js constraints cannot express (hinge angle limits,
+ * locked welds and slider rails). Intended to run after every engine update.
+ * @param {Array<object>} joints - The active joint records.
+ */
+function applyJointLimits(joints) {
+    joints.forEach(joint => {
+        if (joint.kind === 'hinge' || joint.kind === 'weld') {
+            applyHingeLimits(joint);
+        } else if (joint.kind === 'slider') {
+            applySliderConstraint(joint);
+        }
+    });
+}
+
+/**
+ * Restores rope segment bodies to their initial positions and stops them.
+ * @param {Array<object|null>} joints - The joint records (null entries are ignored).
+ */
+function resetJoints(joints) {
+    joints.forEach(joint => {
+        joint?.segments.forEach(segment => {
+            Matter.Body.setPosition(segment, segment.initialConfig.position);
+            Matter.Body.setAngle(segment, segment.initialConfig.angle);
+            Matter.Body.setVelocity(segment, { x: 0, y: 0 });
+            Matter.Body.setAngularVelocity(segment, 0);
+        });
+    });
+}
+
+/**
+ * Describes the current shape of a joint in world coordinates, for rendering.
+ * - `default` and `spring`: `{ anchorA, anchorB }`.
+ * - `hinge`: `{ pivot, centreA, centreB }`.
+ * - `rope`: `{ points }` from anchor A through every segment to anchor B.
+ * - `slider`: `{ railStart, railEnd, carriage, railPoint }`.
+ * - `weld`: `{ anchor, centreA, centreB }`.
+ * @param {object} joint - A joint record.
+ * @returns {object} The geometry, always including `kind`.
+ */
+function getJointGeometry(joint) {
+    const constraint = joint.constraints[0];
+    switch (joint.kind) {
+        case 'hinge': {
+            const pivot = Matter.Constraint.pointAWorld(constraint);
+            return {
+                kind: joint.kind,
+                pivot,
+                centreA: { ...joint.bodyA.position },
+                centreB: joint.bodyB ? { ...joint.bodyB.position } : pivot
+            };
+        }
+        case 'spring':
+            return { kind: joint.kind, anchorA: Matter.Constraint.pointAWorld(constraint), anchorB: Matter.Constraint.pointBWorld(constraint) };
+        case 'rope': {
+            const lastLink = joint.constraints[joint.constraints.length - 1];
+            return {
+                kind: joint.kind,
+                points: [
+                    Matter.Constraint.pointAWorld(constraint),
+                    ...joint.segments.map(segment => ({ ...segment.position })),
+                    Matter.Constraint.pointBWorld(lastLink)
+                ]
+            };
+        }
+        case 'slider': {
+            const { anchor, axis } = getSliderFrame(joint);
+            const travel = Matter.Vector.dot(Matter.Vector.sub(joint.bodyA.position, anchor), axis);
+            const start = joint.min ?? -DEFAULT_SLIDER_RAIL_HALF_LENGTH;
+            const end = joint.max ?? DEFAULT_SLIDER_RAIL_HALF_LENGTH;
+            return {
+                kind: joint.kind,
+                railStart: Matter.Vector.add(anchor, Matter.Vector.mult(axis, start)),
+                railEnd: Matter.Vector.add(anchor, Matter.Vector.mult(axis, end)),
+                carriage: { ...joint.bodyA.position },
+                railPoint: Matter.Vector.add(anchor, Matter.Vector.mult(axis, travel))
+            };
+        }
+        case 'weld': {
+            const anchor = Matter.Constraint.pointAWorld(constraint);
+            return {
+                kind: joint.kind,
+                anchor,
+                centreA: { ...joint.bodyA.position },
+                centreB: joint.bodyB ? { ...joint.bodyB.position } : anchor
+            };
+        }
+        default:
+            return { kind: 'default', anchorA: { ...joint.bodyA.position }, anchorB: { ...joint.bodyB.position } };
+    }
+}
+
+export {
+    JOINT_KINDS,
+    getJointKind,
+    getRopeSegmentCount,
+    createJoint,
+    applyJointLimits,
+    resetJoints,
+    getJointGeometry
+};
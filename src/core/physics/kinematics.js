@@ -0,0 +1,189 @@
+import Matter from 'matter-js';
+
+/**
+ * @module core/physics/kinematics
+ * @description Moves kinematic objects (moving platforms, rotating paddles) along scripted paths.
+ * An object becomes kinematic when its config has a `kinematic` block:
+ * - `waypoints`: poses `{ x, y, angle, duration, easing, pause }` visited in order, starting from the
+ *   object's own `x`/`y`/`angle`. `duration` is the travel time in seconds from the previous pose, missing
+ *   coordinates keep the previous value and `pause` holds the pose for a number of seconds.
+ * - `mode`: `'once'` (stop at the last waypoint), `'loop'` (travel back to the start, taking
+ *   `returnDuration` seconds) or `'pingpong'` (play the path forwards, then backwards).
+ * - `easing`: default easing of every segment (`'linear'`, `'easeIn'`, `'easeOut'` or `'easeInOut'`).
+ * - `rotationSpeed`: a constant spin in radians per second, added on top of the path.
+ *
+ * Kinematic bodies are static for Matter.js, so they are not affected by gravity or collisions, but
+ * they are moved with velocity updates every engine step so that the bodies they touch are pushed
+ * and carried along instead of being teleported through.
+ */
+
+/** @type {Object<string, function(number): number>} Easing functions mapping linear progress in [0, 1] to eased progress. */
+const EASINGS = {
+    linear: t => t,
+    easeIn: t => t * t,
+    easeOut: t => t * (2 - t),
+    easeInOut: t => (t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t)
+};
+
+/** @type {Array<string>} The path modes understood by {@link createKinematicPath}. */
+const KINEMATIC_MODES = ['once', 'loop', 'pingpong'];
+
+/**
+ * Returns the easing function for a name, warning about unknown names.
+ * @param {string} [name] - The easing name.
+ * @returns {function(number): number} The easing function (linear for unknown names).
+ */
+function getEasing(name) {
+    if (name === undefined) return EASINGS.linear;
+    if (!EASINGS[name]) {
+        console.warn(`Kinematics: Unknown easing '${name}', using 'linear'.`);
+        return EASINGS.linear;
+    }
+    return EASINGS[name];
+}
+
+/**
+ * Builds the timed path of a kinematic object from its config.
+ * @param {object} objectConfig - The object config, with `x`, `y`, `angle` and a `kinematic` block.
+ * @returns {object|null} The path (`start` pose, `segments`, `cycleDuration`, `mode`, `rotationSpeed`),
+ *          or null if the `kinematic` block describes no motion.
+ */
+function createKinematicPath(objectConfig) {
+    const kinematic = objectConfig?.kinematic;
+    if (!kinematic) return null;
+
+    const start = { x: objectConfig.x, y: objectConfig.y, angle: objectConfig.angle || 0 };
+    const defaultEasing = kinematic.easing;
+    const segments = [];
+    let previous = start;
+
+    (Array.isArray(kinematic.waypoints) ? kinematic.waypoints : []).forEach((waypoint, i) => {
+        if (!(waypoint?.duration > 0)) {
+            console.warn(`Kinematics: Waypoint ${i} of object '${objectConfig.id}' needs a positive 'duration'. Skipping.`);
+            return;
+        }
+        const pose = {
+            x: waypoint.x ?? previous.x,
+            y: waypoint.y ?? previous.y,
+            angle: waypoint.angle ?? previous.angle
+        };
+        segments.push({ from: previous, to: pose, duration: waypoint.duration, ease: getEasing(waypoint.easing ?? defaultEasing) });
+        if (waypoint.pause > 0) {
+            segments.push({ from: pose, to: pose, duration: waypoint.pause, ease: EASINGS.linear });
+        }
+        previous = pose;
+    });
+
+    let mode = kinematic.mode ?? 'loop';
+    if (!KINEMATIC_MODES.includes(mode)) {
+        console.warn(`Kinematics: Unknown mode '${mode}' on object '${objectConfig.id}', using 'loop'.`);
+        mode = 'loop';
+    }
+    if (mode === 'loop' && segments.length > 0) {
+        const returnDuration = kinematic.returnDuration > 0 ? kinematic.returnDuration : segments[0].duration;
+        segments.push({ from: previous, to: start, duration: returnDuration, ease: getEasing(defaultEasing) });
+    }
+
+    const rotationSpeed = typeof kinematic.rotationSpeed === 'number' ? kinematic.rotationSpeed : 0;
+    if (segments.length === 0 && rotationSpeed === 0) {
+        console.warn(`Kinematics: Object '${objectConfig.id}' has a 'kinematic' block without waypoints or rotationSpeed. Ignoring it.`);
+        return null;
+    }
+
+    return {
+        start,
+        segments,
+        cycleDuration: segments.reduce((sum, s) => sum + s.duration, 0),
+        mode,
+        rotationSpeed
+    };
+}
+
+/**
+ * Computes the pose of a kinematic path at a given time.
+ * @param {object} path - A path from {@link createKinematicPath}.
+ * @param {number} time - Seconds since the simulation started.
+ * @returns {{x: number, y: number, angle: number}} The pose.
+ */
+function getKinematicPose(path, time) {
+    let pose = path.start;
+
+    if (path.cycleDuration > 0) {
+        let t;
+        if (path.mode === 'once') {
+            t = Math.min(time, path.cycleDuration);
+        } else if (path.mode === 'pingpong') {
+            t = time % (2 * path.cycleDuration);
+            if (t > path.cycleDuration) t = 2 * path.cycleDuration - t;
+        } else {
+            t = time % path.cycleDuration;
+        }
+
+        for (const segment of path.segments) {
+            if (t <= segment.duration) {
+                const k = segment.ease(t / segment.duration);
+                pose = {
+                    x: segment.from.x + (segment.to.x - segment.from.x) * k,
+                    y: segment.from.y + (segment.to.y - segment.from.y) * k,
+                    angle: segment.from.angle + (segment.to.angle - segment.from.angle) * k
+                };
+                break;
+            }
+            t -= segment.duration;
+            pose = segment.to;
+        }
+    }
+
+    return { x: pose.x, y: pose.y, angle: pose.angle + path.rotationSpeed * time };
+}
+
+/**
+ * Creates the controller moving a body along a kinematic path.
+ * @param {Matter.Body} body - The (static) body to move.
+ * @param {object} path - A path from {@link createKinematicPath}.
+ * @returns {{body: Matter.Body, path: object, time: number}} The controller.
+ */
+function createKinematicController(body, path) {
+    return { body, path, time: 0 };
+}
+
+/**
+ * Advances kinematic controllers by one engine step. Each body is moved to its pose at the end of
+ * the step with its velocity set to match, so contacts see the motion. Intended to run before
+ * every engine update.
+ * @param {Array<object>} controllers - The kinematic controllers.
+ * @param {number} deltaSeconds - The engine step in clock seconds, see {@link module:core/physics/clock}.
+ */
+function stepKinematics(controllers, deltaSeconds) {
+    controllers.forEach(controller => {
+        controller.time += deltaSeconds;
+        const pose = getKinematicPose(controller.path, controller.time);
+        Matter.Body.setPosition(controller.body, { x: pose.x, y: pose.y }, true);
+        Matter.Body.setAngle(controller.body, pose.angle, true);
+    });
+}
+
+/**
+ * Returns kinematic bodies to the start of their path and stops them.
+ * @param {Array<object>} controllers - The kinematic controllers.
+ */
+function resetKinematics(controllers) {
+    controllers.forEach(controller => {
+        const { body, path } = controller;
+        controller.time = 0;
+        Matter.Body.setPosition(body, { x: path.start.x, y: path.start.y });
+        Matter.Body.setAngle(body, path.start.angle);
+        Matter.Body.setVelocity(body, { x: 0, y: 0 });
+        Matter.Body.setAngularVelocity(body, 0);
+    });
+}
+
+export {
+    EASINGS,
+    KINEMATIC_MODES,
+    createKinematicPath,
+    getKinematicPose,
+    createKinematicController,
+    stepKinematics,
+    resetKinematics
+};
@@ -0,0 +1,288 @@
+import Matter from 'matter-js';
+import { toBodyVelocity } from './clock.js';
+
+/**
+ * @module core/physics/launchers
+ * @description Launchers (cannons) from objects with a `launcher` block. A launcher fires the pieces
+ * described by its `projectile` from its muzzle, each with an impulse along the direction the launcher
+ * faces (its own x axis, turned with its angle):
+ * - `projectile`: the properties of the fired piece, like the `objectProperties` of an inventory item
+ *   (`type`, dimensions, `mass`, material and `color`).
+ * - `impulse`: the impulse of a shot, in mass × world units per second; a piece leaves at `impulse / mass`.
+ * - `muzzle`: where the pieces leave from, `{ x, y }` in the launcher's own frame (default its centre).
+ * - `count`: the number of shots (1 to `MAX_LAUNCHER_SHOTS`, default 1).
+ * - `fireAt`: the time of the first shot, in seconds after the simulation starts. Without it, the
+ *   launcher fires when the player triggers it (see {@link triggerLaunchers}).
+ * - `interval`: the seconds between two shots (default 0.5), also the reload time of a triggered launcher.
+ * Times are in seconds of the simulation clock, like kinematic paths (see {@link module:core/physics/clock}).
+ *
+ * The pieces exist from the start, held at the muzzle: static and without collisions until they are
+ * fired, so that the timeline, replays and mode changes handle them like any other body. A launcher and
+ * its pieces share a collision group, so shots pass through the launcher and through each other.
+ */
+
+/** @const {number} The maximum number of shots of one launcher. */
+const MAX_LAUNCHER_SHOTS = 20;
+
+/**
+ * Validates the `launcher` block of an object config.
+ * @param {object} objectConfig - The object config.
+ * @returns {object|null} The launcher settings (`projectile`, `impulse`, `muzzle`, `count`, `fireAt` or null
+ *          for a triggered launcher, `interval`), or null if the object is not a valid launcher.
+ */
+function createLauncherSettings(objectConfig) {
+    const launcher = objectConfig?.launcher;
+    if (!launcher) return null;
+
+    const invalid = (reason) => {
+        console.warn(`Launchers: Launcher '${objectConfig.id}' ${reason}. It will not fire.`);
+        return null;
+    };
+    if (!launcher.projectile || !['box', 'circle', 'polygon', 'compound'].includes(launcher.projectile.type)) {
+        return invalid("needs a 'projectile' with a box, circle, polygon or compound 'type'");
+    }
+    if (!Number.isFinite(launcher.impulse) || launcher.impulse < 0) return invalid("needs a non-negative 'impulse'");
+    const count = launcher.count ?? 1;
+    if (!Number.isInteger(count) || count < 1 || count > MAX_LAUNCHER_SHOTS) {
+        return invalid(`needs a 'count' from 1 to ${MAX_LAUNCHER_SHOTS}`);
+    }
+    if (launcher.fireAt !== undefined && !(Number.isFinite(launcher.fireAt) && launcher.fireAt >= 0)) {
+        return invalid("needs a non-negative 'fireAt' time");
+    }
+    const interval = launcher.interval ?? 0.5;
+    if (!Number.isFinite(interval) || interval < 0) return invalid("needs a non-negative 'interval'");
+    const muzzle = launcher.muzzle ?? { x: 0, y: 0 };
+    if (!Number.isFinite(muzzle.x) || !Number.isFinite(muzzle.y)) return invalid("needs a numeric 'muzzle' x and y");
+
+    return {
+        projectile: launcher.projectile,
+        impulse: launcher.impulse,
+        muzzle: { x: muzzle.x, y: muzzle.y },
+        count,
+        fireAt: launcher.fireAt ?? null,
+        interval
+    };
+}
+
+/**
+ * Returns the muzzle pose of a launcher in world coordinates.
+ * @param {{x: number, y: number}} position - The launcher position.
+ * @param {number} angle - The launcher angle, in radians.
+ * @param {{x: number, y: number}} muzzle - The muzzle in the launcher's own frame.
+ * @returns {{x: number, y: number, angle: number}} The muzzle position and the firing angle.
+ * @private
+ */
+function getMuzzlePose(position, angle, muzzle) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return {
+        x: position.x + muzzle.x * cos - muzzle.y * sin,
+        y: position.y + muzzle.x * sin + muzzle.y * cos,
+        angle
+    };
+}
+
+/**
+ * Returns the object configs of the pieces of a launcher, placed at its muzzle. Their IDs are
+ * `<launcherId>_shot_<n>`, so objectives can refer to a fired piece.
+ * @param {object} objectConfig - The launcher's object config.
+ * @param {object} settings - The launcher settings from {@link createLauncherSettings}.
+ * @returns {Array<object>} The object configs, flagged with `isProjectile`.
+ */
+function getProjectileConfigs(objectConfig, settings) {
+    const pose = getMuzzlePose({ x: objectConfig.x, y: objectConfig.y }, objectConfig.angle || 0, settings.muzzle);
+    return Array.from({ length: settings.count }, (_, i) => ({
+        ...settings.projectile,
+        id: `${objectConfig.id}_shot_${i}`,
+        x: pose.x,
+        y: pose.y,
+        angle: pose.angle,
+        isStatic: false,
+        isProjectile: true
+    }));
+}
+
+/**
+ * Returns the object configs of the pieces of every launcher of a level, e.g. to create their meshes.
+ * @param {Array<object>} objectsConfig - The level `objects` array.
+ * @returns {Array<object>} The object configs of the pieces.
+ */
+function getLauncherProjectileConfigs(objectsConfig) {
+    return (objectsConfig || []).flatMap(obj => {
+        const settings = obj?.launcher ? createLauncherSettings(obj) : null;
+        return settings ? getProjectileConfigs(obj, settings) : [];
+    });
+}
+
+/**
+ * Holds a piece at the muzzle: static and without collisions.
+ * @param {Matter.Body} piece - The piece.
+ * @private
+ */
+function holsterProjectile(piece) {
+    if (!piece.isStatic) {
+        Matter.Body.setVelocity(piece, { x: 0, y: 0 });
+        Matter.Body.setAngularVelocity(piece, 0);
+        Matter.Body.setStatic(piece, true);
+    }
+    piece.parts.forEach(part => { part.isSensor = true; });
+    piece.collisionFilter.mask = 0;
+}
+
+/**
+ * Lets a piece move and collide.
+ * @param {Matter.Body} piece - The piece.
+ * @private
+ */
+function releaseProjectile(piece) {
+    if (piece.isStatic) Matter.Body.setStatic(piece, false);
+    piece.parts.forEach(part => { part.isSensor = false; });
+    piece.collisionFilter.mask = piece.projectileMask;
+}
+
+/**
+ * Creates the controller of a launcher and holds its pieces at the muzzle.
+ * @param {Matter.Body} body - The launcher body.
+ * @param {object} settings - The launcher settings from {@link createLauncherSettings}.
+ * @param {Array<Matter.Body>} projectiles - The bodies of its pieces, in firing order.
+ * @returns {{body: Matter.Body, settings: object, projectiles: Array<Matter.Body>, time: number, shotsFired: number, lastShotTime: number|null}} The controller.
+ */
+function createLauncherController(body, settings, projectiles) {
+    projectiles.forEach(piece => {
+        piece.projectileMask = piece.collisionFilter.mask;
+        holsterProjectile(piece);
+    });
+    return { body, settings, projectiles, time: 0, shotsFired: 0, lastShotTime: null };
+}
+
+/**
+ * Fires the next piece of a launcher from its muzzle.
+ * @param {object} controller - The launcher controller.
+ * @private
+ */
+function fireShot(controller) {
+    const piece = controller.projectiles[controller.shotsFired];
+    controller.shotsFired++;
+    controller.lastShotTime = controller.time;
+
+    const pose = getMuzzlePose(controller.body.position, controller.body.angle, controller.settings.muzzle);
+    releaseProjectile(piece);
+    Matter.Body.setPosition(piece, { x: pose.x, y: pose.y });
+    Matter.Body.setAngle(piece, pose.angle);
+    const speed = toBodyVelocity(controller.settings.impulse / piece.mass);
+    Matter.Body.setVelocity(piece, { x: Math.cos(pose.angle) * speed, y: Math.sin(pose.angle) * speed });
+    Matter.Body.setAngularVelocity(piece, 0);
+}
+
+/**
+ * Checks whether a launcher is loaded: it has pieces left and its reload interval has passed.
+ * @param {object} controller - The launcher controller.
+ * @returns {boolean} True if the launcher can fire.
+ * @private
+ */
+function isLoaded(controller) {
+    return controller.shotsFired < controller.projectiles.length &&
+        (controller.lastShotTime === null || controller.time >= controller.lastShotTime + controller.settings.interval);
+}
+
+/**
+ * Advances launchers by one engine step, firing the timed ones when their shots are due.
+ * Intended to run before every engine update while the simulation runs.
+ * @param {Array<object>} controllers - The launcher controllers.
+ * @param {number} deltaSeconds - The engine step in clock seconds, see {@link module:core/physics/clock}.
+ */
+function stepLaunchers(controllers, deltaSeconds) {
+    controllers.forEach(controller => {
+        controller.time += deltaSeconds;
+        const { fireAt, interval } = controller.settings;
+        while (fireAt !== null && controller.shotsFired < controller.projectiles.length &&
+               controller.time >= fireAt + controller.shotsFired * interval) {
+            fireShot(controller);
+        }
+    });
+}
+
+/**
+ * Fires the next piece of every loaded launcher that waits for the player.
+ * @param {Array<object>} controllers - The launcher controllers.
+ * @returns {number} The number of pieces fired.
+ */
+function triggerLaunchers(controllers) {
+    let fired = 0;
+    controllers.forEach(controller => {
+        if (controller.settings.fireAt === null && isLoaded(controller)) {
+            fireShot(controller);
+            fired++;
+        }
+    });
+    return fired;
+}
+
+/**
+ * Keeps the pieces that have not been fired at the muzzle of their launcher, which may have moved.
+ * Intended to run before every engine update.
+ * @param {Array<object>} controllers - The launcher controllers.
+ */
+function holdProjectiles(controllers) {
+    controllers.forEach(controller => {
+        if (controller.shotsFired >= controller.projectiles.length) return;
+        const pose = getMuzzlePose(controller.body.position, controller.body.angle, controller.settings.muzzle);
+        for (let i = controller.shotsFired; i < controller.projectiles.length; i++) {
+            Matter.Body.setPosition(controller.projectiles[i], { x: pose.x, y: pose.y });
+            Matter.Body.setAngle(controller.projectiles[i], pose.angle);
+        }
+    });
+}
+
+/**
+ * Returns the state of a launcher, e.g. to record it in the timeline.
+ * @param {object} controller - The launcher controller.
+ * @returns {{time: number, shotsFired: number, lastShotTime: number|null}} The state.
+ */
+function getLauncherState(controller) {
+    return { time: controller.time, shotsFired: controller.shotsFired, lastShotTime: controller.lastShotTime };
+}
+
+/**
+ * Puts a launcher back in a recorded state: the pieces fired by then are released, the others held.
+ * The positions and velocities of the released pieces are left to the caller.
+ * @param {object} controller - The launcher controller.
+ * @param {{time: number, shotsFired: number, lastShotTime: number|null}} state - A state from {@link getLauncherState}.
+ */
+function setLauncherState(controller, state) {
+    controller.time = state.time;
+    controller.shotsFired = state.shotsFired;
+    controller.lastShotTime = state.lastShotTime;
+    controller.projectiles.forEach((piece, i) => {
+        if (i < state.shotsFired) {
+            releaseProjectile(piece);
+        } else {
+            holsterProjectile(piece);
+        }
+    });
+}
+
+/**
+ * Reloads launchers: every piece goes back to the muzzle, held, and the clock restarts.
+ * @param {Array<object>} controllers - The launcher controllers.
+ */
+function resetLaunchers(controllers) {
+    controllers.forEach(controller => {
+        setLauncherState(controller, { time: 0, shotsFired: 0, lastShotTime: null });
+    });
+    holdProjectiles(controllers);
+}
+
+export {
+    MAX_LAUNCHER_SHOTS,
+    createLauncherSettings,
+    getProjectileConfigs,
+    getLauncherProjectileConfigs,
+    createLauncherController,
+    stepLaunchers,
+    triggerLaunchers,
+    holdProjectiles,
+    getLauncherState,
+    setLauncherState,
+    resetLaunchers
+};
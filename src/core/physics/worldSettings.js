@@ -0,0 +1,76 @@
+/**
+ * @module core/physics/worldSettings
+ * @description Physics parameters from the level `world` block, so that a level can tune how its
+ * world behaves (e.g. a floaty space level or a heavy sludge level) without code changes:
+ * - `solver`: `positionIterations`, `velocityIterations` and `constraintIterations` of the Matter.js
+ *   solver (integers from 1 to 50; more is stiffer and slower), and `restingThreshold`, the contact
+ *   speed below which bodies stop bouncing.
+ * - `timeScale`: how fast physics time passes compared to the simulation clock (greater than 0, up to 5).
+ *   Objective and end condition timers follow the clock, not the physics.
+ * - `frictionAir`: the air drag of objects that do not set their own (0 to 1).
+ * - `defaultMaterial`: the `restitution` (0 to 1), `friction` (0 to 1) and `frictionStatic` (0 to 10)
+ *   of objects that do not set their own.
+ * Missing values use the defaults below; invalid ones are reported with a warning and replaced by them.
+ */
+
+/** @const {object} The settings used when the level does not set them. */
+const DEFAULT_WORLD_SETTINGS = Object.freeze({
+    positionIterations: 8,
+    velocityIterations: 8,
+    constraintIterations: 2,
+    restingThreshold: 1,
+    timeScale: 1,
+    frictionAir: 0.01,
+    restitution: 0.8,
+    friction: 0.01,
+    frictionStatic: 0.5
+});
+
+/**
+ * Reads one setting, falling back to its default when it is missing or invalid.
+ * @param {*} value - The value from the level.
+ * @param {string} name - The name of the setting, as written in the level.
+ * @param {number} defaultValue - The default value.
+ * @param {function(number): boolean} isValid - Checks a numeric value.
+ * @param {string} expected - Describes the valid values, for the warning.
+ * @returns {number} The setting.
+ * @private
+ */
+function readSetting(value, name, defaultValue, isValid, expected) {
+    if (value === undefined) return defaultValue;
+    if (typeof value !== 'number' || !Number.isFinite(value) || !isValid(value)) {
+        console.warn(`WorldSettings: 'world.${name}' must be ${expected}, got ${JSON.stringify(value)}. Using ${defaultValue}.`);
+        return defaultValue;
+    }
+    return value;
+}
+
+/**
+ * Validates the physics parameters of a level `world` block.
+ * @param {object} [worldConfig] - The level `world` block.
+ * @returns {object} The settings, with every key of `DEFAULT_WORLD_SETTINGS`.
+ */
+function resolveWorldSettings(worldConfig) {
+    const solver = worldConfig?.solver || {};
+    const material = worldConfig?.defaultMaterial || {};
+    const isIterations = v => Number.isInteger(v) && v >= 1 && v <= 50;
+    const isUnit = v => v >= 0 && v <= 1;
+    const d = DEFAULT_WORLD_SETTINGS;
+
+    return {
+        positionIterations: readSetting(solver.positionIterations, 'solver.positionIterations', d.positionIterations, isIterations, 'an integer from 1 to 50'),
+        velocityIterations: readSetting(solver.velocityIterations, 'solver.velocityIterations', d.velocityIterations, isIterations, 'an integer from 1 to 50'),
+        constraintIterations: readSetting(solver.constraintIterations, 'solver.constraintIterations', d.constraintIterations, isIterations, 'an integer from 1 to 50'),
+        restingThreshold: readSetting(solver.restingThreshold, 'solver.restingThreshold', d.restingThreshold, v => v >= 0 && v <= 20, 'a number from 0 to 20'),
+        timeScale: readSetting(worldConfig?.timeScale, 'timeScale', d.timeScale, v => v > 0 && v <= 5, 'a number greater than 0 and at most 5'),
+        frictionAir: readSetting(worldConfig?.frictionAir, 'frictionAir', d.frictionAir, isUnit, 'a number from 0 to 1'),
+        restitution: readSetting(material.restitution, 'defaultMaterial.restitution', d.restitution, isUnit, 'a number from 0 to 1'),
+        friction: readSetting(material.friction, 'defaultMaterial.friction', d.friction, isUnit, 'a number from 0 to 1'),
+        frictionStatic: readSetting(material.frictionStatic, 'defaultMaterial.frictionStatic', d.frictionStatic, v => v >= 0 && v <= 10, 'a number from 0 to 10')
+    };
+}
+
+export {
+    DEFAULT_WORLD_SETTINGS,
+    resolveWorldSettings
+};
@@ -0,0 +1,184 @@
+/**
+ * @module core/physics/zoneShapes
+ * @description The zones of zone objectives (`stayInZone`, `leaveZone`, `restInZone`), and through them
+ * of their end conditions. A zone is centred on `x`, `y` and has a `shape`:
+ * - `rect` (the default): `width` and `height`, turned by `angle` (radians, default 0).
+ * - `circle`: `radius`.
+ * - `polygon`: `vertices`, `{ x, y }` points relative to the centre (turned by `angle`), concave or not.
+ * Its `containment` decides when a body counts as in the zone:
+ * - `center` (the default): the body's position is inside.
+ * - `inside`: the whole body is inside.
+ * - `overlap`: some part of the body is inside.
+ * Bodies are tested with their collision outline (every part of a compound body).
+ * The zone is drawn in the scene in its `color` (`{ r, g, b }`, yellow by default) unless `visible` is false,
+ * see {@link module:core/visuals/zoneVisuals}.
+ */
+
+/** @const {Array<string>} The zone shapes. */
+const ZONE_SHAPES = ['rect', 'circle', 'polygon'];
+/** @const {Array<string>} The ways a body can count as in a zone. */
+const ZONE_CONTAINMENT_MODES = ['center', 'inside', 'overlap'];
+
+/**
+ * Lists what is wrong with a zone config, for the validators of zone rules.
+ * @param {*} zone - The zone config.
+ * @returns {Array<string>} The problems found, phrased to follow the rule's name.
+ */
+function getZoneProblems(zone) {
+    if (!zone || typeof zone !== 'object') {
+        return ["needs a 'zone' object {x, y, width, height}"];
+    }
+    const shape = zone.shape ?? 'rect';
+    const problems = [];
+    if (!Number.isFinite(zone.x) || !Number.isFinite(zone.y)) problems.push("needs a zone with a numeric 'x' and 'y' centre");
+    if (!ZONE_SHAPES.includes(shape)) problems.push(`needs a zone 'shape' of ${ZONE_SHAPES.join(', ')}`);
+    if (shape === 'rect' && !(zone.width > 0 && zone.height > 0)) problems.push("needs a rect zone with a positive 'width' and 'height'");
+    if (shape === 'circle' && !(zone.radius > 0)) problems.push("needs a circle zone with a positive 'radius'");
+    if (shape === 'polygon' && !(Array.isArray(zone.vertices) && zone.vertices.length >= 3 &&
+            zone.vertices.every(v => Number.isFinite(v?.x) && Number.isFinite(v?.y)))) {
+        problems.push("needs a polygon zone with at least three 'vertices' {x, y}");
+    }
+    if (zone.angle !== undefined && !Number.isFinite(zone.angle)) problems.push("needs a numeric zone 'angle'");
+    if (zone.containment !== undefined && !ZONE_CONTAINMENT_MODES.includes(zone.containment)) {
+        problems.push(`needs a zone 'containment' of ${ZONE_CONTAINMENT_MODES.join(', ')}`);
+    }
+    if (zone.color !== undefined && !['r', 'g', 'b'].every(channel => Number.isFinite(zone.color?.[channel]))) {
+        problems.push("needs a zone 'color' {r, g, b}");
+    }
+    if (zone.visible !== undefined && typeof zone.visible !== 'boolean') problems.push("needs a boolean zone 'visible'");
+    return problems;
+}
+
+/**
+ * Turns a zone config into the outline tested against bodies: a circle, or a polygon in world coordinates.
+ * @param {object} zone - A valid zone config.
+ * @returns {{shape: string, x: number, y: number, radius: number|undefined, vertices: Array<{x: number, y: number}>|undefined, containment: string}} The zone outline.
+ */
+function createZoneShape(zone) {
+    const containment = zone.containment ?? 'center';
+    if (zone.shape === 'circle') {
+        return { shape: 'circle', x: zone.x, y: zone.y, radius: zone.radius, containment };
+    }
+    const outline = zone.shape === 'polygon'
+        ? zone.vertices
+        : [
+            { x: -zone.width / 2, y: -zone.height / 2 },
+            { x: zone.width / 2, y: -zone.height / 2 },
+            { x: zone.width / 2, y: zone.height / 2 },
+            { x: -zone.width / 2, y: zone.height / 2 }
+        ];
+    const cos = Math.cos(zone.angle || 0);
+    const sin = Math.sin(zone.angle || 0);
+    const vertices = outline.map(v => ({ x: zone.x + v.x * cos - v.y * sin, y: zone.y + v.x * sin + v.y * cos }));
+    return { shape: 'polygon', x: zone.x, y: zone.y, vertices, containment };
+}
+
+/**
+ * Checks whether a point is inside a polygon (even-odd rule, so concave outlines work).
+ * @param {{x: number, y: number}} point - The point.
+ * @param {Array<{x: number, y: number}>} vertices - The polygon outline.
+ * @returns {boolean} True if the point is inside.
+ * @private
+ */
+function isPointInPolygon(point, vertices) {
+    let inside = false;
+    for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+        const a = vertices[i];
+        const b = vertices[j];
+        if ((a.y > point.y) !== (b.y > point.y) &&
+            point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Checks whether a point is inside a zone outline.
+ * @param {{x: number, y: number}} point - The point.
+ * @param {object} zoneShape - The zone outline from {@link createZoneShape}.
+ * @returns {boolean} True if the point is inside.
+ */
+function isPointInZone(point, zoneShape) {
+    if (zoneShape.shape === 'circle') {
+        return Math.hypot(point.x - zoneShape.x, point.y - zoneShape.y) <= zoneShape.radius;
+    }
+    return isPointInPolygon(point, zoneShape.vertices);
+}
+
+/**
+ * Returns the distance between a point and a segment.
+ * @param {{x: number, y: number}} p - The point.
+ * @param {{x: number, y: number}} a - The start of the segment.
+ * @param {{x: number, y: number}} b - The end of the segment.
+ * @returns {number} The distance.
+ * @private
+ */
+function getDistanceToSegment(p, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared > 0 ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared)) : 0;
+    return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+
+/**
+ * Checks whether two segments cross.
+ * @param {{x: number, y: number}} a - The start of the first segment.
+ * @param {{x: number, y: number}} b - The end of the first segment.
+ * @param {{x: number, y: number}} c - The start of the second segment.
+ * @param {{x: number, y: number}} d - The end of the second segment.
+ * @returns {boolean} True if they cross.
+ * @private
+ */
+function doSegmentsCross(a, b, c, d) {
+    const side = (p, q, r) => Math.sign((q.x - p.x) * (r.y - p.y) - (q.y - p.y) * (r.x - p.x));
+    return side(a, b, c) !== side(a, b, d) && side(c, d, a) !== side(c, d, b);
+}
+
+/**
+ * Checks whether a convex body part and a zone outline overlap.
+ * @param {Array<{x: number, y: number}>} partVertices - The outline of the part, in world coordinates.
+ * @param {object} zoneShape - The zone outline from {@link createZoneShape}.
+ * @returns {boolean} True if they share some area.
+ * @private
+ */
+function doesPartOverlapZone(partVertices, zoneShape) {
+    if (partVertices.some(v => isPointInZone(v, zoneShape))) return true;
+    const edges = partVertices.map((v, i) => [v, partVertices[(i + 1) % partVertices.length]]);
+    if (zoneShape.shape === 'circle') {
+        return isPointInPolygon(zoneShape, partVertices) ||
+            edges.some(([a, b]) => getDistanceToSegment(zoneShape, a, b) <= zoneShape.radius);
+    }
+    const zoneVertices = zoneShape.vertices;
+    if (zoneVertices.some(v => isPointInPolygon(v, partVertices))) return true;
+    return edges.some(([a, b]) => zoneVertices.some((c, i) => doSegmentsCross(a, b, c, zoneVertices[(i + 1) % zoneVertices.length])));
+}
+
+/**
+ * Checks whether a body counts as in a zone, according to the zone's containment mode.
+ * With `inside`, every vertex of the body's outline must be in the zone, which is exact for convex
+ * zones and close enough for concave ones.
+ * @param {Matter.Body} body - The body.
+ * @param {object} zoneShape - The zone outline from {@link createZoneShape}.
+ * @returns {boolean} True if the body is in the zone.
+ */
+function isBodyInZone(body, zoneShape) {
+    if (zoneShape.containment === 'center') {
+        return isPointInZone(body.position, zoneShape);
+    }
+    const parts = body.parts.length > 1 ? body.parts.slice(1) : [body];
+    if (zoneShape.containment === 'inside') {
+        return parts.every(part => part.vertices.every(v => isPointInZone(v, zoneShape)));
+    }
+    return parts.some(part => doesPartOverlapZone(part.vertices, zoneShape));
+}
+
+export {
+    ZONE_SHAPES,
+    ZONE_CONTAINMENT_MODES,
+    getZoneProblems,
+    createZoneShape,
+    isPointInZone,
+    isBodyInZone
+};
@@ -1,6 +1,12 @@
-import * as Matter from 'matter-js';
-import { initAudio, playCollisionSound } from './soundManager.js';
-import { getApplicationMode } from './simulation.js';
+import Matter from 'matter-js';
+import { createJoint, applyJointLimits } from './physics/joints.js';
+import { createKinematicPath, createKinematicController, stepKinematics } from './physics/kinematics.js';
+import { createForceZones, applyForceZones } from './physics/forceZones.js';
+import { createLauncherSettings, getProjectileConfigs, createLauncherController, stepLaunchers, holdProjectiles } from './physics/launchers.js';
+import { resolveWorldSettings } from './physics/worldSettings.js';
+import { createContact } from './physics/contacts.js';
+import { toClockSeconds, toBodyVelocity } from './physics/clock.js';
+import { getCenteredPolygonVertices, getPolygonArea, getCompoundLayout, getPartArea } from '../utils/shapeUtils.js';
 
 /**
  * @module core/physicsManager
@@ -8,12 +14,32 @@ import { getApplicationMode } from './simulation.js';
  * object creation (bodies and boundaries), collision handling, and simulation updates.
  * It also handles toggling between working and simulation boundaries and provides
  * utility functions for collision checking.
+ * It does not depend on the renderer, the DOM or audio: the simulation state and collision
+ * sounds are passed in through {@link setSimulationRunning} and {@link setCollisionListener}.
+ * The contacts that begin while the simulation runs are collected for objectives and end conditions,
+ * see {@link takeContacts}.
  */
 
 /** @type {Matter.Engine|null} The Matter.js physics engine instance. */
 let matterEngine = null;
 /** @type {object} Stores the last configuration object used to initialize the physics world. */
 let lastWorldConfig = {};
+/** @type {object} Validated physics parameters of the world, see {@link module:core/physics/worldSettings}. */
+let worldSettings = resolveWorldSettings({});
+/** @type {Array<object>} Joint records created from the level constraints, see {@link module:core/physics/joints}. */
+let activeJoints = [];
+/** @type {Array<object>} Controllers of kinematic objects, see {@link module:core/physics/kinematics}. */
+let activeKinematics = [];
+/** @type {Array<object>} Force-field zones of the level, see {@link module:core/physics/forceZones}. */
+let activeForceZones = [];
+/** @type {Array<object>} Controllers of launcher objects, see {@link module:core/physics/launchers}. */
+let activeLaunchers = [];
+/** @type {boolean} Whether the simulation is running; kinematics, launchers, force zones and collision events only act while it is. */
+let simulationRunning = false;
+/** @type {function({intensity: number, typeA: string, typeB: string}): void|null} Called for every collision impact while the simulation runs. */
+let collisionListener = null;
+/** @type {Array<object>} Contacts begun since the last {@link takeContacts}, see {@link module:core/physics/contacts}. */
+let pendingContacts = [];
 /** @type {number} Default collision group for objects. */
 const defaultCollisionGroup = 1;
 /** @type {number} Collision category for boundary objects. */
@@ -25,26 +51,48 @@ const defaultCollisionMask = boundaryCollisionCategory | objectCollisionCategory
 
 /**
  * Initializes the Matter.js physics engine with the given world configuration.
- * Sets up gravity, solver iterations, and stores the world configuration.
+ * Sets up gravity, the solver, the time scale and the default materials, and stores the world configuration.
  * @param {object} worldConfig - Configuration object for the physics world.
  * @param {object} [worldConfig.gravity] - Gravity vector for the world.
  * @param {number} [worldConfig.gravity.x=0] - Gravity on the x-axis.
  * @param {number} [worldConfig.gravity.y=1] - Gravity on the y-axis.
+ * @param {object} [worldConfig.solver] - Solver iterations and resting threshold, see {@link module:core/physics/worldSettings}.
+ * @param {number} [worldConfig.timeScale=1] - Speed of physics time relative to the simulation clock.
+ * @param {number} [worldConfig.frictionAir=0.01] - Default air drag of objects.
+ * @param {object} [worldConfig.defaultMaterial] - Default `restitution`, `friction` and `frictionStatic` of objects.
  */
 function initializePhysics(worldConfig) {
+    worldSettings = resolveWorldSettings(worldConfig);
     matterEngine = Matter.Engine.create();
-    Matter.Resolver._restingThresh = 1;
-    matterEngine.positionIterations = 8;
-    matterEngine.velocityIterations = 8;
+    Matter.Resolver._restingThresh = worldSettings.restingThreshold;
+    matterEngine.positionIterations = worldSettings.positionIterations;
+    matterEngine.velocityIterations = worldSettings.velocityIterations;
+    matterEngine.constraintIterations = worldSettings.constraintIterations;
+    matterEngine.timing.timeScale = worldSettings.timeScale;
     matterEngine.gravity.x = worldConfig?.gravity?.x ?? 0;
     matterEngine.gravity.y = worldConfig?.gravity?.y ?? 1;
     lastWorldConfig = worldConfig || {};
 
-    initAudio();
+    Matter.Events.on(matterEngine, 'beforeUpdate', (event) => {
+        if (simulationRunning) {
+            const deltaSeconds = toClockSeconds(event.delta);
+            stepKinematics(activeKinematics, deltaSeconds);
+            stepLaunchers(activeLaunchers, deltaSeconds);
+        }
+        holdProjectiles(activeLaunchers);
+        if (simulationRunning) {
+            applyForceZones(activeForceZones, Matter.Composite.allBodies(matterEngine.world), matterEngine.gravity);
+        }
+    });
+
+    Matter.Events.on(matterEngine, 'afterUpdate', () => {
+        applyJointLimits(activeJoints);
+    });
 
     Matter.Events.on(matterEngine, 'collisionStart', (event) => {
         event.pairs.forEach(pair => {
-            const { bodyA, bodyB } = pair;
+            const bodyA = pair.bodyA.parent || pair.bodyA;
+            const bodyB = pair.bodyB.parent || pair.bodyB;
             const typeA = bodyA.objectType || 'boundary';
             const typeB = bodyB.objectType || 'boundary';
 
@@ -56,27 +104,137 @@ function initializePhysics(worldConfig) {
             intensity = isNaN(intensity) ? 0 : intensity;
 
             const intensityThreshold = 0.001;
-            if (getApplicationMode() === 'simulation' && intensity > intensityThreshold) {
-                playCollisionSound({ intensity, typeA, typeB });
+            if (simulationRunning && collisionListener && intensity > intensityThreshold) {
+                collisionListener({ intensity, typeA, typeB });
+            }
+            if (simulationRunning) {
+                pendingContacts.push(createContact(pair));
             }
         });
     });
 }
 
+/**
+ * Computes the area of an object's collision shape from its config.
+ * @param {object} shapeConfig - Object config with `type` and the matching dimensions
+ *                               (`width`/`height` for boxes, `radius` for circles, `vertices` for polygons,
+ *                               `parts` for compounds).
+ * @returns {number} The area, or 0 if the type is unknown or the dimensions are missing.
+ */
+function getShapeArea(shapeConfig) {
+    switch (shapeConfig?.type) {
+        case 'box':
+            return (shapeConfig.width || 0) * (shapeConfig.height || 0);
+        case 'circle':
+            return Math.PI * (shapeConfig.radius || 0) * (shapeConfig.radius || 0);
+        case 'polygon':
+            return getPolygonArea(getCenteredPolygonVertices(shapeConfig.vertices));
+        case 'compound':
+            return (shapeConfig.parts || []).reduce((sum, part) => sum + getPartArea(part), 0);
+        default:
+            return 0;
+    }
+}
+
+/**
+ * Converts the configured `mass` of an object into a Matter.js density for its shape.
+ * @param {object} shapeConfig - Object config with `mass`, `type` and dimensions.
+ * @returns {number|null} The density, or null if it cannot be derived.
+ */
+function computeDensity(shapeConfig) {
+    const area = getShapeArea(shapeConfig);
+    if (!shapeConfig?.mass || area <= 0) return null;
+    return shapeConfig.mass / area;
+}
+
+/**
+ * Creates the Matter.js body matching an object's shape config at the given position.
+ * Polygons are built with `Bodies.fromVertices` from their normalized convex outline,
+ * so the body position is the polygon's area centroid. Compounds become a single body
+ * whose parts share the collision filter and density; the body position is the centroid
+ * of the parts and the configured angle rotates the whole object around it.
+ * @param {object} shapeConfig - Object config with `type` and the matching dimensions.
+ * @param {number} x - The x-coordinate of the body position.
+ * @param {number} y - The y-coordinate of the body position.
+ * @param {object} opts - Matter.js body options.
+ * @returns {Matter.Body|null} The created body, or null for unknown types or invalid dimensions.
+ */
+function createShapeBody(shapeConfig, x, y, opts) {
+    switch (shapeConfig?.type) {
+        case 'box':
+            return Matter.Bodies.rectangle(x, y, shapeConfig.width, shapeConfig.height, opts);
+        case 'circle':
+            return Matter.Bodies.circle(x, y, shapeConfig.radius, opts);
+        case 'polygon': {
+            const vertices = getCenteredPolygonVertices(shapeConfig.vertices);
+            if (vertices.length < 3) {
+                console.warn(`PhysicsManager: Polygon '${shapeConfig.id ?? 'unnamed'}' needs at least 3 valid vertices.`);
+                return null;
+            }
+            return Matter.Bodies.fromVertices(x, y, [vertices], opts);
+        }
+        case 'compound': {
+            const layout = getCompoundLayout(shapeConfig.parts);
+            if (!layout) {
+                console.warn(`PhysicsManager: Compound '${shapeConfig.id ?? 'unnamed'}' needs a non-empty 'parts' array of valid box, circle or polygon parts.`);
+                return null;
+            }
+            const { angle = 0, density, ...parentOpts } = opts;
+            const partOpts = { collisionFilter: opts.collisionFilter };
+            if (density) partOpts.density = density;
+            const parts = layout.parts.map(part => createShapeBody(part, x + part.x, y + part.y, { ...partOpts, angle: part.angle || 0 }));
+            if (parts.some(part => !part)) return null;
+            const body = Matter.Body.create({ ...parentOpts, parts });
+            Matter.Body.setPosition(body, { x, y });
+            Matter.Body.setAngle(body, angle);
+            return body;
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Reads the initial motion of an object config, converted to Matter.js body velocities.
+ * @param {object} obj - The object config, with optional `velocity` ({ x, y } in world units per second)
+ *                      and `angularVelocity` (radians per second).
+ * @returns {{velocity: {x: number, y: number}, angularVelocity: number}} The initial motion (zero when not set or invalid).
+ */
+function getInitialMotion(obj) {
+    const motion = { velocity: { x: 0, y: 0 }, angularVelocity: 0 };
+    if (obj.velocity !== undefined) {
+        if (Number.isFinite(obj.velocity?.x) && Number.isFinite(obj.velocity?.y)) {
+            motion.velocity = { x: toBodyVelocity(obj.velocity.x), y: toBodyVelocity(obj.velocity.y) };
+        } else {
+            console.warn(`PhysicsManager: Object '${obj.id}' needs a 'velocity' with numeric x and y. Starting at rest.`);
+        }
+    }
+    if (obj.angularVelocity !== undefined) {
+        if (Number.isFinite(obj.angularVelocity)) {
+            motion.angularVelocity = toBodyVelocity(obj.angularVelocity);
+        } else {
+            console.warn(`PhysicsManager: Object '${obj.id}' needs a numeric 'angularVelocity'. Starting without spin.`);
+        }
+    }
+    return motion;
+}
+
 /**
  * Creates Matter.js physical bodies (objects and boundaries) and constraints based on the provided configurations.
- * Adds created bodies and constraints to the Matter.js world.
+ * Adds created bodies and constraints to the Matter.js world. Objects that do not set their own material
+ * (`restitution`, `friction`, `frictionStatic`, `frictionAir`) use the defaults of the world given to {@link initializePhysics}.
+ * Objects with a `launcher` block also get the bodies of their pieces, see {@link module:core/physics/launchers}.
  * @param {Array<object>} objectsConfig - Array of configuration objects for dynamic/static bodies.
- * @param {Array<object>} constraintsConfig - Array of configuration objects for constraints between bodies.
+ * @param {Array<object>} constraintsConfig - Array of configuration objects for constraints between bodies (see {@link module:core/physics/joints} for the supported kinds).
  * @param {object} worldConfig - Configuration for world properties like working and simulation boundaries.
  * @param {object} [worldConfig.workingBounds] - Defines the primary interaction area.
  * @param {object} [worldConfig.simulationBounds] - Defines the broader area for simulation, potentially outside working bounds.
  * @param {number} [worldConfig.wallThickness=60] - Thickness of the boundary walls.
- * @returns {{bodies: Map<string, Matter.Body>, constraints: Array<Matter.Constraint>}} An object containing a map of created bodies (keyed by ID) and an array of created Matter.js constraints. Returns an empty structure if the engine is not initialized.
+ * @returns {{bodies: Map<string, Matter.Body>, constraints: Array<Matter.Constraint>, joints: Array<object|null>, kinematics: Array<object>, launchers: Array<object>}} An object containing a map of created bodies (keyed by ID, including the pieces of launchers), an array of created Matter.js constraints, the joint records aligned with `constraintsConfig` (null where a constraint could not be built), and the controllers of kinematic and launcher objects. Returns an empty structure if the engine is not initialized.
  */
 function createPhysicsObjects(objectsConfig, constraintsConfig, worldConfig) {
     if (!matterEngine) {
-        return { bodies: new Map(), constraints: [] };
+        return { bodies: new Map(), constraints: [], joints: [], kinematics: [], launchers: [] };
     }
     const world = matterEngine.world;
 
@@ -89,6 +247,9 @@ function createPhysicsObjects(objectsConfig, constraintsConfig, worldConfig) {
 
     const bodies = new Map();
     const matterConstraints = [];
+    const joints = [];
+    const kinematics = [];
+    const launchers = [];
     const bodiesById = {};
 
     const {
@@ -112,6 +273,7 @@ function createPhysicsObjects(objectsConfig, constraintsConfig, worldConfig) {
             isStatic: true,
             label: `boundary_${type}_${id}`,
             boundaryType: type,
+            tags: ['boundary', id],
             collisionFilter: {
                 category: boundaryCollisionCategory,
                 mask: defaultCollisionMask
@@ -139,66 +301,95 @@ function createPhysicsObjects(objectsConfig, constraintsConfig, worldConfig) {
 
     setSimulationBoundariesActive(false);
 
-    objectsConfig.forEach(obj => {
+    /**
+     * Creates the body of an object config and adds it to the world.
+     * @param {object} obj - The object config.
+     * @returns {Matter.Body|null} The created body, or null for unknown types or invalid dimensions.
+     */
+    const createObjectBody = (obj) => {
         let body = null;
+        const kinematicPath = createKinematicPath(obj);
         const opts = {
             collisionFilter: {
                 category: objectCollisionCategory,
                 mask: defaultCollisionMask
             },
-            restitution: obj.restitution ?? 0.8,
-            friction: obj.friction ?? 0.01,
-            frictionAir: obj.frictionAir ?? 0.01,
-            isStatic: obj.isStatic ?? false,
+            restitution: obj.restitution ?? worldSettings.restitution,
+            friction: obj.friction ?? worldSettings.friction,
+            frictionStatic: obj.frictionStatic ?? worldSettings.frictionStatic,
+            frictionAir: obj.frictionAir ?? worldSettings.frictionAir,
+            isStatic: (obj.isStatic ?? false) || Boolean(kinematicPath),
             angle: obj.angle || 0,
             label: `object_${obj.id}`,
             objectType: obj.type
         };
         if (obj.mass && !opts.isStatic) {
-            if (obj.type === 'box') opts.density = obj.mass/(obj.width*obj.height);
-            else if (obj.type === 'circle') opts.density = obj.mass/(Math.PI*obj.radius*obj.radius);
-        }
-        if (obj.type === 'box') {
-            body = Matter.Bodies.rectangle(obj.x, obj.y, obj.width, obj.height, opts);
-        } else if (obj.type === 'circle') {
-            body = Matter.Bodies.circle(obj.x, obj.y, obj.radius, opts);
+            const density = computeDensity(obj);
+            if (density) opts.density = density;
         }
+        body = createShapeBody(obj, obj.x, obj.y, opts);
         if (body) {
             if (obj.isSensor === true) {
-                body.isSensor = true;
+                body.parts.forEach(part => { part.isSensor = true; });
             }
 
             body.configId = obj.id;
+            body.tags = Array.isArray(obj.tags) ? obj.tags : [];
             bodiesById[obj.id] = body;
             bodies.set(obj.id, body);
             if (!body.isStatic) {
-                body.initialConfig = { position: { x: obj.x, y: obj.y }, angle: body.angle };
+                body.initialConfig = { position: { x: obj.x, y: obj.y }, angle: body.angle, ...getInitialMotion(obj) };
+            }
+            if (kinematicPath) {
+                body.kinematic = true;
+                const controller = createKinematicController(body, kinematicPath);
+                kinematics.push(controller);
+                activeKinematics.push(controller);
             }
             Matter.Composite.add(world, body);
         }
+        return body;
+    };
+
+    objectsConfig.forEach(obj => {
+        const body = createObjectBody(obj);
+        const launcherSettings = body && obj.launcher ? createLauncherSettings(obj) : null;
+        if (!launcherSettings) return;
+
+        const group = Matter.Body.nextGroup(true);
+        body.collisionFilter.group = group;
+        const projectiles = getProjectileConfigs(obj, launcherSettings)
+            .map(projectileConfig => {
+                const projectile = createObjectBody(projectileConfig);
+                if (projectile) {
+                    projectile.collisionFilter.group = group;
+                    projectile.projectileOf = obj.id;
+                }
+                return projectile;
+            })
+            .filter(Boolean);
+        const controller = createLauncherController(body, launcherSettings, projectiles);
+        launchers.push(controller);
+        activeLaunchers.push(controller);
     });
 
     if (constraintsConfig) {
-        constraintsConfig.forEach(c => {
-            const A = bodiesById[c.bodyA], B = bodiesById[c.bodyB];
-            if (A && B) {
-                const opts = {
-                    bodyA: A,
-                    bodyB: B,
-                    stiffness: c.stiffness ?? 0.7,
-                    damping: c.damping ?? 0.1,
-                    length: c.length,
-                    pointA: c.pointA || { x:0,y:0 },
-                    pointB: c.pointB || { x:0,y:0 }
-                };
-                const mc = Matter.Constraint.create(opts);
-                matterConstraints.push(mc);
-                Matter.Composite.add(world, mc);
+        const segmentCollisionFilter = { category: objectCollisionCategory, mask: defaultCollisionMask };
+        constraintsConfig.forEach((c, index) => {
+            const joint = createJoint(c, bodiesById, index, segmentCollisionFilter);
+            joints[index] = joint;
+            if (joint) {
+                joint.segments.forEach(segment => Matter.Composite.add(world, segment));
+                joint.constraints.forEach(mc => {
+                    matterConstraints.push(mc);
+                    Matter.Composite.add(world, mc);
+                });
+                activeJoints.push(joint);
             }
         });
     }
 
-    return { bodies, constraints: matterConstraints };
+    return { bodies, constraints: matterConstraints, joints, kinematics, launchers };
 }
 
 /**
@@ -231,6 +422,72 @@ function cleanupPhysics() {
         Matter.Engine.clear(matterEngine);
         matterEngine = null;
     }
+    activeJoints = [];
+    activeKinematics = [];
+    activeForceZones = [];
+    activeLaunchers = [];
+    simulationRunning = false;
+    pendingContacts = [];
+}
+
+/**
+ * Sets whether the simulation is running. Kinematic objects and force zones only move bodies,
+ * and collisions are only reported, while it is. Bodies already touching when it starts are
+ * reported as contacts of the first tick, so that a rule sees them too.
+ * @param {boolean} isRunning - True when entering simulation mode, false when leaving it.
+ */
+function setSimulationRunning(isRunning) {
+    simulationRunning = isRunning;
+    pendingContacts = [];
+    if (isRunning && matterEngine) {
+        matterEngine.pairs.list.forEach(pair => {
+            if (pair.isActive) pendingContacts.push(createContact(pair));
+        });
+    }
+}
+
+/**
+ * Returns the contacts that began since the last call and forgets them.
+ * @returns {Array<object>} The contacts, see {@link module:core/physics/contacts}.
+ */
+function takeContacts() {
+    const contacts = pendingContacts;
+    pendingContacts = [];
+    return contacts;
+}
+
+/**
+ * Gives every object its initial velocity and angular velocity, at the start of a simulation run.
+ * Rope segments have no initial motion and start at rest.
+ */
+function applyInitialVelocities() {
+    if (!matterEngine) return;
+    Matter.Composite.allBodies(matterEngine.world).forEach(body => {
+        const initial = body.initialConfig;
+        if (!initial || body.isStatic || body.jointSegment) return;
+        if (!initial.velocity.x && !initial.velocity.y && !initial.angularVelocity) return;
+        Matter.Body.setVelocity(body, initial.velocity);
+        Matter.Body.setAngularVelocity(body, initial.angularVelocity);
+    });
+}
+
+/**
+ * Sets the function called for collision impacts while the simulation runs (e.g. to play sounds).
+ * @param {function({intensity: number, typeA: string, typeB: string}): void|null} listener - The listener,
+ *        or null to remove it. `intensity` is in [0, 1]; the types are the object types, or `'boundary'` for walls.
+ */
+function setCollisionListener(listener) {
+    collisionListener = listener;
+}
+
+/**
+ * Sets the force-field zones acting on the world while the simulation runs.
+ * @param {Array<object>} [forceZonesConfig] - The level `forceZones` array.
+ * @returns {Array<object>} The validated zone records.
+ */
+function setForceZones(forceZonesConfig) {
+    activeForceZones = createForceZones(forceZonesConfig);
+    return activeForceZones;
 }
 
 /**
@@ -297,19 +554,15 @@ function checkPlacementCollision(objectProperties, targetPosition) {
         angle: objectProperties.angle || 0
     };
     if (objectProperties.mass) {
-        if (objectProperties.type === 'box') opts.density = objectProperties.mass/(objectProperties.width*objectProperties.height);
-        else if (objectProperties.type === 'circle') opts.density = objectProperties.mass/(Math.PI*objectProperties.radius*objectProperties.radius);
-    }
-    let temp = null;
-    if (objectProperties.type === 'box') {
-        temp = Matter.Bodies.rectangle(targetPosition.x, targetPosition.y, objectProperties.width, objectProperties.height, opts);
-    } else if (objectProperties.type === 'circle') {
-        temp = Matter.Bodies.circle(targetPosition.x, targetPosition.y, objectProperties.radius, opts);
+        const density = computeDensity(objectProperties);
+        if (density) opts.density = density;
     }
+    const temp = createShapeBody(objectProperties, targetPosition.x, targetPosition.y, opts);
     if (!temp) return false;
     Matter.World.add(world, temp);
-    const others = Matter.Composite.allBodies(world).filter(b=>b.id!==temp.id);
-    const collided = Matter.Query.collides(temp, others).length>0;
+    const others = Matter.Composite.allBodies(world).filter(b => b.id !== temp.id && b.projectileOf === undefined);
+    const tempParts = temp.parts.length > 1 ? temp.parts.slice(1) : [temp];
+    const collided = tempParts.some(part => Matter.Query.collides(part, others).length > 0);
     Matter.World.remove(world, temp, true);
     return collided;
 }
@@ -318,6 +571,11 @@ export {
     initializePhysics,
     createPhysicsObjects,
     cleanupPhysics,
+    setForceZones,
+    setSimulationRunning,
+    takeContacts,
+    applyInitialVelocities,
+    setCollisionListener,
     updatePhysics,
     getPhysicsEngine,
     getWorldConfig,
@@ -0,0 +1,181 @@
+import Matter from 'matter-js';
+import { TICK_DURATION, checkLevelConfig } from './simulationCore.js';
+import { getTimelineFrame, getTimelineLength, getTimelineTransforms } from './timeline.js';
+
+/**
+ * @module core/replay
+ * @description Builds, validates and plays back replays: a finished simulation run saved as a
+ * versioned JSON document holding the configuration the run started from and the position and
+ * angle of every moving body at each tick, so that the run can be watched again exactly as it
+ * happened, without re-running the physics. Nothing here touches Babylon.js or the DOM.
+ *
+ * Replay format (version 1):
+ * - `format` - Always `'puzzleshape-replay'`.
+ * - `version` - The format version.
+ * - `createdAt` - ISO date of the export.
+ * - `levelPath` - The level file of the run, or null.
+ * - `config` - The level configuration the run started from, with the player's pieces.
+ * - `tickDuration` - Simulation time between two frames, in seconds.
+ * - `startTick` - The tick of the first frame (0 unless the start of a long run was dropped by the timeline).
+ * - `bodies` - The labels of the recorded bodies (`object_<id>`, `joint_<id>_segment_<n>`, ...).
+ * - `frames` - One array per tick with `x, y, angle` of each body, in the order of `bodies`.
+ * - `result` - How the run ended: `endCondition`, `completionTime`, `totalStars`, `allObjectivesComplete`, `objectives`.
+ */
+
+/** @const {string} Value of the `format` field of a replay. */
+const REPLAY_FORMAT = 'puzzleshape-replay';
+/** @const {number} The replay format version written by {@link createReplay}, and the newest one read. */
+const REPLAY_VERSION = 1;
+
+/**
+ * Rounds a number to a fixed number of decimals, to keep replay files small.
+ * @param {number} value - The number.
+ * @param {number} decimals - The number of decimals kept.
+ * @returns {number} The rounded number.
+ * @private
+ */
+function round(value, decimals) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Builds a replay from the timeline of a finished run. The frames run from the oldest frame kept
+ * by the timeline up to the tick the level ended.
+ * @param {object} run - The run.
+ * @param {object} run.config - The level configuration the run started from.
+ * @param {string|null} run.levelPath - The level file of the run.
+ * @param {object} run.timeline - The timeline of the run, see {@link module:core/timeline}.
+ * @param {object} run.result - How the run ended (`endCondition`, `completionTime`, `totalStars`, `allObjectivesComplete`, `objectives`).
+ * @returns {object} The replay, ready to be serialized with `JSON.stringify`.
+ */
+function createReplay({ config, levelPath, timeline, result }) {
+    let lastIndex = getTimelineLength(timeline) - 1;
+    for (let i = 0; i < getTimelineLength(timeline); i++) {
+        if (getTimelineFrame(timeline, i).levelEnded) {
+            lastIndex = i;
+            break;
+        }
+    }
+
+    const frames = [];
+    for (let i = 0; i <= lastIndex; i++) {
+        frames.push(getTimelineTransforms(timeline, i).map((value, j) => round(value, j % 3 === 2 ? 4 : 2)));
+    }
+
+    return {
+        format: REPLAY_FORMAT,
+        version: REPLAY_VERSION,
+        createdAt: new Date().toISOString(),
+        levelPath: levelPath || null,
+        config: JSON.parse(JSON.stringify(config)),
+        tickDuration: TICK_DURATION,
+        startTick: lastIndex >= 0 ? getTimelineFrame(timeline, 0).tick : 0,
+        bodies: timeline.bodies.map(body => body.label),
+        frames,
+        result: JSON.parse(JSON.stringify(result))
+    };
+}
+
+/**
+ * Checks that a parsed JSON document is a replay this version of the game can play.
+ * @param {object} data - The parsed document.
+ * @returns {object} The replay, with `startTick` defaulting to 0.
+ * @throws {Error} If the document is not a replay, was written by a newer format version, or is malformed.
+ * @throws {LevelConfigError} If its level configuration is invalid, see {@link module:core/levelSchema}.
+ */
+function parseReplay(data) {
+    if (!data || data.format !== REPLAY_FORMAT) {
+        throw new Error('Not a PuzzleShape replay file.');
+    }
+    if (!Number.isInteger(data.version) || data.version < 1 || data.version > REPLAY_VERSION) {
+        throw new Error(`Unsupported replay version ${data.version} (this game reads up to version ${REPLAY_VERSION}).`);
+    }
+    if (!data.config || typeof data.config !== 'object' || !Array.isArray(data.config.objects)) {
+        throw new Error('Replay has no level configuration.');
+    }
+    checkLevelConfig(data.config);
+    if (!Array.isArray(data.bodies) || !Array.isArray(data.frames) || data.frames.length === 0) {
+        throw new Error('Replay has no recorded frames.');
+    }
+    const frameSize = data.bodies.length * 3;
+    const badFrame = data.frames.findIndex(frame => !Array.isArray(frame) || frame.length !== frameSize);
+    if (badFrame !== -1) {
+        throw new Error(`Replay frame ${badFrame} does not match its ${data.bodies.length} bodies.`);
+    }
+    if (!(data.tickDuration > 0)) {
+        throw new Error('Replay has an invalid tick duration.');
+    }
+    return { ...data, startTick: Number.isInteger(data.startTick) ? data.startTick : 0 };
+}
+
+/**
+ * Matches the bodies recorded in a replay with the bodies of a physics world built from its configuration.
+ * @param {object} replay - The replay.
+ * @param {Matter.Engine} engine - The physics engine holding the bodies.
+ * @returns {Array<Matter.Body|null>} The body of each recorded label, or null where the world has none.
+ */
+function matchReplayBodies(replay, engine) {
+    const bodiesByLabel = new Map();
+    if (engine) {
+        Matter.Composite.allBodies(engine.world).forEach(body => bodiesByLabel.set(body.label, body));
+    }
+    return replay.bodies.map(label => {
+        const body = bodiesByLabel.get(label) || null;
+        if (!body) {
+            console.warn(`Replay body '${label}' not found in the level; it will not be shown moving.`);
+        }
+        return body;
+    });
+}
+
+/**
+ * Moves the bodies to their recorded position and angle in a frame.
+ * @param {object} replay - The replay.
+ * @param {Array<Matter.Body|null>} replayBodies - The bodies returned by {@link matchReplayBodies}.
+ * @param {number} index - The frame index.
+ */
+function applyReplayFrame(replay, replayBodies, index) {
+    const frame = replay.frames[index];
+    if (!frame) return;
+    replayBodies.forEach((body, i) => {
+        if (!body) return;
+        Matter.Body.setPosition(body, { x: frame[i * 3], y: frame[i * 3 + 1] });
+        Matter.Body.setAngle(body, frame[i * 3 + 2]);
+    });
+}
+
+/**
+ * Returns the simulation clock of a replay frame.
+ * @param {object} replay - The replay.
+ * @param {number} index - The frame index.
+ * @returns {number} The simulation time, in seconds.
+ */
+function getReplayFrameTime(replay, index) {
+    return (replay.startTick + index) * replay.tickDuration;
+}
+
+/**
+ * Describes how the recorded run ended, in one line.
+ * @param {object} replay - The replay.
+ * @returns {string} The description.
+ */
+function describeReplayResult(replay) {
+    const result = replay.result;
+    if (!result || !result.endCondition) {
+        return 'Run did not end';
+    }
+    const reasonText = result.failed && result.failureReason ? ` (${result.failureReason})` : '';
+    return `${result.failed ? 'Failed' : 'Ended'} by '${result.endCondition.displayName}'${reasonText} at ${Number(result.completionTime).toFixed(2)}s, ${result.totalStars} star(s)`;
+}
+
+export {
+    REPLAY_FORMAT,
+    REPLAY_VERSION,
+    createReplay,
+    parseReplay,
+    matchReplayBodies,
+    applyReplayFrame,
+    getReplayFrameTime,
+    describeReplayResult
+};
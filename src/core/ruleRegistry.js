@@ -0,0 +1,306 @@
+import { BOUNDARY_SIDES, BOUNDARY_TAGS } from './physics/contacts.js';
+
+/**
+ * @module core/ruleRegistry
+ * @description The objective and end condition types a level can use. Each type is registered under
+ * the name levels write in `type`, together with:
+ * - the `Objective` or `Condition` subclass created for each entry of that type;
+ * - `validate(config)`, which lists what is wrong with an entry (an empty list when it is valid);
+ * - `dependencies(config)`, what the entry needs from the level: `targets`, the ID prefixes of the
+ *   bodies it tracks, `tags`, the body tags it tracks, and `objectives`, the objectives it watches (`{ id, types }`).
+ * The built-in types register themselves when `core/objectives/index.js` and `core/conditions/index.js`
+ * are imported, so a new mechanic is a class file registering itself plus one import there.
+ *
+ * A level whose rules use an unknown type, an invalid entry or a missing dependency is rejected as a
+ * whole, with every problem listed by {@link validateLevelRules}, rather than running with rules missing
+ * (see {@link module:core/levelSchema}).
+ */
+
+/** @type {Map<string, object>} Objective type definitions, keyed by type name. */
+const objectiveTypes = new Map();
+/** @type {Map<string, object>} End condition type definitions, keyed by type name. */
+const conditionTypes = new Map();
+
+/**
+ * @typedef {object} RuleDependencies
+ * @property {Array<string>} [targets] - ID prefixes of the bodies the entry tracks; each must match an
+ *           object of the level, an inventory item, a launcher piece or a wall.
+ * @property {Array<string>} [tags] - Body tags the entry tracks; each must be carried by an object, an
+ *           inventory item, a launcher piece or the walls.
+ * @property {Array<{id: string, types: Array<string>}>} [objectives] - Objectives the entry watches,
+ *           which must exist with one of the given types.
+ */
+
+/**
+ * @typedef {object} LevelProblem
+ * @property {string|null} path - Where the problem is in the level JSON, like `objectives[2]`; null for an
+ *           entry checked on its own.
+ * @property {string} message - What is wrong.
+ */
+
+/**
+ * @typedef {object} RuleTypeOptions
+ * @property {function(object): Array<string>} [validate] - Lists the problems of an entry config.
+ * @property {function(object): RuleDependencies} [dependencies] - Lists what an entry needs from the level.
+ */
+
+/**
+ * The error thrown when the objectives or end conditions of a level cannot be created.
+ * @property {Array<string>} problems - One sentence per problem found.
+ */
+class LevelRulesError extends Error {
+    /**
+     * @param {Array<string>} problems - The problems found.
+     */
+    constructor(problems) {
+        super(`Invalid level rules:\n- ${problems.join('\n- ')}`);
+        this.name = 'LevelRulesError';
+        this.problems = problems;
+    }
+}
+
+/**
+ * Adds a type to a registry.
+ * @param {Map<string, object>} registry - The objective or end condition registry.
+ * @param {string} kind - 'Objective' or 'End condition', for messages.
+ * @param {string} type - The type name.
+ * @param {Function} ruleClass - The class created for entries of this type.
+ * @param {RuleTypeOptions} options - The validator and dependencies.
+ * @throws {Error} If the type is already registered.
+ * @private
+ */
+function registerType(registry, kind, type, ruleClass, { validate, dependencies } = {}) {
+    if (registry.has(type)) {
+        throw new Error(`${kind} type '${type}' is already registered.`);
+    }
+    registry.set(type, {
+        ruleClass,
+        validate: validate || (() => []),
+        dependencies: dependencies || (() => ({}))
+    });
+}
+
+/**
+ * Registers an objective type.
+ * @param {string} type - The name levels use in `type`.
+ * @param {Function} objectiveClass - The `Objective` subclass created for entries of this type.
+ * @param {RuleTypeOptions} [options] - The config validator and the dependencies of an entry.
+ * @throws {Error} If the type is already registered.
+ */
+function registerObjectiveType(type, objectiveClass, options) {
+    registerType(objectiveTypes, 'Objective', type, objectiveClass, options);
+}
+
+/**
+ * Registers an end condition type.
+ * @param {string} type - The name levels use in `type`.
+ * @param {Function} conditionClass - The `Condition` subclass created for entries of this type.
+ * @param {RuleTypeOptions} [options] - The config validator and the dependencies of an entry.
+ * @throws {Error} If the type is already registered.
+ */
+function registerConditionType(type, conditionClass, options) {
+    registerType(conditionTypes, 'End condition', type, conditionClass, options);
+}
+
+/**
+ * Returns the registered objective type names.
+ * @returns {Array<string>} The type names, in registration order.
+ */
+function getObjectiveTypes() {
+    return [...objectiveTypes.keys()];
+}
+
+/**
+ * Returns the registered end condition type names.
+ * @returns {Array<string>} The type names, in registration order.
+ */
+function getConditionTypes() {
+    return [...conditionTypes.keys()];
+}
+
+/**
+ * Checks whether an ID prefix matches a body the level can hold: one of its objects, a piece the player
+ * places from an inventory item (`<itemId>_<n>`), a piece fired by a launcher (`<launcherId>_shot_<n>`)
+ * or a wall (`boundary_<working|sim>_<side>`).
+ * @param {string} prefix - The ID prefix.
+ * @param {object} config - The level configuration.
+ * @returns {boolean} True if some body of the level can match the prefix.
+ * @private
+ */
+function isKnownTarget(prefix, config) {
+    return (config.objects || []).some(obj => obj?.id?.startsWith(prefix) ||
+            (obj?.launcher && (prefix.startsWith(`${obj.id}_shot_`) || `${obj.id}_shot_`.startsWith(prefix)))) ||
+        (config.inventory || []).some(item => item?.id?.startsWith(prefix) || prefix.startsWith(`${item?.id}_`)) ||
+        ['working', 'sim'].some(type => BOUNDARY_SIDES.some(side => `boundary_${type}_${side}`.startsWith(prefix)));
+}
+
+/**
+ * Collects the tags the bodies of a level can carry: those of its objects, inventory items and
+ * launcher pieces, and those of the walls.
+ * @param {object} config - The level configuration.
+ * @returns {Set<string>} The tags.
+ * @private
+ */
+function collectKnownTags(config) {
+    const tags = new Set(BOUNDARY_TAGS);
+    const add = list => { if (Array.isArray(list)) list.forEach(tag => tags.add(tag)); };
+    (config.objects || []).forEach(obj => {
+        add(obj?.tags);
+        add(obj?.launcher?.projectile?.tags);
+    });
+    (config.inventory || []).forEach(item => add(item?.objectProperties?.tags));
+    return tags;
+}
+
+/**
+ * Checks the entries of one rule list: known type, unique ID and valid config.
+ * @param {Array<object>} entries - The entries.
+ * @param {Map<string, object>} registry - The registry of their kind.
+ * @param {string} kind - 'Objective' or 'End condition', for messages.
+ * @param {Array<LevelProblem>} problems - Collects the problems found.
+ * @param {string|null} [path=null] - The path of the list in the level JSON, like `objectives`.
+ * @returns {Array<{entry: object, definition: object, path: string|null}>} The entries of a known type,
+ *          with their definition and path.
+ * @private
+ */
+function checkEntries(entries, registry, kind, problems, path = null) {
+    const seenIds = new Set();
+    const known = [];
+    entries.forEach((entry, index) => {
+        const name = `${kind} ${entry?.id !== undefined ? `'${entry.id}'` : `#${index + 1}`}`;
+        const entryPath = path === null ? null : `${path}[${index}]`;
+        const report = message => problems.push({ path: entryPath, message });
+        if (!entry || typeof entry !== 'object') {
+            report(`${kind} #${index + 1} is not an object.`);
+            return;
+        }
+        if (typeof entry.id !== 'string' || entry.id === '') {
+            report(`${name} needs a string 'id'.`);
+        } else if (seenIds.has(entry.id)) {
+            report(`${name} uses an ID that is already taken.`);
+        }
+        seenIds.add(entry.id);
+
+        const definition = registry.get(entry.type);
+        if (!definition) {
+            report(`${name} has unknown type '${entry.type}' (known types: ${[...registry.keys()].join(', ')}).`);
+            return;
+        }
+        definition.validate(entry).forEach(problem => report(`${name} (${entry.type}) ${problem}.`));
+        known.push({ entry, definition, path: entryPath });
+    });
+    return known;
+}
+
+/**
+ * Checks the child objectives of an objective that contains others, like a composite objective.
+ * @param {Array<object>} configs - The child objective configs.
+ * @returns {Array<string>} The problems found, phrased to follow the parent's name.
+ */
+function validateChildObjectives(configs) {
+    const problems = [];
+    checkEntries(configs, objectiveTypes, 'child objective', problems);
+    return problems.map(({ message }) => message.replace(/\.$/, ''));
+}
+
+/**
+ * Returns what an objective needs from the level, as declared by its type.
+ * @param {object} config - The objective config.
+ * @returns {RuleDependencies} The dependencies, empty for an unknown type.
+ */
+function getObjectiveDependencies(config) {
+    const definition = objectiveTypes.get(config?.type);
+    return definition ? definition.dependencies(config) : {};
+}
+
+/**
+ * Checks the objectives and end conditions of a level: every entry must have a registered type,
+ * a unique ID and a valid config, and what it depends on must exist in the level.
+ * @param {object} config - The level configuration.
+ * @returns {Array<LevelProblem>} The problems found, located in `objectives` or `endConditions`; empty if the rules are valid.
+ */
+function validateLevelRules(config) {
+    const problems = [];
+    const objectives = Array.isArray(config.objectives) ? config.objectives : [];
+    const conditions = Array.isArray(config.endConditions) ? config.endConditions : [];
+    if (config.objectives !== undefined && !Array.isArray(config.objectives)) problems.push({ path: 'objectives', message: 'must be an array.' });
+    if (config.endConditions !== undefined && !Array.isArray(config.endConditions)) problems.push({ path: 'endConditions', message: 'must be an array.' });
+
+    const known = [
+        ...checkEntries(objectives, objectiveTypes, 'Objective', problems, 'objectives').map(item => ({ ...item, kind: 'Objective' })),
+        ...checkEntries(conditions, conditionTypes, 'End condition', problems, 'endConditions').map(item => ({ ...item, kind: 'End condition' }))
+    ];
+    const knownTags = collectKnownTags(config);
+    known.forEach(({ entry, definition, kind, path }) => {
+        const report = message => problems.push({ path, message });
+        const { targets = [], tags = [], objectives: watched = [] } = definition.dependencies(entry);
+        targets.filter(prefix => typeof prefix === 'string' && prefix !== '').forEach(prefix => {
+            if (!isKnownTarget(prefix, config)) {
+                report(`${kind} '${entry.id}' tracks '${prefix}', which matches no object, inventory item, launcher piece or wall.`);
+            }
+        });
+        tags.filter(tag => typeof tag === 'string' && tag !== '' && !knownTags.has(tag)).forEach(tag => {
+            report(`${kind} '${entry.id}' tracks tag '${tag}', which no object, inventory item or launcher piece carries.`);
+        });
+        watched.forEach(({ id, types }) => {
+            const objective = objectives.find(candidate => candidate?.id === id);
+            if (!objective) {
+                report(`${kind} '${entry.id}' watches objective '${id}', which does not exist.`);
+            } else if (types && !types.includes(objective.type)) {
+                report(`${kind} '${entry.id}' watches objective '${id}', which must be of type ${types.join(' or ')}, not '${objective.type}'.`);
+            }
+        });
+    });
+    return problems;
+}
+
+/**
+ * Creates the rule of an entry from its registered type.
+ * @param {Map<string, object>} registry - The registry of its kind.
+ * @param {string} kind - 'Objective' or 'End condition', for messages.
+ * @param {object} config - The entry config.
+ * @returns {Objective|Condition} The rule.
+ * @throws {LevelRulesError} If the type is unknown or the config invalid.
+ * @private
+ */
+function createRule(registry, kind, config) {
+    const problems = [];
+    const [known] = checkEntries([config], registry, kind, problems);
+    if (problems.length > 0) {
+        throw new LevelRulesError(problems.map(({ message }) => message));
+    }
+    return new known.definition.ruleClass(config);
+}
+
+/**
+ * Creates an objective from its config.
+ * @param {object} config - The objective config.
+ * @returns {Objective} The objective.
+ * @throws {LevelRulesError} If the type is unknown or the config invalid.
+ */
+function createObjective(config) {
+    return createRule(objectiveTypes, 'Objective', config);
+}
+
+/**
+ * Creates an end condition from its config.
+ * @param {object} config - The end condition config.
+ * @returns {Condition} The end condition.
+ * @throws {LevelRulesError} If the type is unknown or the config invalid.
+ */
+function createCondition(config) {
+    return createRule(conditionTypes, 'End condition', config);
+}
+
+export {
+    LevelRulesError,
+    registerObjectiveType,
+    registerConditionType,
+    getObjectiveTypes,
+    getConditionTypes,
+    validateChildObjectives,
+    getObjectiveDependencies,
+    validateLevelRules,
+    createObjective,
+    createCondition
+};
@@ -10,6 +10,8 @@ import { SceneLoader } from '@babylonjs/core';
 import '@babylonjs/loaders/glTF';
 import { createBloomPostProcess } from './postProcess/bloom.js';
 import { getSimulationTime } from './simulation.js';
+import { getCenteredPolygonVertices, getPolygonBounds, getCompoundLayout } from '../utils/shapeUtils.js';
+import { getJointKind, getRopeSegmentCount, getJointGeometry } from './physics/joints.js';
 
 /** @type {BABYLON.Engine | null} The Babylon.js engine instance. */
 let babylonEngine = null;
@@ -39,6 +41,27 @@ let simTimeSpan = null;
 const highlightColor = new BABYLON.Color3(1, 1, 0);
 /** @const {BABYLON.Color3} Color for highlighting objects during a collision in placement mode. */
 const collisionHighlightColor = new BABYLON.Color3(1, 0, 0);
+/** @type {Object<string, BABYLON.Color3>} Line colors for each joint kind. */
+const jointLineColors = {
+    default: new BABYLON.Color3(1, 1, 1),
+    hinge: new BABYLON.Color3(1, 0.8, 0.2),
+    spring: new BABYLON.Color3(0.3, 0.9, 1),
+    rope: new BABYLON.Color3(0.85, 0.65, 0.4),
+    slider: new BABYLON.Color3(0.75, 0.75, 0.85),
+    weld: new BABYLON.Color3(0.6, 1, 0.4)
+};
+/** @const {number} Radius of the ring drawn around a hinge pivot. */
+const HINGE_MARKER_RADIUS = 6;
+/** @const {number} Number of sides of the hinge pivot ring. */
+const HINGE_MARKER_SIDES = 16;
+/** @const {number} Number of zigzag coils drawn for a spring. */
+const SPRING_COILS = 8;
+/** @const {number} Half width of a spring zigzag. */
+const SPRING_HALF_WIDTH = 6;
+/** @const {number} Half length of the end stops drawn across a slider rail. */
+const SLIDER_STOP_HALF_LENGTH = 6;
+/** @const {number} Half size of the cross drawn on a weld anchor. */
+const WELD_MARKER_HALF_SIZE = 5;
 
 /**
  * Initializes the Babylon.js engine and scene.
@@ -348,10 +371,249 @@ function _createBoundaryMeshes(worldConfig) {
     boundaryMeshes.sim = newSimMeshes;
 }
 
+/**
+ * Creates an extruded mesh from a polygon outline lying in the XY plane.
+ * The outline is normalized with the same helper the physics layer uses, so the mesh
+ * origin is the polygon's area centroid and matches the Matter.js body position.
+ * @param {string} name - The name of the mesh.
+ * @param {Array<{x: number, y: number}>} vertices - The polygon outline from the config.
+ * @param {number} [depth] - Extrusion depth along Z. Defaults to the outline's width, like boxes.
+ * @param {BABYLON.Scene} scene - The scene to create the mesh in.
+ * @returns {BABYLON.Mesh|null} The extruded mesh, or null if the outline is invalid.
+ */
+function createPolygonMesh(name, vertices, depth, scene) {
+    const outline = getCenteredPolygonVertices(vertices);
+    if (outline.length < 3 || !scene) {
+        console.warn(`SceneManager: Cannot create polygon mesh '${name}', at least 3 valid vertices are required.`);
+        return null;
+    }
+    const extrusionDepth = depth || getPolygonBounds(outline).width;
+    const shape = outline.map(v => new BABYLON.Vector3(v.x, v.y, 0));
+    const path = [
+        new BABYLON.Vector3(0, 0, -extrusionDepth / 2),
+        new BABYLON.Vector3(0, 0, extrusionDepth / 2)
+    ];
+    return BABYLON.MeshBuilder.ExtrudeShape(name, {
+        shape,
+        path,
+        closeShape: true,
+        cap: BABYLON.Mesh.CAP_ALL,
+        sideOrientation: BABYLON.Mesh.DOUBLESIDE
+    }, scene);
+}
+
+/**
+ * Creates a single merged mesh for a compound object from its `parts`.
+ * Parts are laid out around their common centroid (see `getCompoundLayout`), so the
+ * mesh origin matches the position of the compound Matter.js body.
+ * @param {string} name - The name of the merged mesh.
+ * @param {Array<object>} parts - The `parts` array from the compound config.
+ * @param {number} [depth] - Default depth for parts that do not declare their own.
+ * @param {BABYLON.Scene} scene - The scene to create the mesh in.
+ * @returns {BABYLON.Mesh|null} The merged mesh, or null if the parts are invalid.
+ */
+function createCompoundMesh(name, parts, depth, scene) {
+    const layout = getCompoundLayout(parts);
+    if (!layout || !scene) {
+        console.warn(`SceneManager: Cannot create compound mesh '${name}', 'parts' must be a non-empty array of box, circle or polygon parts.`);
+        return null;
+    }
+    const partMeshes = [];
+    layout.parts.forEach((part, index) => {
+        const partName = `${name}-part-${index}`;
+        let partMesh = null;
+        if (part.type === "box") {
+            partMesh = BABYLON.MeshBuilder.CreateBox(partName, { width: part.width, height: part.height, depth: part.depth || depth || part.width }, scene);
+        } else if (part.type === "circle") {
+            partMesh = BABYLON.MeshBuilder.CreateSphere(partName, { diameter: part.radius * 2 }, scene);
+        } else if (part.type === "polygon") {
+            partMesh = createPolygonMesh(partName, part.vertices, part.depth || depth, scene);
+        }
+        if (partMesh) {
+            partMesh.position = new BABYLON.Vector3(part.x, part.y, 0);
+            partMesh.rotation = new BABYLON.Vector3(0, 0, part.angle || 0);
+            partMeshes.push(partMesh);
+        }
+    });
+    if (partMeshes.length !== layout.parts.length) {
+        partMeshes.forEach(partMesh => partMesh.dispose());
+        return null;
+    }
+    const mesh = BABYLON.Mesh.MergeMeshes(partMeshes, true, true);
+    if (mesh) {
+        mesh.name = name;
+        mesh.id = name;
+    }
+    return mesh;
+}
+
+/**
+ * Returns a key identifying the line layout a constraint needs. Line systems can only be
+ * updated in place with the same number of points, so a visual is recreated when its key changes.
+ * @param {object} constraint - The constraint config.
+ * @returns {string} The visual key.
+ * @private
+ */
+function _getJointVisualKey(constraint) {
+    const kind = getJointKind(constraint);
+    return kind === 'rope' ? `${kind}:${getRopeSegmentCount(constraint)}` : kind;
+}
+
+/**
+ * Checks whether a constraint config should be drawn.
+ * @param {object} constraint - The constraint config.
+ * @returns {boolean} True if the constraint is visible and references the bodies its kind needs.
+ * @private
+ */
+function _isJointVisible(constraint) {
+    if (constraint.render?.visible === false || !constraint.bodyA) return false;
+    return getJointKind(constraint) !== 'default' || Boolean(constraint.bodyB);
+}
+
+/**
+ * Builds the line segments drawing a joint. The number of lines and points only depends on
+ * the constraint config, so the result can update a line system created from a placeholder.
+ * @param {object} constraint - The constraint config.
+ * @param {object|null} geometry - Current joint geometry from `getJointGeometry`, or null for a placeholder at the origin.
+ * @returns {Array<Array<BABYLON.Vector3>>} The lines for `CreateLineSystem`.
+ * @private
+ */
+function _buildJointLines(constraint, geometry) {
+    const kind = getJointKind(constraint);
+    const zero = { x: 0, y: 0 };
+    const v = (p) => new BABYLON.Vector3(p.x, p.y, 0);
+
+    switch (kind) {
+        case 'hinge': {
+            const pivot = geometry?.pivot ?? zero;
+            const ring = [];
+            for (let i = 0; i <= HINGE_MARKER_SIDES; i++) {
+                const a = (i / HINGE_MARKER_SIDES) * Math.PI * 2;
+                ring.push(v({ x: pivot.x + Math.cos(a) * HINGE_MARKER_RADIUS, y: pivot.y + Math.sin(a) * HINGE_MARKER_RADIUS }));
+            }
+            return [ring, [v(geometry?.centreA ?? zero), v(pivot)], [v(pivot), v(geometry?.centreB ?? zero)]];
+        }
+        case 'spring': {
+            const a = geometry?.anchorA ?? zero;
+            const b = geometry?.anchorB ?? zero;
+            const dx = b.x - a.x, dy = b.y - a.y;
+            const length = Math.hypot(dx, dy);
+            const normal = length > 0 ? { x: -dy / length, y: dx / length } : { x: 0, y: 1 };
+            const at = (t, side) => v({
+                x: a.x + dx * t + normal.x * side * SPRING_HALF_WIDTH,
+                y: a.y + dy * t + normal.y * side * SPRING_HALF_WIDTH
+            });
+            const points = [v(a), at(0.1, 0)];
+            for (let i = 0; i < SPRING_COILS * 2; i++) {
+                points.push(at(0.1 + (0.8 * (i + 0.5)) / (SPRING_COILS * 2), i % 2 === 0 ? 1 : -1));
+            }
+            points.push(at(0.9, 0), v(b));
+            return [points];
+        }
+        case 'rope': {
+            const count = getRopeSegmentCount(constraint) + 2;
+            const points = geometry?.points ?? new Array(count).fill(zero);
+            return [points.map(v)];
+        }
+        case 'slider': {
+            const start = geometry?.railStart ?? zero;
+            const end = geometry?.railEnd ?? zero;
+            const dx = end.x - start.x, dy = end.y - start.y;
+            const length = Math.hypot(dx, dy);
+            const normal = length > 0 ? { x: -dy / length, y: dx / length } : { x: 0, y: 1 };
+            const stop = (p) => [
+                v({ x: p.x - normal.x * SLIDER_STOP_HALF_LENGTH, y: p.y - normal.y * SLIDER_STOP_HALF_LENGTH }),
+                v({ x: p.x + normal.x * SLIDER_STOP_HALF_LENGTH, y: p.y + normal.y * SLIDER_STOP_HALF_LENGTH })
+            ];
+            return [[v(start), v(end)], stop(start), stop(end), [v(geometry?.railPoint ?? zero), v(geometry?.carriage ?? zero)]];
+        }
+        case 'weld': {
+            const anchor = geometry?.anchor ?? zero;
+            const h = WELD_MARKER_HALF_SIZE;
+            return [
+                [v({ x: anchor.x - h, y: anchor.y - h }), v({ x: anchor.x + h, y: anchor.y + h })],
+                [v({ x: anchor.x - h, y: anchor.y + h }), v({ x: anchor.x + h, y: anchor.y - h })],
+                [v(geometry?.centreA ?? zero), v(anchor)],
+                [v(anchor), v(geometry?.centreB ?? zero)]
+            ];
+        }
+        default:
+            return [[v(geometry?.anchorA ?? zero), v(geometry?.anchorB ?? zero)]];
+    }
+}
+
+/**
+ * Creates the line system drawing one constraint. Joints with a `kind` are drawn in a later
+ * rendering group so they stay visible in front of the objects they connect.
+ * @param {object} constraint - The constraint config.
+ * @param {number} index - Index of the constraint in the config array.
+ * @returns {BABYLON.LinesMesh} The created line system.
+ * @private
+ */
+function _createJointLines(constraint, index) {
+    const kind = getJointKind(constraint);
+    const line = BABYLON.MeshBuilder.CreateLineSystem(`constraint-${index}`, {
+        lines: _buildJointLines(constraint, null),
+        updatable: true
+    }, currentScene);
+    const lineMaterial = new BABYLON.StandardMaterial(`constraintMat-${index}`, currentScene);
+    lineMaterial.emissiveColor = jointLineColors[kind].clone();
+    line.material = lineMaterial;
+    line.color = jointLineColors[kind].clone();
+    line.isPickable = false;
+    if (kind !== 'default') {
+        line.renderingGroupId = 1;
+    }
+    line.metadata = { jointVisualKey: _getJointVisualKey(constraint) };
+    return line;
+}
+
+/**
+ * Creates a line system showing a joint kind on its own, for inventory previews. The icon is drawn
+ * with the same layout as the in-scene joint, between two anchors 60 units apart, centred on the origin.
+ * @param {string} name - The name of the line system.
+ * @param {object} jointProperties - The joint config (at least `kind`).
+ * @param {BABYLON.Scene} scene - The scene to create the line system in.
+ * @returns {BABYLON.LinesMesh} The created line system.
+ */
+function createJointIconMesh(name, jointProperties, scene) {
+    const kind = getJointKind(jointProperties);
+    const a = { x: -30, y: -20 };
+    const b = { x: 30, y: 20 };
+    const centre = { x: 0, y: 0 };
+    let geometry;
+    switch (kind) {
+        case 'hinge':
+            geometry = { pivot: centre, centreA: a, centreB: b };
+            break;
+        case 'weld':
+            geometry = { anchor: centre, centreA: a, centreB: b };
+            break;
+        case 'rope': {
+            const count = getRopeSegmentCount(jointProperties) + 2;
+            const points = [];
+            for (let i = 0; i < count; i++) {
+                const t = i / (count - 1);
+                points.push({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t - Math.sin(t * Math.PI) * 15 });
+            }
+            geometry = { points };
+            break;
+        }
+        case 'slider':
+            geometry = { railStart: a, railEnd: b, railPoint: centre, carriage: { x: -8, y: 12 } };
+            break;
+        default:
+            geometry = { anchorA: a, anchorB: b };
+    }
+    const line = BABYLON.MeshBuilder.CreateLineSystem(name, { lines: _buildJointLines(jointProperties, geometry) }, scene);
+    line.color = jointLineColors[kind].clone();
+    return line;
+}
+
 /**
  * Creates Babylon.js visual meshes for dynamic objects and constraints based on their configurations.
- * Object meshes are created based on type (box, circle) and properties from `objectsConfig`.
- * Constraint lines are created as visual representations of physical constraints.
+ * Object meshes are created based on type (box, circle, polygon, compound) and properties from `objectsConfig`.
+ * Constraint lines are created as visual representations of physical constraints, with a layout per joint kind.
  * @param {Array<object>} objectsConfig - Array of configuration objects for each dynamic object.
  * @param {Array<object>} constraintsConfig - Array of configuration objects for each constraint.
  * @param {object} worldConfig - The world configuration (currently unused in this function but passed for consistency).
@@ -396,6 +658,18 @@ function createMeshes(objectsConfig, constraintsConfig, worldConfig) {
                 diffuseTexture.level = 1.8;
                 material.diffuseTexture = diffuseTexture;
 
+                const normalTexture = new BABYLON.Texture("assets/images/wood/plywood_nor_gl_4k.jpg", currentScene);
+                material.bumpTexture = normalTexture;
+            }
+        } else if (obj.type === "polygon" || obj.type === "compound") {
+            mesh = obj.type === "polygon"
+                ? createPolygonMesh(`mesh-${obj.id}`, obj.vertices, obj.depth, currentScene)
+                : createCompoundMesh(`mesh-${obj.id}`, obj.parts, obj.depth, currentScene);
+            if (mesh && material.alpha === 1) {
+                const diffuseTexture = new BABYLON.Texture("assets/images/wood/plywood_diff_4k.jpg", currentScene);
+                diffuseTexture.level = 1.8;
+                material.diffuseTexture = diffuseTexture;
+
                 const normalTexture = new BABYLON.Texture("assets/images/wood/plywood_nor_gl_4k.jpg", currentScene);
                 material.bumpTexture = normalTexture;
             }
@@ -406,7 +680,7 @@ function createMeshes(objectsConfig, constraintsConfig, worldConfig) {
             mesh.position = new BABYLON.Vector3(obj.x, obj.y, 0);
             mesh.rotation = new BABYLON.Vector3(0, 0, obj.angle || 0);
 
-            if (obj.isSensor === true) {
+            if (obj.isSensor === true || obj.isProjectile === true) {
                 mesh.isPickable = false;
             }
             objectMeshes.set(obj.id, mesh);
@@ -414,15 +688,8 @@ function createMeshes(objectsConfig, constraintsConfig, worldConfig) {
     });
 
     constraintsConfig.forEach((constraint, index) => {
-         if (constraint.render?.visible !== false && constraint.bodyA && constraint.bodyB) {
-             const line = BABYLON.MeshBuilder.CreateLines(`constraint-${index}`, {
-                 points: [BABYLON.Vector3.Zero(), BABYLON.Vector3.Zero()],
-                 updatable: true
-             }, currentScene);
-             const lineMaterial = new BABYLON.StandardMaterial(`constraintMat-${index}`, currentScene);
-             lineMaterial.emissiveColor = new BABYLON.Color3(1, 1, 1);
-             line.material = lineMaterial;
-             constraintLines.set(index, line);
+         if (_isJointVisible(constraint)) {
+             constraintLines.set(index, _createJointLines(constraint, index));
          }
      });
 
@@ -447,6 +714,7 @@ function setSimulationMeshesActive(isActive) {
 
 /**
  * Updates the positions and rotations of dynamic object meshes to match their corresponding physics bodies.
+ * Kinematic bodies are static for the physics engine but still rotate, so their meshes follow their angle too.
  * Static boundary meshes are not updated by this function.
  * @param {Map<string, BABYLON.Mesh>} meshes - A map of object configIds to their Babylon.js Meshes.
  * @param {Map<string, Matter.Body>} bodies - A map of object configIds (or boundary labels) to their Matter.js Bodies.
@@ -458,7 +726,7 @@ function updateMeshes(meshes, bodies) {
         if (body && mesh && !mesh.isDisposed()) {
             mesh.position.x = body.position.x;
             mesh.position.y = body.position.y;
-            if (!body.isStatic) {
+            if (!body.isStatic || body.kinematic) {
                 mesh.rotation.z = body.angle;
             }
         }
@@ -466,25 +734,21 @@ function updateMeshes(meshes, bodies) {
 }
 
 /**
- * Updates the visual representation of constraint lines to connect the current positions of their linked bodies.
- * @param {Map<number, BABYLON.LinesMesh>} lines - A map of constraint indices to their Babylon.js LinesMeshes.
- * @param {Array<object>} constraintsConfig - The original array of constraint configuration objects.
- * @param {Map<string, Matter.Body>} bodies - A map of object configIds to their Matter.js Bodies.
+ * Updates the visual representation of constraints to follow their joints: hinges show a pivot ring,
+ * springs a zigzag, ropes a line through every segment, sliders their rail and welds a cross on the glue point.
+ * @param {Map<number, BABYLON.LinesMesh>} lines - A map of constraint indices to their Babylon.js line systems.
+ * @param {Array<object|null>} joints - Joint records aligned with the constraint config array, as returned by `createPhysicsObjects`.
  */
-function updateConstraintLines(lines, constraintsConfig, bodies) {
+function updateConstraintLines(lines, joints) {
      if (!currentScene) return;
      lines.forEach((line, index) => {
-         const constraintConfig = constraintsConfig[index];
-         if (constraintConfig && line && !line.isDisposed()) {
-             const bodyA = bodies.get(constraintConfig.bodyA);
-             const bodyB = bodies.get(constraintConfig.bodyB);
-             if (bodyA && bodyB) {
-                 const points = [
-                     new BABYLON.Vector3(bodyA.position.x, bodyA.position.y, 0),
-                     new BABYLON.Vector3(bodyB.position.x, bodyB.position.y, 0)
-                 ];
-                 BABYLON.MeshBuilder.CreateLines(line.name, { points: points, instance: line });
-             }
+         const joint = joints[index];
+         if (line && !line.isDisposed()) {
+             line.setEnabled(Boolean(joint));
+         }
+         if (joint && line && !line.isDisposed() && line.metadata?.jointVisualKey === _getJointVisualKey(joint.config)) {
+             const geometry = getJointGeometry(joint);
+             BABYLON.MeshBuilder.CreateLineSystem(line.name, { lines: _buildJointLines(joint.config, geometry), instance: line });
          }
      });
  }
@@ -635,6 +899,9 @@ function disableCameraControls() {
 export {
     initializeBabylon,
     createMeshes,
+    createPolygonMesh,
+    createCompoundMesh,
+    createJointIconMesh,
     syncMeshesWithConfig,
     updateMeshes,
     updateConstraintLines,
@@ -778,6 +1045,18 @@ function syncMeshesWithConfig(objectsConfig, constraintsConfig, worldConfig, exi
                     diffuseTexture.level = 0.7; // Corrected from 1.8 to 0.7
                     material.diffuseTexture = diffuseTexture;
 
+                    const normalTexture = new BABYLON.Texture("assets/images/wood/plywood_nor_gl_4k.jpg", currentScene);
+                    material.bumpTexture = normalTexture;
+                }
+            } else if (obj.type === "polygon" || obj.type === "compound") {
+                mesh = obj.type === "polygon"
+                    ? createPolygonMesh(`mesh-${obj.id}`, obj.vertices, obj.depth, currentScene)
+                    : createCompoundMesh(`mesh-${obj.id}`, obj.parts, obj.depth, currentScene);
+                if (mesh && material.alpha === 1) {
+                    const diffuseTexture = new BABYLON.Texture("assets/images/wood/plywood_diff_4k.jpg", currentScene);
+                    diffuseTexture.level = 0.7;
+                    material.diffuseTexture = diffuseTexture;
+
                     const normalTexture = new BABYLON.Texture("assets/images/wood/plywood_nor_gl_4k.jpg", currentScene);
                     material.bumpTexture = normalTexture;
                 }
@@ -787,7 +1066,7 @@ function syncMeshesWithConfig(objectsConfig, constraintsConfig, worldConfig, exi
                 mesh.material = material;
                 mesh.position = new BABYLON.Vector3(obj.x, obj.y, 0);
                 mesh.rotation = new BABYLON.Vector3(0, 0, obj.angle || 0);
-                if (obj.isSensor === true) {
+                if (obj.isSensor === true || obj.isProjectile === true) {
                     mesh.isPickable = false;
                 }
                 newObjectMeshes.set(obj.id, mesh);
@@ -805,10 +1084,14 @@ function syncMeshesWithConfig(objectsConfig, constraintsConfig, worldConfig, exi
     constraintsConfig.forEach((constraint, index) => {
         let line = existingConstraintLines.get(index);
 
-        if (constraint.render?.visible !== false && constraint.bodyA && constraint.bodyB) {
+        if (_isJointVisible(constraint)) {
             if (line) {
                  if (line.isDisposed()) {
                     line = null;
+                } else if (line.metadata?.jointVisualKey !== _getJointVisualKey(constraint)) {
+                    line.dispose();
+                    line = null;
+                    existingConstraintIndices.delete(index);
                 } else {
                     newConstraintLines.set(index, line);
                     existingConstraintIndices.delete(index);
@@ -816,13 +1099,7 @@ function syncMeshesWithConfig(objectsConfig, constraintsConfig, worldConfig, exi
             }
 
             if (!line) {
-                line = BABYLON.MeshBuilder.CreateLines(`constraint-${index}`, {
-                    points: [BABYLON.Vector3.Zero(), BABYLON.Vector3.Zero()],
-                    updatable: true
-                }, currentScene);
-                const lineMaterial = new BABYLON.StandardMaterial(`constraintMat-${index}`, currentScene);
-                lineMaterial.emissiveColor = new BABYLON.Color3(1, 1, 1);
-                line.material = lineMaterial;
+                line = _createJointLines(constraint, index);
                 newConstraintLines.set(index, line);
             }
         } else {
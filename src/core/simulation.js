@@ -3,46 +3,54 @@
  * @description Manages the main simulation lifecycle, including initialization,
  * mode transitions (construction, simulation, configuration), physics updates,
  * mesh synchronization, UI integration, objective and condition handling,
- * and level progression. It serves as the central coordinator for various
+ * level progression, and the read-only 'replay' mode that plays back a saved run. It serves as the central coordinator for various
  * sub-modules like physics, scene rendering, UI, and interactions.
  */
 import * as BABYLON from '@babylonjs/core';
-import * as Matter from 'matter-js';
+import Matter from 'matter-js';
 
 import { initializeBabylon, createMeshes, updateMeshes, updateConstraintLines, disposeMeshes, attachPointerObservable, getScene, setSimulationMeshesActive, getEngine as getBabylonEngine, enableCameraControls, disableCameraControls, syncMeshesWithConfig } from './sceneManager.js';
 
-import { initializePhysics, createPhysicsObjects, cleanupPhysics, updatePhysics, getPhysicsEngine, checkPlacementCollision, setSimulationBoundariesActive } from './physicsManager.js';
-
-import { attachKeyboardListener, attachPointerListener, updateDragConstraintTarget, setInteractionMode, getInteractionMode, showPlacementPreview, hidePlacementPreview, startDragOnNewBody, clearConfigSelectionHighlight } from './interactionManager.js';
+import { createPhysicsObjects, cleanupPhysics, updatePhysics, getPhysicsEngine, checkPlacementCollision, setSimulationBoundariesActive, setCollisionListener } from './physicsManager.js';
+import { TICK_DURATION, TICK_TIMESTEP, buildPhysicsWorld, checkLevelConfig, reportLevelWarnings, createObjectives, createConditions, startSimulationRun, stopSimulationRun, stepPhysicsTick, updateRules, measurePieceUsage, computeLevelResults } from './simulationCore.js';
+import { loadLevelFile, defaultConfig } from '../utils/configLoader.js';
+import { createTimeline, recordTimelineFrame, getTimelineFrame, getTimelineLength, restoreTimelineFrame, truncateTimeline } from './timeline.js';
+import { createReplay, matchReplayBodies, applyReplayFrame, getReplayFrameTime, describeReplayResult } from './replay.js';
+import { downloadReplay } from '../utils/replayFile.js';
+import { resetJoints } from './physics/joints.js';
+import { resetKinematics } from './physics/kinematics.js';
+import { getLauncherProjectileConfigs, triggerLaunchers, resetLaunchers } from './physics/launchers.js';
+import { createForceZoneVisuals, updateForceZoneVisuals, disposeForceZoneVisuals } from './visuals/forceZoneVisuals.js';
+import { createHeightLineVisuals, updateHeightLineVisuals, disposeHeightLineVisuals } from './visuals/heightLineVisuals.js';
+import { createZoneVisuals, updateZoneVisuals, disposeZoneVisuals } from './visuals/zoneVisuals.js';
+import { playCollisionSound } from './soundManager.js';
+
+import { attachKeyboardListener, attachPointerListener, updateDragConstraintTarget, setInteractionMode, getInteractionMode, showPlacementPreview, hidePlacementPreview, startJointPlacement, handleJointPlacementClick, cancelJointPlacement, startDragOnNewBody, clearConfigSelectionHighlight } from './interactionManager.js';
 
 import { 
     createInventoryUI, disposeUI, createTrashCan, createTopMenuBar,
-    updateTopMenuBar, createConfigPanel, showConfigPanel, hideConfigPanel,
+    createReplayMenuBar, updateTopMenuBar, createConfigPanel, showConfigPanel, hideConfigPanel,
+    updateTimeControls,
     createObjectivesPanel, updateObjectivesPanel, updateUIContent,
     createEndMenu, showEndMenu, hideEndMenu,
     createBriefingPanel, showBriefingPanel,
-    createHintPanel
+    createHintPanel,
+    createTimelineBar, updateTimelineBar, showTimelineBar, hideTimelineBar
 } from './uiManager.js';
 import { createMainMenu, showMainMenu, hideMainMenu } from './ui/mainMenu.js';
+import { showLoadErrorPanel } from './ui/loadErrorPanel.js';
 import { hideLevelSelectMenu, levelFiles } from './ui/levelSelectMenu.js';
 
-import { MaxHeightObjective } from './objectives/MaxHeightObjective.js';
-import { MinHeightObjective } from './objectives/MinHeightObjective.js';
-import { StayInZoneObjective } from './objectives/StayInZoneObjective.js';
-import { LeaveZoneObjective } from './objectives/LeaveZoneObjective.js';
 import * as HistoryManager from './historyManager.js';
 import { createSettingsMenu, hideSettingsMenu } from './ui/settingsMenuBabylon.js';
 
-import { TimeLimitCondition } from './conditions/TimeLimitCondition.js';
-import { StayInZoneEndCondition } from './conditions/StayInZoneEndCondition.js';
-import { LeaveZoneEndCondition } from './conditions/LeaveZoneEndCondition.js';
-import { MaxHeightEndCondition } from './conditions/MaxHeightEndCondition.js';
-
 /** @type {object | null} The current level configuration object. */
 let currentConfig = null;
 /** @type {string | null} The path to the current level configuration file. */
 let currentScenePath = null;
-/** @type {string} The current application mode (e.g., 'construction', 'simulation', 'configuration'). */
+/** @type {object | null} The current level as designed, read from its file to count the pieces used; null until loaded. */
+let levelFileConfig = null;
+/** @type {string} The current application mode (e.g., 'construction', 'simulation', 'configuration', 'replay'). */
 let applicationMode = 'construction';
 /** @type {string} The application mode before the current 'simulation' mode was entered. */
 let previousApplicationMode = 'construction';
@@ -55,16 +63,18 @@ let nextItemIdCounter = 0;
 /** @type {boolean} Flag indicating if the user has closed the briefing panel for the current level. */
 let briefingHasBeenClosedByUser = false;
 
-/** @const {number} Timestep for physics updates when the simulation is running normally. */
-const RUNNING_TIMESTEP = 1000 / 30;
 /** @const {number} Timestep for physics updates when an object is being dragged (can be different if needed). */
-const DRAGGING_TIMESTEP = RUNNING_TIMESTEP;
-
-/** @const {number} Number of sub-steps for physics updates during normal simulation. */
-const RUNNING_SUBSTEPS = 100;
+const DRAGGING_TIMESTEP = TICK_TIMESTEP;
 /** @const {number} Number of sub-steps for physics updates during dragging. */
 const DRAGGING_SUBSTEPS = 100;
 
+/** @const {number} Maximum number of ticks run in one frame at normal speed. Slower machines run the simulation in slow motion instead of taking larger steps. */
+const MAX_TICKS_PER_FRAME = 4;
+/** @const {Array<number>} The simulation speed presets, as multiples of normal speed. */
+const TIME_SCALES = [0.25, 0.5, 1, 2, 4];
+/** @const {number} Number of ticks kept by the timeline of a run (one minute of simulation). */
+const TIMELINE_CAPACITY = 3600;
+
 /** @const {number} Minimum number of sub-steps per frame for physics updates. */
 const MINIMUM_SUBSTEPS = 1;
 /** @const {number} Maximum number of sub-steps per frame for physics updates. */
@@ -72,6 +82,26 @@ const MAXIMUM_SUBSTEPS = 400;
 
 /** @type {number} The duration of the last physics simulation step in milliseconds. */
 let lastSimulationTime = 0;
+/** @type {number} Real time (in seconds) not yet consumed by simulation ticks. */
+let tickAccumulator = 0;
+/** @type {number} Number of ticks run since the simulation was started. */
+let simulationTickCount = 0;
+/** @type {boolean} Whether the running simulation is paused, keeping the state of the world. */
+let simulationPaused = false;
+/** @type {number} The current simulation speed, one of `TIME_SCALES`. */
+let timeScale = 1;
+/** @type {object|null} The recorded ticks of the current run, see {@link module:core/timeline}. */
+let timeline = null;
+/** @type {number} Index of the timeline frame the world is in; earlier than the latest frame after scrubbing back. */
+let timelineCursor = 0;
+/** @type {object|null} The outcome of the run once the level has ended, saved with its replay. */
+let levelResult = null;
+/** @type {object|null} The replay played in 'replay' mode, see {@link module:core/replay}. */
+let activeReplay = null;
+/** @type {Array<Matter.Body|null>} The bodies moved by the frames of the active replay. */
+let replayBodies = [];
+/** @type {number} Index of the replay frame shown in 'replay' mode. */
+let replayCursor = 0;
 
 /** @type {Map<string, Matter.Body>} Map of object configIds to their Matter.js Bodies. */
 let bodies = new Map();
@@ -79,6 +109,18 @@ let bodies = new Map();
 let meshes = new Map();
 /** @type {Map<number, BABYLON.LinesMesh>} Map of constraint indices to their Babylon.js LinesMeshes. */
 let constraintLines = new Map();
+/** @type {Array<object|null>} Joint records aligned with `currentConfig.constraints`. */
+let joints = [];
+/** @type {Array<object>} Controllers of the kinematic objects of the current configuration. */
+let kinematics = [];
+/** @type {Array<object>} Controllers of the launcher objects of the current configuration. */
+let launchers = [];
+/** @type {Array<object>} Volumes and direction hints of the level's force-field zones. */
+let forceZoneVisuals = [];
+/** @type {Array<object>} Lines showing the heights tracked by height objectives. */
+let heightLineVisuals = [];
+/** @type {Array<object>} Volumes and progress fills of the zones of zone objectives. */
+let zoneVisuals = [];
 /** @type {Array<Objective>} Array of active objectives for the current level. */
 let activeObjectives = [];
 /** @type {Array<Condition>} Array of active end conditions for the current level. */
@@ -87,6 +129,8 @@ let activeConditions = [];
 let levelEnded = false;
 /** @type {number} Total time elapsed in simulation mode for the current run, in seconds. */
 let totalSimulationTimeElapsed = 0;
+/** @type {number} Runs of the current level started since it was loaded, the current one included. */
+let attemptCount = 0;
 
 /**
  * Handles errors during item preview (e.g., if the preview URL is empty or invalid)
@@ -94,7 +138,42 @@ let totalSimulationTimeElapsed = 0;
  * configuration is problematic.
  */
 function handlePreviewErrorReload() {
-    initSimulation(currentConfig, currentScenePath, true); 
+    reloadSimulation(null, 'handlePreviewErrorReload');
+}
+
+/**
+ * Reads the file of a level, to compare the player's inventory with the level as designed.
+ * The built-in default level is used when there is no file.
+ * @param {string|null} path - The path to the level configuration file.
+ */
+function loadLevelFileConfig(path) {
+    levelFileConfig = null;
+    if (!path) {
+        levelFileConfig = defaultConfig;
+        return;
+    }
+    loadLevelFile(path)
+        .then(config => {
+            if (currentScenePath === path) levelFileConfig = config;
+        })
+        .catch(error => console.warn(`Cannot read level file ${path}, the pieces used will not be counted:`, error));
+}
+
+/**
+ * Counts the inventory pieces the current configuration uses, see {@link module:core/simulationCore.measurePieceUsage}.
+ * @returns {module:core/simulationCore.PieceUsage|null} The pieces used, or null while the level file is not loaded.
+ */
+function getPieceUsage() {
+    if (!levelFileConfig || !currentConfig) return null;
+    return measurePieceUsage(levelFileConfig, currentConfig.inventory);
+}
+
+/**
+ * Describes the current run for the star predictions of the objectives panel.
+ * @returns {{time: number, pieceUsage: module:core/simulationCore.PieceUsage|null, attempts: number}} The run so far.
+ */
+function getRatingContext() {
+    return { time: totalSimulationTimeElapsed, pieceUsage: getPieceUsage(), attempts: attemptCount };
 }
 
 /**
@@ -106,16 +185,27 @@ function handlePreviewErrorReload() {
  * @param {boolean} [isRestoringOrReloading=false] - Flag indicating if this is a reload/restore operation.
  *                                                 If true, some initialization steps might be skipped or handled differently
  *                                                 (e.g., mesh synchronization instead of full recreation, history not cleared).
+ * @throws {LevelConfigError} If the level does not match the level schema or its rules are invalid; nothing is changed then.
+ *         Callers that changed `currentConfig` before reloading go through {@link reloadSimulation}, which rolls the change back.
  */
 function initSimulation(config, path, isRestoringOrReloading = false) {
+    checkLevelConfig(config);
     if (!isRestoringOrReloading) {
+        reportLevelWarnings(config);
         HistoryManager.clearHistory();
         briefingHasBeenClosedByUser = false;
+        attemptCount = 0;
+    }
+    if (!isRestoringOrReloading) {
+        loadLevelFileConfig(path);
     }
     currentConfig = config;
     currentScenePath = path;
     applicationMode = 'construction';
     levelEnded = false;
+    simulationPaused = false;
+    activeReplay = null;
+    replayBodies = [];
 
     if (typeof hideMainMenu === 'function') hideMainMenu();
     if (typeof hideLevelSelectMenu === 'function') hideLevelSelectMenu();
@@ -125,13 +215,19 @@ function initSimulation(config, path, isRestoringOrReloading = false) {
     disposeUI();
     initializeBabylon(currentConfig, isRestoringOrReloading);
     enableCameraControls();
-    initializePhysics(currentConfig.world);
+    setCollisionListener(playCollisionSound);
     populateSimulation(isRestoringOrReloading);
     attachKeyboardListener();
     attachPointerListener(handlePointerInteraction);
 
     createInventoryUI(currentConfig, handleAddItemRequest, handlePreviewErrorReload);
-    createTopMenuBar(applicationMode, setApplicationMode);
+    createTopMenuBar(applicationMode, setApplicationMode, {
+        onTogglePause: toggleSimulationPause,
+        onStep: stepSimulation,
+        onChangeSpeed: changeTimeScale,
+        onFire: launchers.some(launcher => launcher.settings.fireAt === null) ? fireLaunchers : undefined
+    });
+    updateTimeControls(simulationPaused, timeScale);
     createTrashCan();
     createConfigPanel(handleConfigUpdate);
     
@@ -146,12 +242,14 @@ function initSimulation(config, path, isRestoringOrReloading = false) {
     initializeConditions(currentConfig.endConditions); 
 
     if (typeof createEndMenu === 'function') {
-        createEndMenu(handleRestartLevel);
+        createEndMenu(handleRestartLevel, handleSaveReplay);
     } else {
         console.error("createEndMenu function is not available in simulation.js. Check imports from uiManager.");
     }
 
     createObjectivesPanel(activeObjectives, activeConditions);
+    createTimelineBar(scrubTimeline);
+    timeline = null;
 
     if (currentConfig.briefingImage) {
         createBriefingPanel(currentConfig.briefingImage, () => {
@@ -193,12 +291,26 @@ function initSimulation(config, path, isRestoringOrReloading = false) {
 /**
  * Handles pointer (mouse/touch) interactions within the simulation, primarily for item placement.
  * If in 'place' mode and a valid placement location is clicked, it attempts to place the selected item.
+ * In 'joint' mode, clicks pick the two anchors of the selected joint item.
  * @param {BABYLON.PointerInfo} pointerInfo - Information about the pointer event.
  * @param {BABYLON.Vector3} worldCoords - The world coordinates of the pointer event.
  */
 function handlePointerInteraction(pointerInfo, worldCoords) {
     const currentMode = getInteractionMode();
 
+    if (currentMode === 'joint') {
+        if (pointerInfo.type === 'cancel-placement') {
+            cancelPlacement();
+        } else if (pointerInfo.type === BABYLON.PointerEventTypes.POINTERDOWN && pointerInfo.event.button === 0 && worldCoords) {
+            const placement = handleJointPlacementClick(worldCoords);
+            if (placement) {
+                cancelJointPlacement();
+                handlePlaceJoint(placement.item, placement.anchorA, placement.anchorB);
+            }
+        }
+        return;
+    }
+
     if (currentMode !== 'place' || pointerInfo.type !== BABYLON.PointerEventTypes.POINTERDOWN || pointerInfo.event.button !== 0 || !worldCoords || !itemToPlace) {
         return;
     }
@@ -228,7 +340,7 @@ function handlePointerInteraction(pointerInfo, worldCoords) {
 }
 
 /**
- * Cancels the current item placement operation.
+ * Cancels the current item or joint placement operation.
  * Hides the placement preview and reverts the interaction mode to 'drag'.
  */
 function cancelPlacement() {
@@ -236,22 +348,25 @@ function cancelPlacement() {
         itemToPlace = null;
         hidePlacementPreview();
         setInteractionMode('drag');
+    } else if (getInteractionMode() === 'joint') {
+        cancelJointPlacement();
     }
 }
 
 /**
  * Initiates an item placement request from the inventory.
- * Sets the application mode to 'construction', displays a placement preview for the selected item,
- * and sets the interaction mode to 'place'.
+ * Sets the application mode to 'construction'. Object items display a placement preview and set the
+ * interaction mode to 'place'; joint items set the interaction mode to 'joint'.
  * @param {object} inventoryItem - The inventory item configuration to be placed.
  * @param {string} inventoryItem.id - The base ID of the item.
  * @param {number} inventoryItem.count - The number of this item available in inventory.
- * @param {object} inventoryItem.objectProperties - The properties of the object to be created.
+ * @param {object} [inventoryItem.objectProperties] - The properties of the object to be created.
+ * @param {object} [inventoryItem.jointProperties] - The properties of the joint to be created (e.g. `kind`).
  */
 function handleAddItemRequest(inventoryItem) {
     setApplicationMode('construction');
 
-    if (getInteractionMode() === 'place') {
+    if (getInteractionMode() === 'place' || getInteractionMode() === 'joint') {
         return;
     }
     if (!inventoryItem || inventoryItem.count <= 0) {
@@ -259,10 +374,80 @@ function handleAddItemRequest(inventoryItem) {
         return;
     }
 
+    if (inventoryItem.jointProperties) {
+        startJointPlacement(inventoryItem);
+        return;
+    }
+
     itemToPlace = inventoryItem;
     showPlacementPreview(inventoryItem.objectProperties);
 }
 
+/**
+ * Generates an unused ID for an item placed from the inventory, of the form `<itemId>_<n>`.
+ * @param {string} baseId - The inventory item ID.
+ * @returns {string} An ID not used by any object or constraint of the current configuration.
+ */
+function generatePlacedItemId(baseId) {
+    const existingIds = new Set([
+        ...currentConfig.objects.map(obj => obj.id),
+        ...(currentConfig.constraints || []).map(c => c.id)
+    ]);
+
+    let newId;
+    let currentSuffixToTry = nextItemIdCounter;
+    while (true) {
+        newId = `${baseId}_${currentSuffixToTry}`;
+        if (!existingIds.has(newId)) {
+            break;
+        }
+        currentSuffixToTry++;
+    }
+    nextItemIdCounter = currentSuffixToTry + 1;
+    return newId;
+}
+
+/**
+ * Saves the current configuration to localStorage under the current scene path.
+ * @param {string} caller - Name of the calling function, used in the warning if saving fails.
+ */
+function saveCurrentConfig(caller) {
+    if (currentScenePath && currentConfig) {
+        try {
+            const storageKey = `puzzleshape_config_${currentScenePath}`;
+            localStorage.setItem(storageKey, JSON.stringify(currentConfig));
+        } catch (e) {
+            console.warn(`[${caller}] Failed to save config to localStorage:`, e);
+        }
+    }
+}
+
+/**
+ * Rebuilds the simulation from `currentConfig`, keeping the history, typically after a change to it.
+ * A configuration that does not load is rolled back: the simulation is rebuilt from `previousConfig`
+ * and the load error panel lists the problems. Only a change that loads is recorded in the history and saved.
+ * @param {object|null} previousConfig - A copy of the configuration before the change, or null if it was not changed.
+ * @param {string} caller - The name of the calling function, for logging and saving.
+ * @returns {boolean} True if the simulation was rebuilt from `currentConfig`.
+ */
+function reloadSimulation(previousConfig, caller) {
+    try {
+        initSimulation(currentConfig, currentScenePath, true);
+    } catch (error) {
+        console.error(`[${caller}] Failed to reload the level${previousConfig ? ', the change is undone' : ''}:`, error);
+        if (previousConfig) {
+            initSimulation(previousConfig, currentScenePath, true);
+        }
+        showLoadErrorPanel(currentScenePath, error);
+        return false;
+    }
+    if (previousConfig) {
+        HistoryManager.pushState(previousConfig);
+        saveCurrentConfig(caller);
+    }
+    return true;
+}
+
 /**
  * Finalizes the placement of an item at the specified world coordinates.
  * Decrements the item count in the inventory, creates the physical body and visual mesh
@@ -284,19 +469,7 @@ function handlePlaceItem(position, inventoryItem) {
 
     invItem.count--;
 
-    let newObjectId;
-    let currentSuffixToTry = nextItemIdCounter;
-    const baseId = inventoryItem.id;
-    const existingIds = new Set(currentConfig.objects.map(obj => obj.id));
-
-    while (true) {
-        newObjectId = `${baseId}_${currentSuffixToTry}`;
-        if (!existingIds.has(newObjectId)) {
-            break;
-        }
-        currentSuffixToTry++;
-    }
-    nextItemIdCounter = currentSuffixToTry + 1;
+    const newObjectId = generatePlacedItemId(inventoryItem.id);
 
     const newObjectConfig = {
         ...inventoryItem.objectProperties,
@@ -317,14 +490,7 @@ function handlePlaceItem(position, inventoryItem) {
     const mesh = sceneRes.meshes.get(newObjectId);
     meshes.set(newObjectId, mesh);
 
-    if (currentScenePath && currentConfig) {
-        try {
-            const storageKey = `puzzleshape_config_${currentScenePath}`;
-            localStorage.setItem(storageKey, JSON.stringify(currentConfig));
-        } catch (e) {
-            console.warn("[handlePlaceItem] Failed to save config to localStorage:", e);
-        }
-    }
+    saveCurrentConfig('handlePlaceItem');
 
     setInteractionMode('drag');
     setApplicationMode('construction');
@@ -332,50 +498,99 @@ function handlePlaceItem(position, inventoryItem) {
 }
 
 /**
- * Removes an object from the simulation.
- * Updates the configuration, increments the corresponding item count in the inventory (if applicable),
- * saves the configuration, and reloads the simulation.
- * @param {string} objectId - The ID of the object to be removed.
+ * Finalizes the placement of a joint between two anchors.
+ * Decrements the item count in the inventory, adds the joint to `currentConfig.constraints`,
+ * saves the updated configuration and reloads the simulation so the joint is built with the level's own joints.
+ * @param {object} inventoryItem - The joint inventory item that was selected for placement.
+ * @param {module:core/interactions/jointPlacementManager.JointAnchor} anchorA - The first anchor, always on an object; pins and glue are placed there.
+ * @param {module:core/interactions/jointPlacementManager.JointAnchor} anchorB - The second anchor, on an object or the background.
  */
-function handleRemoveItem(objectId) {
-    if (!currentConfig) return;
-    HistoryManager.pushState(currentConfig); 
+function handlePlaceJoint(inventoryItem, anchorA, anchorB) {
+    if (!currentConfig || !inventoryItem) return;
 
-    const objectIndex = currentConfig.objects.findIndex(o => o.id === objectId);
-    if (objectIndex === -1) {
-        console.error(`Cannot remove object ${objectId}: Not found in config.`);
+    const invItem = currentConfig.inventory.find(i => i.id === inventoryItem.id);
+    if (!invItem || invItem.count <= 0) {
+        console.error(`Cannot place joint ${inventoryItem.id}: not found or zero count.`);
         return;
     }
 
-    const configObject = currentConfig.objects[objectIndex];
-    if (configObject.isFixed) {
-        console.warn(`Attempted to remove fixed object ${objectId}. Operation cancelled.`);
-        return;
+    const previousConfig = JSON.parse(JSON.stringify(currentConfig));
+    invItem.count--;
+
+    const newJointConfig = {
+        ...inventoryItem.jointProperties,
+        id: generatePlacedItemId(inventoryItem.id),
+        bodyA: anchorA.bodyId,
+        pointA: { ...anchorA.point },
+        pointB: { ...anchorB.point }
+    };
+    if (anchorB.bodyId) {
+        newJointConfig.bodyB = anchorB.bodyId;
     }
 
-    currentConfig.objects.splice(objectIndex, 1)[0];
+    currentConfig.constraints = currentConfig.constraints || [];
+    currentConfig.constraints.push(newJointConfig);
 
-    const inventoryIdMatch = objectId.match(/^([a-zA-Z0-9_]+?)_\d+$/);
+    reloadSimulation(previousConfig, 'handlePlaceJoint');
+}
+
+/**
+ * Returns an item placed from the inventory (object or joint) to the inventory by incrementing
+ * the count of the item its ID was generated from.
+ * @param {string} placedId - The ID of the removed object or joint.
+ */
+function returnItemToInventory(placedId) {
+    const inventoryIdMatch = placedId.match(/^([a-zA-Z0-9_]+?)_\d+$/);
     if (inventoryIdMatch) {
         const baseInventoryId = inventoryIdMatch[1];
         const itemInInventory = currentConfig.inventory.find(i => i.id === baseInventoryId);
         if (itemInInventory) {
             itemInInventory.count++;
         } else {
-             console.warn(`Removed object ${objectId} looked like an inventory item, but base ID ${baseInventoryId} not found in inventory.`);
+             console.warn(`Removed item ${placedId} looked like an inventory item, but base ID ${baseInventoryId} not found in inventory.`);
         }
     }
+}
 
-    if (currentScenePath && currentConfig) {
-        try {
-            const storageKey = `puzzleshape_config_${currentScenePath}`;
-            localStorage.setItem(storageKey, JSON.stringify(currentConfig));
-        } catch (e) {
-            console.warn("[handleRemoveItem] Failed to save config to localStorage:", e);
-        }
+/**
+ * Removes an object or a joint from the simulation.
+ * Updates the configuration, increments the corresponding item count in the inventory (if applicable),
+ * saves the configuration, and reloads the simulation. Removing an object also removes the joints
+ * attached to it.
+ * @param {string} objectId - The ID of the object or joint to be removed.
+ */
+function handleRemoveItem(objectId) {
+    if (!currentConfig) return;
+
+    const constraints = currentConfig.constraints || [];
+    const jointIndex = constraints.findIndex(c => c.id === objectId);
+    const objectIndex = currentConfig.objects.findIndex(o => o.id === objectId);
+    if (objectIndex === -1 && jointIndex === -1) {
+        console.error(`Cannot remove object ${objectId}: Not found in config.`);
+        return;
+    }
+
+    if (objectIndex !== -1 && currentConfig.objects[objectIndex].isFixed) {
+        console.warn(`Attempted to remove fixed object ${objectId}. Operation cancelled.`);
+        return;
     }
 
-    initSimulation(currentConfig, currentScenePath, true); 
+    const previousConfig = JSON.parse(JSON.stringify(currentConfig));
+
+    if (objectIndex !== -1) {
+        currentConfig.objects.splice(objectIndex, 1);
+        currentConfig.constraints = constraints.filter(c => {
+            if (c.bodyA !== objectId && c.bodyB !== objectId) return true;
+            if (c.id !== undefined) returnItemToInventory(String(c.id));
+            return false;
+        });
+    } else {
+        constraints.splice(jointIndex, 1);
+    }
+
+    returnItemToInventory(objectId);
+
+    reloadSimulation(previousConfig, 'handleRemoveItem');
 }
 
 /**
@@ -385,15 +600,19 @@ function handleRemoveItem(objectId) {
  * @param {boolean} [isRestoringOrReloading=false] - Flag indicating if this is a reload/restore operation.
  */
 function populateSimulation(isRestoringOrReloading = false) {
-    cleanupPhysics();
-    initializePhysics(currentConfig.world);
-
-    const physicsResult = createPhysicsObjects(currentConfig.objects, currentConfig.constraints, currentConfig.world);
+    const physicsResult = buildPhysicsWorld(currentConfig);
     bodies = physicsResult.bodies;
+    joints = physicsResult.joints;
+    kinematics = physicsResult.kinematics;
+    launchers = physicsResult.launchers;
+    const objectsWithProjectiles = [...currentConfig.objects, ...getLauncherProjectileConfigs(currentConfig.objects)];
+
+    disposeForceZoneVisuals(forceZoneVisuals);
+    forceZoneVisuals = createForceZoneVisuals(physicsResult.forceZones, getScene());
 
     if (isRestoringOrReloading) {
         const { meshes: updatedMeshes, constraintLines: updatedConstraintLines } = syncMeshesWithConfig(
-            currentConfig.objects,
+            objectsWithProjectiles,
             currentConfig.constraints,
             currentConfig.world,
             meshes,
@@ -403,7 +622,7 @@ function populateSimulation(isRestoringOrReloading = false) {
         constraintLines = updatedConstraintLines;
     } else {
         disposeMeshes(meshes, constraintLines);
-        const sceneResult = createMeshes(currentConfig.objects, currentConfig.constraints, currentConfig.world);
+        const sceneResult = createMeshes(objectsWithProjectiles, currentConfig.constraints, currentConfig.world);
         meshes = sceneResult.meshes;
         constraintLines = sceneResult.constraintLines;
     }
@@ -424,14 +643,30 @@ function simulationLoop() {
     }
 
     const simStartTime = performance.now();
+    const frameDelta = getBabylonEngine().getDeltaTime() / 1000;
+    let visualDelta = frameDelta;
 
     if (applicationMode === 'simulation') {
-        const subStepDelta = RUNNING_TIMESTEP / RUNNING_SUBSTEPS;
-        let step = DRAGGING_SUBSTEPS * getScene().getAnimationRatio();
-        step = Math.max(step, MINIMUM_SUBSTEPS);
-        step = Math.min(step, MAXIMUM_SUBSTEPS);
-        for (let i = 0; i < step; i++) {
-            updatePhysics(subStepDelta);
+        visualDelta = simulationPaused ? 0 : frameDelta * timeScale;
+        tickAccumulator += visualDelta;
+        const maxTicks = Math.ceil(MAX_TICKS_PER_FRAME * timeScale);
+        let ticks = 0;
+        while (tickAccumulator >= TICK_DURATION && ticks < maxTicks) {
+            runSimulationTick();
+            tickAccumulator -= TICK_DURATION;
+            ticks++;
+        }
+        tickAccumulator = Math.min(tickAccumulator, TICK_DURATION);
+    } else if (applicationMode === 'replay') {
+        visualDelta = simulationPaused ? 0 : frameDelta * timeScale;
+        tickAccumulator += visualDelta;
+        const frames = Math.floor(tickAccumulator / activeReplay.tickDuration);
+        tickAccumulator -= frames * activeReplay.tickDuration;
+        if (frames > 0) {
+            showReplayFrame(replayCursor + frames);
+            if (replayCursor === activeReplay.frames.length - 1) {
+                setSimulationPaused(true);
+            }
         }
     } else if (isDraggingInPause && (applicationMode === 'construction' || applicationMode === 'configuration')) {
         const subStepDelta = DRAGGING_TIMESTEP / DRAGGING_SUBSTEPS;
@@ -446,41 +681,95 @@ function simulationLoop() {
     lastSimulationTime = performance.now() - simStartTime;
 
     updateMeshes(meshes, bodies);
-    updateConstraintLines(constraintLines, currentConfig.constraints, bodies);
+    updateConstraintLines(constraintLines, joints);
+    updateForceZoneVisuals(forceZoneVisuals, visualDelta);
+    updateHeightLineVisuals(heightLineVisuals);
+    updateZoneVisuals(zoneVisuals, visualDelta);
+
+    if (applicationMode === 'simulation' && timeline) {
+        const latestFrame = getTimelineFrame(timeline, getTimelineLength(timeline) - 1);
+        const currentFrame = getTimelineFrame(timeline, timelineCursor);
+        updateTimelineBar(getTimelineLength(timeline), timelineCursor, currentFrame.tick * TICK_DURATION, latestFrame.tick * TICK_DURATION);
+    } else if (applicationMode === 'replay') {
+        const lastFrame = activeReplay.frames.length - 1;
+        updateTimelineBar(activeReplay.frames.length, replayCursor, getReplayFrameTime(activeReplay, replayCursor), getReplayFrameTime(activeReplay, lastFrame));
+    }
 
     if (applicationMode === 'simulation' && !levelEnded) {
-        const deltaTime = getBabylonEngine().getDeltaTime() / 1000; 
-        totalSimulationTimeElapsed += deltaTime;
-
-        if (activeObjectives.length > 0) {
-            activeObjectives.forEach(objective => {
-                if (!objective.isComplete && !objective.isFailed) { 
-                    objective.update(bodies, deltaTime, totalSimulationTimeElapsed);
-                }
-            });
-        }
-
-        if (activeConditions.length > 0) {
-            activeConditions.forEach(condition => {
-                if (!condition.isMet) { 
-                    condition.update(bodies, activeObjectives, deltaTime);
-                }
-            });
-        }
-        
         if (activeObjectives.length > 0 || activeConditions.length > 0) {
-            updateObjectivesPanel(activeObjectives, activeConditions);
+            updateObjectivesPanel(activeObjectives, activeConditions, getRatingContext());
         }
+    }
+}
 
-        if (activeConditions.length > 0) {
-            for (const condition of activeConditions) {
-                if (condition.isMet) {
-                    triggerLevelEnd(condition);
-                    break; 
-                }
-            }
+/**
+ * Runs one fixed simulation tick: advances the physics engine by one tick, advances the simulation
+ * clock by `TICK_DURATION`, updates objectives and conditions, and records the tick in the timeline.
+ * The outcome of a run therefore only depends on the configuration, not on the frame rate.
+ * After scrubbing back, the frames after the current one are discarded first.
+ */
+function runSimulationTick() {
+    truncateTimeline(timeline, timelineCursor);
+    stepPhysicsTick();
+
+    simulationTickCount++;
+    if (!levelEnded) {
+        totalSimulationTimeElapsed = simulationTickCount * TICK_DURATION;
+        const metCondition = updateRules(bodies, activeObjectives, activeConditions, totalSimulationTimeElapsed);
+        if (metCondition) {
+            triggerLevelEnd(metCondition);
         }
     }
+    recordSimulationFrame();
+}
+
+/**
+ * Records the current state of the run as the latest frame of the timeline.
+ */
+function recordSimulationFrame() {
+    if (!timeline) return;
+    recordTimelineFrame(timeline, {
+        tick: simulationTickCount,
+        time: totalSimulationTimeElapsed,
+        levelEnded,
+        objectives: activeObjectives,
+        conditions: activeConditions
+    });
+    timelineCursor = getTimelineLength(timeline) - 1;
+}
+
+/**
+ * Moves the run to a recorded frame of the timeline, pausing the simulation. Bodies, kinematic
+ * objects, objectives, end conditions and the simulation clock are restored, so resuming or
+ * stepping continues live physics from that point. Scrubbing back before the end of the level
+ * hides the end menu; scrubbing forward past it shows the end menu again.
+ * In 'replay' mode, shows the given frame of the replay instead.
+ * @param {number} index - The frame index, from 0 (oldest kept) to the latest frame.
+ */
+function scrubTimeline(index) {
+    if (applicationMode === 'replay') {
+        setSimulationPaused(true);
+        showReplayFrame(index);
+        return;
+    }
+    if (applicationMode !== 'simulation' || !timeline) return;
+    if (!simulationPaused) setSimulationPaused(true);
+
+    const frame = restoreTimelineFrame(timeline, index, activeObjectives, activeConditions);
+    if (!frame) return;
+    timelineCursor = index;
+    simulationTickCount = frame.tick;
+    totalSimulationTimeElapsed = frame.time;
+
+    if (levelEnded && !frame.levelEnded) {
+        levelEnded = false;
+        levelResult = null;
+        hideEndMenu();
+        enableCameraControls();
+    } else if (!levelEnded && frame.levelEnded) {
+        const metCondition = activeConditions.find(condition => condition.isMet);
+        if (metCondition) triggerLevelEnd(metCondition);
+    }
 }
 
 /**
@@ -516,26 +805,27 @@ function setApplicationMode(newMode) {
     if (newMode === 'simulation') {
         isDraggingInPause = false;
         setInteractionMode('drag');
-        setSimulationBoundariesActive(true);
+        startSimulationRun(activeObjectives, activeConditions);
         setSimulationMeshesActive(true);
         totalSimulationTimeElapsed = 0;
-        if (activeConditions.length > 0) {
-            activeConditions.forEach(condition => condition.reset());
-        }
-        if (activeObjectives.length > 0) {
-            activeObjectives.forEach(objective => objective.reset());
-        }
+        attemptCount++;
+        tickAccumulator = 0;
+        simulationTickCount = 0;
+        setSimulationPaused(false);
+        timeline = createTimeline(getPhysicsEngine(), kinematics, TIMELINE_CAPACITY, launchers);
+        recordSimulationFrame();
+        showTimelineBar();
         if (typeof hideEndMenu === 'function') {
             hideEndMenu();
         } else {
             console.error("hideEndMenu function is not available in simulation.js. Check imports from uiManager.");
         }
         if (activeObjectives.length > 0 || activeConditions.length > 0) {
-            updateObjectivesPanel(activeObjectives, activeConditions);
+            updateObjectivesPanel(activeObjectives, activeConditions, getRatingContext());
         }
 
     } else if (previousMode === 'simulation' && (newMode === 'construction' || newMode === 'configuration')) {
-        setSimulationBoundariesActive(false);
+        stopSimulationRun();
         setSimulationMeshesActive(false);
         bodies.forEach(body => {
             if (body && !body.isStatic && body.initialConfig) {
@@ -545,6 +835,12 @@ function setApplicationMode(newMode) {
                 Matter.Body.setAngularVelocity(body, 0);
             }
         });
+        resetJoints(joints);
+        resetKinematics(kinematics);
+        resetLaunchers(launchers);
+        setSimulationPaused(false);
+        timeline = null;
+        hideTimelineBar();
         if (activeObjectives.length > 0 || activeConditions.length > 0) { 
             activeObjectives.forEach(objective => objective.reset());
             updateObjectivesPanel(activeObjectives, activeConditions); 
@@ -571,6 +867,86 @@ function toggleSimulationMode() {
     }
 }
 
+/**
+ * Pauses or resumes the running simulation, or the playback in 'replay' mode. Unlike leaving
+ * Simulation mode, pausing keeps the world as it is, so the run can be resumed or stepped through.
+ * @param {boolean} paused - True to pause, false to resume.
+ */
+function setSimulationPaused(paused) {
+    simulationPaused = paused && (applicationMode === 'simulation' || applicationMode === 'replay');
+    tickAccumulator = 0;
+    updateTimeControls(simulationPaused, timeScale);
+}
+
+/**
+ * Toggles between paused and running while in Simulation mode. In 'replay' mode, resuming at the
+ * end of the replay plays it again from the start.
+ */
+function toggleSimulationPause() {
+    if (applicationMode === 'replay' && simulationPaused && replayCursor === activeReplay.frames.length - 1) {
+        showReplayFrame(0);
+    }
+    if (applicationMode !== 'simulation' && applicationMode !== 'replay') return;
+    setSimulationPaused(!simulationPaused);
+}
+
+/**
+ * Advances a paused simulation by a single tick. Outside Simulation mode, starts the simulation
+ * paused and runs its first tick; while the simulation is running, pauses it first.
+ * In 'replay' mode, pauses the playback and shows the next frame.
+ */
+function stepSimulation() {
+    if (applicationMode === 'replay') {
+        setSimulationPaused(true);
+        showReplayFrame(replayCursor + 1);
+        return;
+    }
+    if (applicationMode === 'construction' || applicationMode === 'configuration') {
+        toggleSimulationMode();
+    }
+    if (applicationMode !== 'simulation') return;
+    setSimulationPaused(true);
+    runSimulationTick();
+}
+
+/**
+ * Fires the next piece of every loaded launcher that waits for the player, while the level runs.
+ */
+function fireLaunchers() {
+    if (!isSimulationRunning()) return;
+    triggerLaunchers(launchers);
+}
+
+/**
+ * Sets the simulation speed. The simulation clock, and so objective and condition timers, follow it.
+ * @param {number} scale - One of `TIME_SCALES`.
+ */
+function setTimeScale(scale) {
+    if (!TIME_SCALES.includes(scale)) {
+        console.warn(`Unsupported time scale ${scale}. Expected one of ${TIME_SCALES.join(', ')}.`);
+        return;
+    }
+    timeScale = scale;
+    updateTimeControls(simulationPaused, timeScale);
+}
+
+/**
+ * Moves the simulation speed to the next slower or faster preset.
+ * @param {number} direction - -1 for slower, 1 for faster.
+ */
+function changeTimeScale(direction) {
+    const index = TIME_SCALES.indexOf(timeScale) + Math.sign(direction);
+    setTimeScale(TIME_SCALES[Math.max(0, Math.min(TIME_SCALES.length - 1, index))]);
+}
+
+/**
+ * Gets the state of the time controls.
+ * @returns {{paused: boolean, timeScale: number}} Whether the simulation is paused, and its speed.
+ */
+function getTimeControlState() {
+    return { paused: simulationPaused, timeScale };
+}
+
 /**
  * Updates the configuration of an object (position, angle) after an interaction (e.g., drag completion)
  * and reloads the simulation to reflect the changes.
@@ -581,7 +957,7 @@ function toggleSimulationMode() {
  */
 function triggerConfigUpdateAndReload(bodyId, finalPosition, finalAngle) {
     if (!currentConfig) return;
-    HistoryManager.pushState(currentConfig); 
+    const previousConfig = JSON.parse(JSON.stringify(currentConfig));
 
     const objectInConfig = currentConfig.objects.find(o => o.id === bodyId);
     if (!objectInConfig) {
@@ -590,6 +966,7 @@ function triggerConfigUpdateAndReload(bodyId, finalPosition, finalAngle) {
     }
 
     if (!objectInConfig.isFixed) {
+        rotateJointAnchors(bodyId, finalAngle - (objectInConfig.angle || 0));
         objectInConfig.x = finalPosition.x;
         objectInConfig.y = finalPosition.y;
         objectInConfig.angle = finalAngle;
@@ -597,16 +974,25 @@ function triggerConfigUpdateAndReload(bodyId, finalPosition, finalAngle) {
         // For fixed objects, we still reload to reset their visual position if moved by physics temporarily.
     }
 
-    if (currentScenePath && currentConfig) {
-        try {
-            const storageKey = `puzzleshape_config_${currentScenePath}`;
-            localStorage.setItem(storageKey, JSON.stringify(currentConfig));
-        } catch (e) {
-            console.warn("[triggerConfigUpdateAndReload] Failed to save config to localStorage:", e);
-        }
-    }
+    reloadSimulation(previousConfig, 'triggerConfigUpdateAndReload');
+}
 
-    initSimulation(currentConfig, currentScenePath, true); 
+/**
+ * Rotates the anchor offsets of the joints attached to an object, so that the anchors stay
+ * on the same spot of the object after it has been rotated in construction mode.
+ * @param {string} objectId - The ID of the rotated object.
+ * @param {number} deltaAngle - The rotation applied to the object, in radians.
+ */
+function rotateJointAnchors(objectId, deltaAngle) {
+    if (!deltaAngle) return;
+    const cos = Math.cos(deltaAngle);
+    const sin = Math.sin(deltaAngle);
+    const rotate = (p) => ({ x: p.x * cos - p.y * sin, y: p.x * sin + p.y * cos });
+
+    (currentConfig.constraints || []).forEach(c => {
+        if (c.bodyA === objectId && c.pointA) c.pointA = rotate(c.pointA);
+        if (c.bodyB === objectId && c.pointB) c.pointB = rotate(c.pointB);
+    });
 }
 
 /**
@@ -659,14 +1045,7 @@ function handleConfigUpdate(objectId, property, value) {
         default:
             console.warn(`Unknown property update requested: ${property}`);
     }
-    if (currentScenePath && currentConfig) {
-        try {
-            const storageKey = `puzzleshape_config_${currentScenePath}`;
-            localStorage.setItem(storageKey, JSON.stringify(currentConfig));
-        } catch (e) {
-            console.warn("[handleConfigUpdate] Failed to save config to localStorage:", e);
-        }
-    }
+    saveCurrentConfig('handleConfigUpdate');
 }
 
 /**
@@ -677,54 +1056,31 @@ function getSimulationTime() {
     return lastSimulationTime;
 }
 
+/**
+ * Gets the simulation clock: the simulated time since the simulation was started, derived from
+ * the number of ticks run. Unlike wall-clock time, it is the same on every machine for a given configuration.
+ * @returns {number} The simulation clock in seconds.
+ */
+function getSimulationClock() {
+    return totalSimulationTimeElapsed;
+}
+
 /**
  * Initializes objectives based on the provided configuration.
- * Clears any existing objectives and creates new instances for each objective defined in the level config.
+ * Clears any existing objectives and creates new instances for each objective defined in the level config,
+ * along with the lines drawn for height objectives and the zones drawn for zone objectives.
  * @param {Array<object>} objectivesConfig - An array of objective configuration objects.
  */
 function initializeObjectives(objectivesConfig) {
     if (activeObjectives && activeObjectives.length > 0) {
         activeObjectives.forEach(obj => obj.dispose());
     }
-    activeObjectives = [];
-
-    if (!objectivesConfig || !Array.isArray(objectivesConfig) || objectivesConfig.length === 0) {
-        return;
-    }
+    disposeHeightLineVisuals(heightLineVisuals);
+    disposeZoneVisuals(zoneVisuals);
 
-    const scene = getScene();
-
-    objectivesConfig.forEach(config => {
-        try {
-            let objectiveInstance = null;
-            switch (config.type) {
-                case 'maxHeight':
-                    if (!scene) throw new Error("Babylon scene is not available for MaxHeightObjective.");
-                    if (!currentConfig?.world) throw new Error("World config is not available for MaxHeightObjective.");
-                    objectiveInstance = new MaxHeightObjective(config, scene, currentConfig.world);
-                    break;
-                case 'minHeight':
-                    if (!scene) throw new Error("Babylon scene is not available for MinHeightObjective.");
-                    if (!currentConfig?.world) throw new Error("World config is not available for MinHeightObjective.");
-                    objectiveInstance = new MinHeightObjective(config, scene, currentConfig.world);
-                    break;
-                case 'stayInZone':
-                    objectiveInstance = new StayInZoneObjective(config);
-                    break;
-                case 'leaveZone':
-                    objectiveInstance = new LeaveZoneObjective(config);
-                    break;
-                default:
-                    console.warn(`Unknown objective type '${config.type}' for objective id '${config.id}'. Skipping.`);
-                    break;
-            }
-            if (objectiveInstance) {
-                activeObjectives.push(objectiveInstance);
-            }
-        } catch (error) {
-            console.error(`Failed to initialize objective (id: ${config.id}, type: ${config.type}):`, error);
-        }
-    });
+    activeObjectives = createObjectives(objectivesConfig);
+    heightLineVisuals = createHeightLineVisuals(activeObjectives, currentConfig?.world, getScene());
+    zoneVisuals = createZoneVisuals(activeObjectives, getScene());
 }
 
 /**
@@ -736,46 +1092,16 @@ function initializeConditions(conditionsConfig) {
     if (activeConditions && activeConditions.length > 0) {
         activeConditions.forEach(cond => cond.dispose());
     }
-    activeConditions = [];
     levelEnded = false; 
 
-    if (!conditionsConfig || !Array.isArray(conditionsConfig) || conditionsConfig.length === 0) {
-        return;
-    }
-
-    conditionsConfig.forEach(config => {
-        try {
-            let conditionInstance = null;
-            switch (config.type) {
-                case 'timeLimit':
-                    conditionInstance = new TimeLimitCondition(config);
-                    break;
-                case 'stayInZoneEnd':
-                    conditionInstance = new StayInZoneEndCondition(config);
-                    break;
-                case 'leaveZoneEnd':
-                    conditionInstance = new LeaveZoneEndCondition(config);
-                    break;
-                case 'maxHeightEnd':
-                    conditionInstance = new MaxHeightEndCondition(config);
-                    break;
-                default:
-                    console.warn(`Unknown end condition type '${config.type}' for id '${config.id}'. Skipping.`);
-                    break;
-            }
-            if (conditionInstance) {
-                activeConditions.push(conditionInstance);
-            }
-        } catch (error) {
-            console.error(`Failed to initialize end condition (id: ${config.id}, type: ${config.type}):`, error);
-        }
-    });
+    activeConditions = createConditions(conditionsConfig);
 }
 
 /**
  * Triggers the end of the level when a condition is met.
  * Sets the `levelEnded` flag, calculates scores/stars for objectives,
- * attempts to unlock the next level if all objectives are complete, and shows the end menu.
+ * attempts to unlock the next level if all objectives are complete, and shows the end menu, in its
+ * failure view when a failure condition ended the run.
  * @param {object} metCondition - The condition object that triggered the level end.
  * @param {string} metCondition.displayName - The display name of the met condition.
  * @param {string} metCondition.id - The ID of the met condition.
@@ -786,24 +1112,20 @@ function triggerLevelEnd(metCondition) {
     levelEnded = true;
     disableCameraControls();
 
-    const finalSimTime = totalSimulationTimeElapsed;
-
-    activeObjectives.forEach(obj => {
-        if (typeof obj.calculateStars === 'function') {
-            obj.calculateStars(finalSimTime);
-        }
-        if (obj.starsEarned > 0) {
-            obj.isComplete = true;
-        } else {
-            obj.isComplete = false;
-        }
-    });
-
-    const allObjectivesComplete = activeObjectives.every(obj => obj.isComplete);
-
-    const objectivesData = activeObjectives.map(obj => obj.getStatus());
+    const pieceUsage = getPieceUsage();
+    const { failed, failureReason, allObjectivesComplete, totalStars, objectivesData } = computeLevelResults(activeObjectives, totalSimulationTimeElapsed, metCondition, pieceUsage, attemptCount);
+    levelResult = {
+        endCondition: { id: metCondition.id, displayName: metCondition.displayName },
+        failed,
+        failureReason,
+        completionTime: totalSimulationTimeElapsed,
+        pieceUsage,
+        totalStars,
+        allObjectivesComplete,
+        objectives: objectivesData
+    };
 
-    if (allObjectivesComplete && currentScenePath) {
+    if (allObjectivesComplete && !failed && currentScenePath) {
         const currentLevelIndex = levelFiles.findIndex(file => file === currentScenePath);
         if (currentLevelIndex !== -1) {
             const unlockedLevelIndex = parseInt(localStorage.getItem('unlockedLevelIndex') || '0', 10);
@@ -817,7 +1139,7 @@ function triggerLevelEnd(metCondition) {
     }
 
     if (typeof showEndMenu === 'function') {
-        showEndMenu(objectivesData);
+        showEndMenu(objectivesData, pieceUsage, failureReason);
     } else {
         console.error("showEndMenu function is not available in simulation.js. Check imports from uiManager.");
     }
@@ -833,7 +1155,93 @@ function handleRestartLevel() {
     } else {
         console.error("hideEndMenu function is not available in simulation.js. Check imports from uiManager.");
     }
-    initSimulation(currentConfig, currentScenePath, true); 
+    reloadSimulation(null, 'handleRestartLevel');
+}
+
+/**
+ * Saves the run that just ended as a replay file, see {@link module:core/replay}.
+ * The replay holds the configuration the run started from and the frames of its timeline up to the end of the level.
+ */
+function handleSaveReplay() {
+    if (!levelEnded || !levelResult || !timeline) {
+        console.warn("Cannot save replay: no finished run.");
+        return;
+    }
+    const replay = createReplay({ config: currentConfig, levelPath: currentScenePath, timeline, result: levelResult });
+    const levelName = currentScenePath ? currentScenePath.split('/').pop().replace(/\.json$/, '') : 'level';
+    downloadReplay(replay, `replay_${levelName}_${replay.createdAt.replace(/[:.]/g, '-')}.json`);
+}
+
+/**
+ * Opens the read-only replay viewer: builds the scene of the replay's configuration and plays its
+ * recorded frames back instead of running the physics. Nothing can be placed, moved or saved; the
+ * time controls and the timeline bar pause, step, change the speed of and scrub the playback.
+ * @param {object} replay - A replay returned by `parseReplay` (see {@link module:core/replay}).
+ */
+function startReplay(replay) {
+    HistoryManager.clearHistory();
+    currentConfig = JSON.parse(JSON.stringify(replay.config));
+    currentScenePath = null;
+    applicationMode = 'replay';
+    levelEnded = false;
+    levelResult = null;
+    timeline = null;
+    tickAccumulator = 0;
+    simulationPaused = false;
+
+    if (typeof hideMainMenu === 'function') hideMainMenu();
+    if (typeof hideLevelSelectMenu === 'function') hideLevelSelectMenu();
+    if (typeof hideSettingsMenu === 'function') hideSettingsMenu();
+    if (typeof hideEndMenu === 'function') hideEndMenu();
+
+    disposeUI();
+    initializeBabylon(currentConfig, false);
+    enableCameraControls();
+    setInteractionMode('drag');
+    populateSimulation(false);
+    attachKeyboardListener();
+    // The objectives are only created for their zone drawings; a replay does not update them.
+    initializeObjectives(currentConfig.objectives);
+    initializeConditions([]);
+
+    activeReplay = replay;
+    replayBodies = matchReplayBodies(replay, getPhysicsEngine());
+    showReplayFrame(0);
+
+    const levelName = replay.levelPath ? replay.levelPath.split('/').pop() : 'custom level';
+    createReplayMenuBar(`${levelName} - ${describeReplayResult(replay)}`, returnToMainMenu, {
+        onTogglePause: toggleSimulationPause,
+        onStep: stepSimulation,
+        onChangeSpeed: changeTimeScale
+    });
+    updateTimeControls(simulationPaused, timeScale);
+    createTimelineBar(scrubTimeline);
+    showTimelineBar();
+
+    const scene = getScene();
+    if (scene) {
+        createSettingsMenu(scene);
+    }
+
+    setSimulationBoundariesActive(true);
+    setSimulationMeshesActive(true);
+
+    if (scene) {
+        scene.onBeforeRenderObservable.clear();
+        scene.onBeforeRenderObservable.add(simulationLoop);
+    } else {
+        console.error("Failed to register simulation loop: Babylon scene not available.");
+    }
+}
+
+/**
+ * Shows a frame of the active replay, clamped to the recorded frames.
+ * @param {number} index - The frame index.
+ */
+function showReplayFrame(index) {
+    if (!activeReplay) return;
+    replayCursor = Math.max(0, Math.min(activeReplay.frames.length - 1, index));
+    applyReplayFrame(activeReplay, replayBodies, replayCursor);
 }
 
 /**
@@ -862,15 +1270,27 @@ export {
     getApplicationMode,
     setApplicationMode,
     toggleSimulationMode,
+    toggleSimulationPause,
+    stepSimulation,
+    setTimeScale,
+    changeTimeScale,
+    getTimeControlState,
+    fireLaunchers,
+    TIME_SCALES,
+    scrubTimeline,
+    startReplay,
     triggerConfigUpdateAndReload,
     setDraggingState,
     handleConfigUpdate,
     bodies,
+    joints,
     currentConfig,
     currentScenePath, 
     cancelPlacement,
     handleRemoveItem,
     getSimulationTime,
+    getSimulationClock,
+    getPieceUsage,
     handleManualLevelEndTrigger,
     returnToMainMenu,
     isSimulationRunning,
@@ -887,6 +1307,15 @@ function returnToMainMenu() {
 
     cleanupPhysics();
     disposeMeshes(meshes, constraintLines);
+    disposeForceZoneVisuals(forceZoneVisuals);
+    forceZoneVisuals = [];
+    disposeHeightLineVisuals(heightLineVisuals);
+    heightLineVisuals = [];
+    disposeZoneVisuals(zoneVisuals);
+    zoneVisuals = [];
+    timeline = null;
+    activeReplay = null;
+    replayBodies = [];
     disposeUI();
 
     currentConfig = null;
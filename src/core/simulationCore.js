@@ -0,0 +1,221 @@
+import { initializePhysics, createPhysicsObjects, cleanupPhysics, setForceZones, updatePhysics, setSimulationBoundariesActive, setSimulationRunning, takeContacts, applyInitialVelocities } from './physicsManager.js';
+
+import { TICK_DURATION, TICK_TIMESTEP } from './physics/clock.js';
+import { createObjective, createCondition } from './ruleRegistry.js';
+import { assertValidLevel, getLevelWarnings, formatLevelProblem } from './levelSchema.js';
+import './objectives/index.js';
+import './conditions/index.js';
+
+/**
+ * @module core/simulationCore
+ * @description The renderer-independent part of a level run, shared by {@link module:core/simulation}
+ * in the browser and {@link module:core/headlessRunner} in Node: building the physics world of a
+ * configuration, creating its objectives and end conditions, and advancing both in fixed ticks.
+ * Nothing here touches Babylon.js, the DOM or audio.
+ */
+
+/** @const {number} Number of equal physics sub-steps per tick, see {@link module:core/physics/clock} for the tick length. */
+const TICK_SUBSTEPS = 100;
+
+/** @type {Array<object>} The contacts that began during the last tick, passed to the rules by {@link updateRules}. */
+let tickContacts = [];
+
+/**
+ * Rebuilds the physics world from a configuration: a fresh engine, the bodies, joints,
+ * kinematic objects and launchers, and the force-field zones.
+ * @param {object} config - The level configuration (`world`, `objects`, `constraints`, `forceZones`).
+ * @returns {{bodies: Map<string, Matter.Body>, joints: Array<object|null>, kinematics: Array<object>, launchers: Array<object>, forceZones: Array<object>}}
+ *          The created bodies keyed by object ID, the joint records, the kinematic and launcher controllers and the zone records.
+ */
+function buildPhysicsWorld(config) {
+    cleanupPhysics();
+    initializePhysics(config.world);
+
+    const { bodies, joints, kinematics, launchers } = createPhysicsObjects(config.objects || [], config.constraints || [], config.world);
+    const forceZones = setForceZones(config.forceZones);
+    return { bodies, joints, kinematics, launchers, forceZones };
+}
+
+/**
+ * Checks a level before anything is built from it: its keys against the level schema, and its
+ * objectives and end conditions, so that an invalid level fails as a whole with every problem listed.
+ * @param {object} config - The level configuration.
+ * @throws {LevelConfigError} If the level is invalid, see {@link module:core/levelSchema}.
+ */
+function checkLevelConfig(config) {
+    assertValidLevel(config);
+}
+
+/**
+ * Reports in the console what a valid level does differently from what its file says, like a concave
+ * polygon replaced by its convex hull. Called once when a level is loaded, not on every rebuild.
+ * @param {object} config - The level configuration.
+ */
+function reportLevelWarnings(config) {
+    getLevelWarnings(config).forEach(warning => console.warn(`Level: ${formatLevelProblem(warning)}`));
+}
+
+/**
+ * Creates the objectives of a level from their registered types.
+ * @param {Array<object>} [objectivesConfig] - The level `objectives` array.
+ * @returns {Array<Objective>} The objectives.
+ * @throws {LevelRulesError} If an entry has an unknown type or an invalid config.
+ */
+function createObjectives(objectivesConfig) {
+    if (!Array.isArray(objectivesConfig)) return [];
+    return objectivesConfig.map(config => createObjective(config));
+}
+
+/**
+ * Creates the end conditions of a level from their registered types.
+ * @param {Array<object>} [conditionsConfig] - The level `endConditions` array.
+ * @returns {Array<Condition>} The end conditions.
+ * @throws {LevelRulesError} If an entry has an unknown type or an invalid config.
+ */
+function createConditions(conditionsConfig) {
+    if (!Array.isArray(conditionsConfig)) return [];
+    return conditionsConfig.map(config => createCondition(config));
+}
+
+/**
+ * Starts a simulation run: switches to the simulation boundaries, lets kinematics, launchers and
+ * force zones act, gives objects their initial velocities, and resets the objectives and end conditions.
+ * @param {Array<Objective>} objectives - The objectives of the level.
+ * @param {Array<Condition>} conditions - The end conditions of the level.
+ */
+function startSimulationRun(objectives, conditions) {
+    setSimulationBoundariesActive(true);
+    setSimulationRunning(true);
+    applyInitialVelocities();
+    conditions.forEach(condition => condition.reset());
+    objectives.forEach(objective => objective.reset());
+}
+
+/**
+ * Stops a simulation run: switches back to the working boundaries and freezes kinematics, launchers and force zones.
+ * Bodies are not moved back; that is up to the caller.
+ */
+function stopSimulationRun() {
+    setSimulationBoundariesActive(false);
+    setSimulationRunning(false);
+    tickContacts = [];
+}
+
+/**
+ * Advances the physics engine by one tick of `TICK_SUBSTEPS` equal sub-steps, and collects the
+ * contacts that began during it.
+ */
+function stepPhysicsTick() {
+    const subStepDelta = TICK_TIMESTEP / TICK_SUBSTEPS;
+    for (let i = 0; i < TICK_SUBSTEPS; i++) {
+        updatePhysics(subStepDelta);
+    }
+    tickContacts = takeContacts();
+}
+
+/**
+ * Updates the objectives, then the end conditions, by one tick. Both receive the contacts that
+ * began during the tick, see {@link module:core/physics/contacts}.
+ * @param {Map<string, Matter.Body>} bodies - The bodies of the level, keyed by object ID.
+ * @param {Array<Objective>} objectives - The objectives of the level.
+ * @param {Array<Condition>} conditions - The end conditions of the level.
+ * @param {number} simulationTime - The simulation clock at the end of the tick, in seconds.
+ * @returns {Condition|null} The first end condition that is met, or null if the run goes on.
+ */
+function updateRules(bodies, objectives, conditions, simulationTime) {
+    objectives.forEach(objective => {
+        if (!objective.isComplete && !objective.isFailed) {
+            objective.update(bodies, TICK_DURATION, simulationTime, tickContacts);
+        }
+    });
+
+    conditions.forEach(condition => {
+        if (!condition.isMet) {
+            condition.update(bodies, objectives, TICK_DURATION, tickContacts);
+        }
+    });
+
+    return conditions.find(condition => condition.isMet) || null;
+}
+
+/**
+ * @typedef {object} PieceUsage
+ * @property {number} pieces - The number of inventory pieces placed (objects and joints).
+ * @property {number} cost - Their total price, each inventory item costing its `price` (1 by default).
+ * @property {boolean} priced - Whether some inventory item of the level sets a `price`.
+ * @property {number|null} par - The number of pieces the level expects, from its `par`, or null.
+ */
+
+/**
+ * Counts the inventory pieces a configuration uses by comparing its inventory counts with those of
+ * the level as designed.
+ * @param {object} levelConfig - The level configuration, before any piece was placed.
+ * @param {Array<object>} inventory - The inventory of the configuration, after placing pieces.
+ * @returns {PieceUsage} The pieces used and their cost.
+ */
+function measurePieceUsage(levelConfig, inventory) {
+    const levelInventory = levelConfig.inventory || [];
+    let pieces = 0;
+    let cost = 0;
+    levelInventory.forEach(levelItem => {
+        const item = (inventory || []).find(candidate => candidate.id === levelItem.id);
+        const used = Math.max(0, (levelItem.count || 0) - (item ? item.count : levelItem.count || 0));
+        pieces += used;
+        cost += used * (levelItem.price ?? 1);
+    });
+    return {
+        pieces,
+        cost,
+        priced: levelInventory.some(item => item.price !== undefined),
+        par: typeof levelConfig.par === 'number' ? levelConfig.par : null
+    };
+}
+
+/**
+ * Computes the outcome of a run once it has ended: each objective calculates its stars and counts
+ * as complete if it earned at least one. A run ended by a failure condition earns no stars.
+ * @param {Array<Objective>} objectives - The objectives of the level.
+ * @param {number} finalSimulationTime - The simulation clock when the run ended, in seconds.
+ * @param {Condition} [metCondition] - The end condition that ended the run.
+ * @param {PieceUsage|null} [pieceUsage] - The pieces the run used, for objectives scored on them.
+ * @param {number} [attempts=1] - The number of the attempt since the level was loaded, for `maxAttempts` star thresholds.
+ * @returns {{failed: boolean, failureReason: string|null, allObjectivesComplete: boolean, totalStars: number, objectivesData: Array<object>}}
+ *          Whether the run failed and why, whether every objective is complete, the sum of the stars earned, and the
+ *          objectives' final statuses.
+ */
+function computeLevelResults(objectives, finalSimulationTime, metCondition, pieceUsage = null, attempts = 1) {
+    const failed = Boolean(metCondition?.isFailure);
+    objectives.forEach(objective => {
+        if (failed) {
+            objective.starsEarned = 0;
+        } else if (typeof objective.calculateStars === 'function') {
+            objective.calculateStars(finalSimulationTime, pieceUsage, attempts);
+        }
+        objective.isComplete = objective.starsEarned > 0;
+    });
+
+    return {
+        failed,
+        failureReason: failed ? metCondition.failureReason ?? metCondition.displayName : null,
+        allObjectivesComplete: objectives.every(objective => objective.isComplete),
+        totalStars: objectives.reduce((sum, objective) => sum + objective.starsEarned, 0),
+        objectivesData: objectives.map(objective => objective.getStatus())
+    };
+}
+
+export {
+    TICK_DURATION,
+    TICK_TIMESTEP,
+    TICK_SUBSTEPS,
+    buildPhysicsWorld,
+    checkLevelConfig,
+    reportLevelWarnings,
+    createObjectives,
+    createConditions,
+    startSimulationRun,
+    stopSimulationRun,
+    stepPhysicsTick,
+    updateRules,
+    measurePieceUsage,
+    computeLevelResults
+};
@@ -0,0 +1,168 @@
+import Matter from 'matter-js';
+import { getLauncherState, setLauncherState } from './physics/launchers.js';
+
+/**
+ * @module core/timeline
+ * @description Records a simulation run tick by tick into a ring buffer, so that it can be
+ * scrubbed back and forth and resumed from any recorded tick. Each frame holds the position,
+ * angle and velocity of every moving body (including rope segments, kinematic objects and the
+ * pieces of launchers), the clock of each kinematic controller, the state of each launcher, and a copy of the objectives' and end conditions'
+ * state. When the buffer is full, the oldest frames are dropped.
+ */
+
+/** @const {number} Number of values stored per body in a frame. */
+const BODY_STRIDE = 9;
+
+/**
+ * Creates an empty timeline for the current physics world.
+ * @param {Matter.Engine} engine - The physics engine whose bodies are recorded.
+ * @param {Array<object>} kinematics - The kinematic controllers of the world.
+ * @param {number} capacity - The maximum number of frames kept.
+ * @param {Array<object>} [launchers=[]] - The launcher controllers of the world.
+ * @returns {object} The timeline.
+ */
+function createTimeline(engine, kinematics, capacity, launchers = []) {
+    const bodies = engine
+        ? Matter.Composite.allBodies(engine.world).filter(body => !body.isStatic || body.kinematic || body.projectileOf !== undefined)
+        : [];
+    return { bodies, kinematics, launchers, capacity, frames: new Array(capacity), start: 0, count: 0 };
+}
+
+/**
+ * Records the current state of the world after a tick. Frames after the current end of the
+ * timeline are discarded first, see {@link truncateTimeline}.
+ * @param {object} timeline - The timeline.
+ * @param {object} state - The state of the run at this tick.
+ * @param {number} state.tick - The number of ticks run.
+ * @param {number} state.time - The simulation clock, in seconds.
+ * @param {boolean} state.levelEnded - Whether an end condition had been met.
+ * @param {Array<Objective>} state.objectives - The objectives.
+ * @param {Array<Condition>} state.conditions - The end conditions.
+ */
+function recordTimelineFrame(timeline, { tick, time, levelEnded, objectives, conditions }) {
+    const values = new Float64Array(timeline.bodies.length * BODY_STRIDE);
+    timeline.bodies.forEach((body, i) => {
+        const offset = i * BODY_STRIDE;
+        values[offset] = body.position.x;
+        values[offset + 1] = body.position.y;
+        values[offset + 2] = body.positionPrev.x;
+        values[offset + 3] = body.positionPrev.y;
+        values[offset + 4] = body.angle;
+        values[offset + 5] = body.anglePrev;
+        values[offset + 6] = body.velocity.x;
+        values[offset + 7] = body.velocity.y;
+        values[offset + 8] = body.angularVelocity;
+    });
+
+    const frame = {
+        tick,
+        time,
+        levelEnded,
+        values,
+        kinematicTimes: timeline.kinematics.map(controller => controller.time),
+        launcherStates: timeline.launchers.map(getLauncherState),
+        objectives: objectives.map(objective => objective.captureState()),
+        conditions: conditions.map(condition => condition.captureState())
+    };
+
+    if (timeline.count < timeline.capacity) {
+        timeline.frames[(timeline.start + timeline.count) % timeline.capacity] = frame;
+        timeline.count++;
+    } else {
+        timeline.frames[timeline.start] = frame;
+        timeline.start = (timeline.start + 1) % timeline.capacity;
+    }
+}
+
+/**
+ * Returns a recorded frame.
+ * @param {object} timeline - The timeline.
+ * @param {number} index - The frame index, from 0 (oldest kept) to `getTimelineLength() - 1` (latest).
+ * @returns {object|null} The frame, or null if the index is out of range.
+ */
+function getTimelineFrame(timeline, index) {
+    if (!timeline || index < 0 || index >= timeline.count) return null;
+    return timeline.frames[(timeline.start + index) % timeline.capacity];
+}
+
+/**
+ * Returns the position and angle of every recorded body in a frame.
+ * @param {object} timeline - The timeline.
+ * @param {number} index - The frame index.
+ * @returns {Array<number>|null} `x, y, angle` for each body of `timeline.bodies`, in order, or null if the index is out of range.
+ */
+function getTimelineTransforms(timeline, index) {
+    const frame = getTimelineFrame(timeline, index);
+    if (!frame) return null;
+    const transforms = [];
+    for (let offset = 0; offset < frame.values.length; offset += BODY_STRIDE) {
+        transforms.push(frame.values[offset], frame.values[offset + 1], frame.values[offset + 4]);
+    }
+    return transforms;
+}
+
+/**
+ * Returns the number of frames recorded.
+ * @param {object|null} timeline - The timeline.
+ * @returns {number} The number of frames.
+ */
+function getTimelineLength(timeline) {
+    return timeline ? timeline.count : 0;
+}
+
+/**
+ * Puts the world, the kinematic controllers, the launchers, the objectives and the end conditions back in the
+ * state of a recorded frame. The physics can be resumed from there.
+ * @param {object} timeline - The timeline.
+ * @param {number} index - The frame index.
+ * @param {Array<Objective>} objectives - The objectives to restore.
+ * @param {Array<Condition>} conditions - The end conditions to restore.
+ * @returns {object|null} The restored frame (`tick`, `time`, `levelEnded`), or null if the index is out of range.
+ */
+function restoreTimelineFrame(timeline, index, objectives, conditions) {
+    const frame = getTimelineFrame(timeline, index);
+    if (!frame) return null;
+
+    timeline.launchers.forEach((controller, i) => setLauncherState(controller, frame.launcherStates[i]));
+    timeline.bodies.forEach((body, i) => {
+        const offset = i * BODY_STRIDE;
+        const v = frame.values;
+        Matter.Body.setPosition(body, { x: v[offset], y: v[offset + 1] });
+        Matter.Body.setAngle(body, v[offset + 4]);
+        body.positionPrev.x = v[offset + 2];
+        body.positionPrev.y = v[offset + 3];
+        body.anglePrev = v[offset + 5];
+        body.velocity.x = v[offset + 6];
+        body.velocity.y = v[offset + 7];
+        body.angularVelocity = v[offset + 8];
+        body.speed = Matter.Vector.magnitude(body.velocity);
+        body.angularSpeed = Math.abs(body.angularVelocity);
+    });
+    timeline.kinematics.forEach((controller, i) => {
+        controller.time = frame.kinematicTimes[i];
+    });
+    objectives.forEach((objective, i) => objective.restoreState(frame.objectives[i]));
+    conditions.forEach((condition, i) => condition.restoreState(frame.conditions[i]));
+
+    return frame;
+}
+
+/**
+ * Discards the frames after a given frame, e.g. before resuming live physics from a scrubbed point.
+ * @param {object} timeline - The timeline.
+ * @param {number} index - The index of the last frame to keep.
+ */
+function truncateTimeline(timeline, index) {
+    if (!timeline) return;
+    timeline.count = Math.max(0, Math.min(timeline.count, index + 1));
+}
+
+export {
+    createTimeline,
+    recordTimelineFrame,
+    getTimelineFrame,
+    getTimelineLength,
+    getTimelineTransforms,
+    restoreTimelineFrame,
+    truncateTimeline
+};
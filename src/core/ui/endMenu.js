@@ -5,21 +5,30 @@ import { returnToMainMenu, currentScenePath, initSimulation } from '../simulatio
 import { disableCameraControls, enableCameraControls } from '../sceneManager.js';
 import { loadSceneConfig } from '../../utils/configLoader.js';
 import { levelFiles } from './levelSelectMenu.js';
+import { showLoadErrorPanel } from './loadErrorPanel.js';
 
 let endMenuContainer = null;
 let restartButton = null;
 let returnToMenuButton = null;
 let nextLevelButton = null;
+let saveReplayButton = null;
 let scoresStackPanel = null;
+let endMenuTitle = null;
+/** @type {number} The height of the end menu without the pieces line, in pixels. */
+let endMenuBaseHeight = 0;
 
 /**
  * Creates the end-of-level menu UI.
  * This menu typically appears when a level is completed or failed.
- * It will contain a "Restart Level" button, a "Return to Menu" button, and display scores.
+ * It will contain a "Restart Level" button, a "Save Replay" button, a "Return to Menu" button, and display scores.
+ * Restarting rebuilds the level from the current configuration, so the player's layout is kept and they are
+ * back in construction mode.
  *
  * @param {function} onRestartCallback - The function to call when the "Restart Level" button is clicked.
+ * @param {function} [onSaveReplayCallback] - The function to call when the "Save Replay" button is clicked.
+ *                                            The button is only created when it is given.
  */
-export function createEndMenu(onRestartCallback) {
+export function createEndMenu(onRestartCallback, onSaveReplayCallback) {
     disposeEndMenu();
 
     const advancedTexture = getAdvancedTexture();
@@ -30,7 +39,8 @@ export function createEndMenu(onRestartCallback) {
 
     endMenuContainer = new GUI.Rectangle("endMenuContainer");
     endMenuContainer.width = "350px";
-    endMenuContainer.height = "350px";
+    endMenuBaseHeight = onSaveReplayCallback ? 410 : 350;
+    endMenuContainer.height = `${endMenuBaseHeight}px`;
     endMenuContainer.cornerRadius = 25;
     endMenuContainer.color = PANEL_CONSTANTS.PANEL_BORDER_COLOR;
     endMenuContainer.thickness = PANEL_CONSTANTS.PANEL_BORDER_THICKNESS;
@@ -48,12 +58,12 @@ export function createEndMenu(onRestartCallback) {
     mainStackPanel.paddingBottom = "15px";
     endMenuContainer.addControl(mainStackPanel);
 
-    const titleText = new GUI.TextBlock("endMenuTitle", "Level Ended!");
-    titleText.color = PANEL_CONSTANTS.TEXT_COLOR_BRIGHT || "white";
-    titleText.fontSize = 28;
-    titleText.height = "45px";
-    titleText.paddingBottom = "10px";
-    mainStackPanel.addControl(titleText);
+    endMenuTitle = new GUI.TextBlock("endMenuTitle", "Level Ended!");
+    endMenuTitle.color = PANEL_CONSTANTS.TEXT_COLOR_BRIGHT || "white";
+    endMenuTitle.fontSize = 28;
+    endMenuTitle.height = "45px";
+    endMenuTitle.paddingBottom = "10px";
+    mainStackPanel.addControl(endMenuTitle);
 
 
     const scoresTitleText = new GUI.TextBlock("scoresTitle", "Results:");
@@ -99,6 +109,7 @@ export function createEndMenu(onRestartCallback) {
             } catch (error) {
                 console.error("Failed to load next level:", error);
                 returnToMainMenu();
+                showLoadErrorPanel(nextLevelPath, error);
             }
         } else {
             console.warn("Attempted to load next level, but current level not found or is the last level.");
@@ -123,6 +134,22 @@ export function createEndMenu(onRestartCallback) {
     });
     buttonsStackPanel.addControl(restartButton);
 
+    if (onSaveReplayCallback) {
+        saveReplayButton = GUI.Button.CreateSimpleButton("saveReplayButton", "Save Replay");
+        saveReplayButton.width = "220px";
+        saveReplayButton.height = "50px";
+        saveReplayButton.color = PANEL_CONSTANTS.BUTTON_TEXT_COLOR_BRIGHT || "white";
+        saveReplayButton.cornerRadius = 15;
+        saveReplayButton.background = PANEL_CONSTANTS.BUTTON_BACKGROUND_COLOR_SECONDARY || "gray";
+        saveReplayButton.thickness = 2;
+        saveReplayButton.hoverCursor = "pointer";
+        saveReplayButton.marginTop = "10px";
+        saveReplayButton.onPointerUpObservable.add(() => {
+            onSaveReplayCallback();
+        });
+        buttonsStackPanel.addControl(saveReplayButton);
+    }
+
     returnToMenuButton = GUI.Button.CreateSimpleButton("returnToMenuButton", "Return to Menu");
     returnToMenuButton.width = "220px";
     returnToMenuButton.height = "50px";
@@ -141,19 +168,44 @@ export function createEndMenu(onRestartCallback) {
     console.log("End menu created.");
 }
 
+/**
+ * Describes the pieces a run used against the par of the level, and their cost when items have prices.
+ * @param {object} pieceUsage - The pieces used, see {@link module:core/simulationCore.measurePieceUsage}.
+ * @returns {string} The description.
+ * @private
+ */
+function describePieceUsage(pieceUsage) {
+    let text = `Pieces used: ${pieceUsage.pieces}`;
+    if (pieceUsage.par !== null) {
+        text += ` / par ${pieceUsage.par}`;
+    }
+    if (pieceUsage.priced) {
+        text += ` (cost ${pieceUsage.cost})`;
+    }
+    return text;
+}
+
 /**
  * Shows the end menu and populates it with objective data.
+ * When the run failed, the menu shows its failure view instead: a failure title, the reason above the
+ * objectives, no "Next Level" button, and a "Back to Construction" button in place of "Restart Level".
  * @param {Array<object>} objectivesData - An array of objective status objects.
  * Each object should have `displayName`, `statusText`, and `isComplete`.
+ * @param {object|null} [pieceUsage] - The pieces the run used, shown under the objectives when known.
+ * @param {string|null} [failureReason] - Why the run failed, null if it did not.
  */
-export function showEndMenu(objectivesData = []) {
+export function showEndMenu(objectivesData = [], pieceUsage = null, failureReason = null) {
     if (endMenuContainer && scoresStackPanel && nextLevelButton) {
+        const failed = failureReason !== null;
         const allObjectivesComplete = objectivesData.every(obj => obj.isComplete);
         const currentLevelIndex = levelFiles.findIndex(file => file === currentScenePath);
         const hasNextLevel = currentLevelIndex !== -1 && currentLevelIndex < levelFiles.length - 1;
 
+        endMenuTitle.text = failed ? "Attempt Failed" : "Level Ended!";
+        endMenuTitle.color = failed ? "#ff6666" : (PANEL_CONSTANTS.TEXT_COLOR_BRIGHT || "white");
+        restartButton.textBlock.text = failed ? "Back to Construction" : "Restart Level";
 
-        nextLevelButton.isVisible = allObjectivesComplete && hasNextLevel;
+        nextLevelButton.isVisible = allObjectivesComplete && hasNextLevel && !failed;
 
 
         if (nextLevelButton.isVisible) {
@@ -168,6 +220,17 @@ export function showEndMenu(objectivesData = []) {
             child.dispose();
         }
 
+        if (failed) {
+            const reasonText = new GUI.TextBlock("failureReasonText", failureReason);
+            reasonText.color = "#ff8888";
+            reasonText.fontSize = 18;
+            reasonText.height = "25px";
+            reasonText.textWrapping = GUI.TextWrapping.WordWrap;
+            reasonText.resizeToFit = true;
+            reasonText.paddingBottom = "8px";
+            scoresStackPanel.addControl(reasonText);
+        }
+
         if (objectivesData.length > 0) {
             objectivesData.forEach(objData => {
                 let displayText = `${objData.displayName}: ${objData.statusText}`;
@@ -196,6 +259,17 @@ export function showEndMenu(objectivesData = []) {
             scoresStackPanel.addControl(noScoresText);
         }
 
+        if (pieceUsage) {
+            const piecesText = new GUI.TextBlock("piecesUsedText", describePieceUsage(pieceUsage));
+            const underPar = pieceUsage.par === null || pieceUsage.pieces <= pieceUsage.par;
+            piecesText.color = underPar ? (PANEL_CONSTANTS.TEXT_COLOR_NORMAL || "#f0f0f0") : "#ffaa66";
+            piecesText.fontSize = 16;
+            piecesText.height = "25px";
+            piecesText.paddingTop = "5px";
+            scoresStackPanel.addControl(piecesText);
+        }
+        endMenuContainer.height = `${endMenuBaseHeight + (pieceUsage ? 30 : 0) + (failed ? 35 : 0)}px`;
+
         endMenuContainer.isVisible = true;
         disableCameraControls();
         console.log("End menu shown with scores.");
@@ -227,8 +301,10 @@ export function disposeEndMenu() {
         endMenuContainer.dispose();
         endMenuContainer = null;
         restartButton = null;
+        saveReplayButton = null;
         returnToMenuButton = null;
         scoresStackPanel = null;
+        endMenuTitle = null;
         console.log("End menu disposed.");
     }
 }
@@ -89,7 +89,8 @@ function createInventoryUI(config, addItemCallback, previewErrorCallback) {
  * @param {object} config - The current scene/level configuration object.
  * @param {Array<object>} config.inventory - An array of inventory item objects. Each item object
  *                                           should have properties like `id`, `displayName`, `type`,
- *                                           `count`, and `objectProperties` for preview generation.
+ *                                           `count`, and `objectProperties` (or `jointProperties` for joint items)
+ *                                           for preview generation.
  */
 async function updateUIContent(config) {
     if (!inventoryPanel) return;
@@ -4,6 +4,7 @@ import { getAdvancedTexture, PANEL_CONSTANTS } from './uiCore.js';
 import { loadSceneConfig } from '../../utils/configLoader.js';
 import { initSimulation } from '../simulation.js';
 import { showMainMenu } from './mainMenu.js';
+import { showLoadErrorPanel } from './loadErrorPanel.js';
 import { getScene, disableCameraControls, enableCameraControls } from '../sceneManager.js';
 
 let levelSelectPanel = null;
@@ -94,6 +95,7 @@ function createLevelSelectMenu(scene) {
                 } catch (error) {
                     console.error("Failed to load level:", error);
                     showLevelSelectMenu();
+                    showLoadErrorPanel(file, error);
                 }
             });
         } else {
@@ -0,0 +1,90 @@
+import * as GUI from '@babylonjs/gui';
+import { getAdvancedTexture, PANEL_CONSTANTS } from './uiCore.js';
+import { formatLevelProblem } from '../levelSchema.js';
+
+let loadErrorContainer = null;
+
+/**
+ * @module core/ui/loadErrorPanel
+ * @description Shows why a level could not be loaded: for an invalid level, every problem found by
+ * the level validator with its path in the level JSON (see {@link module:core/levelSchema}), otherwise
+ * the error message. The panel is drawn over the menus and closes with its button.
+ */
+
+/**
+ * Shows the panel for a level that failed to load, replacing any panel already shown.
+ * @param {string|null} levelPath - The path of the level, for the title.
+ * @param {Error} error - The error thrown while loading; a `LevelConfigError` lists its problems.
+ */
+function showLoadErrorPanel(levelPath, error) {
+    const advancedTexture = getAdvancedTexture();
+    if (!advancedTexture) {
+        console.error("Load Error Panel: AdvancedTexture is not available.");
+        return;
+    }
+    hideLoadErrorPanel();
+
+    loadErrorContainer = new GUI.Rectangle("loadErrorContainer");
+    loadErrorContainer.width = "700px";
+    loadErrorContainer.height = "460px";
+    loadErrorContainer.cornerRadius = 10;
+    loadErrorContainer.color = "#ff6666";
+    loadErrorContainer.thickness = PANEL_CONSTANTS.PANEL_BORDER_THICKNESS;
+    loadErrorContainer.background = "rgba(30, 0, 0, 0.9)";
+    loadErrorContainer.isPointerBlocker = true;
+    loadErrorContainer.zIndex = 100;
+    advancedTexture.addControl(loadErrorContainer);
+
+    const title = new GUI.TextBlock("loadErrorTitle", `Could not load ${levelPath || 'the level'}`);
+    title.height = "50px";
+    title.color = PANEL_CONSTANTS.TEXT_COLOR;
+    title.fontSize = 22;
+    title.verticalAlignment = GUI.Control.VERTICAL_ALIGNMENT_TOP;
+    loadErrorContainer.addControl(title);
+
+    const problems = Array.isArray(error?.problems) ? error.problems.map(formatLevelProblem) : [error?.message || String(error)];
+    const scrollViewer = new GUI.ScrollViewer("loadErrorScroll");
+    scrollViewer.width = "660px";
+    scrollViewer.height = "330px";
+    scrollViewer.top = "50px";
+    scrollViewer.thickness = 0;
+    scrollViewer.barColor = "#ff6666";
+    scrollViewer.verticalAlignment = GUI.Control.VERTICAL_ALIGNMENT_TOP;
+    loadErrorContainer.addControl(scrollViewer);
+
+    const problemsText = new GUI.TextBlock("loadErrorProblems", problems.map(problem => `• ${problem}`).join('\n'));
+    problemsText.color = PANEL_CONSTANTS.TEXT_COLOR;
+    problemsText.fontSize = 15;
+    problemsText.textWrapping = GUI.TextWrapping.WordWrap;
+    problemsText.resizeToFit = true;
+    problemsText.textHorizontalAlignment = GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+    problemsText.textVerticalAlignment = GUI.Control.VERTICAL_ALIGNMENT_TOP;
+    problemsText.paddingRight = "20px";
+    scrollViewer.addControl(problemsText);
+
+    const closeButton = GUI.Button.CreateSimpleButton("loadErrorClose", "Close");
+    closeButton.width = "150px";
+    closeButton.height = "40px";
+    closeButton.color = PANEL_CONSTANTS.BUTTON_TEXT_COLOR;
+    closeButton.background = "#8B0000";
+    closeButton.cornerRadius = 10;
+    closeButton.top = "-15px";
+    closeButton.verticalAlignment = GUI.Control.VERTICAL_ALIGNMENT_BOTTOM;
+    closeButton.onPointerUpObservable.add(() => hideLoadErrorPanel());
+    loadErrorContainer.addControl(closeButton);
+}
+
+/**
+ * Removes the panel, if shown.
+ */
+function hideLoadErrorPanel() {
+    if (loadErrorContainer) {
+        loadErrorContainer.dispose();
+        loadErrorContainer = null;
+    }
+}
+
+export {
+    showLoadErrorPanel,
+    hideLoadErrorPanel
+};
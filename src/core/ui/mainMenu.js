@@ -4,6 +4,9 @@ import { getAdvancedTexture, PANEL_CONSTANTS } from './uiCore.js';
 import { showLevelSelectMenu } from './levelSelectMenu.js'; // Import for showing level select menu
 import { toggleSettingsMenuVisibility } from './settingsMenuBabylon.js'; // Import for showing settings menu
 import { getScene, disableCameraControls, enableCameraControls } from '../sceneManager.js'; // Import getScene and camera controls
+import { startReplay } from '../simulation.js';
+import { pickReplayFile } from '../../utils/replayFile.js';
+import { showLoadErrorPanel } from './loadErrorPanel.js';
 
 let mainMenuPanel = null;
 
@@ -60,6 +63,25 @@ function createMainMenu(scene) {
     });
     mainMenuPanel.addControl(playButton);
 
+    const openReplayButton = GUI.Button.CreateSimpleButton("openReplayButton", "Open Replay");
+    openReplayButton.width = "200px";
+    openReplayButton.height = "50px";
+    openReplayButton.color = PANEL_CONSTANTS.BUTTON_TEXT_COLOR;
+    openReplayButton.background = PANEL_CONSTANTS.BUTTON_BACKGROUND_COLOR;
+    openReplayButton.fontSize = 20;
+    openReplayButton.marginTop = 10;
+    openReplayButton.onPointerClickObservable.add(async () => {
+        try {
+            const replay = await pickReplayFile();
+            hideMainMenu();
+            startReplay(replay);
+        } catch (error) {
+            console.error("Failed to open replay:", error);
+            showLoadErrorPanel('the replay', error);
+        }
+    });
+    mainMenuPanel.addControl(openReplayButton);
+
     const settingsButton = GUI.Button.CreateSimpleButton("settingsButton", "Settings");
     settingsButton.width = "200px";
     settingsButton.height = "50px";
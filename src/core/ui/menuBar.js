@@ -1,16 +1,19 @@
 import * as BABYLON from '@babylonjs/core';
 import * as GUI from '@babylonjs/gui';
 import { getAdvancedTexture } from './uiCore.js';
-import { loadSceneConfig } from '../../utils/configLoader.js';
-import { initSimulation, currentScenePath, currentConfig } from '../simulation.js';
+import { loadSceneConfig, dropLegacyZoneObjects } from '../../utils/configLoader.js';
+import { initSimulation, currentScenePath, currentConfig, getPieceUsage } from '../simulation.js';
 import { showBriefingPanel } from './briefingPanel.js';
 import { showHintPanel } from './hintPanel.js';
+import { showLoadErrorPanel } from './loadErrorPanel.js';
 
 /**
  * @module core/ui/menuBar
  * @description Manages the creation and state of the top menu bar UI.
  * This menu bar typically contains buttons to switch between different application modes
- * (e.g., 'construction', 'configuration', 'simulation').
+ * (e.g., 'construction', 'configuration', 'simulation'), with a second row of simulation
+ * time controls (pause/resume, single step and speed presets). The replay viewer has its own
+ * bar with the title of the replay instead of the mode buttons.
  */
 
 /**
@@ -29,6 +32,28 @@ let topMenuBar = null;
  */
 let modeButtons = {};
 
+/**
+ * @type {GUI.StackPanel | null}
+ * @description Holds the row of simulation time controls below the top menu bar.
+ * @private
+ */
+let timeControlBar = null;
+
+/**
+ * @type {{pause: GUI.Button, speed: GUI.TextBlock} | null}
+ * @description The time controls whose content follows the simulation state.
+ * @private
+ */
+let timeControlWidgets = null;
+
+/**
+ * @typedef {object} TimeControlCallbacks
+ * @property {function(): void} onTogglePause - Pauses or resumes the simulation.
+ * @property {function(): void} onStep - Advances the simulation by a single step.
+ * @property {function(number): void} onChangeSpeed - Changes the speed preset (-1 slower, 1 faster).
+ * @property {function(): void} [onFire] - Fires the launchers waiting for the player. The "Fire" button is only created when it is given.
+ */
+
 /**
  * Creates the top menu bar with buttons for switching application modes.
  * If a menu bar already exists, it is disposed of and recreated.
@@ -39,19 +64,17 @@ let modeButtons = {};
  *                               (e.g., 'construction', 'configuration', 'simulation').
  * @param {function(string): void} modeChangeCallback - A callback function that is invoked
  *        when a mode button is clicked. It receives the name of the selected mode as an argument.
+ * @param {TimeControlCallbacks} [timeControlCallbacks] - Callbacks of the time controls. The row of
+ *        time controls is only created when they are given.
  */
-function createTopMenuBar(initialMode, modeChangeCallback) {
+function createTopMenuBar(initialMode, modeChangeCallback, timeControlCallbacks) {
     const advancedTexture = getAdvancedTexture();
     if (!advancedTexture) {
         console.error("Cannot create top menu bar: AdvancedTexture not available.");
         return;
     }
     
-    if (topMenuBar) {
-        advancedTexture.removeControl(topMenuBar);
-        topMenuBar = null;
-        modeButtons = {};
-    }
+    removeMenuBars(advancedTexture);
 
     topMenuBar = new GUI.StackPanel("topMenuBar");
     topMenuBar.isVertical = false;
@@ -121,8 +144,13 @@ function createTopMenuBar(initialMode, modeChangeCallback) {
         if (currentScenePath) {
             const storageKey = `puzzleshape_config_${currentScenePath}`;
             localStorage.removeItem(storageKey);
-            const { config } = await loadSceneConfig(currentScenePath);
-            initSimulation(config, currentScenePath, false);
+            try {
+                const { config } = await loadSceneConfig(currentScenePath);
+                initSimulation(config, currentScenePath, false);
+            } catch (error) {
+                console.error("Failed to reset level:", error);
+                showLoadErrorPanel(currentScenePath, error);
+            }
         }
     });
     topMenuBar.addControl(resetBtn);
@@ -139,15 +167,146 @@ function createTopMenuBar(initialMode, modeChangeCallback) {
     });
     topMenuBar.addControl(hintBtn);
 
+    if (timeControlCallbacks) {
+        createTimeControlBar(advancedTexture, timeControlCallbacks);
+    }
+
     updateTopMenuBar(initialMode);
     console.log("Top menu bar created.");
 }
 
+/**
+ * Creates the top menu bar of the replay viewer: the title of the replay, a button to leave the
+ * viewer, and the row of time controls. If a menu bar already exists, it is disposed of and recreated.
+ * @param {string} title - The text shown in the bar, e.g. the level and how the run ended.
+ * @param {function(): void} onExit - Called when the "Exit Replay" button is clicked.
+ * @param {TimeControlCallbacks} timeControlCallbacks - Callbacks of the time controls.
+ */
+function createReplayMenuBar(title, onExit, timeControlCallbacks) {
+    const advancedTexture = getAdvancedTexture();
+    if (!advancedTexture) {
+        console.error("Cannot create replay menu bar: AdvancedTexture not available.");
+        return;
+    }
+
+    removeMenuBars(advancedTexture);
+
+    topMenuBar = new GUI.StackPanel("topMenuBar");
+    topMenuBar.isVertical = false;
+    topMenuBar.height = "40px";
+    topMenuBar.horizontalAlignment = GUI.Control.HORIZONTAL_ALIGNMENT_CENTER;
+    topMenuBar.verticalAlignment = GUI.Control.VERTICAL_ALIGNMENT_TOP;
+    topMenuBar.paddingTop = "10px";
+    advancedTexture.addControl(topMenuBar);
+
+    const titleText = new GUI.TextBlock("replayTitle", `Replay: ${title}`);
+    titleText.width = "520px";
+    titleText.color = "white";
+    titleText.fontSize = 16;
+    titleText.textHorizontalAlignment = GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+    topMenuBar.addControl(titleText);
+
+    const exitBtn = GUI.Button.CreateSimpleButton("exitReplayBtn", "Exit Replay");
+    exitBtn.width = "150px";
+    exitBtn.height = "100%";
+    exitBtn.color = "white";
+    exitBtn.background = "#4444aa";
+    exitBtn.fontSize = 16;
+    exitBtn.paddingLeft = "5px";
+    exitBtn.paddingRight = "5px";
+    exitBtn.onPointerClickObservable.add(() => {
+        onExit();
+    });
+    topMenuBar.addControl(exitBtn);
+
+    createTimeControlBar(advancedTexture, timeControlCallbacks);
+    console.log("Replay menu bar created.");
+}
+
+/**
+ * Removes the top menu bar and the row of time controls, if they exist.
+ * @param {GUI.AdvancedDynamicTexture} advancedTexture - The GUI texture holding them.
+ * @private
+ */
+function removeMenuBars(advancedTexture) {
+    if (topMenuBar) {
+        advancedTexture.removeControl(topMenuBar);
+        topMenuBar = null;
+        modeButtons = {};
+    }
+    if (timeControlBar) {
+        advancedTexture.removeControl(timeControlBar);
+        timeControlBar = null;
+        timeControlWidgets = null;
+    }
+}
+
+/**
+ * Creates the row of time controls below the top menu bar: slower, pause/resume, single step,
+ * faster, the current speed and, in levels with launchers waiting for the player, a fire button.
+ * @param {GUI.AdvancedDynamicTexture} advancedTexture - The GUI texture to add the row to.
+ * @param {TimeControlCallbacks} callbacks - The callbacks of the controls.
+ * @private
+ */
+function createTimeControlBar(advancedTexture, callbacks) {
+    timeControlBar = new GUI.StackPanel("timeControlBar");
+    timeControlBar.isVertical = false;
+    timeControlBar.height = "34px";
+    timeControlBar.horizontalAlignment = GUI.Control.HORIZONTAL_ALIGNMENT_CENTER;
+    timeControlBar.verticalAlignment = GUI.Control.VERTICAL_ALIGNMENT_TOP;
+    timeControlBar.top = "55px";
+    advancedTexture.addControl(timeControlBar);
+
+    const addButton = (name, text, width, onClick) => {
+        const button = GUI.Button.CreateSimpleButton(name, text);
+        button.width = width;
+        button.height = "100%";
+        button.color = "white";
+        button.background = "#555555";
+        button.fontSize = 14;
+        button.paddingLeft = "3px";
+        button.paddingRight = "3px";
+        button.onPointerClickObservable.add(onClick);
+        timeControlBar.addControl(button);
+        return button;
+    };
+
+    addButton("slowerBtn", "Slower", "80px", () => callbacks.onChangeSpeed(-1));
+    const pause = addButton("pauseBtn", "Pause", "90px", () => callbacks.onTogglePause());
+    addButton("stepBtn", "Step", "70px", () => callbacks.onStep());
+    addButton("fasterBtn", "Faster", "80px", () => callbacks.onChangeSpeed(1));
+
+    const speed = new GUI.TextBlock("speedText", "1x");
+    speed.width = "60px";
+    speed.color = "white";
+    speed.fontSize = 15;
+    timeControlBar.addControl(speed);
+
+    if (callbacks.onFire) {
+        const fire = addButton("fireBtn", "Fire", "70px", () => callbacks.onFire());
+        fire.background = "#aa4422";
+    }
+
+    timeControlWidgets = { pause, speed };
+}
+
+/**
+ * Updates the time controls to show whether the simulation is paused and its speed.
+ * @param {boolean} paused - Whether the simulation is paused.
+ * @param {number} timeScale - The simulation speed, as a multiple of normal speed.
+ */
+function updateTimeControls(paused, timeScale) {
+    if (!timeControlWidgets) return;
+    timeControlWidgets.pause.textBlock.text = paused ? "Resume" : "Pause";
+    timeControlWidgets.pause.background = paused ? "#aa8822" : "#555555";
+    timeControlWidgets.speed.text = `${timeScale}x`;
+}
+
 /**
  * Displays a Babylon.js GUI menu for saving and loading multiple named solutions for the current level.
  * Solutions are stored in localStorage. The menu allows users to:
- * - Name and save the current level configuration.
- * - View a list of previously saved solutions with their names and save dates.
+ * - Name and save the current level configuration, with the number of inventory pieces it uses.
+ * - View a list of previously saved solutions with their names, save dates and piece counts.
  * - Load a selected solution, replacing the current level state.
  * - Delete a saved solution.
  * If the menu is already open, it is removed and recreated.
@@ -210,6 +369,7 @@ function showSolutionMenu() {
             arr.push({
                 name,
                 date: new Date().toISOString(),
+                pieces: getPieceUsage()?.pieces ?? null,
                 config: currentConfig
             });
             localStorage.setItem(key, JSON.stringify(arr));
@@ -268,6 +428,10 @@ function showSolutionMenu() {
             // Date
             const dateTxt = new GUI.TextBlock();
             dateTxt.text = sol.date ? new Date(sol.date).toLocaleString() : "";
+            if (typeof sol.pieces === 'number') {
+                dateTxt.text += `\n${sol.pieces} ${sol.pieces === 1 ? 'piece' : 'pieces'}`;
+                dateTxt.textWrapping = GUI.TextWrapping.WordWrap;
+            }
             dateTxt.width = "110px";
             dateTxt.color = "#aaa";
             dateTxt.fontSize = 13;
@@ -281,9 +445,14 @@ function showSolutionMenu() {
             loadBtn.background = "#aa8822";
             loadBtn.fontSize = 13;
             loadBtn.onPointerClickObservable.add(() => {
-                initSimulation(sol.config, currentScenePath, false);
                 panel.isVisible = false;
                 advancedTexture.removeControl(panel);
+                try {
+                    initSimulation(dropLegacyZoneObjects(sol.config), currentScenePath, false);
+                } catch (error) {
+                    console.error("Failed to load solution:", error);
+                    showLoadErrorPanel(currentScenePath, error);
+                }
             });
             row.addControl(loadBtn);
             // Delete
@@ -338,5 +507,7 @@ function updateTopMenuBar(activeMode) {
 
 export {
     createTopMenuBar,
-    updateTopMenuBar
+    createReplayMenuBar,
+    updateTopMenuBar,
+    updateTimeControls
 };
@@ -1,6 +1,8 @@
 import * as BABYLON from '@babylonjs/core';
 import { RenderTargetTexture, FreeCamera, Vector3, Color4, MeshBuilder, StandardMaterial, EngineStore, Camera } from '@babylonjs/core';
 import { emptyImageUrl } from './uiCore.js';
+import { createPolygonMesh, createCompoundMesh, createJointIconMesh } from '../sceneManager.js';
+import { getCenteredPolygonVertices, getPolygonBounds, getCompoundLayout, getCompoundBounds } from '../../utils/shapeUtils.js';
 
 /**
  * @module core/ui/objectPreview
@@ -16,7 +18,8 @@ import { emptyImageUrl } from './uiCore.js';
  * it generates a new preview by:
  * 1. Creating a `RenderTargetTexture` (RTT).
  * 2. Setting up a dedicated orthographic camera for the RTT.
- * 3. Creating a temporary 3D mesh based on `itemData.objectProperties` (type, dimensions, color).
+ * 3. Creating a temporary 3D mesh based on `itemData.objectProperties` (type, dimensions, color),
+ *    or a line icon for joint items (`itemData.jointProperties`).
  *    The mesh is scaled to fit within a normalized preview size.
  * 4. Rendering this mesh to the RTT.
  * 5. Reading the pixel data from the RTT and converting it to a PNG data URL.
@@ -28,13 +31,16 @@ import { emptyImageUrl } from './uiCore.js';
  * @async
  * @param {object} itemData - Data object for the inventory item.
  * @param {string} itemData.id - Unique ID of the item (used in cache key).
- * @param {object} itemData.objectProperties - Properties defining the 3D object.
- * @param {string} itemData.objectProperties.type - Type of the object (e.g., "box", "circle").
+ * @param {object} [itemData.objectProperties] - Properties defining the 3D object.
+ * @param {object} [itemData.jointProperties] - Properties defining the joint, for joint items (e.g. `kind`).
+ * @param {string} itemData.objectProperties.type - Type of the object (e.g., "box", "circle", "polygon", "compound").
  * @param {object} [itemData.objectProperties.color] - Optional color {r, g, b}.
  * @param {number} [itemData.objectProperties.width] - Width (for box type).
  * @param {number} [itemData.objectProperties.height] - Height (for box type).
  * @param {number} [itemData.objectProperties.depth] - Depth (for box type).
  * @param {number} [itemData.objectProperties.radius] - Radius (for circle type).
+ * @param {Array<{x: number, y: number}>} [itemData.objectProperties.vertices] - Outline (for polygon type).
+ * @param {Array<object>} [itemData.objectProperties.parts] - Parts (for compound type).
  * @param {BABYLON.Engine} engine - The Babylon.js engine instance.
  * @param {BABYLON.Scene} scene - The Babylon.js scene instance.
  * @param {number} size - The desired width and height of the preview texture in pixels.
@@ -47,16 +53,21 @@ import { emptyImageUrl } from './uiCore.js';
 async function createPreviewTexture(itemData, engine, scene, size) {
     let didPopulateCache = false;
     
-    if (!engine || !scene || !itemData || !itemData.objectProperties || !itemData.objectProperties.type) {
+    const isJointItem = Boolean(itemData?.jointProperties);
+    if (!engine || !scene || !itemData || (!isJointItem && (!itemData.objectProperties || !itemData.objectProperties.type))) {
         console.warn(`Cannot create preview for item: Missing data, objectProperties, or type. Item ID: ${itemData?.id}`);
         return { dataUrl: null, didPopulateCache };
     }
     
-    const props = itemData.objectProperties;
+    const props = isJointItem ? {} : itemData.objectProperties;
 
     const colorString = props.color ? `${props.color.r}_${props.color.g}_${props.color.b}` : 'no_color';
-    const dimensionsString = `${props.width || 'defW'}_${props.height || 'defH'}_${props.depth || 'defD'}_${props.radius || 'defR'}`;
-    const cacheKey = `preview_${itemData.id}_${props.type}_${colorString}_${dimensionsString}`;
+    const verticesString = Array.isArray(props.vertices) ? props.vertices.map(v => `${v.x},${v.y}`).join(';') : 'defV';
+    const partsString = Array.isArray(props.parts) ? JSON.stringify(props.parts) : 'defP';
+    const dimensionsString = `${props.width || 'defW'}_${props.height || 'defH'}_${props.depth || 'defD'}_${props.radius || 'defR'}_${verticesString}_${partsString}`;
+    const cacheKey = isJointItem
+        ? `preview_${itemData.id}_joint_${JSON.stringify(itemData.jointProperties)}`
+        : `preview_${itemData.id}_${props.type}_${colorString}_${dimensionsString}`;
 
     try {
         const cachedDataUrl = localStorage.getItem(cacheKey);
@@ -92,7 +103,10 @@ async function createPreviewTexture(itemData, engine, scene, size) {
 
     const previewSize = 1.0;
 
-    if (props.type === "box") {
+    if (isJointItem) {
+        previewMesh = createJointIconMesh(meshName, itemData.jointProperties, scene);
+        previewMesh.scaling.setAll(previewSize / 60);
+    } else if (props.type === "box") {
         const maxDim = Math.max(props.width || 1, props.height || 1, props.depth || props.width || 1);
         const scale = previewSize / maxDim;
         previewMesh = MeshBuilder.CreateBox(meshName, {
@@ -105,6 +119,25 @@ async function createPreviewTexture(itemData, engine, scene, size) {
         previewMesh = MeshBuilder.CreateSphere(meshName, {
             diameter: (props.radius * 2 || 1) * scale
         }, scene);
+    } else if (props.type === "polygon") {
+        const outline = getCenteredPolygonVertices(props.vertices);
+        if (outline.length >= 3) {
+            const bounds = getPolygonBounds(outline);
+            const depth = props.depth || bounds.width;
+            const scale = previewSize / Math.max(bounds.width, bounds.height, depth);
+            const scaledOutline = outline.map(v => ({ x: v.x * scale, y: v.y * scale }));
+            previewMesh = createPolygonMesh(meshName, scaledOutline, depth * scale, scene);
+        }
+    } else if (props.type === "compound") {
+        const layout = getCompoundLayout(props.parts);
+        if (layout) {
+            const bounds = getCompoundBounds(layout.parts);
+            previewMesh = createCompoundMesh(meshName, props.parts, props.depth, scene);
+            if (previewMesh) {
+                const maxDim = Math.max(bounds.width, bounds.height);
+                previewMesh.scaling.setAll(previewSize / maxDim);
+            }
+        }
     } else {
         console.warn(`Unknown item type for preview: ${props.type}. Using default sphere.`);
         previewMesh = MeshBuilder.CreateSphere(meshName, { diameter: previewSize * 0.8 }, scene);
@@ -117,10 +150,12 @@ async function createPreviewTexture(itemData, engine, scene, size) {
         return { dataUrl: null, didPopulateCache };
     }
 
-    previewMesh.material = material;
+    if (!isJointItem) {
+        previewMesh.material = material;
+    }
     previewMesh.position = Vector3.Zero();
     
-    if (props.type === "box") {
+    if (props.type === "box" || props.type === "polygon" || props.type === "compound") {
         previewMesh.rotation = new Vector3(0, Math.PI / 1, 0);
     } else {
         previewMesh.rotation = Vector3.Zero();
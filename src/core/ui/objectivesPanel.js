@@ -11,6 +11,72 @@ let objectivesPanel = null;
 let objectiveTextBlocks = new Map();
 let conditionControls = new Map();
 
+/**
+ * Adds the row of an objective to the panel, followed by the rows of its children (for composite
+ * objectives), indented one level deeper.
+ * @param {object} status - The objective status, as returned by `Objective.getStatus()`.
+ * @param {string} key - The key of the row: the objective ID, prefixed by its parents' keys.
+ * @param {number} depth - The nesting depth, 0 for a top-level objective.
+ * @private
+ */
+function addObjectiveRows(status, key, depth) {
+    const textBlock = new GUI.TextBlock(`objText_${key}`, `${status.displayName}: ${status.statusText}`);
+    textBlock.height = "25px";
+    textBlock.color = "white";
+    textBlock.fontSize = depth > 0 ? 13 : 14;
+    textBlock.textHorizontalAlignment = GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+    textBlock.paddingLeft = `${10 + depth * 20}px`;
+    objectivesPanel.addControl(textBlock);
+    objectiveTextBlocks.set(key, textBlock);
+
+    (status.children || []).forEach(child => addObjectiveRows(child, `${key}/${child.id}`, depth + 1));
+}
+
+/**
+ * Updates the row of an objective and the rows of its children.
+ * @param {object} status - The objective status, as returned by `Objective.getStatus()`.
+ * @param {string} key - The key of the row.
+ * @param {string} [outlookText=''] - The star prediction to append to the objective's own row.
+ * @private
+ */
+function updateObjectiveRows(status, key, outlookText = '') {
+    const textBlock = objectiveTextBlocks.get(key);
+    if (textBlock) {
+        textBlock.text = `${status.displayName}: ${status.statusText}${outlookText}`;
+        textBlock.color = status.isComplete ? "lightgreen" : (status.isFailed ? "salmon" : "white");
+    }
+    (status.children || []).forEach(child => updateObjectiveRows(child, `${key}/${child.id}`));
+}
+
+/**
+ * Describes the star prediction of an objective during a run: the stars still within reach when the run
+ * could do better than now, otherwise the stars it is on track for.
+ * @param {{stars: number, best: number}|null} outlook - The prediction, see {@link Objective#predictStars}.
+ * @returns {string} The text to append to the objective's row, empty without a prediction.
+ * @private
+ */
+function describeStarOutlook(outlook) {
+    if (!outlook) return '';
+    const starsText = stars => `${stars} ${stars === 1 ? 'star' : 'stars'}`;
+    if (outlook.best > outlook.stars) return ` - keep going for ${starsText(outlook.best)}`;
+    if (outlook.stars > 0) return ` - on track for ${starsText(outlook.stars)}`;
+    return ' - no stars within reach';
+}
+
+/**
+ * Describes the state of an end condition other than a time limit: its countdown when it has one
+ * (like a deadline), otherwise whether it is met.
+ * @param {Condition} condition - The end condition.
+ * @returns {string} The row text.
+ * @private
+ */
+function describeCondition(condition) {
+    if (typeof condition.remainingTime === 'number' && !condition.isMet) {
+        return `${condition.displayName}: ${condition.remainingTime.toFixed(1)}s`;
+    }
+    return `${condition.displayName}: ${condition.isMet ? 'Met' : 'Pending'}`;
+}
+
 /**
  * Creates the objectives and manual end conditions display panel.
  *
@@ -45,17 +111,7 @@ function createObjectivesPanel(objectiveInstances = [], conditionInstances = [])
         objectivesHeader.textHorizontalAlignment = GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
         objectivesPanel.addControl(objectivesHeader);
 
-        objectiveInstances.forEach(objective => {
-            const status = objective.getStatus();
-            const textBlock = new GUI.TextBlock(`objText_${status.id}`, `${status.displayName}: ${status.statusText}`);
-            textBlock.height = "25px";
-            textBlock.color = "white";
-            textBlock.fontSize = 14;
-            textBlock.textHorizontalAlignment = GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
-            textBlock.paddingLeft = "10px";
-            objectivesPanel.addControl(textBlock);
-            objectiveTextBlocks.set(status.id, textBlock);
-        });
+        objectiveInstances.forEach(objective => addObjectiveRows(objective.getStatus(), objective.id, 0));
     }
 
     if (conditionInstances.length > 0) {
@@ -124,7 +180,7 @@ function createObjectivesPanel(objectiveInstances = [], conditionInstances = [])
                     pulseAnimation: null
                 });
             } else {
-                const textBlock = new GUI.TextBlock(`condText_${condition.id}`, `${condition.displayName}: ${condition.isMet ? 'Met' : 'Pending'}`);
+                const textBlock = new GUI.TextBlock(`condText_${condition.id}`, describeCondition(condition));
                 textBlock.height = "25px";
                 textBlock.color = "white";
                 textBlock.fontSize = 14;
@@ -145,17 +201,15 @@ function createObjectivesPanel(objectiveInstances = [], conditionInstances = [])
  *
  * @param {Array<module:core/objectives/Objective.Objective>} objectiveInstances - Active objective instances.
  * @param {Array<module:core/conditions/Condition.Condition>} conditionInstances - Active condition instances.
+ * @param {{time: number, pieceUsage: object|null, attempts: number}|null} [ratingContext=null] - The run going on,
+ *        to predict the stars of the objectives with star thresholds; no prediction is shown without it.
  */
-function updateObjectivesPanel(objectiveInstances = [], conditionInstances = []) {
+function updateObjectivesPanel(objectiveInstances = [], conditionInstances = [], ratingContext = null) {
     if (!objectivesPanel) return;
 
     objectiveInstances.forEach(objective => {
-        const status = objective.getStatus();
-        const textBlock = objectiveTextBlocks.get(status.id);
-        if (textBlock) {
-            textBlock.text = `${status.displayName}: ${status.statusText}`;
-            textBlock.color = status.isComplete ? "lightgreen" : (status.isFailed ? "salmon" : "white");
-        }
+        const outlook = ratingContext ? objective.predictStars(ratingContext) : null;
+        updateObjectiveRows(objective.getStatus(), objective.id, describeStarOutlook(outlook));
     });
 
     conditionInstances.forEach(condition => {
@@ -267,8 +321,8 @@ function updateObjectivesPanel(objectiveInstances = [], conditionInstances = [])
                 }
 
             } else {
-                controls.textBlock.text = `${condition.displayName}: ${condition.isMet ? 'Met' : 'Pending'}`;
-                controls.textBlock.color = condition.isMet ? "lightgreen" : "white";
+                controls.textBlock.text = describeCondition(condition);
+                controls.textBlock.color = condition.isMet ? (condition.isFailure ? "salmon" : "lightgreen") : "white";
             }
         }
     });
@@ -0,0 +1,111 @@
+import * as GUI from '@babylonjs/gui';
+import { getAdvancedTexture } from './uiCore.js';
+
+/**
+ * @module core/ui/timelineBar
+ * @description Manages the timeline bar shown at the bottom of the screen in Simulation mode:
+ * a slider to scrub through the recorded ticks of the run, and the simulation time of the
+ * selected tick.
+ */
+
+let timelineBar = null;
+let timelineSlider = null;
+let timelineText = null;
+/** @type {boolean} Set while the slider is moved by {@link updateTimelineBar}, so that it is not reported as scrubbing. */
+let isSyncingSlider = false;
+
+/**
+ * Creates the timeline bar, hidden until {@link showTimelineBar} is called.
+ * @param {function(number): void} onScrub - Called with the selected frame index when the player moves the slider.
+ */
+function createTimelineBar(onScrub) {
+    const advancedTexture = getAdvancedTexture();
+    if (!advancedTexture) {
+        console.error("Cannot create timeline bar: AdvancedTexture not available.");
+        return;
+    }
+
+    disposeTimelineBar();
+
+    timelineBar = new GUI.StackPanel("timelineBar");
+    timelineBar.isVertical = false;
+    timelineBar.width = "640px";
+    timelineBar.height = "36px";
+    timelineBar.horizontalAlignment = GUI.Control.HORIZONTAL_ALIGNMENT_CENTER;
+    timelineBar.verticalAlignment = GUI.Control.VERTICAL_ALIGNMENT_BOTTOM;
+    timelineBar.top = "-20px";
+    timelineBar.isVisible = false;
+    advancedTexture.addControl(timelineBar);
+
+    timelineSlider = new GUI.Slider("timelineSlider");
+    timelineSlider.width = "500px";
+    timelineSlider.height = "20px";
+    timelineSlider.minimum = 0;
+    timelineSlider.maximum = 0;
+    timelineSlider.step = 1;
+    timelineSlider.value = 0;
+    timelineSlider.color = "#2288aa";
+    timelineSlider.background = "#333333";
+    timelineSlider.onValueChangedObservable.add(value => {
+        if (!isSyncingSlider) {
+            onScrub(Math.round(value));
+        }
+    });
+    timelineBar.addControl(timelineSlider);
+
+    timelineText = new GUI.TextBlock("timelineText", "0.00s");
+    timelineText.width = "140px";
+    timelineText.color = "white";
+    timelineText.fontSize = 14;
+    timelineBar.addControl(timelineText);
+}
+
+/**
+ * Updates the range and position of the slider and the displayed time.
+ * @param {number} frameCount - The number of recorded frames.
+ * @param {number} frameIndex - The index of the frame currently shown.
+ * @param {number} time - The simulation time of that frame, in seconds.
+ * @param {number} endTime - The simulation time of the latest frame, in seconds.
+ */
+function updateTimelineBar(frameCount, frameIndex, time, endTime) {
+    if (!timelineSlider) return;
+    isSyncingSlider = true;
+    timelineSlider.maximum = Math.max(0, frameCount - 1);
+    timelineSlider.value = frameIndex;
+    isSyncingSlider = false;
+    timelineText.text = `${time.toFixed(2)}s / ${endTime.toFixed(2)}s`;
+}
+
+/**
+ * Shows the timeline bar.
+ */
+function showTimelineBar() {
+    if (timelineBar) timelineBar.isVisible = true;
+}
+
+/**
+ * Hides the timeline bar.
+ */
+function hideTimelineBar() {
+    if (timelineBar) timelineBar.isVisible = false;
+}
+
+/**
+ * Disposes of the timeline bar UI elements.
+ */
+function disposeTimelineBar() {
+    if (timelineBar) {
+        timelineBar.dispose();
+        timelineBar = null;
+    }
+    timelineSlider = null;
+    timelineText = null;
+}
+
+export {
+    createTimelineBar,
+    updateTimelineBar,
+    showTimelineBar,
+    hideTimelineBar,
+    disposeTimelineBar
+};
@@ -1,18 +1,19 @@
 import { disposeUI as coreDisposeUI } from './ui/uiCore.js';
 import { createInventoryUI, updateUIContent } from './ui/inventoryPanel.js';
-import { createTopMenuBar, updateTopMenuBar } from './ui/menuBar.js';
+import { createTopMenuBar, createReplayMenuBar, updateTopMenuBar, updateTimeControls } from './ui/menuBar.js';
 import { createConfigPanel, showConfigPanel, hideConfigPanel } from './ui/configPanel.js';
 import { createTrashCan, showTrashCan, hideTrashCan, isPointerOverTrashCan } from './ui/trashCan.js';
 import { createObjectivesPanel, updateObjectivesPanel, disposeObjectivesPanel } from './ui/objectivesPanel.js';
 import { createEndMenu as createEndMenuCore, showEndMenu as showEndMenuCore, hideEndMenu as hideEndMenuCore, disposeEndMenu as disposeEndMenuCore } from './ui/endMenu.js';
 import { createBriefingPanel, showBriefingPanel, hideBriefingPanel, disposeBriefingPanel } from './ui/briefingPanel.js';
 import { createHintPanel, showHintPanel, hideHintPanel, disposeHintPanel } from './ui/hintPanel.js';
+import { createTimelineBar, updateTimelineBar, showTimelineBar, hideTimelineBar, disposeTimelineBar } from './ui/timelineBar.js';
 
 /**
  * @module core/uiManager
  * @description Manages the overall UI by coordinating various UI component modules.
  * This module serves as a central point for creating, updating, and disposing of UI elements
- * such as inventory, menu bar, configuration panel, trash can, and objectives panel.
+ * such as inventory, menu bar, configuration panel, trash can, objectives panel and timeline bar.
  * It re-exports functions from these specialized UI modules.
  */
 
@@ -27,6 +28,7 @@ function disposeUI() {
     disposeEndMenuCore();
     disposeBriefingPanel();
     disposeHintPanel();
+    disposeTimelineBar();
     coreDisposeUI();
 }
 
@@ -40,7 +42,9 @@ export {
     hideTrashCan,
     isPointerOverTrashCan,
     createTopMenuBar,
+    createReplayMenuBar,
     updateTopMenuBar,
+    updateTimeControls,
     createConfigPanel,
     showConfigPanel,
     hideConfigPanel,
@@ -57,5 +61,9 @@ export {
     createHintPanel,
     showHintPanel,
     hideHintPanel,
-    disposeHintPanel
+    disposeHintPanel,
+    createTimelineBar,
+    updateTimelineBar,
+    showTimelineBar,
+    hideTimelineBar
 };
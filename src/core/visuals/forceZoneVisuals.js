@@ -0,0 +1,189 @@
+import * as BABYLON from '@babylonjs/core';
+import { isPointInForceZone, getForceZoneDirection } from '../physics/forceZones.js';
+
+/**
+ * @module core/visuals/forceZoneVisuals
+ * @description Draws force-field zones as translucent volumes with animated chevrons showing
+ * the direction of the force: chevrons drift along the wind or gravity direction, or outwards
+ * (inwards for attractors) in radial zones.
+ */
+
+/** @type {Object<string, BABYLON.Color3>} Default volume and hint colors for each zone type. */
+const forceZoneColors = {
+    force: new BABYLON.Color3(0.4, 0.85, 1),
+    radial: new BABYLON.Color3(0.8, 0.45, 1),
+    gravity: new BABYLON.Color3(1, 0.6, 0.25)
+};
+/** @const {number} Opacity of zone volumes. */
+const FORCE_ZONE_ALPHA = 0.12;
+/** @const {number} Depth of zone volumes when the zone does not set `depth`. */
+const DEFAULT_FORCE_ZONE_DEPTH = 60;
+/** @const {number} Minimum spacing between direction hints, in world units. */
+const HINT_SPACING = 60;
+/** @const {number} Maximum number of direction hints per zone. */
+const MAX_HINTS = 150;
+/** @const {number} Half size of a direction chevron. */
+const HINT_HALF_SIZE = 8;
+/** @const {number} Speed at which hints drift, in world units per second. */
+const HINT_SPEED = 40;
+
+/**
+ * Computes the resting positions of the direction hints of a zone, relative to its centre.
+ * Rectangles use a grid; circles use the grid points inside the circle, and radial zones use rings.
+ * @param {object} zone - A zone record.
+ * @returns {{spacing: number, points: Array<object>, rings?: number, extent?: number}} The hint layout. Radial
+ *          layouts store unit directions with a ring index instead of offsets.
+ * @private
+ */
+function _getHintLayout(zone) {
+    const width = zone.shape === 'circle' ? zone.radius * 2 : zone.width;
+    const height = zone.shape === 'circle' ? zone.radius * 2 : zone.height;
+    const spacing = Math.max(HINT_SPACING, Math.sqrt((width * height) / MAX_HINTS));
+    const points = [];
+
+    if (zone.type === 'radial') {
+        const extent = zone.shape === 'circle' ? zone.radius : Math.hypot(zone.width, zone.height) / 2;
+        const rings = Math.max(1, Math.floor(extent / spacing));
+        for (let ring = 0; ring < rings; ring++) {
+            for (let i = 0; i < 8; i++) {
+                const angle = (i / 8) * Math.PI * 2 + ring * 0.4;
+                points.push({ x: Math.cos(angle), y: Math.sin(angle), ring });
+            }
+        }
+        return { spacing, points, rings, extent };
+    }
+
+    const columns = Math.max(1, Math.floor(width / spacing));
+    const rows = Math.max(1, Math.floor(height / spacing));
+    for (let c = 0; c < columns; c++) {
+        for (let r = 0; r < rows; r++) {
+            points.push({ x: -width / 2 + (c + 0.5) * (width / columns), y: -height / 2 + (r + 0.5) * (height / rows) });
+        }
+    }
+    return { spacing, points };
+}
+
+/**
+ * Builds the chevron lines of a zone at a point in its animation.
+ * Hints that fall outside the zone collapse to a point, so the line count never changes.
+ * @param {object} zone - A zone record.
+ * @param {{spacing: number, points: Array<object>}} layout - The hint layout.
+ * @param {number} time - Animation time in seconds.
+ * @returns {Array<Array<BABYLON.Vector3>>} The lines for `CreateLineSystem`.
+ * @private
+ */
+function _buildHintLines(zone, layout, time) {
+    const travel = time * HINT_SPEED;
+    const width = zone.shape === 'circle' ? zone.radius * 2 : zone.width;
+    const height = zone.shape === 'circle' ? zone.radius * 2 : zone.height;
+    const drift = getForceZoneDirection(zone, { x: zone.x, y: zone.y });
+    const wrap = (v, size) => ((((v + size / 2) % size) + size) % size) - size / 2;
+    const lines = [];
+
+    layout.points.forEach(base => {
+        let point;
+        if (zone.type === 'radial') {
+            const t = ((base.ring + travel / layout.spacing) % layout.rings) / layout.rings;
+            const r = (0.1 + 0.9 * (zone.strength >= 0 ? t : 1 - t)) * layout.extent;
+            point = { x: zone.x + base.x * r, y: zone.y + base.y * r };
+        } else {
+            point = {
+                x: zone.x + wrap(base.x + drift.x * travel, width),
+                y: zone.y + wrap(base.y + drift.y * travel, height)
+            };
+        }
+
+        const direction = getForceZoneDirection(zone, point);
+        if ((direction.x === 0 && direction.y === 0) || !isPointInForceZone(zone, point)) {
+            const p = new BABYLON.Vector3(point.x, point.y, 0);
+            lines.push([p, p.clone(), p.clone()]);
+            return;
+        }
+        const normal = { x: -direction.y, y: direction.x };
+        const h = HINT_HALF_SIZE;
+        lines.push([
+            new BABYLON.Vector3(point.x - direction.x * h + normal.x * h, point.y - direction.y * h + normal.y * h, 0),
+            new BABYLON.Vector3(point.x, point.y, 0),
+            new BABYLON.Vector3(point.x - direction.x * h - normal.x * h, point.y - direction.y * h - normal.y * h, 0)
+        ]);
+    });
+    return lines;
+}
+
+/**
+ * Creates the volume and direction hints of every zone.
+ * @param {Array<object>} zones - Zone records from `createForceZones`.
+ * @param {BABYLON.Scene} scene - The scene to draw in.
+ * @returns {Array<object>} The zone visuals, to be passed to {@link updateForceZoneVisuals} and {@link disposeForceZoneVisuals}.
+ */
+function createForceZoneVisuals(zones, scene) {
+    if (!scene) return [];
+
+    return zones.map(zone => {
+        const color = zone.color
+            ? new BABYLON.Color3(zone.color.r, zone.color.g, zone.color.b)
+            : forceZoneColors[zone.type].clone();
+        const depth = zone.depth || DEFAULT_FORCE_ZONE_DEPTH;
+
+        let volume;
+        if (zone.shape === 'circle') {
+            volume = BABYLON.MeshBuilder.CreateCylinder(`forceZone-${zone.id}`, { diameter: zone.radius * 2, height: depth, tessellation: 48 }, scene);
+            volume.rotation.x = Math.PI / 2;
+        } else {
+            volume = BABYLON.MeshBuilder.CreateBox(`forceZone-${zone.id}`, { width: zone.width, height: zone.height, depth }, scene);
+        }
+        volume.position = new BABYLON.Vector3(zone.x, zone.y, 0);
+        const material = new BABYLON.StandardMaterial(`forceZoneMat-${zone.id}`, scene);
+        material.diffuseColor = color;
+        material.emissiveColor = color.scale(0.5);
+        material.alpha = FORCE_ZONE_ALPHA;
+        material.backFaceCulling = false;
+        volume.material = material;
+        volume.isPickable = false;
+
+        const layout = _getHintLayout(zone);
+        const hints = BABYLON.MeshBuilder.CreateLineSystem(`forceZoneHints-${zone.id}`, {
+            lines: _buildHintLines(zone, layout, 0),
+            updatable: true
+        }, scene);
+        hints.color = color.clone();
+        hints.alpha = 0.8;
+        hints.isPickable = false;
+
+        return { zone, layout, volume, hints, time: 0 };
+    });
+}
+
+/**
+ * Advances the direction hint animation.
+ * @param {Array<object>} visuals - Zone visuals from {@link createForceZoneVisuals}.
+ * @param {number} deltaTime - Elapsed time in seconds.
+ */
+function updateForceZoneVisuals(visuals, deltaTime) {
+    visuals.forEach(visual => {
+        if (visual.hints.isDisposed()) return;
+        visual.time += deltaTime;
+        BABYLON.MeshBuilder.CreateLineSystem(visual.hints.name, {
+            lines: _buildHintLines(visual.zone, visual.layout, visual.time),
+            instance: visual.hints
+        });
+    });
+}
+
+/**
+ * Disposes of zone volumes, hints and materials.
+ * @param {Array<object>} visuals - Zone visuals from {@link createForceZoneVisuals}.
+ */
+function disposeForceZoneVisuals(visuals) {
+    visuals.forEach(visual => {
+        visual.volume.material?.dispose();
+        visual.volume.dispose();
+        visual.hints.dispose();
+    });
+}
+
+export {
+    createForceZoneVisuals,
+    updateForceZoneVisuals,
+    disposeForceZoneVisuals
+};
@@ -0,0 +1,78 @@
+import * as BABYLON from '@babylonjs/core';
+import { flattenObjectives } from '../objectives/CompositeObjective.js';
+
+/**
+ * @module core/visuals/heightLineVisuals
+ * @description Draws the height tracked by `maxHeight` objectives (the highest point reached, in red)
+ * and `minHeight` objectives (the ceiling, in blue) as horizontal lines across the simulation area.
+ * The lines follow the objectives' state, so the objectives themselves stay renderer-independent.
+ */
+
+/** @type {Object<string, {color: BABYLON.Color3, property: string}>} Line color and tracked objective property for each objective type. */
+const heightLineStyles = {
+    maxHeight: { color: new BABYLON.Color3(1, 0, 0), property: 'currentMaxYValue' },
+    minHeight: { color: new BABYLON.Color3(0, 0, 1), property: 'currentMinYValue' }
+};
+
+/**
+ * Creates a line for every height objective, including those inside composite objectives.
+ * @param {Array<Objective>} objectives - The active objectives.
+ * @param {object} worldConfig - The world configuration; the lines span `simulationBounds`.
+ * @param {BABYLON.Scene} scene - The scene to draw in.
+ * @returns {Array<{objective: Objective, property: string, line: BABYLON.LinesMesh}>} The line visuals, to be passed
+ *          to {@link updateHeightLineVisuals} and {@link disposeHeightLineVisuals}.
+ */
+function createHeightLineVisuals(objectives, worldConfig, scene) {
+    const simBounds = worldConfig?.simulationBounds;
+    if (!scene || !simBounds) return [];
+
+    return flattenObjectives(objectives).filter(objective => heightLineStyles[objective.type]).map(objective => {
+        const style = heightLineStyles[objective.type];
+        const line = BABYLON.MeshBuilder.CreateLines(`${objective.type}Line_${objective.id}`, {
+            points: [
+                new BABYLON.Vector3(simBounds.x, 0, 10),
+                new BABYLON.Vector3(simBounds.x + simBounds.width, 0, 10)
+            ]
+        }, scene);
+        const lineMaterial = new BABYLON.StandardMaterial(`${objective.type}LineMat_${objective.id}`, scene);
+        lineMaterial.emissiveColor = style.color.clone();
+        lineMaterial.disableLighting = true;
+        lineMaterial.alpha = 0.8;
+        line.material = lineMaterial;
+        line.isPickable = false;
+        line.setEnabled(false);
+
+        return { objective, property: style.property, line };
+    });
+}
+
+/**
+ * Moves each line to the height tracked by its objective, hiding it while no height has been recorded.
+ * @param {Array<object>} visuals - Line visuals from {@link createHeightLineVisuals}.
+ */
+function updateHeightLineVisuals(visuals) {
+    visuals.forEach(({ objective, property, line }) => {
+        if (line.isDisposed()) return;
+        const height = objective[property];
+        const hasHeight = Number.isFinite(height);
+        if (line.isEnabled() !== hasHeight) line.setEnabled(hasHeight);
+        if (hasHeight) line.position.y = height;
+    });
+}
+
+/**
+ * Disposes of the lines and their materials.
+ * @param {Array<object>} visuals - Line visuals from {@link createHeightLineVisuals}.
+ */
+function disposeHeightLineVisuals(visuals) {
+    visuals.forEach(({ line }) => {
+        line.material?.dispose();
+        line.dispose();
+    });
+}
+
+export {
+    createHeightLineVisuals,
+    updateHeightLineVisuals,
+    disposeHeightLineVisuals
+};
@@ -0,0 +1,150 @@
+import * as BABYLON from '@babylonjs/core';
+import { flattenObjectives } from '../objectives/CompositeObjective.js';
+
+/**
+ * @module core/visuals/zoneVisuals
+ * @description Draws the zones of zone objectives (`stayInZone`, `restInZone`, `leaveZone`) from their
+ * config, so levels need no hand-placed sensor boxes kept in sync with them. Each zone is a translucent
+ * volume with a brighter fill that grows from its centre with the objective's progress (the time spent
+ * in the zone), and flashes when the objective completes. The visuals are built from the objectives rather
+ * than the level `objects`, so the mesh sync of a reload (`syncMeshesWithConfig`) leaves them alone, and they
+ * are rebuilt along with the objectives.
+ */
+
+/** @const {Set<string>} The objective types whose zone is drawn. */
+const ZONE_OBJECTIVE_TYPES = new Set(['stayInZone', 'restInZone', 'leaveZone']);
+/** @const {BABYLON.Color3} The zone color when the zone does not set `color`. */
+const DEFAULT_ZONE_COLOR = new BABYLON.Color3(1, 1, 0);
+/** @const {number} Opacity of zone volumes. */
+const ZONE_ALPHA = 0.3;
+/** @const {number} Opacity of the progress fill. */
+const FILL_ALPHA = 0.5;
+/** @const {number} Depth of zone volumes; the fill is slightly deeper so it shows through. */
+const ZONE_DEPTH = 10;
+/** @const {number} Length of the completion flash, in seconds. */
+const FLASH_DURATION = 0.8;
+/** @const {number} Flashes per second during the completion flash. */
+const FLASH_FREQUENCY = 5;
+
+/**
+ * Creates a flat volume with the outline of a zone, centred on the origin.
+ * @param {string} name - The name of the mesh.
+ * @param {object} zoneShape - The zone outline from {@link module:core/physics/zoneShapes.createZoneShape}.
+ * @param {number} depth - The depth of the volume.
+ * @param {BABYLON.Scene} scene - The scene to create the mesh in.
+ * @returns {BABYLON.Mesh} The mesh.
+ * @private
+ */
+function createZoneMesh(name, zoneShape, depth, scene) {
+    if (zoneShape.shape === 'circle') {
+        const mesh = BABYLON.MeshBuilder.CreateCylinder(name, { diameter: zoneShape.radius * 2, height: depth, tessellation: 48 }, scene);
+        mesh.rotation.x = Math.PI / 2;
+        return mesh;
+    }
+    return BABYLON.MeshBuilder.ExtrudeShape(name, {
+        shape: zoneShape.vertices.map(v => new BABYLON.Vector3(v.x - zoneShape.x, v.y - zoneShape.y, 0)),
+        path: [new BABYLON.Vector3(0, 0, -depth / 2), new BABYLON.Vector3(0, 0, depth / 2)],
+        closeShape: true,
+        cap: BABYLON.Mesh.CAP_ALL,
+        sideOrientation: BABYLON.Mesh.DOUBLESIDE
+    }, scene);
+}
+
+/**
+ * Creates a translucent material.
+ * @param {string} name - The name of the material.
+ * @param {BABYLON.Color3} color - The color.
+ * @param {number} alpha - The opacity.
+ * @param {BABYLON.Scene} scene - The scene.
+ * @returns {BABYLON.StandardMaterial} The material.
+ * @private
+ */
+function createZoneMaterial(name, color, alpha, scene) {
+    const material = new BABYLON.StandardMaterial(name, scene);
+    material.diffuseColor = color.clone();
+    material.emissiveColor = color.scale(0.3);
+    material.alpha = alpha;
+    material.backFaceCulling = false;
+    return material;
+}
+
+/**
+ * Creates the volume and progress fill of every visible zone objective, including those inside composite objectives.
+ * @param {Array<Objective>} objectives - The active objectives.
+ * @param {BABYLON.Scene} scene - The scene to draw in.
+ * @returns {Array<object>} The zone visuals, to be passed to {@link updateZoneVisuals} and {@link disposeZoneVisuals}.
+ */
+function createZoneVisuals(objectives, scene) {
+    if (!scene) return [];
+
+    return flattenObjectives(objectives)
+        .filter(objective => ZONE_OBJECTIVE_TYPES.has(objective.type) && objective.zoneShape && objective.zone.visible !== false)
+        .map(objective => {
+            const { zoneShape } = objective;
+            const colorConfig = objective.zone.color;
+            const color = colorConfig ? new BABYLON.Color3(colorConfig.r, colorConfig.g, colorConfig.b) : DEFAULT_ZONE_COLOR.clone();
+
+            const volume = createZoneMesh(`objectiveZone-${objective.id}`, zoneShape, ZONE_DEPTH, scene);
+            volume.position = new BABYLON.Vector3(zoneShape.x, zoneShape.y, 0);
+            volume.material = createZoneMaterial(`objectiveZoneMat-${objective.id}`, color, ZONE_ALPHA, scene);
+            volume.isPickable = false;
+
+            const fill = createZoneMesh(`objectiveZoneFill-${objective.id}`, zoneShape, ZONE_DEPTH + 2, scene);
+            fill.position = volume.position.clone();
+            fill.material = createZoneMaterial(`objectiveZoneFillMat-${objective.id}`, color, FILL_ALPHA, scene);
+            fill.isPickable = false;
+            fill.setEnabled(false);
+
+            return { objective, color, volume, fill, wasComplete: false, flashTime: 0 };
+        });
+}
+
+/**
+ * Scales each fill to its objective's progress, and flashes the zone of an objective that has just completed.
+ * @param {Array<object>} visuals - Zone visuals from {@link createZoneVisuals}.
+ * @param {number} deltaTime - Elapsed time in seconds, 0 while paused.
+ */
+function updateZoneVisuals(visuals, deltaTime) {
+    visuals.forEach(visual => {
+        const { objective, color, volume, fill } = visual;
+        if (volume.isDisposed()) return;
+
+        const progress = Math.min(1, Math.max(0, objective.getProgress()));
+        if (fill.isEnabled() !== progress > 0) fill.setEnabled(progress > 0);
+        fill.scaling.x = progress;
+        // Circles are cylinders turned to face the camera, so their other flat axis is the local z.
+        fill.scaling[objective.zoneShape.shape === 'circle' ? 'z' : 'y'] = progress;
+
+        if (objective.isComplete && !visual.wasComplete) {
+            visual.flashTime = FLASH_DURATION;
+        }
+        visual.wasComplete = objective.isComplete;
+
+        let glow = 0.3;
+        if (visual.flashTime > 0) {
+            visual.flashTime = Math.max(0, visual.flashTime - deltaTime);
+            glow += Math.abs(Math.sin((FLASH_DURATION - visual.flashTime) * FLASH_FREQUENCY * Math.PI));
+        }
+        color.scaleToRef(glow, volume.material.emissiveColor);
+        color.scaleToRef(glow, fill.material.emissiveColor);
+    });
+}
+
+/**
+ * Disposes of the zone volumes, fills and their materials.
+ * @param {Array<object>} visuals - Zone visuals from {@link createZoneVisuals}.
+ */
+function disposeZoneVisuals(visuals) {
+    visuals.forEach(({ volume, fill }) => {
+        volume.material?.dispose();
+        volume.dispose();
+        fill.material?.dispose();
+        fill.dispose();
+    });
+}
+
+export {
+    createZoneVisuals,
+    updateZoneVisuals,
+    disposeZoneVisuals
+};
@@ -41,11 +41,53 @@ const defaultConfig = {
     ]
 };
 
+/**
+ * Loads a level from its JSON file, ignoring the progress saved for it in localStorage, e.g. to compare
+ * the player's configuration with the level as designed.
+ * Ensures that the configuration has the essential top-level keys (`world`, `objects`, `constraints`,
+ * `forceZones`, `inventory`).
+ *
+ * @async
+ * @param {string} scenePath - The path to the JSON configuration file.
+ * @returns {Promise<object>} The level configuration.
+ * @throws {Error} If the file cannot be fetched or parsed.
+ */
+async function loadLevelFile(scenePath) {
+    const response = await fetch(scenePath);
+    if (!response.ok) {
+        throw new Error(`HTTP error ${response.status} fetching ${scenePath}`);
+    }
+    const config = await response.json();
+    config.world = config.world || {};
+    config.objects = config.objects || [];
+    config.constraints = config.constraints || [];
+    config.forceZones = config.forceZones || [];
+    config.inventory = config.inventory || [];
+    config.briefingImage = config.briefingImage || null;
+    config.hintImagePath = config.hintImagePath || null;
+    return config;
+}
+
+/**
+ * Removes the `zone_box_<n>` sensor objects from a configuration saved before objective zones were drawn
+ * from the objectives themselves. Levels used to ship those boxes to show their zones, so saved progress and
+ * solutions still contain them and would draw each zone twice.
+ *
+ * @param {object} config - A configuration read from localStorage; modified in place.
+ * @returns {object} The same configuration.
+ */
+function dropLegacyZoneObjects(config) {
+    if (Array.isArray(config?.objects)) {
+        config.objects = config.objects.filter(obj => !(obj?.isSensor && /^zone_box_\d+$/.test(obj.id)));
+    }
+    return config;
+}
+
 /**
  * Asynchronously loads a scene configuration from a specified JSON file path.
  * If `scenePath` is not provided or if loading fails, it falls back to a deep copy of `defaultConfig`.
  * Ensures that the loaded or default configuration object has essential top-level keys
- * (`world`, `objects`, `constraints`, `inventory`).
+ * (`world`, `objects`, `constraints`, `forceZones`, `inventory`).
  *
  * @async
  * @param {string|null} scenePath - The path to the JSON configuration file. If null or undefined,
@@ -62,24 +104,14 @@ async function loadSceneConfig(scenePath) {
         const savedConfigStr = storageKey ? localStorage.getItem(storageKey) : null;
         if (savedConfigStr) {
             try {
-                const savedConfig = JSON.parse(savedConfigStr);
+                const savedConfig = dropLegacyZoneObjects(JSON.parse(savedConfigStr));
                 return { config: savedConfig, path: scenePath };
             } catch (e) {
                 console.warn("Failed to parse saved config from localStorage, loading from file.", e);
             }
         }
         try {
-            const response = await fetch(scenePath);
-            if (!response.ok) {
-                throw new Error(`HTTP error ${response.status} fetching ${scenePath}`);
-            }
-            const config = await response.json();
-            config.world = config.world || {};
-            config.objects = config.objects || [];
-            config.constraints = config.constraints || [];
-            config.inventory = config.inventory || [];
-            config.briefingImage = config.briefingImage || null;
-            config.hintImagePath = config.hintImagePath || null;
+            const config = await loadLevelFile(scenePath);
             return { config: config, path: scenePath };
         } catch (error) {
             console.error(`Error loading scene from ${scenePath}:`, error);
@@ -92,4 +124,4 @@ async function loadSceneConfig(scenePath) {
     }
 }
 
-export { loadSceneConfig, defaultConfig };
+export { loadSceneConfig, loadLevelFile, dropLegacyZoneObjects, defaultConfig };
@@ -0,0 +1,51 @@
+import { parseReplay } from '../core/replay.js';
+
+/**
+ * @module utils/replayFile
+ * @description Saves replays to, and opens them from, JSON files on the player's machine
+ * (see {@link module:core/replay} for the format).
+ */
+
+/**
+ * Downloads a replay as a JSON file.
+ * @param {object} replay - The replay.
+ * @param {string} fileName - The name of the downloaded file.
+ */
+function downloadReplay(replay, fileName) {
+    const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Lets the player pick a replay file and reads it.
+ * @async
+ * @returns {Promise<object>} A promise that resolves to the replay once a file has been picked and read.
+ *          It does not settle if the player closes the file dialog without picking a file.
+ * @throws {Error} If the file is not valid JSON or not a replay this version of the game can play.
+ */
+function pickReplayFile() {
+    return new Promise((resolve, reject) => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+        input.addEventListener('change', async () => {
+            const file = input.files && input.files[0];
+            if (!file) return;
+            try {
+                resolve(parseReplay(JSON.parse(await file.text())));
+            } catch (error) {
+                reject(error);
+            }
+        });
+        input.click();
+    });
+}
+
+export { downloadReplay, pickReplayFile };
@@ -0,0 +1,231 @@
+/**
+ * @module utils/shapeUtils
+ * @description Pure geometry helpers shared by the physics and rendering layers.
+ * Polygon outlines are normalized here once (convex hull, counter-clockwise order,
+ * centred on the area centroid) so that the Matter.js body and the Babylon.js mesh
+ * built from the same config always describe the same shape around the same origin.
+ * Compound objects are laid out the same way, around the centroid of their parts.
+ */
+
+/** @type {Array<string>} Shape types that can be used as parts of a compound object. */
+const COMPOUND_PART_TYPES = ['box', 'circle', 'polygon'];
+
+/**
+ * Computes the signed area of a polygon using the shoelace formula.
+ * Positive for counter-clockwise vertex order, negative for clockwise.
+ * @param {Array<{x: number, y: number}>} vertices - The polygon outline.
+ * @returns {number} The signed area.
+ */
+function getSignedPolygonArea(vertices) {
+    let area = 0;
+    for (let i = 0; i < vertices.length; i++) {
+        const a = vertices[i];
+        const b = vertices[(i + 1) % vertices.length];
+        area += a.x * b.y - b.x * a.y;
+    }
+    return area / 2;
+}
+
+/**
+ * Computes the (unsigned) area of a polygon.
+ * @param {Array<{x: number, y: number}>} vertices - The polygon outline.
+ * @returns {number} The area of the polygon.
+ */
+function getPolygonArea(vertices) {
+    return Math.abs(getSignedPolygonArea(vertices));
+}
+
+/**
+ * Computes the area centroid of a polygon. This is the same point Matter.js
+ * uses as the position of a body created from the polygon.
+ * Falls back to the vertex average for degenerate (zero-area) outlines.
+ * @param {Array<{x: number, y: number}>} vertices - The polygon outline.
+ * @returns {{x: number, y: number}} The centroid.
+ */
+function getPolygonCentroid(vertices) {
+    const signedArea = getSignedPolygonArea(vertices);
+    if (Math.abs(signedArea) < 1e-9) {
+        const sum = vertices.reduce((acc, v) => ({ x: acc.x + v.x, y: acc.y + v.y }), { x: 0, y: 0 });
+        return { x: sum.x / vertices.length, y: sum.y / vertices.length };
+    }
+    let cx = 0;
+    let cy = 0;
+    for (let i = 0; i < vertices.length; i++) {
+        const a = vertices[i];
+        const b = vertices[(i + 1) % vertices.length];
+        const cross = a.x * b.y - b.x * a.y;
+        cx += (a.x + b.x) * cross;
+        cy += (a.y + b.y) * cross;
+    }
+    return { x: cx / (6 * signedArea), y: cy / (6 * signedArea) };
+}
+
+/**
+ * Computes the convex hull of a point set (Andrew's monotone chain).
+ * The result is in counter-clockwise order without collinear points.
+ * @param {Array<{x: number, y: number}>} points - The input points.
+ * @returns {Array<{x: number, y: number}>} The hull vertices.
+ */
+function getConvexHull(points) {
+    const sorted = points
+        .map(p => ({ x: p.x, y: p.y }))
+        .sort((a, b) => (a.x === b.x ? a.y - b.y : a.x - b.x));
+    if (sorted.length < 3) return sorted;
+
+    const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+    const lower = [];
+    for (const p of sorted) {
+        while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+        lower.push(p);
+    }
+    const upper = [];
+    for (let i = sorted.length - 1; i >= 0; i--) {
+        const p = sorted[i];
+        while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+        upper.push(p);
+    }
+    upper.pop();
+    lower.pop();
+    return lower.concat(upper);
+}
+
+/**
+ * Checks whether a vertex list describes a usable polygon (at least three valid points).
+ * @param {*} vertices - The value to check, typically `objectConfig.vertices`.
+ * @returns {boolean} True if the list can be turned into a polygon.
+ */
+function isValidPolygon(vertices) {
+    return Array.isArray(vertices) &&
+        vertices.filter(v => v && Number.isFinite(v.x) && Number.isFinite(v.y)).length >= 3;
+}
+
+/**
+ * Normalizes a polygon outline for use as a body or mesh.
+ * Concave outlines are replaced by their convex hull, and the result is translated so that
+ * its area centroid sits at the origin. Levels with such outlines are reported once, when they
+ * are loaded (see {@link module:core/levelSchema.getLevelWarnings}).
+ * @param {Array<{x: number, y: number}>} vertices - The polygon outline from the config.
+ * @returns {Array<{x: number, y: number}>} Counter-clockwise convex vertices centred on the centroid,
+ *          or an empty array if the input is not a valid polygon.
+ */
+function getCenteredPolygonVertices(vertices) {
+    if (!isValidPolygon(vertices)) return [];
+    const points = vertices.filter(v => v && Number.isFinite(v.x) && Number.isFinite(v.y));
+    const hull = getConvexHull(points);
+    const centroid = getPolygonCentroid(hull);
+    return hull.map(v => ({ x: v.x - centroid.x, y: v.y - centroid.y }));
+}
+
+/**
+ * Computes the axis-aligned extents of a vertex list.
+ * @param {Array<{x: number, y: number}>} vertices - The vertices.
+ * @returns {{minX: number, maxX: number, minY: number, maxY: number, width: number, height: number}} The bounds.
+ */
+function getPolygonBounds(vertices) {
+    const xs = vertices.map(v => v.x);
+    const ys = vertices.map(v => v.y);
+    const minX = Math.min(...xs), maxX = Math.max(...xs);
+    const minY = Math.min(...ys), maxY = Math.max(...ys);
+    return { minX, maxX, minY, maxY, width: maxX - minX, height: maxY - minY };
+}
+
+/**
+ * Computes the area Matter.js assigns to a circle body. Matter approximates circles
+ * with a regular polygon (10 to 25 sides, always even), so this matches the mass
+ * distribution of the physics body rather than the ideal disc.
+ * @param {number} radius - The circle radius.
+ * @returns {number} The area of the approximating polygon.
+ */
+function getCirclePolygonArea(radius) {
+    let sides = Math.ceil(Math.max(10, Math.min(25, radius)));
+    if (sides % 2 === 1) sides += 1;
+    return 0.5 * sides * radius * radius * Math.sin((2 * Math.PI) / sides);
+}
+
+/**
+ * Computes the physics area of a single compound part.
+ * @param {object} part - Part config (`type` plus `width`/`height`, `radius` or `vertices`).
+ * @returns {number} The area, or 0 if the part is invalid.
+ */
+function getPartArea(part) {
+    switch (part?.type) {
+        case 'box':
+            return (part.width || 0) * (part.height || 0);
+        case 'circle':
+            return part.radius > 0 ? getCirclePolygonArea(part.radius) : 0;
+        case 'polygon':
+            return getPolygonArea(getCenteredPolygonVertices(part.vertices));
+        default:
+            return 0;
+    }
+}
+
+/**
+ * Lays out the parts of a compound object around their common centre of mass.
+ * Part `x`/`y` in the config are offsets from an arbitrary authoring origin; the returned
+ * parts are shifted so that the area-weighted centroid is at (0, 0), which is where
+ * Matter.js puts the position of the compound body.
+ * @param {Array<object>} parts - The `parts` array of a compound object config.
+ * @returns {{parts: Array<object>, centroid: {x: number, y: number}}|null} The recentred parts and the
+ *          original centroid, or null if the list is empty or contains an invalid part.
+ */
+function getCompoundLayout(parts) {
+    if (!Array.isArray(parts) || parts.length === 0) return null;
+    let totalArea = 0;
+    let cx = 0;
+    let cy = 0;
+    for (const part of parts) {
+        if (!COMPOUND_PART_TYPES.includes(part?.type)) return null;
+        const area = getPartArea(part);
+        if (!(area > 0)) return null;
+        totalArea += area;
+        cx += (part.x || 0) * area;
+        cy += (part.y || 0) * area;
+    }
+    const centroid = { x: cx / totalArea, y: cy / totalArea };
+    return {
+        parts: parts.map(part => ({ ...part, x: (part.x || 0) - centroid.x, y: (part.y || 0) - centroid.y })),
+        centroid
+    };
+}
+
+/**
+ * Computes the axis-aligned bounds of a set of laid-out compound parts, taking part angles into account.
+ * @param {Array<object>} parts - Parts as returned by {@link getCompoundLayout}.
+ * @returns {{minX: number, maxX: number, minY: number, maxY: number, width: number, height: number}} The bounds.
+ */
+function getCompoundBounds(parts) {
+    const points = [];
+    parts.forEach(part => {
+        const px = part.x || 0;
+        const py = part.y || 0;
+        if (part.type === 'circle') {
+            points.push({ x: px - part.radius, y: py - part.radius }, { x: px + part.radius, y: py + part.radius });
+            return;
+        }
+        const outline = part.type === 'box'
+            ? [
+                { x: -part.width / 2, y: -part.height / 2 }, { x: part.width / 2, y: -part.height / 2 },
+                { x: part.width / 2, y: part.height / 2 }, { x: -part.width / 2, y: part.height / 2 }
+            ]
+            : getCenteredPolygonVertices(part.vertices);
+        const cos = Math.cos(part.angle || 0);
+        const sin = Math.sin(part.angle || 0);
+        outline.forEach(v => points.push({ x: px + v.x * cos - v.y * sin, y: py + v.x * sin + v.y * cos }));
+    });
+    return getPolygonBounds(points);
+}
+
+export {
+    getPolygonArea,
+    getPolygonCentroid,
+    getConvexHull,
+    isValidPolygon,
+    getCenteredPolygonVertices,
+    getPolygonBounds,
+    COMPOUND_PART_TYPES,
+    getCirclePolygonArea,
+    getPartArea,
+    getCompoundLayout,
+    getCompoundBounds
+};